@@ -51,10 +51,10 @@ class RobotDetectorV2 {
    * Main function to determine if request should be blocked/redirected
    * LEGACY API - maintained for backward compatibility
    */
-  async getContent(path, userAgent, ipAddress, referrer = '', queryParams = {}) {
+  async getContent(path, userAgent, ipAddress, referrer = '', queryParams = {}, headers = null) {
     await this.ensureInitialized();
     const honeypotService = this.container.get('honeypotService');
-    return await honeypotService.getContent(path, userAgent, ipAddress, referrer, queryParams);
+    return await honeypotService.getContent(path, userAgent, ipAddress, referrer, queryParams, headers);
   }
 
   /**
@@ -84,6 +84,22 @@ class RobotDetectorV2 {
     return userAgentService.isKnownGoodAgent(userAgent);
   }
 
+  /**
+   * Check if an IP address is inside a known bad network
+   */
+  isKnownBadNetwork(ipAddress) {
+    const networkService = this.container.get('networkService');
+    return networkService.isKnownBadNetwork(ipAddress);
+  }
+
+  /**
+   * Check if an IP address is inside a known good network
+   */
+  isKnownGoodNetwork(ipAddress) {
+    const networkService = this.container.get('networkService');
+    return networkService.isKnownGoodNetwork(ipAddress);
+  }
+
   /**
    * Check rate limits for a user
    * LEGACY API - maintained for backward compatibility
@@ -98,9 +114,9 @@ class RobotDetectorV2 {
    * Add a request timestamp to in-memory storage
    * LEGACY API - maintained for backward compatibility
    */
-  addRequestToCounter(userId) {
+  addRequestToCounter(userId, path = null) {
     const rateLimitService = this.container.get('rateLimitService');
-    rateLimitService.addRequestToCounter(userId);
+    rateLimitService.addRequestToCounter(userId, path);
   }
 
   /**
@@ -122,6 +138,16 @@ class RobotDetectorV2 {
     return rateLimitService.isHtmlRequest(path);
   }
 
+  /**
+   * Check if request is for content the scrambler can rewrite (HTML, JSON, feeds, sitemaps, plain text)
+   * @param {string} path - The request path
+   * @returns {boolean} - True if it's a content request
+   */
+  isContentRequest(path) {
+    const rateLimitService = this.container.get('rateLimitService');
+    return rateLimitService.isContentRequest(path);
+  }
+
   /**
    * Check if request should be excluded from rate limiting
    * LEGACY API - maintained for backward compatibility
@@ -131,6 +157,46 @@ class RobotDetectorV2 {
     return rateLimitService.isExcludedFromRateLimit(path);
   }
 
+  // Trap Links
+  async isTrapPath(path) {
+    await this.ensureInitialized();
+    const trapLinkService = this.container.get('trapLinkService');
+    return await trapLinkService.isTrapPath(path);
+  }
+
+  async getTrapUrls(seed) {
+    await this.ensureInitialized();
+    const trapLinkService = this.container.get('trapLinkService');
+    return await trapLinkService.generateTrapUrls(seed);
+  }
+
+  // Link maze
+  async getLinkMazeSettings() {
+    await this.ensureInitialized();
+    const settingsService = this.container.get('settingsService');
+    return await settingsService.getLinkMazeSettings();
+  }
+
+  // Tarpit
+  async tarpit(stream, content) {
+    await this.ensureInitialized();
+    const tarpitService = this.container.get('tarpitService');
+    return await tarpitService.drip(stream, content);
+  }
+
+  // robots.txt
+  async getRobotsTxt(userAgent, ipAddress) {
+    await this.ensureInitialized();
+    const robotsTxtService = this.container.get('robotsTxtService');
+    return await robotsTxtService.generateRobotsTxt(userAgent, ipAddress);
+  }
+
+  async isRobotsTxtDecoyPath(path) {
+    await this.ensureInitialized();
+    const robotsTxtService = this.container.get('robotsTxtService');
+    return await robotsTxtService.isDecoyPath(path);
+  }
+
   // Honeypot Status Management
   async getHoneypotStatus() {
     await this.ensureInitialized();
@@ -202,10 +268,10 @@ class RobotDetectorV2 {
   }
 
   // Bad Agents API
-  async addBadAgent(userAgent) {
+  async addBadAgent(userAgent, matchType = 'substring') {
     await this.ensureInitialized();
     const userAgentService = this.container.get('userAgentService');
-    return await userAgentService.addBadAgent(userAgent);
+    return await userAgentService.addBadAgent(userAgent, matchType);
   }
 
   async getBadAgents() {
@@ -227,10 +293,10 @@ class RobotDetectorV2 {
   }
 
   // Good Agents API
-  async addGoodAgent(userAgent) {
+  async addGoodAgent(userAgent, matchType = 'substring', verifyDomains = null) {
     await this.ensureInitialized();
     const userAgentService = this.container.get('userAgentService');
-    return await userAgentService.addGoodAgent(userAgent);
+    return await userAgentService.addGoodAgent(userAgent, matchType, verifyDomains);
   }
 
   async getGoodAgents() {
@@ -251,6 +317,124 @@ class RobotDetectorV2 {
     return await userAgentService.updateGoodAgent(id, isActive);
   }
 
+  // Bad Networks API
+  async addBadNetwork(cidr, description = null) {
+    await this.ensureInitialized();
+    const networkService = this.container.get('networkService');
+    return await networkService.addBadNetwork(cidr, description);
+  }
+
+  async getBadNetworks() {
+    await this.ensureInitialized();
+    const networkService = this.container.get('networkService');
+    return await networkService.getBadNetworks();
+  }
+
+  async deleteBadNetwork(id) {
+    await this.ensureInitialized();
+    const networkService = this.container.get('networkService');
+    return await networkService.deleteBadNetwork(id);
+  }
+
+  async updateBadNetwork(id, isActive) {
+    await this.ensureInitialized();
+    const networkService = this.container.get('networkService');
+    return await networkService.updateBadNetwork(id, isActive);
+  }
+
+  // Good Networks API
+  async addGoodNetwork(cidr, description = null) {
+    await this.ensureInitialized();
+    const networkService = this.container.get('networkService');
+    return await networkService.addGoodNetwork(cidr, description);
+  }
+
+  async getGoodNetworks() {
+    await this.ensureInitialized();
+    const networkService = this.container.get('networkService');
+    return await networkService.getGoodNetworks();
+  }
+
+  async deleteGoodNetwork(id) {
+    await this.ensureInitialized();
+    const networkService = this.container.get('networkService');
+    return await networkService.deleteGoodNetwork(id);
+  }
+
+  async updateGoodNetwork(id, isActive) {
+    await this.ensureInitialized();
+    const networkService = this.container.get('networkService');
+    return await networkService.updateGoodNetwork(id, isActive);
+  }
+
+  // Visitor Reputation API
+  async getReputations(state = null) {
+    await this.ensureInitialized();
+    const reputationService = this.container.get('reputationService');
+    return await reputationService.getReputations(state);
+  }
+
+  async setReputation(userId, ipAddress, state, reason = null, durationSeconds = null) {
+    await this.ensureInitialized();
+    const reputationService = this.container.get('reputationService');
+    return await reputationService.setReputation(userId, ipAddress, state, reason, durationSeconds);
+  }
+
+  async extendReputation(id, durationSeconds) {
+    await this.ensureInitialized();
+    const reputationService = this.container.get('reputationService');
+    return await reputationService.extendReputation(id, durationSeconds);
+  }
+
+  async liftReputation(id) {
+    await this.ensureInitialized();
+    const reputationService = this.container.get('reputationService');
+    return await reputationService.liftReputation(id);
+  }
+
+  async deleteReputation(id) {
+    await this.ensureInitialized();
+    const reputationService = this.container.get('reputationService');
+    return await reputationService.deleteReputation(id);
+  }
+
+  // Rate Limit Rules API
+  async addRateLimitRule(pattern, matchType = 'prefix', windowSeconds = null, maxRequests = null, isExcluded = false, description = null) {
+    await this.ensureInitialized();
+    const rateLimitService = this.container.get('rateLimitService');
+    return await rateLimitService.addRateLimitRule(pattern, matchType, windowSeconds, maxRequests, isExcluded, description);
+  }
+
+  async getRateLimitRules() {
+    await this.ensureInitialized();
+    const rateLimitService = this.container.get('rateLimitService');
+    return await rateLimitService.getRateLimitRules();
+  }
+
+  async deleteRateLimitRule(id) {
+    await this.ensureInitialized();
+    const rateLimitService = this.container.get('rateLimitService');
+    return await rateLimitService.deleteRateLimitRule(id);
+  }
+
+  async updateRateLimitRule(id, isActive) {
+    await this.ensureInitialized();
+    const rateLimitService = this.container.get('rateLimitService');
+    return await rateLimitService.updateRateLimitRule(id, isActive);
+  }
+
+  async getResponsePolicies() {
+    await this.ensureInitialized();
+    const responsePolicyService = this.container.get('responsePolicyService');
+    return await responsePolicyService.getResponsePolicies();
+  }
+
+  async setResponsePolicy(reason, action, redirectUrl = null, customPage = null) {
+    await this.ensureInitialized();
+    const responsePolicyService = this.container.get('responsePolicyService');
+    return await responsePolicyService.setResponsePolicy(reason, action, redirectUrl, customPage);
+  }
+
   // ============================================
   // NEW ENHANCED API METHODS
   // These provide additional functionality beyond the legacy API
@@ -275,6 +459,51 @@ class RobotDetectorV2 {
     return await honeypotService.getAnalytics(hours);
   }
 
+  /**
+   * Explain the verdict a request would get without logging or counting it
+   */
+  async explainRequest(request) {
+    await this.ensureInitialized();
+    const honeypotService = this.container.get('honeypotService');
+    return await honeypotService.explainRequest(request);
+  }
+
+  /**
+   * Compare actual verdicts with dry-run (shadow) verdicts for a specific time period
+   */
+  async getDryRunComparison(hours = 24) {
+    await this.ensureInitialized();
+    const honeypotService = this.container.get('honeypotService');
+    return await honeypotService.getDryRunComparison(hours);
+  }
+
+  /**
+   * Get a visitor's recent requests and the identities linked to it by shared link tags
+   */
+  async getVisitorDetails(userId) {
+    await this.ensureInitialized();
+    const honeypotService = this.container.get('honeypotService');
+    return await honeypotService.getVisitorDetails(userId);
+  }
+
+  /**
+   * Find the visitors that received the canary phrases contained in a text snippet
+   */
+  async lookupCanary(text) {
+    await this.ensureInitialized();
+    const honeypotService = this.container.get('honeypotService');
+    return await honeypotService.lookupCanary(text);
+  }
+
+  /**
+   * Get the names of the registered detectors, in evaluation order
+   */
+  async getDetectorNames() {
+    await this.ensureInitialized();
+    const detectionPipeline = this.container.get('detectionPipeline');
+    return detectionPipeline.getDetectorNames();
+  }
+
   /**
    * Perform maintenance tasks
    */
@@ -35,12 +35,37 @@ class Config {
       publicDir: this.resolvePath(process.env.PUBLIC_DIR || 'public'),
       honeypotStaticDir: this.resolvePath(process.env.HONEYPOT_STATIC_DIR || 'public'),
       blogStaticDir: this.resolvePath(process.env.BLOG_STATIC_DIR || 'blog'),
-      custom404Page: process.env.CUSTOM_404_PAGE ? this.resolvePath(process.env.CUSTOM_404_PAGE) : null
+      custom404Page: process.env.CUSTOM_404_PAGE ? this.resolvePath(process.env.CUSTOM_404_PAGE) : null,
+      // Words indexed from each blog file, so that only changed files are re-read on startup
+      markovCachePath: this.resolvePath(process.env.MARKOV_CACHE_PATH || 'markov-index.json'),
+      // Template file default scrambled pages are rendered in, with {{title}}, {{description}}, {{url}} and {{content}}
+      scrambleTemplatePath: process.env.SCRAMBLE_TEMPLATE ? this.resolvePath(process.env.SCRAMBLE_TEMPLATE) : null
     };
 
     // Route configuration
     this.routes = {
-      blogRoutePrefix: process.env.BLOG_ROUTE_PREFIX || '/blog'
+      blogRoutePrefix: process.env.BLOG_ROUTE_PREFIX || '/blog',
+      // Default target of the redirect response action
+      redirectUrl: process.env.REDIRECT_URL || null
+    };
+
+    // Content scrambling configuration
+    this.scrambling = {
+      // Number of preceding words the Markov chain conditions on (1-3)
+      markovOrder: parseInt(process.env.MARKOV_ORDER) || 2,
+      // Refresh the Markov index when files in the blog directory change
+      watchBlog: process.env.MARKOV_WATCH_BLOG !== 'false',
+      // Scrambled responses kept in memory (0 disables the cache)
+      cacheSize: parseInt(process.env.SCRAMBLE_CACHE_SIZE ?? '1000'),
+      // Blog page whose layout default scrambled pages are rendered in, without a template file ('' for the built-in page)
+      templatePage: process.env.SCRAMBLE_TEMPLATE_PAGE ?? '/index.html',
+      // HTML scrambling rules; unset lists keep the scrambler's defaults
+      htmlRules: {
+        skipElements: this.parseList(process.env.SCRAMBLE_SKIP_ELEMENTS),
+        scrambleElements: this.parseList(process.env.SCRAMBLE_ONLY_ELEMENTS),
+        attributes: this.parseList(process.env.SCRAMBLE_ATTRIBUTES),
+        metaNames: this.parseList(process.env.SCRAMBLE_META_NAMES)
+      }
     };
 
     // Security configuration
@@ -67,6 +92,17 @@ class Config {
     return path.resolve(process.cwd(), inputPath);
   }
 
+  /**
+   * Parse a comma-separated list of names
+   * @param {string} value - Comma-separated names (e.g. 'pre,code')
+   * @returns {string[]|null} - Lower-case names, or null if the variable is unset
+   */
+  parseList(value) {
+    if (value === undefined) return null;
+
+    return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  }
+
   /**
    * Get all configuration as a single object
    * @returns {object} - Complete configuration object
@@ -77,6 +113,7 @@ class Config {
       database: this.database,
       paths: this.paths,
       routes: this.routes,
+      scrambling: this.scrambling,
       security: this.security
     };
   }
@@ -1,14 +1,76 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const SeededRandom = require('./seeded-random');
 
+// States are keys made of up to MAX_ORDER word IDs, each one a digit in base STATE_BASE
+const MAX_ORDER = 3;
+const STATE_BASE = 2 ** 17;
+// Words beyond this many don't get an ID, so a state always fits in a safe integer
+const MAX_VOCABULARY = STATE_BASE - 1;
+
+// Format of the index cache file; caches in another format are ignored
+const CACHE_VERSION = 1;
+
+// Delay after the last change in the blog directory before the index is refreshed
+const WATCH_DEBOUNCE_MS = 1000;
+
 class MarkovChain {
   constructor(config = null) {
-    this.chains = new Map(); // word -> {nextWord: count, ...}
+    this.order = Math.min(Math.max(parseInt(config?.scrambling?.markovOrder) || 2, 1), MAX_ORDER);
+    this.chains = new Map(); // state -> Map(next word ID -> count), for states of every order up to this.order
+    this.statesPerOrder = new Array(this.order + 1).fill(0);
     this.totalTransitions = 0;
     this.words = new Set(); // all unique words
+    this.wordIds = new Map(); // word -> ID
+    this.vocabulary = []; // ID -> word
+    // Lookup tables for picking among a state's transitions, built on first use; a rebuilt chain has new transition maps
+    this.transitionTables = new WeakMap(); // transitions Map -> { ids, cumulativeCounts, rareIds }
     this.blogStaticDir = config?.paths?.blogStaticDir || path.resolve('blog');
+    this.cachePath = config?.paths?.markovCachePath || null; // no persistence without a cache path
     this.isIndexed = false;
+
+    // Words of every indexed file, so that the chain can be rebuilt without re-reading unchanged files
+    this.indexedFiles = new Map(); // path relative to the blog directory -> { hash, size, mtimeMs, words }
+    this.isCacheLoaded = false;
+    this.corpusVersion = 0; // incremented whenever the chain changes
+    this.indexing = { inProgress: false, filesTotal: 0, filesProcessed: 0, filesReindexed: 0, filesRemoved: 0 };
+    this.lastRebuildAt = null;
+    this.lastRebuildDurationMs = null;
+    this.rebuildPromise = null;
+    this.isRebuildRequested = false;
+    this.watcher = null;
+    this.watchTimer = null;
+  }
+
+  /**
+   * Get the ID of a word, assigning one to words not seen before
+   * @param {string} word - Word
+   * @returns {number|null} - Word ID, or null once the vocabulary is full
+   */
+  getWordId(word) {
+    let id = this.wordIds.get(word);
+    if (id === undefined) {
+      if (this.vocabulary.length >= MAX_VOCABULARY) return null;
+      id = this.vocabulary.length;
+      this.wordIds.set(word, id);
+      this.vocabulary.push(word);
+    }
+    return id;
+  }
+
+  /**
+   * Encode a sequence of word IDs as a state key
+   * Each ID is offset by one, so sequences of different lengths never share a key
+   * @param {number[]} ids - Word IDs, oldest first (at most MAX_ORDER)
+   * @returns {number} - State key
+   */
+  encodeState(ids) {
+    let key = 0;
+    for (const id of ids) {
+      key = key * STATE_BASE + id + 1;
+    }
+    return key;
   }
 
   /**
@@ -38,124 +100,378 @@ class MarkovChain {
 
   /**
    * Build Markov chain from a list of words
+   * Every transition is recorded for the states made of the 1 to `order` preceding words,
+   * so generation can back off to a shorter state when a longer one was never seen
    * @param {string[]} words - Array of words
    */
   buildChainFromWords(words) {
-    for (let i = 0; i < words.length - 1; i++) {
-      const currentWord = words[i];
-      const nextWord = words[i + 1];
-      
-      this.words.add(currentWord);
-      this.words.add(nextWord);
-      
-      if (!this.chains.has(currentWord)) {
-        this.chains.set(currentWord, new Map());
+    const ids = words.map(word => {
+      this.words.add(word);
+      return this.getWordId(word);
+    });
+
+    for (let i = 0; i < ids.length - 1; i++) {
+      const nextId = ids[i + 1];
+      if (nextId === null) continue;
+
+      for (let length = 1; length <= this.order && i - length + 1 >= 0; length++) {
+        const stateIds = ids.slice(i - length + 1, i + 1);
+        if (stateIds.includes(null)) break;
+
+        const state = this.encodeState(stateIds);
+        let transitions = this.chains.get(state);
+        if (!transitions) {
+          transitions = new Map();
+          this.chains.set(state, transitions);
+          this.statesPerOrder[length]++;
+        }
+        transitions.set(nextId, (transitions.get(nextId) || 0) + 1);
       }
-      
-      const transitions = this.chains.get(currentWord);
-      const currentCount = transitions.get(nextWord) || 0;
-      transitions.set(nextWord, currentCount + 1);
-      
+
       this.totalTransitions++;
     }
   }
 
   /**
-   * Recursively scan directory for HTML files and build index
+   * Recursively find the HTML files in a directory
    * @param {string} directory - Directory to scan
+   * @param {string[]} files - Paths found so far
+   * @returns {Promise<string[]>} - Full paths of the HTML files
    */
-  async scanDirectory(directory) {
+  async findHtmlFiles(directory, files = []) {
     try {
-      const items = fs.readdirSync(directory);
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
       
-      for (const item of items) {
-        const fullPath = path.join(directory, item);
-        const stat = fs.statSync(fullPath);
+      for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
         
-        if (stat.isDirectory()) {
+        if (entry.isDirectory()) {
           // Recursively scan subdirectories
-          await this.scanDirectory(fullPath);
-        } else if (stat.isFile() && item.match(/\.(html|htm)$/i)) {
-          // Process HTML files
-          try {
-            const content = fs.readFileSync(fullPath, 'utf8');
+          await this.findHtmlFiles(fullPath, files);
+        } else if (entry.isFile() && entry.name.match(/\.(html|htm)$/i)) {
+          files.push(fullPath);
+        }
+      }
+    } catch (error) {
+      console.error(`Error scanning directory ${directory}:`, error.message);
+    }
+    return files;
+  }
+
+  /**
+   * Load the words of previously indexed files from the cache file
+   */
+  async loadCache() {
+    if (!this.cachePath) return;
+
+    try {
+      const cache = JSON.parse(await fs.promises.readFile(this.cachePath, 'utf8'));
+      if (cache.version !== CACHE_VERSION || !cache.files) {
+        console.log(`Ignoring Markov index cache ${this.cachePath}: unsupported format`);
+        return;
+      }
+
+      for (const [relativePath, file] of Object.entries(cache.files)) {
+        this.indexedFiles.set(relativePath, {
+          hash: file.hash,
+          size: file.size,
+          mtimeMs: file.mtimeMs,
+          words: file.words ? file.words.split(' ') : []
+        });
+      }
+      console.log(`Loaded Markov index cache with ${this.indexedFiles.size} files from ${this.cachePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading Markov index cache ${this.cachePath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Save the words of the indexed files to the cache file
+   */
+  async saveCache() {
+    if (!this.cachePath) return;
+
+    const files = {};
+    for (const [relativePath, file] of this.indexedFiles) {
+      files[relativePath] = {
+        hash: file.hash,
+        size: file.size,
+        mtimeMs: file.mtimeMs,
+        words: file.words.join(' ')
+      };
+    }
+
+    try {
+      // Write to a temporary file first so a crash never leaves a truncated cache behind
+      const temporaryPath = `${this.cachePath}.tmp`;
+      await fs.promises.writeFile(temporaryPath, JSON.stringify({
+        version: CACHE_VERSION,
+        builtAt: new Date().toISOString(),
+        files
+      }));
+      await fs.promises.rename(temporaryPath, this.cachePath);
+    } catch (error) {
+      console.error(`Error saving Markov index cache ${this.cachePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Bring the indexed words up to date with the blog directory
+   * Files whose size and modification time are unchanged aren't read; files that were read are only
+   * re-indexed when their content hash changed
+   * @returns {Promise<boolean>} - True if any file was re-indexed or removed
+   */
+  async refreshIndexedFiles() {
+    const files = await this.findHtmlFiles(this.blogStaticDir);
+    const foundPaths = new Set();
+    let cacheChanged = false;
+
+    this.indexing = { inProgress: true, filesTotal: files.length, filesProcessed: 0, filesReindexed: 0, filesRemoved: 0 };
+
+    for (const fullPath of files) {
+      const relativePath = path.relative(this.blogStaticDir, fullPath);
+      foundPaths.add(relativePath);
+
+      try {
+        const stat = await fs.promises.stat(fullPath);
+        const indexed = this.indexedFiles.get(relativePath);
+
+        if (!indexed || indexed.size !== stat.size || indexed.mtimeMs !== stat.mtimeMs) {
+          const content = await fs.promises.readFile(fullPath, 'utf8');
+          const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+          if (indexed && indexed.hash === hash) {
+            // Touched but not changed
+            indexed.size = stat.size;
+            indexed.mtimeMs = stat.mtimeMs;
+          } else {
             const words = this.extractWordsFromHtml(content);
-            this.buildChainFromWords(words);
+            this.indexedFiles.set(relativePath, { hash, size: stat.size, mtimeMs: stat.mtimeMs, words });
+            this.indexing.filesReindexed++;
             console.log(`Indexed ${words.length} words from ${fullPath}`);
-          } catch (error) {
-            console.error(`Error reading file ${fullPath}:`, error.message);
           }
+          cacheChanged = true;
         }
+      } catch (error) {
+        console.error(`Error reading file ${fullPath}:`, error.message);
       }
-    } catch (error) {
-      console.error(`Error scanning directory ${directory}:`, error.message);
+
+      this.indexing.filesProcessed++;
+    }
+
+    for (const relativePath of this.indexedFiles.keys()) {
+      if (!foundPaths.has(relativePath)) {
+        this.indexedFiles.delete(relativePath);
+        this.indexing.filesRemoved++;
+        cacheChanged = true;
+      }
+    }
+
+    if (cacheChanged) {
+      await this.saveCache();
     }
+    return this.indexing.filesReindexed > 0 || this.indexing.filesRemoved > 0;
   }
 
   /**
-   * Build the Markov chain index from all HTML files in the blog directory
+   * Rebuild the chain from the words of the indexed files
+   * Runs synchronously, so requests never see a partially built chain
    */
-  async buildIndex() {
-    console.log('Building Markov chain index from blog content...');
+  rebuildChain() {
     this.chains.clear();
+    this.statesPerOrder.fill(0);
     this.words.clear();
+    this.wordIds.clear();
+    this.vocabulary = [];
     this.totalTransitions = 0;
-    
+
+    for (const file of this.indexedFiles.values()) {
+      this.buildChainFromWords(file.words);
+    }
+    this.corpusVersion++;
+  }
+
+  /**
+   * Build the Markov chain index from all HTML files in the blog directory
+   * Only new and changed files are read and re-indexed. A call made while a rebuild is running
+   * waits for it and triggers one more, so changes made meanwhile aren't missed
+   * @returns {Promise<void>}
+   */
+  async buildIndex() {
+    if (this.rebuildPromise) {
+      this.isRebuildRequested = true;
+      return this.rebuildPromise;
+    }
+
+    this.rebuildPromise = (async () => {
+      do {
+        this.isRebuildRequested = false;
+        await this.rebuild();
+      } while (this.isRebuildRequested);
+    })().finally(() => {
+      this.rebuildPromise = null;
+    });
+    return this.rebuildPromise;
+  }
+
+  /**
+   * Refresh the index once
+   */
+  async rebuild() {
+    console.log('Building Markov chain index from blog content...');
+    const startedAt = Date.now();
+
     try {
-      await this.scanDirectory(this.blogStaticDir);
+      if (!this.isCacheLoaded) {
+        await this.loadCache();
+        this.isCacheLoaded = true;
+      }
+
+      const changed = await this.refreshIndexedFiles();
+      if (changed || !this.isIndexed) {
+        this.rebuildChain();
+      }
       this.isIndexed = true;
       
-      console.log(`Markov index built: ${this.words.size} unique words, ${this.totalTransitions} transitions, ${this.chains.size} chain entries`);
+      console.log(`Markov index built: ${this.words.size} unique words, ${this.totalTransitions} transitions, ${this.chains.size} chain entries (order ${this.order}), ${this.indexing.filesReindexed} of ${this.indexing.filesTotal} files re-indexed`);
     } catch (error) {
+      // Keep serving from the previous index, if any
       console.error('Error building Markov index:', error);
-      this.isIndexed = false;
+    } finally {
+      this.indexing.inProgress = false;
+      this.lastRebuildAt = new Date();
+      this.lastRebuildDurationMs = Date.now() - startedAt;
+    }
+  }
+
+  /**
+   * Watch the blog directory and refresh the index shortly after HTML files change
+   */
+  watchDirectory() {
+    if (this.watcher) return;
+
+    try {
+      this.watcher = fs.watch(this.blogStaticDir, { recursive: true }, (eventType, filename) => {
+        // Changes to other files don't matter; directories (no extension) may have held HTML files
+        if (filename && path.extname(filename) && !filename.match(/\.(html|htm)$/i)) return;
+
+        clearTimeout(this.watchTimer);
+        this.watchTimer = setTimeout(() => this.buildIndex(), WATCH_DEBOUNCE_MS);
+      });
+      this.watcher.on('error', error => {
+        console.error(`Error watching ${this.blogStaticDir}:`, error.message);
+        this.stopWatching();
+      });
+      // The watcher alone shouldn't keep the process running
+      this.watcher.unref();
+      console.log(`Watching ${this.blogStaticDir} for changes to the Markov index`);
+    } catch (error) {
+      console.error(`Error watching ${this.blogStaticDir}:`, error.message);
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Stop watching the blog directory
+   */
+  stopWatching() {
+    clearTimeout(this.watchTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
     }
   }
 
   /**
-   * Get next word based on current word and probability distribution
-   * @param {string} currentWord - Current word
+   * Get the transitions of the longest known state ending a sequence of words
+   * Backs off to shorter states down to the last word alone
+   * @param {string[]} context - Preceding words, oldest first
+   * @returns {Map|null} - Map of next word ID to count, or null if even the last word has no transitions
+   */
+  getTransitions(context) {
+    const ids = [];
+    for (let i = context.length - 1; i >= 0 && ids.length < this.order; i--) {
+      const id = this.wordIds.get(context[i].toLowerCase());
+      if (id === undefined) break;
+      ids.unshift(id);
+    }
+
+    for (let length = ids.length; length >= 1; length--) {
+      const transitions = this.chains.get(this.encodeState(ids.slice(ids.length - length)));
+      if (transitions && transitions.size > 0) {
+        return transitions;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the lookup table for picking among a state's transitions, building it on first use
+   * @param {Map} transitions - Map of next word ID to count
+   * @returns {Object} - { ids, cumulativeCounts (running totals of the counts, in the same order),
+   *   rareIds (IDs of the less frequent half, least frequent first) }
+   */
+  getTransitionTable(transitions) {
+    let table = this.transitionTables.get(transitions);
+    if (table) return table;
+
+    const entries = Array.from(transitions.entries());
+    const ids = new Uint32Array(entries.length);
+    const cumulativeCounts = new Float64Array(entries.length);
+    let totalCount = 0;
+    entries.forEach(([nextId, count], index) => {
+      totalCount += count;
+      ids[index] = nextId;
+      cumulativeCounts[index] = totalCount;
+    });
+
+    const rareIds = entries
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, Math.ceil(entries.length / 2))
+      .map(([nextId]) => nextId);
+
+    table = { ids, cumulativeCounts, rareIds };
+    this.transitionTables.set(transitions, table);
+    return table;
+  }
+
+  /**
+   * Get next word based on the preceding words and probability distribution
+   * @param {string|string[]} context - Current word, or the preceding words oldest first
    * @param {SeededRandom} seededRandom - Seeded random number generator
    * @returns {string|null} - Next word or null if no transitions found
    */
-  getNextWord(currentWord, seededRandom) {
-    const transitions = this.chains.get(currentWord.toLowerCase());
-    if (!transitions || transitions.size === 0) {
+  getNextWord(context, seededRandom) {
+    const transitions = this.getTransitions(Array.isArray(context) ? context : [context]);
+    if (!transitions) {
       return null;
     }
     
-    // Convert to array for easier manipulation
-    const transitionArray = Array.from(transitions.entries());
+    const { ids, cumulativeCounts, rareIds } = this.getTransitionTable(transitions);
     
     // Add some randomness by occasionally picking less probable words
     const useRareWord = seededRandom.random() < 0.15; // 15% chance to pick a rare word
     
-    if (useRareWord && transitionArray.length > 1) {
-      // Sort by count (ascending) and pick from the lower probability words
-      transitionArray.sort((a, b) => a[1] - b[1]);
-      const lowerHalf = transitionArray.slice(0, Math.ceil(transitionArray.length / 2));
-      return seededRandom.pick(lowerHalf)[0];
+    if (useRareWord && ids.length > 1) {
+      return this.vocabulary[seededRandom.pick(rareIds)];
     }
     
-    // Normal weighted random selection
-    let totalCount = 0;
-    for (const [, count] of transitionArray) {
-      totalCount += count;
-    }
-    
-    // Generate random number and find corresponding word
-    const randomValue = seededRandom.random() * totalCount;
-    let accumulator = 0;
-    
-    for (const [nextWord, count] of transitionArray) {
-      accumulator += count;
-      if (randomValue <= accumulator) {
-        return nextWord;
+    // Weighted random selection: find the first transition whose running total reaches the random value
+    const randomValue = seededRandom.random() * cumulativeCounts[cumulativeCounts.length - 1];
+    let low = 0;
+    let high = cumulativeCounts.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (cumulativeCounts[middle] >= randomValue) {
+        high = middle;
+      } else {
+        low = middle + 1;
       }
     }
     
-    // Fallback: return last word
-    return transitionArray[transitionArray.length - 1][0];
+    return this.vocabulary[ids[low]];
   }
 
   /**
@@ -164,17 +480,14 @@ class MarkovChain {
    * @returns {string} - Random word from vocabulary
    */
   getRandomWord(seededRandom) {
-    const wordsArray = Array.from(this.words);
-    if (wordsArray.length === 0) return 'the';
-    
-    const selectedWord = seededRandom.pick(wordsArray);
+    if (this.vocabulary.length === 0) return 'the';
     
-    // Ensure we always return a valid string
-    return (selectedWord && typeof selectedWord === 'string') ? selectedWord : 'the';
+    return seededRandom.pick(this.vocabulary);
   }
 
   /**
    * Generate a sequence of words using Markov chain
+   * Each word is conditioned on up to `order` preceding words
    * @param {number} length - Number of words to generate
    * @param {string} seed - Seed for random generation
    * @param {string} startWord - Optional starting word
@@ -202,12 +515,13 @@ class MarkovChain {
     
     // Start with provided word or random word
     let currentWord = startWord ? startWord.toLowerCase() : this.getRandomWord(seededRandom);
+    let context = [currentWord]; // Preceding words the next one is conditioned on, oldest first
     result.push(currentWord);
     usedWords.add(currentWord);
     
     // Generate remaining words
     for (let i = 1; i < length; i++) {
-      let nextWord = this.getNextWord(currentWord, seededRandom);
+      let nextWord = this.getNextWord(context, seededRandom);
       let attempts = 0;
       const maxAttempts = 5;
       
@@ -215,47 +529,41 @@ class MarkovChain {
       while (attempts < maxAttempts && nextWord) {
         // If we've used this word recently or hit too many consecutive repeats, try again
         if (usedWords.has(nextWord) && usedWords.size < this.words.size * 0.1) {
-          nextWord = this.getNextWord(currentWord, seededRandom);
+          nextWord = this.getNextWord(context, seededRandom);
           attempts++;
         } else {
           break;
         }
       }
       
-      if (nextWord) {
-        result.push(nextWord);
-        usedWords.add(nextWord);
-        
-        // Reset consecutive repeats counter if we got a new word
-        if (nextWord !== currentWord) {
-          consecutiveRepeats = 0;
-        } else {
-          consecutiveRepeats++;
-        }
-        
-        currentWord = nextWord;
+      if (nextWord && nextWord !== currentWord) {
+        consecutiveRepeats = 0;
       } else {
-        // If we hit a dead end, start with a new random word
+        // A dead end or the same word again
         consecutiveRepeats++;
       }
       
-      // If we're getting too repetitive, force a restart with random word
-      if (consecutiveRepeats >= maxConsecutiveRepeats) {
-        currentWord = this.getRandomWord(seededRandom);
+      // If we hit a dead end or are getting too repetitive, restart with a random word
+      if (!nextWord || consecutiveRepeats >= maxConsecutiveRepeats) {
+        nextWord = this.getRandomWord(seededRandom);
         // Try to pick a word we haven't used recently
         let randomAttempts = 0;
-        while (usedWords.has(currentWord) && randomAttempts < 10 && usedWords.size < this.words.size * 0.5) {
-          currentWord = this.getRandomWord(seededRandom);
+        while (usedWords.has(nextWord) && randomAttempts < 10 && usedWords.size < this.words.size * 0.5) {
+          nextWord = this.getRandomWord(seededRandom);
           randomAttempts++;
         }
-        // Only add if we actually got a valid word
-        if (currentWord && typeof currentWord === 'string') {
-          result.push(currentWord);
-          usedWords.add(currentWord);
-        }
+        context = [];
         consecutiveRepeats = 0;
       }
       
+      result.push(nextWord);
+      usedWords.add(nextWord);
+      context.push(nextWord);
+      if (context.length > this.order) {
+        context.shift();
+      }
+      currentWord = nextWord;
+      
       // Clear used words tracking if we've used too many (to allow recycling)
       if (usedWords.size > this.words.size * 0.2) {
         usedWords.clear();
@@ -270,12 +578,21 @@ class MarkovChain {
    * @returns {object} - Statistics object
    */
   getStats() {
+    const firstOrderStates = this.statesPerOrder[1];
     return {
       isIndexed: this.isIndexed,
+      order: this.order,
       totalWords: this.words.size,
       totalTransitions: this.totalTransitions,
       chainEntries: this.chains.size,
-      avgTransitionsPerWord: this.chains.size > 0 ? this.totalTransitions / this.chains.size : 0
+      statesPerOrder: this.statesPerOrder.slice(1),
+      avgTransitionsPerWord: firstOrderStates > 0 ? this.totalTransitions / firstOrderStates : 0,
+      indexedFiles: this.indexedFiles.size,
+      corpusVersion: this.corpusVersion,
+      indexing: { ...this.indexing },
+      lastRebuildAt: this.lastRebuildAt ? this.lastRebuildAt.toISOString() : null,
+      lastRebuildDurationMs: this.lastRebuildDurationMs,
+      isWatching: this.watcher !== null
     };
   }
 }
@@ -3,11 +3,64 @@ const path = require('path');
 const crypto = require('crypto');
 const MarkovChain = require('./markov');
 const SeededRandom = require('./seeded-random');
+const LinkMaze = require('./src/models/LinkMaze');
+const LinkTag = require('./src/models/LinkTag');
+const LruMap = require('./src/models/LruMap');
+const ContentFormat = require('./src/models/ContentFormat');
+const HtmlScrambler = require('./src/scramblers/HtmlScrambler');
+const PageTemplate = require('./src/scramblers/PageTemplate');
+const JsonScrambler = require('./src/scramblers/JsonScrambler');
+const XmlScrambler = require('./src/scramblers/XmlScrambler');
+const TextScrambler = require('./src/scramblers/TextScrambler');
+
+// How seeds are derived from requests (see generateSeedFromPath); part of the cache keys, so that
+// output generated with another derivation is never served from the cache
+const SEED_STRATEGY = 'md5-path';
+
+// Stands for the visitor's link tag in cached output, so that one entry serves every visitor
+const LINK_TAG_PLACEHOLDER = '{{linkTag}}';
+
+// Sentences that carry a canary phrase; {name} is the phrase and {words} Markov text
+const CANARY_SENTENCES = [
+  'According to {name}, {words}.',
+  'As {name} pointed out, {words}.',
+  '{Words}, as first described by {name}.',
+  'The {name} Institute reports that {words}.',
+  'In a note to {name}, {words}.'
+];
 
 class ContentScrambler {
   constructor(config = null) {
     this.blogStaticDir = config?.paths?.blogStaticDir || path.resolve('blog');
+    this.blogRoutePrefix = config?.routes?.blogRoutePrefix || '/blog';
+    // Layout of default scrambled pages: a template file, or else the layout of a blog page
+    this.templatePath = config?.paths?.scrambleTemplatePath || null;
+    this.templatePage = config?.scrambling?.templatePage ?? '/index.html';
+    this.pageTemplate = null;
+    this.pageTemplateKey = null; // what the cached template was loaded from
+    // Scrambled output is deterministic for a path and corpus, so it is cached; 0 disables the cache
+    this.cache = new LruMap(Math.max(parseInt(config?.scrambling?.cacheSize ?? 1000) || 0, 0));
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
     this.markovChain = new MarkovChain(config);
+    this.linkMaze = new LinkMaze(
+      config?.security?.honeypotSecret || 'default-honeypot-secret',
+      config?.routes?.blogRoutePrefix || '/blog'
+    );
+
+    this.htmlScrambler = new HtmlScrambler(this, config?.scrambling?.htmlRules || {});
+
+    // Scramblers for the formats other than HTML
+    const xmlScrambler = new XmlScrambler(this);
+    this.formatScramblers = {
+      json: new JsonScrambler(this),
+      rss: xmlScrambler,
+      atom: xmlScrambler,
+      sitemap: xmlScrambler,
+      xml: xmlScrambler,
+      text: new TextScrambler(this)
+    };
+
     this.initializeMarkovIndex();
   }
 
@@ -24,6 +77,85 @@ class ContentScrambler {
     }
   }
 
+  /**
+   * Refresh the Markov chain index, re-indexing only the blog files that changed
+   * @returns {Promise<Object>} - Markov chain statistics after the refresh
+   */
+  async reindex() {
+    await this.markovChain.buildIndex();
+    // Start over rather than keep entries of the previous index until they are evicted
+    this.cache.clear();
+    return this.markovChain.getStats();
+  }
+
+  /**
+   * Refresh the Markov chain index whenever blog files change
+   */
+  watchBlog() {
+    this.markovChain.watchDirectory();
+  }
+
+  /**
+   * Get scrambler statistics
+   * @returns {Object} - { markov: Markov chain and indexing statistics, htmlRules: HTML scrambling rules in effect }
+   */
+  getStats() {
+    return {
+      markov: this.markovChain.getStats(),
+      htmlRules: this.htmlScrambler.getRules(),
+      cache: this.getCacheStats()
+    };
+  }
+
+  /**
+   * Get scrambled output cache statistics
+   * @returns {Object} - { size, maxSize, hits, misses, hitRate (0-1, null before the first lookup), evictions }
+   */
+  getCacheStats() {
+    const lookups = this.cacheHits + this.cacheMisses;
+    return {
+      size: this.cache.size,
+      maxSize: this.cache.maxSize,
+      hits: this.cacheHits,
+      misses: this.cacheMisses,
+      hitRate: lookups > 0 ? this.cacheHits / lookups : null,
+      evictions: this.cache.evictions
+    };
+  }
+
+  /**
+   * Get the cache key of scrambled output
+   * Output depends on the path, how its seed is derived, the Markov corpus, the file scrambled and the
+   * generated links' options
+   * @param {string} requestPath - The requested path
+   * @param {boolean} appendScramble - Whether ?scramble is appended to the generated links
+   * @param {Object|null} mazeLinks - Link maze options { depth, linksPerPage }, or null for plain random links
+   * @param {boolean} isTagged - Whether the generated links carry a link tag
+   * @returns {string} - Cache key
+   */
+  getCacheKey(requestPath, appendScramble, mazeLinks, isTagged) {
+    const links = mazeLinks ? `${mazeLinks.depth}:${mazeLinks.linksPerPage}` : '-';
+    return [
+      SEED_STRATEGY, this.markovChain.corpusVersion, requestPath, this.getSourceVersion(requestPath),
+      appendScramble ? 1 : 0, links, isTagged ? 1 : 0
+    ].join('|');
+  }
+
+  /**
+   * Get the version of what a request path is scrambled from: the blog file, or the layout of default pages
+   * The Markov index only follows HTML pages, so edits to JSON, feed and text files are told
+   * apart by the file's modification time and size
+   * @param {string} requestPath - The requested path
+   * @returns {string} - Modification time and size of the file, the layout's key for default HTML pages, or '-'
+   */
+  getSourceVersion(requestPath) {
+    const file = this.isMazePath(requestPath) ? null : this.findBlogFile(requestPath);
+    if (file) return `${file.stats.mtimeMs}:${file.stats.size}`;
+
+    const format = ContentFormat.detect(requestPath, null) || 'html';
+    return this.formatScramblers[format] ? '-' : `layout:${this.getPageTemplateKey()}`;
+  }
+
   /**
    * Generate a deterministic seed from URL path
    * @param {string} requestPath - The URL path
@@ -61,16 +193,15 @@ class ContentScrambler {
     // Create result by replacing words while preserving structure
     const result = [...parts];
     
-    // Generate words one by one with varied seeds to avoid repetition
+    // Generate all replacements as one Markov sequence, so that each word follows from the ones before it
+    const replacementWords = this.markovChain.generateWords(words.length, seed + '_text_' + text.length.toString());
+    
     words.forEach((wordInfo, wordIndex) => {
-      // Create a unique seed for each word position by combining original seed with word index and text position
-      const wordSeed = seed + wordIndex.toString() + wordInfo.index.toString() + text.length.toString();
-      const replacementWords = this.markovChain.generateWords(1, wordSeed);
+      const replacementWord = replacementWords[wordIndex];
       
-      if (replacementWords.length > 0 && replacementWords[0] && typeof replacementWords[0] === 'string') {
+      if (replacementWord && typeof replacementWord === 'string') {
         // Preserve original capitalization pattern
         const originalWord = wordInfo.text;
-        const replacementWord = replacementWords[0];
         
         let finalWord = replacementWord;
         
@@ -97,6 +228,8 @@ class ContentScrambler {
 
   /**
    * Processes HTML content while preserving structure
+   * Code, scripts and styles are kept; text, text attributes and page metadata are scrambled
+   * according to the HTML scrambling rules
    * @param {string} html - HTML content to process
    * @param {string} seed - Seed for deterministic scrambling
    * @returns {string} - HTML with scrambled text content
@@ -104,95 +237,163 @@ class ContentScrambler {
   scrambleHtmlContent(html, seed) {
     if (!html) return html;
 
-    let textBlockIndex = 0;
+    return this.htmlScrambler.scramble(html, seed);
+  }
+
+  /**
+   * Find the blog file a request path maps to
+   * @param {string} requestPath - The requested path (e.g., '/index.html', '/about/')
+   * @returns {Object|null} - { path, stats } of the file, or null if no file matches
+   */
+  findBlogFile(requestPath) {
+    // Normalize the request path
+    let filePath = requestPath;
     
-    // Regular expression to match text content outside of HTML tags
-    // This preserves HTML structure while only scrambling text content
-    return html.replace(/>([^<]+)</g, (match, textContent) => {
-      // Skip if this is just whitespace or contains only HTML entities
-      if (!textContent.trim() || /^[\s&\w;]*$/.test(textContent.trim())) {
-        return match;
-      }
+    // Handle root path
+    if (filePath === '/') {
+      filePath = '/index.html';
+    }
+    
+    // Remove leading slash for file system path
+    if (filePath.startsWith('/')) {
+      filePath = filePath.substring(1);
+    }
+    
+    // Try multiple potential file paths for Jekyll-style URLs
+    const potentialPaths = [
+      path.join(this.blogStaticDir, filePath),
+      path.join(this.blogStaticDir, filePath, 'index.html'),
+      path.join(this.blogStaticDir, filePath + '.html'),
+      path.join(this.blogStaticDir, filePath + '/index.html')
+    ];
+    
+    // Try each potential path
+    for (const potentialPath of potentialPaths) {
+      const resolved = path.resolve(potentialPath);
+      const resolvedBlogDir = path.resolve(this.blogStaticDir);
       
-      // Create unique seed for each text block to ensure variety
-      const blockSeed = seed + '_block_' + textBlockIndex.toString() + '_' + textContent.length.toString();
-      textBlockIndex++;
+      // Security check: ensure the path is within the blog directory
+      if (!resolved.startsWith(resolvedBlogDir)) {
+        continue;
+      }
       
-      const scrambled = this.scrambleText(textContent, blockSeed);
-      return `>${scrambled}<`;
-    });
+      // Check if file exists and is a file (not directory)
+      if (fs.existsSync(resolved)) {
+        const stats = fs.statSync(resolved);
+        if (stats.isFile()) {
+          return { path: resolved, stats };
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Find and read the blog file a request path maps to
+   * @param {string} requestPath - The requested path (e.g., '/index.html', '/about/')
+   * @returns {string|null} - File content or null if no file matches
+   */
+  readBlogFile(requestPath) {
+    const file = this.findBlogFile(requestPath);
+    return file ? fs.readFileSync(file.path, 'utf8') : null;
+  }
+
+  /**
+   * Check if a request path is a page of the link maze
+   * @param {string} requestPath - The requested path
+   * @returns {boolean} - True if the path is a validly signed maze URL
+   */
+  isMazePath(requestPath) {
+    return this.linkMaze.parsePath(requestPath) !== null;
   }
 
   /**
-   * Attempts to find and scramble the corresponding blog content
-   * @param {string} requestPath - The requested path (e.g., '/index.html', '/about.html')
+   * Get the links the page at a path should carry into the link maze
+   * @param {string} requestPath - The requested path
+   * @param {Object|null} mazeSettings - { enabled, linksPerPage }, or null for plain random links
+   * @returns {Object|null} - { depth (of the linked pages), linksPerPage } or null without the maze
+   */
+  getMazeLinkOptions(requestPath, mazeSettings) {
+    if (!mazeSettings || !mazeSettings.enabled) return null;
+
+    const mazePage = this.linkMaze.parsePath(requestPath);
+    return {
+      depth: mazePage ? mazePage.depth + 1 : 1,
+      linksPerPage: mazeSettings.linksPerPage
+    };
+  }
+
+  /**
+   * Attempts to find and scramble the corresponding blog content, from the cache when it was scrambled before
+   * @param {string} requestPath - The requested path (e.g., '/index.html', '/about.html', '/feed.xml')
    * @param {boolean} appendScramble - Whether to append ?scramble to all links
-   * @returns {Promise<string|null>} - Scrambled HTML content or null if not found
+   * @param {Object|null} mazeSettings - Link maze settings { enabled, linksPerPage }
+   * @param {string|null} linkTag - Tag of the visitor the page is served to, added to the generated links
+   * @returns {Promise<Object|null>} - { content, format } or null if scrambling failed
    */
-  async getScrambledContent(requestPath, appendScramble = false) {
+  async getScrambledContent(requestPath, appendScramble = false, mazeSettings = null, linkTag = null) {
+    const mazeLinks = this.getMazeLinkOptions(requestPath, mazeSettings);
+    const cacheKey = this.getCacheKey(requestPath, appendScramble, mazeLinks, linkTag !== null);
+
+    let scrambled = this.cache.get(cacheKey);
+    if (scrambled) {
+      this.cacheHits++;
+    } else {
+      this.cacheMisses++;
+      scrambled = await this.generateScrambledContent(requestPath, appendScramble, mazeLinks, linkTag ? LINK_TAG_PLACEHOLDER : null);
+      if (!scrambled) return null;
+      if (this.cache.maxSize > 0) {
+        this.cache.set(cacheKey, scrambled);
+      }
+    }
+
+    if (!linkTag) return scrambled;
+    return { ...scrambled, content: scrambled.content.split(LINK_TAG_PLACEHOLDER).join(linkTag) };
+  }
+
+  /**
+   * Find and scramble the corresponding blog content
+   * Files other than HTML pages (JSON, feeds, sitemaps, plain text) are scrambled by the scrambler for
+   * their format, which keeps the document's structure
+   * @param {string} requestPath - The requested path
+   * @param {boolean} appendScramble - Whether to append ?scramble to all links
+   * @param {Object|null} mazeLinks - Link maze options { depth, linksPerPage }, or null for plain random links
+   * @param {string|null} linkTag - Tag added to the generated links
+   * @returns {Promise<Object|null>} - { content, format } or null if scrambling failed
+   */
+  async generateScrambledContent(requestPath, appendScramble, mazeLinks, linkTag) {
     try {
       // Generate deterministic seed from the request path
       const seed = this.generateSeedFromPath(requestPath);
       
-      // Normalize the request path
-      let filePath = requestPath;
-      
-      // Handle root path
-      if (filePath === '/') {
-        filePath = '/index.html';
-      }
-      
-      // Remove leading slash for file system path
-      if (filePath.startsWith('/')) {
-        filePath = filePath.substring(1);
-      }
-      
-      // Try multiple potential file paths for Jekyll-style URLs
-      const potentialPaths = [
-        path.join(this.blogStaticDir, filePath),
-        path.join(this.blogStaticDir, filePath, 'index.html'),
-        path.join(this.blogStaticDir, filePath + '.html'),
-        path.join(this.blogStaticDir, filePath + '/index.html')
-      ];
+      // Maze pages never map to a file
+      const content = this.isMazePath(requestPath) ? null : this.readBlogFile(requestPath);
+      const format = ContentFormat.detect(requestPath, content) || 'html';
+      const formatScrambler = this.formatScramblers[format];
       
-      let resolvedPath = null;
-      let content = null;
-      
-      // Try each potential path
-      for (const potentialPath of potentialPaths) {
-        const resolved = path.resolve(potentialPath);
-        const resolvedBlogDir = path.resolve(this.blogStaticDir);
-        
-        // Security check: ensure the path is within the blog directory
-        if (!resolved.startsWith(resolvedBlogDir)) {
-          continue;
-        }
-        
-        // Check if file exists and is a file (not directory)
-        if (fs.existsSync(resolved)) {
-          const stat = fs.statSync(resolved);
-          if (stat.isFile()) {
-            resolvedPath = resolved;
-            content = fs.readFileSync(resolved, 'utf8');
-            break;
-          }
-        }
+      if (!content) {
+        console.log(`No suitable file found for scrambling: ${requestPath}, using default scrambled ${format} content`);
+        // Return default scrambled content instead of null
+        const defaultContent = formatScrambler
+          ? formatScrambler.createDefault(format, requestPath, seed, this.generateRandomLinks(seed, appendScramble, mazeLinks, linkTag))
+          : this.createDefaultScrambledPage(requestPath, appendScramble, mazeLinks, linkTag);
+        return { content: defaultContent, format };
       }
       
-      if (!content) {
-        console.log(`No suitable file found for scrambling: ${requestPath}, using default scrambled page`);
-        // Return default scrambled page instead of null
-        return this.createDefaultScrambledPage(requestPath, appendScramble);
+      if (formatScrambler) {
+        console.log(`Served Markov-scrambled ${format} content for: ${requestPath} (seed: ${seed.substring(0, 8)}...)`);
+        return { content: formatScrambler.scramble(content, seed), format };
       }
       
       // Scramble the content with deterministic seed
       let scrambledContent = this.scrambleHtmlContent(content, seed);
       
       // Add random blog links at the bottom of the page
-      scrambledContent = this.addRandomBlogLinks(scrambledContent, seed, appendScramble);
+      scrambledContent = this.addRandomBlogLinks(scrambledContent, seed, appendScramble, mazeLinks, linkTag);
       
       console.log(`Served Markov-scrambled content for: ${requestPath} (seed: ${seed.substring(0, 8)}...)`);
-      return scrambledContent;
+      return { content: scrambledContent, format };
       
     } catch (error) {
       console.error(`Error scrambling content for ${requestPath}:`, error);
@@ -200,13 +401,77 @@ class ContentScrambler {
     }
   }
 
+  /**
+   * Get the layout default scrambled pages are rendered in
+   * The layout is reloaded when the template file changes, or when the blog's pages change
+   * @returns {PageTemplate|null} - Layout, or null to use the built-in page
+   */
+  getPageTemplate() {
+    const key = this.getPageTemplateKey();
+    if (key !== this.pageTemplateKey) {
+      this.pageTemplateKey = key;
+      this.pageTemplate = this.loadPageTemplate();
+    }
+    return this.pageTemplate;
+  }
+
+  /**
+   * Get the key of the layout default scrambled pages are rendered in, which changes with the
+   * template file and, for a template blog page, with the blog's pages
+   * @returns {string} - Markov corpus version and modification time of the template file
+   */
+  getPageTemplateKey() {
+    let templateModified = 0;
+    if (this.templatePath) {
+      try {
+        templateModified = fs.statSync(this.templatePath).mtimeMs;
+      } catch (error) {
+        templateModified = -1;
+      }
+    }
+    return `${this.markovChain.corpusVersion}:${templateModified}`;
+  }
+
+  /**
+   * Load the layout of default scrambled pages from the template file or the template blog page
+   * @returns {PageTemplate|null} - Layout, or null if neither provides one
+   */
+  loadPageTemplate() {
+    if (this.templatePath) {
+      try {
+        const template = PageTemplate.fromTemplate(fs.readFileSync(this.templatePath, 'utf8'));
+        if (template) {
+          console.log(`Rendering default scrambled pages with template ${this.templatePath}`);
+          return template;
+        }
+        console.log(`Scramble template ${this.templatePath} has no {{content}} placeholder, ignoring it`);
+      } catch (error) {
+        console.error(`Error reading scramble template ${this.templatePath}:`, error);
+      }
+    }
+
+    if (this.templatePage) {
+      const template = PageTemplate.fromPage(this.readBlogFile(this.templatePage));
+      if (template) {
+        console.log(`Rendering default scrambled pages with the layout of ${this.templatePage}`);
+        return template;
+      }
+      console.log(`No article body found in ${this.templatePage}, using the built-in default scrambled page`);
+    }
+
+    return null;
+  }
+
   /**
    * Creates a scrambled version of basic HTML content if no specific file exists
+   * The page is rendered in the blog's layout when one is available
    * @param {string} requestPath - The requested path
    * @param {boolean} appendScramble - Whether to append ?scramble to all links
+   * @param {Object|null} mazeLinks - Link maze options { depth, linksPerPage }, or null for plain random links
+   * @param {string|null} linkTag - Tag of the visitor the page is served to, added to the generated links
    * @returns {string} - Basic scrambled HTML page
    */
-  createDefaultScrambledPage(requestPath, appendScramble = false) {
+  createDefaultScrambledPage(requestPath, appendScramble = false, mazeLinks = null, linkTag = null) {
     const seed = this.generateSeedFromPath(requestPath);
     
     // Generate realistic words for the title and content
@@ -225,7 +490,28 @@ class ContentScrambler {
     const paragraphsText = paragraphs.map(p => `<p>${p}</p>`).join('\n\n');
     
     // Generate random blog links
-    const blogLinks = this.generateRandomBlogLinks(seed, appendScramble);
+    const blogLinks = this.generateRandomBlogLinks(seed, appendScramble, mazeLinks, linkTag);
+    
+    const template = this.getPageTemplate();
+    if (template) {
+      const heading = `${titleWords[0].charAt(0).toUpperCase() + titleWords[0].slice(1)} ${titleWords[1]} ${titleWords[2]}`;
+      const headingTag = template.hasHeading() ? 'h2' : 'h1';
+      return template.render({
+        title: heading,
+        description: paragraphs[0].split('. ')[0] + '.',
+        url: this.blogRoutePrefix + requestPath,
+        content: `
+            <${headingTag}>${heading}</${headingTag}>
+
+            ${paragraphsText}
+
+            <h3>Related Articles</h3>
+            <ul>
+                ${blogLinks}
+            </ul>
+        `
+      });
+    }
     
     // Prepare navigation links with optional scramble parameter
     const scrambleParam = appendScramble ? '?scramble' : '';
@@ -338,25 +624,43 @@ class ContentScrambler {
 
   /**
    * Generate random blog links with 4-5 word titles
+   * With the link maze, the links lead to signed maze pages one level deeper
    * @param {string} seed - Seed for deterministic randomization
    * @param {boolean} appendScramble - Whether to append ?scramble to all links
-   * @returns {string} - HTML list items with blog links
+   * @param {Object|null} mazeLinks - Link maze options { depth, linksPerPage }, or null for five plain links
+   * @param {string|null} linkTag - Tag of the visitor the links are served to, or null for untagged links
+   * @returns {Object[]} - Links { title, url }
    */
-  generateRandomBlogLinks(seed, appendScramble = false) {
+  generateRandomLinks(seed, appendScramble = false, mazeLinks = null, linkTag = null) {
     const seededRandom = new SeededRandom(seed + '_bloglinks');
     const links = [];
+    const linkCount = mazeLinks ? mazeLinks.linksPerPage : 5;
     
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < linkCount; i++) {
       const wordCount = seededRandom.randomInt(4, 6); // 4 to 5 words
       const words = this.markovChain.generateWords(wordCount, seed + '_link_' + i);
       const title = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
-      const url = `/blog/${words.join('-')}/`;
-      const finalUrl = appendScramble ? `${url}?scramble` : url;
+      const url = mazeLinks ? this.linkMaze.buildPath(words, mazeLinks.depth) : `/blog/${words.join('-')}/`;
+      const query = [appendScramble ? 'scramble' : null, linkTag ? `${LinkTag.PARAM}=${linkTag}` : null].filter(Boolean);
       
-      links.push(`<li><a href="${finalUrl}">${title}</a></li>`);
+      links.push({ title, url: query.length > 0 ? `${url}?${query.join('&')}` : url });
     }
     
-    return links.join('\n                ');
+    return links;
+  }
+
+  /**
+   * Generate random blog links as HTML list items
+   * @param {string} seed - Seed for deterministic randomization
+   * @param {boolean} appendScramble - Whether to append ?scramble to all links
+   * @param {Object|null} mazeLinks - Link maze options { depth, linksPerPage }, or null for five plain links
+   * @param {string|null} linkTag - Tag of the visitor the links are served to, or null for untagged links
+   * @returns {string} - HTML list items with blog links
+   */
+  generateRandomBlogLinks(seed, appendScramble = false, mazeLinks = null, linkTag = null) {
+    return this.generateRandomLinks(seed, appendScramble, mazeLinks, linkTag)
+      .map(link => `<li><a href="${link.url}">${link.title}</a></li>`)
+      .join('\n                ');
   }
 
   /**
@@ -364,10 +668,12 @@ class ContentScrambler {
    * @param {string} html - HTML content
    * @param {string} seed - Seed for deterministic randomization
    * @param {boolean} appendScramble - Whether to append ?scramble to all links
+   * @param {Object|null} mazeLinks - Link maze options { depth, linksPerPage }, or null for plain random links
+   * @param {string|null} linkTag - Tag of the visitor the page is served to, added to the generated links
    * @returns {string} - HTML with added blog links
    */
-  addRandomBlogLinks(html, seed, appendScramble = false) {
-    const blogLinks = this.generateRandomBlogLinks(seed, appendScramble);
+  addRandomBlogLinks(html, seed, appendScramble = false, mazeLinks = null, linkTag = null) {
+    const blogLinks = this.generateRandomBlogLinks(seed, appendScramble, mazeLinks, linkTag);
     
     // Find the closing body tag and insert the blog links before it
     const blogLinksHtml = `
@@ -378,30 +684,140 @@ class ContentScrambler {
         </ul>
     </div>`;
     
-    // Insert before closing body tag, or at the end if no body tag found
+    return this.insertBeforeBodyEnd(html, blogLinksHtml);
+  }
+
+  /**
+   * Insert an HTML fragment before the closing body tag, or at the end if there is none
+   * @param {string} html - HTML content
+   * @param {string} fragment - HTML fragment to insert
+   * @returns {string} - HTML with the fragment inserted
+   */
+  insertBeforeBodyEnd(html, fragment) {
     if (html.includes('</body>')) {
-      return html.replace('</body>', `${blogLinksHtml}\n</body>`);
+      return html.replace('</body>', `${fragment}\n</body>`);
     } else {
-      return html + blogLinksHtml;
+      return html + fragment;
+    }
+  }
+
+  /**
+   * Add hidden trap links to HTML content
+   * The block is moved off-screen and hidden from assistive technology and keyboard
+   * navigation, so only clients that harvest every href will follow these links.
+   * @param {string} html - HTML content
+   * @param {string[]} trapUrls - Trap URLs to link to
+   * @param {string} seed - Seed for deterministic link titles
+   * @returns {string} - HTML with the trap links added
+   */
+  addTrapLinks(html, trapUrls, seed) {
+    if (!html || !trapUrls || trapUrls.length === 0) return html;
+
+    const links = trapUrls.map((url, i) => {
+      const words = this.markovChain.generateWords(4, seed + '_trap_' + i);
+      const title = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ') || 'Archive';
+      return `<a href="${url}" rel="nofollow" tabindex="-1">${title}</a>`;
+    });
+
+    const trapLinksHtml = `
+    <div style="position: absolute; left: -10000px; top: auto; width: 1px; height: 1px; overflow: hidden;" aria-hidden="true">
+        ${links.join('\n        ')}
+    </div>`;
+
+    return this.insertBeforeBodyEnd(html, trapLinksHtml);
+  }
+
+  /**
+   * Build the sentence carrying a canary phrase
+   * @param {string} canary - Canary phrase, capitalized like a name
+   * @param {string} seed - Seed for deterministic wording
+   * @returns {string} - Sentence mentioning the phrase
+   */
+  createCanarySentence(canary, seed) {
+    const seededRandom = new SeededRandom(seed + '_canary');
+    const template = CANARY_SENTENCES[seededRandom.randomInt(0, CANARY_SENTENCES.length)];
+    const words = this.markovChain.generateWords(seededRandom.randomInt(6, 12), seed + '_canary_words').join(' ');
+
+    return template
+      .replace('{name}', canary)
+      .replace('{words}', words)
+      .replace('{Words}', words.charAt(0).toUpperCase() + words.slice(1));
+  }
+
+  /**
+   * Embed a canary phrase in scrambled content, as a sentence of its own
+   * HTML pages and plain text get it after their first paragraph; JSON documents and feeds in
+   * their first description or other prose value, so their structure is kept
+   * @param {string} content - Scrambled content
+   * @param {string} format - Format of the content
+   * @param {string|null} canary - Canary phrase, or null to leave the content as it is
+   * @param {string} seed - Seed for deterministic wording
+   * @returns {string} - Content with the canary sentence
+   */
+  addCanary(content, format, canary, seed) {
+    if (!content || !canary) return content;
+
+    const sentence = this.createCanarySentence(canary, seed);
+
+    if (format === 'html') {
+      const bodyStart = content.search(/<body[\s>]/i);
+      const paragraphEnd = content.indexOf('</p>', Math.max(bodyStart, 0));
+      if (paragraphEnd !== -1) {
+        const insertAt = paragraphEnd + '</p>'.length;
+        return `${content.slice(0, insertAt)}\n<p>${sentence}</p>${content.slice(insertAt)}`;
+      }
+      return this.insertBeforeBodyEnd(content, `\n<p>${sentence}</p>`);
+    }
+
+    const formatScrambler = this.formatScramblers[format];
+    return formatScrambler ? formatScrambler.addSentence(content, sentence) : content;
+  }
+
+  /**
+   * Add a sentence to a text value, after the first paragraph if the value is an HTML fragment
+   * @param {string} text - Text or HTML fragment
+   * @param {string} sentence - Sentence to add
+   * @returns {string} - Text with the sentence
+   */
+  addSentenceToText(text, sentence) {
+    if (/<[a-z][^>]*>/i.test(text)) {
+      const paragraphEnd = text.indexOf('</p>');
+      const insertAt = paragraphEnd !== -1 ? paragraphEnd + '</p>'.length : text.length;
+      return `${text.slice(0, insertAt)}<p>${sentence}</p>${text.slice(insertAt)}`;
     }
+
+    // Close an unfinished sentence so the canary reads as a sentence of its own
+    const [, body, trailing] = text.match(/^([\s\S]*?)(\s*)$/);
+    return `${body}${/[.!?]$/.test(body) ? '' : '.'} ${sentence}${trailing}`;
   }
 
   /**
    * Main method to get scrambled content for a request
    * @param {string} requestPath - The requested path
    * @param {Object} queryParams - Query parameters from the request
+   * @param {string[]} trapUrls - Hidden trap links to add to the page (HTML pages only)
+   * @param {Object|null} mazeSettings - Link maze settings { enabled, linksPerPage }
+   * @param {string|null} linkTag - Tag of the visitor the page is served to, added to the generated links
+   * @param {string|null} canary - Canary phrase of the visitor and page, embedded in HTML and plain text content
    * @returns {Promise<{content: string, contentType: string}>} - Scrambled content and type
    */
-  async getScrambledResponse(requestPath, queryParams = {}) {
+  async getScrambledResponse(requestPath, queryParams = {}, trapUrls = [], mazeSettings = null, linkTag = null, canary = null) {
     // Check if scramble parameter is present to append to all links
     const appendScramble = queryParams.scramble !== undefined;
     
-    // Always get content - either from actual file or default scrambled page
-    const content = await this.getScrambledContent(requestPath, appendScramble);
+    // Always get content - either from actual file or default scrambled content
+    const scrambled = await this.getScrambledContent(requestPath, appendScramble, mazeSettings, linkTag);
+    const format = scrambled ? scrambled.format : 'html';
+    let content = scrambled ? scrambled.content : null;
+    const seed = this.generateSeedFromPath(requestPath);
+    content = this.addCanary(content, format, canary, seed);
+    if (format === 'html') {
+      content = this.addTrapLinks(content, trapUrls, seed);
+    }
     
     return {
       content,
-      contentType: 'text/html; charset=utf-8'
+      contentType: ContentFormat.contentTypeOf(format)
     };
   }
 }
@@ -3,6 +3,7 @@ const DatabaseAdapter = require('../database');
 class DatabaseInitializer {
   constructor(dbAdapter) {
     this.db = dbAdapter;
+    this.createdTables = new Set(); // tables that didn't exist before this run
   }
 
   async initializeSchema() {
@@ -13,6 +14,14 @@ class DatabaseInitializer {
       await this.createRequestLogsTable();
       await this.createKnownGoodAgentsTable();
       await this.createSettingsTable();
+      await this.createKnownBadNetworksTable();
+      await this.createKnownGoodNetworksTable();
+      await this.createVisitorReputationTable();
+      await this.createRateLimitRulesTable();
+      await this.createResponsePoliciesTable();
+      await this.createLinkTagsTable();
+      await this.createIdentityLinksTable();
+      await this.createCanaryTokensTable();
       await this.createIndexes();
       await this.insertDefaultData();
 
@@ -28,6 +37,7 @@ class DatabaseInitializer {
       ? `CREATE TABLE IF NOT EXISTS known_bad_agents (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           user_agent VARCHAR(500) UNIQUE NOT NULL,
+          match_type VARCHAR(20) DEFAULT 'substring',
           is_active INTEGER DEFAULT 1,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -35,6 +45,7 @@ class DatabaseInitializer {
       : `CREATE TABLE IF NOT EXISTS known_bad_agents (
           id SERIAL PRIMARY KEY,
           user_agent VARCHAR(500) UNIQUE NOT NULL,
+          match_type VARCHAR(20) DEFAULT 'substring',
           is_active BOOLEAN DEFAULT true,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -57,6 +68,13 @@ class DatabaseInitializer {
           request_count_short_counter INTEGER DEFAULT 0,
           request_count_long_counter INTEGER DEFAULT 0,
           block_reason TEXT,
+          detection_score INTEGER DEFAULT 0,
+          detection_signals TEXT,
+          rate_limit_counts TEXT,
+          rate_limit_subnet VARCHAR(64),
+          would_block INTEGER,
+          would_block_reason TEXT,
+          maze_depth INTEGER,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )`
       : `CREATE TABLE IF NOT EXISTS request_logs (
@@ -70,6 +88,13 @@ class DatabaseInitializer {
           request_count_short_counter INTEGER DEFAULT 0,
           request_count_long_counter INTEGER DEFAULT 0,
           block_reason TEXT,
+          detection_score INTEGER DEFAULT 0,
+          detection_signals TEXT,
+          rate_limit_counts TEXT,
+          rate_limit_subnet VARCHAR(64),
+          would_block BOOLEAN,
+          would_block_reason TEXT,
+          maze_depth INTEGER,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )`;
 
@@ -82,6 +107,8 @@ class DatabaseInitializer {
       ? `CREATE TABLE IF NOT EXISTS known_good_agents (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           user_agent VARCHAR(500) UNIQUE NOT NULL,
+          match_type VARCHAR(20) DEFAULT 'substring',
+          verify_domains VARCHAR(500),
           is_active INTEGER DEFAULT 1,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -89,6 +116,8 @@ class DatabaseInitializer {
       : `CREATE TABLE IF NOT EXISTS known_good_agents (
           id SERIAL PRIMARY KEY,
           user_agent VARCHAR(500) UNIQUE NOT NULL,
+          match_type VARCHAR(20) DEFAULT 'substring',
+          verify_domains VARCHAR(500),
           is_active BOOLEAN DEFAULT true,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -119,12 +148,245 @@ class DatabaseInitializer {
     console.log('✓ Created settings table');
   }
 
+  async createKnownBadNetworksTable() {
+    const sql = this.db.dbType === 'sqlite'
+      ? `CREATE TABLE IF NOT EXISTS known_bad_networks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cidr VARCHAR(64) UNIQUE NOT NULL,
+          description VARCHAR(500),
+          is_active INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      : `CREATE TABLE IF NOT EXISTS known_bad_networks (
+          id SERIAL PRIMARY KEY,
+          cidr VARCHAR(64) UNIQUE NOT NULL,
+          description VARCHAR(500),
+          is_active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`;
+
+    await this.db.directQuery(this.db.adaptSQL(sql));
+    console.log('✓ Created known_bad_networks table');
+  }
+
+  async createKnownGoodNetworksTable() {
+    const sql = this.db.dbType === 'sqlite'
+      ? `CREATE TABLE IF NOT EXISTS known_good_networks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          cidr VARCHAR(64) UNIQUE NOT NULL,
+          description VARCHAR(500),
+          is_active INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      : `CREATE TABLE IF NOT EXISTS known_good_networks (
+          id SERIAL PRIMARY KEY,
+          cidr VARCHAR(64) UNIQUE NOT NULL,
+          description VARCHAR(500),
+          is_active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`;
+
+    await this.db.directQuery(this.db.adaptSQL(sql));
+    console.log('✓ Created known_good_networks table');
+  }
+
+  async createVisitorReputationTable() {
+    // Entries are keyed by user_id; entries with a NULL user_id apply to every visitor from ip_address
+    const sql = this.db.dbType === 'sqlite'
+      ? `CREATE TABLE IF NOT EXISTS visitor_reputation (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id VARCHAR(64) UNIQUE,
+          ip_address VARCHAR(64),
+          state VARCHAR(20) NOT NULL,
+          reason VARCHAR(500),
+          offense_count INTEGER DEFAULT 0,
+          expires_at DATETIME,
+          last_offense_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      : `CREATE TABLE IF NOT EXISTS visitor_reputation (
+          id SERIAL PRIMARY KEY,
+          user_id VARCHAR(64) UNIQUE,
+          ip_address VARCHAR(64),
+          state VARCHAR(20) NOT NULL,
+          reason VARCHAR(500),
+          offense_count INTEGER DEFAULT 0,
+          expires_at TIMESTAMP,
+          last_offense_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`;
+
+    await this.db.directQuery(this.db.adaptSQL(sql));
+    console.log('✓ Created visitor_reputation table');
+  }
+
+  async createRateLimitRulesTable() {
+    // Default rules are only seeded into a new table, so deleted defaults stay deleted
+    if (!(await this.tableExists('rate_limit_rules'))) {
+      this.createdTables.add('rate_limit_rules');
+    }
+
+    // Excluded rules leave window_seconds and max_requests NULL
+    const sql = this.db.dbType === 'sqlite'
+      ? `CREATE TABLE IF NOT EXISTS rate_limit_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          pattern VARCHAR(500) UNIQUE NOT NULL,
+          match_type VARCHAR(20) DEFAULT 'prefix',
+          window_seconds INTEGER,
+          max_requests INTEGER,
+          is_excluded INTEGER DEFAULT 0,
+          description VARCHAR(500),
+          is_active INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      : `CREATE TABLE IF NOT EXISTS rate_limit_rules (
+          id SERIAL PRIMARY KEY,
+          pattern VARCHAR(500) UNIQUE NOT NULL,
+          match_type VARCHAR(20) DEFAULT 'prefix',
+          window_seconds INTEGER,
+          max_requests INTEGER,
+          is_excluded BOOLEAN DEFAULT false,
+          description VARCHAR(500),
+          is_active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`;
+
+    await this.db.directQuery(this.db.adaptSQL(sql));
+    console.log('✓ Created rate_limit_rules table');
+  }
+
+  async createResponsePoliciesTable() {
+    // One row per block reason; reasons without a row get the default action
+    const sql = this.db.dbType === 'sqlite'
+      ? `CREATE TABLE IF NOT EXISTS response_policies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          reason VARCHAR(50) UNIQUE NOT NULL,
+          action VARCHAR(20) DEFAULT 'default',
+          redirect_url VARCHAR(2048),
+          custom_page TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      : `CREATE TABLE IF NOT EXISTS response_policies (
+          id SERIAL PRIMARY KEY,
+          reason VARCHAR(50) UNIQUE NOT NULL,
+          action VARCHAR(20) DEFAULT 'default',
+          redirect_url VARCHAR(2048),
+          custom_page TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`;
+
+    await this.db.directQuery(this.db.adaptSQL(sql));
+    console.log('✓ Created response_policies table');
+  }
+
+  async createLinkTagsTable() {
+    // One tag per visitor that was served generated links carrying it
+    const sql = this.db.dbType === 'sqlite'
+      ? `CREATE TABLE IF NOT EXISTS link_tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          token VARCHAR(32) UNIQUE NOT NULL,
+          user_id VARCHAR(16) NOT NULL,
+          user_agent TEXT,
+          ip_address VARCHAR(64),
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      : `CREATE TABLE IF NOT EXISTS link_tags (
+          id SERIAL PRIMARY KEY,
+          token VARCHAR(32) UNIQUE NOT NULL,
+          user_id VARCHAR(16) NOT NULL,
+          user_agent TEXT,
+          ip_address VARCHAR(64),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`;
+
+    await this.db.directQuery(this.db.adaptSQL(sql));
+    console.log('✓ Created link_tags table');
+  }
+
+  async createIdentityLinksTable() {
+    // A visitor (user_id) that requested a link tagged for another visitor (source_user_id)
+    const sql = this.db.dbType === 'sqlite'
+      ? `CREATE TABLE IF NOT EXISTS identity_links (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source_user_id VARCHAR(16) NOT NULL,
+          user_id VARCHAR(16) NOT NULL,
+          token VARCHAR(32) NOT NULL,
+          user_agent TEXT,
+          ip_address VARCHAR(64),
+          request_url VARCHAR(2048),
+          request_count INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (source_user_id, user_id)
+        )`
+      : `CREATE TABLE IF NOT EXISTS identity_links (
+          id SERIAL PRIMARY KEY,
+          source_user_id VARCHAR(16) NOT NULL,
+          user_id VARCHAR(16) NOT NULL,
+          token VARCHAR(32) NOT NULL,
+          user_agent TEXT,
+          ip_address VARCHAR(64),
+          request_url VARCHAR(2048),
+          request_count INTEGER DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (source_user_id, user_id)
+        )`;
+
+    await this.db.directQuery(this.db.adaptSQL(sql));
+    console.log('✓ Created identity_links table');
+  }
+
+  async createCanaryTokensTable() {
+    // A made-up phrase embedded in the scrambled pages served to one visitor for one path and day
+    const sql = this.db.dbType === 'sqlite'
+      ? `CREATE TABLE IF NOT EXISTS canary_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          phrase VARCHAR(64) UNIQUE NOT NULL,
+          user_id VARCHAR(16) NOT NULL,
+          user_agent TEXT,
+          ip_address VARCHAR(64),
+          request_path VARCHAR(2048),
+          serve_count INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_served_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      : `CREATE TABLE IF NOT EXISTS canary_tokens (
+          id SERIAL PRIMARY KEY,
+          phrase VARCHAR(64) UNIQUE NOT NULL,
+          user_id VARCHAR(16) NOT NULL,
+          user_agent TEXT,
+          ip_address VARCHAR(64),
+          request_path VARCHAR(2048),
+          serve_count INTEGER DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_served_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`;
+
+    await this.db.directQuery(this.db.adaptSQL(sql));
+    console.log('✓ Created canary_tokens table');
+  }
+
   async createIndexes() {
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_request_logs_user_id ON request_logs(user_id)',
       'CREATE INDEX IF NOT EXISTS idx_request_logs_created_at ON request_logs(created_at)',
       'CREATE INDEX IF NOT EXISTS idx_request_logs_user_id_created_at ON request_logs(user_id, created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_request_logs_ip_address ON request_logs(ip_address)'
+      'CREATE INDEX IF NOT EXISTS idx_request_logs_ip_address ON request_logs(ip_address)',
+      'CREATE INDEX IF NOT EXISTS idx_visitor_reputation_ip_address ON visitor_reputation(ip_address)',
+      'CREATE INDEX IF NOT EXISTS idx_link_tags_user_id ON link_tags(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_identity_links_user_id ON identity_links(user_id)',
+      'CREATE INDEX IF NOT EXISTS idx_canary_tokens_user_id ON canary_tokens(user_id)'
     ];
 
     for (const indexSQL of indexes) {
@@ -136,6 +398,7 @@ class DatabaseInitializer {
   async insertDefaultData() {
     await this.insertDefaultBadAgents();
     await this.insertDefaultGoodAgents();
+    await this.insertDefaultRateLimitRules();
     await this.insertDefaultSettings();
   }
 
@@ -199,14 +462,86 @@ class DatabaseInitializer {
     console.log(`✓ Added ${goodAgents.length} default good user agents`);
   }
 
+  async insertDefaultRateLimitRules() {
+    if (!this.createdTables.has('rate_limit_rules')) {
+      console.log('✓ Kept existing rate limit rules');
+      return;
+    }
+
+    // The API and the dashboard are never rate limited
+    const excludedPaths = [
+      ['/api/', 'prefix', 'API endpoints'],
+      ['/dashboard', 'glob', 'Dashboard'],
+      ['/dashboard.html', 'glob', 'Dashboard'],
+      ['/dashboard/', 'prefix', 'Dashboard assets']
+    ];
+
+    const insertSQL = this.db.dbType === 'sqlite'
+      ? 'INSERT OR IGNORE INTO rate_limit_rules (pattern, match_type, is_excluded, description, is_active) VALUES (?, ?, ?, ?, ?)'
+      : 'INSERT INTO rate_limit_rules (pattern, match_type, is_excluded, description, is_active) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (pattern) DO NOTHING';
+
+    for (const [pattern, matchType, description] of excludedPaths) {
+      const trueValue = this.db.dbType === 'sqlite' ? 1 : true;
+      await this.db.directQuery(this.db.adaptSQL(insertSQL), [pattern, matchType, trueValue, description, trueValue]);
+    }
+    console.log(`✓ Added ${excludedPaths.length} default rate limit exclusions`);
+  }
+
   async insertDefaultSettings() {
     const defaultSettings = [
       ['honeypot_enabled', 'true'],
       ['rate_limit_short_window', '60'],
       ['rate_limit_short_max', '10'],
+      ['rate_limit_long_window', '900'],
+      ['rate_limit_long_max', '25'],
+      ['rate_limit_extra_windows', ''],
+      ['rate_limit_max_tracked_visitors', '10000'],
+      ['rate_limit_mode', 'window'],
+      ['rate_limit_bucket_size', '10'],
+      ['rate_limit_bucket_refill_rate', '10'],
+      ['rate_limit_subnet_window', '60'],
+      ['rate_limit_subnet_ipv4_prefix', '24'],
+      ['rate_limit_subnet_ipv4_max', '50'],
+      ['rate_limit_subnet_ipv6_prefix', '64'],
+      ['rate_limit_subnet_ipv6_max', '50'],
+      ['rate_limit_subnet_flag_duration', '600'],
       ['fake_server_header', 'Apache-Coyote/1.1'],
       ['known_agents_refresh_interval', '60'],
-      ['rate_counter_cleanup_interval', '300']
+      ['rate_counter_cleanup_interval', '300'],
+      ['detection_scramble_threshold', '50'],
+      ['detection_block_threshold', '200'],
+      ['detection_weight_scramble_parameter', '100'],
+      ['bot_verification_cache_ttl', '3600'],
+      ['bot_verification_timeout_ms', '2000'],
+      ['trap_link_patterns', '/blog/drafts/*,/archive/*'],
+      ['trap_link_flag_duration', '86400'],
+      ['robots_txt_rules', 'User-agent: *\nDisallow: /api/'],
+      ['robots_txt_decoy_paths', '/private/,/backup/,/admin-old/'],
+      ['robots_txt_flag_duration', '86400'],
+      ['reputation_ban_duration', '600'],
+      ['reputation_ban_max_duration', '604800'],
+      ['reputation_offense_window', '604800'],
+      ['detection_weight_reputation', '100'],
+      ['detection_weight_reputation_suspect', '25'],
+      ['detection_weight_bad_network', '100'],
+      ['detection_weight_unverified_bot', '100'],
+      ['detection_weight_trap_link', '100'],
+      ['detection_weight_robots_txt', '100'],
+      ['detection_weight_bad_agent', '100'],
+      ['detection_weight_header_anomaly', '15'],
+      ['detection_weight_rate_limit', '100'],
+      ['detection_weight_rate_limit_approaching', '25'],
+      ['detection_weight_subnet_rate_limit', '100'],
+      ['dry_run_enabled', 'false'],
+      ['dry_run_detectors', ''],
+      ['tarpit_chunk_size', '64'],
+      ['tarpit_chunk_delay_ms', '2000'],
+      ['tarpit_duration', '60'],
+      ['tarpit_max_connections', '20'],
+      ['link_maze_enabled', 'true'],
+      ['link_maze_links_per_page', '5'],
+      ['link_tag_flag_duration', '86400'],
+      ['detection_weight_link_tag', '100']
     ];
 
     const insertSQL = this.db.dbType === 'sqlite'
@@ -221,17 +556,21 @@ class DatabaseInitializer {
 
   async checkIfSchemaExists() {
     try {
-      const checkSQL = this.db.dbType === 'sqlite'
-        ? "SELECT name FROM sqlite_master WHERE type='table' AND name='known_bad_agents'"
-        : "SELECT table_name FROM information_schema.tables WHERE table_schema='public' AND table_name='known_bad_agents'";
-
-      const result = await this.db.directQuery(checkSQL);
-      return result.rows.length > 0;
+      return await this.tableExists('known_bad_agents');
     } catch (error) {
       console.error('Error checking schema existence:', error);
       return false;
     }
   }
+
+  async tableExists(tableName) {
+    const checkSQL = this.db.dbType === 'sqlite'
+      ? "SELECT name FROM sqlite_master WHERE type='table' AND name=?"
+      : "SELECT table_name FROM information_schema.tables WHERE table_schema='public' AND table_name=$1";
+
+    const result = await this.db.directQuery(checkSQL, [tableName]);
+    return result.rows.length > 0;
+  }
 }
 
 module.exports = DatabaseInitializer;
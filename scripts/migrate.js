@@ -32,36 +32,57 @@ async function runMigration() {
   }
 }
 
+// Columns added to existing tables after their initial release
+const MIGRATED_COLUMNS = [
+  { table: 'request_logs', column: 'block_reason', definition: 'TEXT' },
+  { table: 'request_logs', column: 'detection_score', definition: 'INTEGER DEFAULT 0' },
+  { table: 'request_logs', column: 'detection_signals', definition: 'TEXT' },
+  { table: 'request_logs', column: 'rate_limit_counts', definition: 'TEXT' },
+  { table: 'request_logs', column: 'rate_limit_subnet', definition: 'VARCHAR(64)' },
+  { table: 'request_logs', column: 'would_block', definition: 'BOOLEAN' },
+  { table: 'request_logs', column: 'would_block_reason', definition: 'TEXT' },
+  { table: 'request_logs', column: 'maze_depth', definition: 'INTEGER' },
+  { table: 'known_bad_agents', column: 'match_type', definition: "VARCHAR(20) DEFAULT 'substring'" },
+  { table: 'known_good_agents', column: 'match_type', definition: "VARCHAR(20) DEFAULT 'substring'" },
+  { table: 'known_good_agents', column: 'verify_domains', definition: 'VARCHAR(500)' }
+];
+
 async function addMissingColumns(db) {
+  for (const { table, column, definition } of MIGRATED_COLUMNS) {
+    await addColumnIfMissing(db, table, column, definition);
+  }
+}
+
+async function addColumnIfMissing(db, table, column, definition) {
   try {
-    // Check if block_reason column exists in request_logs
+    // Check if the column already exists in the table
     const checkColumn = db.dbType === 'sqlite'
-      ? "PRAGMA table_info(request_logs)"
-      : "SELECT column_name FROM information_schema.columns WHERE table_name='request_logs' AND column_name='block_reason'";
+      ? `PRAGMA table_info(${table})`
+      : `SELECT column_name FROM information_schema.columns WHERE table_name='${table}' AND column_name='${column}'`;
     
     const result = await db.directQuery(checkColumn);
     
-    let hasBlockReason = false;
+    let hasColumn = false;
     if (db.dbType === 'sqlite') {
       // For SQLite, PRAGMA table_info returns an array of column information
-      hasBlockReason = result.rows && result.rows.some(row => row.name === 'block_reason');
+      hasColumn = result.rows && result.rows.some(row => row.name === column);
     } else {
-      hasBlockReason = result.rows && result.rows.length > 0;
+      hasColumn = result.rows && result.rows.length > 0;
     }
     
-    if (!hasBlockReason) {
-      console.log('Adding block_reason column to request_logs table...');
-      await db.directQuery(db.adaptSQL('ALTER TABLE request_logs ADD COLUMN block_reason TEXT'));
-      console.log('✓ Added block_reason column');
+    if (!hasColumn) {
+      console.log(`Adding ${column} column to ${table} table...`);
+      await db.directQuery(db.adaptSQL(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`));
+      console.log(`✓ Added ${column} column`);
     } else {
-      console.log('✓ block_reason column already exists');
+      console.log(`✓ ${column} column already exists`);
     }
     
   } catch (error) {
     if (error.message.includes('duplicate column') || 
         error.message.includes('already exists') ||
         error.message.includes('duplicate column name')) {
-      console.log('✓ block_reason column already exists');
+      console.log(`✓ ${column} column already exists`);
     } else {
       console.error('Error adding missing columns:', error);
       throw error;
@@ -77,6 +98,14 @@ async function showDatabaseState(db) {
     const tables = [
       { name: 'known_bad_agents', description: 'Bad User Agents' },
       { name: 'known_good_agents', description: 'Good User Agents' },
+      { name: 'known_bad_networks', description: 'Bad Networks' },
+      { name: 'known_good_networks', description: 'Good Networks' },
+      { name: 'visitor_reputation', description: 'Visitor Reputation' },
+      { name: 'rate_limit_rules', description: 'Rate Limit Rules' },
+      { name: 'response_policies', description: 'Response Policies' },
+      { name: 'link_tags', description: 'Link Tags' },
+      { name: 'identity_links', description: 'Identity Links' },
+      { name: 'canary_tokens', description: 'Canary Tokens' },
       { name: 'request_logs', description: 'Request Logs' },
       { name: 'settings', description: 'Settings' }
     ];
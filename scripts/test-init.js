@@ -13,7 +13,7 @@ async function testDatabaseInitialization() {
     console.log(`Found ${result.rows[0].count} known bad agents in the database`);
     
     // Test that all expected tables exist
-    const tables = ['known_bad_agents', 'request_logs', 'known_good_agents', 'settings'];
+    const tables = ['known_bad_agents', 'request_logs', 'known_good_agents', 'settings', 'known_bad_networks', 'known_good_networks', 'visitor_reputation', 'rate_limit_rules', 'response_policies', 'link_tags', 'identity_links', 'canary_tokens'];
     
     for (const table of tables) {
       const checkSQL = db.dbType === 'sqlite'
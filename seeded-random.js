@@ -14,14 +14,15 @@ class SeededRandom {
   }
 
   /**
-   * Generate a random number between 0 and 1
+   * Generate a random number between 0 (inclusive) and 1 (exclusive)
    * @returns {number} - Random number between 0 and 1
    */
   random() {
     if (this.index >= this.hash.length) {
       this.index = 0;
     }
-    const value = this.hash[this.index] / 255;
+    // Never 1, so randomInt() and pick() stay within bounds
+    const value = this.hash[this.index] / 256;
     this.index++;
     return value;
   }
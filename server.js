@@ -4,6 +4,7 @@ const cors = require('cors');
 const config = require('./config');
 const RobotDetector = require('./RobotDetectorV2');
 const ContentScrambler = require('./scramble');
+const IpNetwork = require('./src/models/IpNetwork');
 
 const app = express();
 
@@ -23,6 +24,9 @@ if (validation.warnings.length > 0) {
 // Initialize instances with configuration
 const robotDetector = new RobotDetector(config);
 const contentScrambler = new ContentScrambler(config);
+if (config.scrambling.watchBlog) {
+  contentScrambler.watchBlog();
+}
 
 // Utility function to format error responses
 function formatErrorResponse(error, isDev = false) {
@@ -40,6 +44,98 @@ function formatErrorResponse(error, isDev = false) {
   }
 }
 
+// Errors thrown by agent pattern validation that should be reported as 400s
+function isAgentValidationError(error) {
+  return error.message === 'User agent is required' ||
+         error.message.startsWith('Invalid match type') ||
+         error.message.startsWith('Invalid regular expression') ||
+         error.message.startsWith('Invalid verification domain');
+}
+
+// Errors thrown by network list validation that should be reported as 400s
+function isNetworkValidationError(error) {
+  return error.message === 'CIDR is required' ||
+         error.message === 'Network ID is required' ||
+         error.message.startsWith('Invalid CIDR');
+}
+
+// Errors thrown by rate limit rule validation that should be reported as 400s
+function isRateLimitRuleValidationError(error) {
+  return error.message === 'Rule ID is required' ||
+         error.message.startsWith('Rule pattern must') ||
+         error.message.startsWith('Rule window must') ||
+         error.message.startsWith('Rule max must') ||
+         error.message.startsWith('Invalid match type');
+}
+
+// Errors thrown by response policy validation that should be reported as 400s
+function isResponsePolicyValidationError(error) {
+  return error.message.startsWith('Invalid response reason') ||
+         error.message.startsWith('Invalid response action') ||
+         error.message.startsWith('Redirect URL');
+}
+
+// Errors thrown by visitor reputation validation that should be reported as 400s
+function isReputationValidationError(error) {
+  return error.message === 'User ID or IP address is required' ||
+         error.message === 'Reputation ID is required' ||
+         error.message === 'Reputation entry does not expire' ||
+         error.message.startsWith('Duration must be') ||
+         error.message.startsWith('Invalid reputation state') ||
+         error.message.startsWith('Invalid IP address');
+}
+
+// Answer a blocked request with the action its response policy picked
+// (scrambled content, a redirect, a 403 page, a 429, an empty page or a tarpit)
+async function sendBlockedResponse(req, res, result, contentPath) {
+  const responseAction = result.responseAction || {};
+  const action = responseAction.action || (result.shouldBlock ? 'forbidden' : 'scramble');
+
+  switch (action) {
+    case 'redirect':
+      console.log(`Redirecting request: ${result.redirectReason}`);
+      return res.redirect(302, responseAction.redirectUrl);
+    case 'forbidden':
+      console.log(`Blocking request: ${result.redirectReason}`);
+      if (responseAction.customPage) {
+        return res.status(403).type('html').send(responseAction.customPage);
+      }
+      return res.status(403).send('Forbidden');
+    case 'too_many_requests':
+      console.log(`Rate limiting request: ${result.redirectReason}`);
+      return res.status(429).set(responseAction.headers || {}).send('Too Many Requests');
+    case 'empty':
+      console.log(`Serving empty page: ${result.redirectReason}`);
+      return res.status(200).send('');
+    case 'tarpit':
+      console.log(`Tarpitting request: ${result.redirectReason}`);
+      break;
+    default:
+      console.log(`Serving scrambled content: ${result.redirectReason}`);
+  }
+
+  const trapUrls = await robotDetector.getTrapUrls(contentPath);
+  const mazeSettings = await robotDetector.getLinkMazeSettings();
+  const scrambledResponse = await contentScrambler.getScrambledResponse(contentPath, req.query, trapUrls, mazeSettings, result.linkTag, result.canary);
+
+  // Tarpitted scrambled pages are dripped slowly, unless too many connections are held already
+  if (action === 'tarpit') {
+    res.type(scrambledResponse.contentType);
+    if (await robotDetector.tarpit(res, scrambledResponse.content)) {
+      return;
+    }
+    console.log('Tarpit is full, serving scrambled content right away');
+  }
+
+  return res.type(scrambledResponse.contentType).send(scrambledResponse.content);
+}
+
+// Errors thrown by request explanation validation that should be reported as 400s
+function isExplainValidationError(error) {
+  return error.message === 'Path must start with /' ||
+         error.message.startsWith('Invalid IP address');
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -70,10 +166,37 @@ const authenticateAPI = (req, res, next) => {
   next();
 };
 
+// Trap links are hidden from humans and robots.txt decoys are disallowed, so any request
+// for one comes from a bot that harvested them. Handled before the other middlewares so
+// the hit is analyzed (and logged) exactly once.
+app.use(async (req, res, next) => {
+  try {
+    const isTrap = await robotDetector.isTrapPath(req.path) ||
+                   await robotDetector.isRobotsTxtDecoyPath(req.path);
+    if (!isTrap) {
+      return next();
+    }
+
+    const userAgent = req.get('User-Agent') || '';
+    const ipAddress = IpNetwork.normalizeAddress(req.ip || req.connection.remoteAddress);
+    const referrer = req.get('Referer') || '';
+
+    const result = await robotDetector.getContent(req.path, userAgent, ipAddress, referrer, req.query, req.headers);
+
+    if (result.shouldBlock || result.shouldScramble) {
+      return await sendBlockedResponse(req, res, result, req.path);
+    }
+  } catch (error) {
+    console.error('Error in trap middleware:', error);
+  }
+
+  next();
+});
+
 // Middleware to handle robot detection for HTML content (for honeypot static content only)
 app.use(async (req, res, next) => {
   const userAgent = req.get('User-Agent') || '';
-  const ipAddress = req.ip || req.connection.remoteAddress;
+  const ipAddress = IpNetwork.normalizeAddress(req.ip || req.connection.remoteAddress);
   const referrer = req.get('Referer') || '';
   const requestPath = req.path;
   const queryParams = req.query;
@@ -88,18 +211,13 @@ app.use(async (req, res, next) => {
       // Only apply robot detection to HTML requests for API and dashboard content
       // Blog content is handled by its own middleware above  
       if (robotDetector.isHtmlRequest(requestPath) && (requestPath.startsWith('/api/') || requestPath === '/dashboard.html' || requestPath === '/dashboard')) {
-        const result = await robotDetector.getContent(requestPath, userAgent, ipAddress, referrer, queryParams);
+        const result = await robotDetector.getContent(requestPath, userAgent, ipAddress, referrer, queryParams, req.headers);
         
         // Don't scramble the dashboard even if scramble parameter is present
         const isDashboard = requestPath === '/dashboard.html' || requestPath === '/dashboard';
         
-        if (result.shouldScramble && !isDashboard) {
-          console.log(`Serving scrambled content: ${result.redirectReason}`);
-          const scrambledResponse = await contentScrambler.getScrambledResponse(requestPath, queryParams);
-          return res.type(scrambledResponse.contentType).send(scrambledResponse.content);
-        } else if (result.shouldRedirect) {
-          console.log(`Redirecting request: ${result.redirectReason}`);
-          return res.redirect(302, result.redirectUrl);
+        if ((result.shouldBlock || result.shouldScramble) && !isDashboard) {
+          return await sendBlockedResponse(req, res, result, requestPath);
         }
       } else {
         // For non-HTML requests, still log them but don't apply restrictions
@@ -127,9 +245,11 @@ const blogRoutePrefix = config.routes.blogRoutePrefix;
 // Custom static file handler that respects robot detection
 app.use(blogRoutePrefix, async (req, res, next) => {
   const userAgent = req.get('User-Agent') || '';
-  const ipAddress = req.ip || req.connection.remoteAddress;
+  const ipAddress = IpNetwork.normalizeAddress(req.ip || req.connection.remoteAddress);
   const referrer = req.get('Referer') || '';
   const requestPath = req.path;
+  // Detection, rate limit rules and logs see the full path (e.g. /blog/archive/), files are relative to the blog dir
+  const detectionPath = req.baseUrl + requestPath;
   const queryParams = req.query;
 
   try {
@@ -137,20 +257,35 @@ app.use(blogRoutePrefix, async (req, res, next) => {
     const honeypotEnabled = await robotDetector.getHoneypotStatus();
     
     if (honeypotEnabled) {
-      // Only apply robot detection to HTML requests
-      if (robotDetector.isHtmlRequest(requestPath)) {
-        const result = await robotDetector.getContent(requestPath, userAgent, ipAddress, referrer, queryParams);
+      // Only apply robot detection to content the scrambler can rewrite (HTML, JSON, feeds, sitemaps, plain text)
+      if (robotDetector.isContentRequest(requestPath)) {
+        const result = await robotDetector.getContent(detectionPath, userAgent, ipAddress, referrer, queryParams, req.headers);
         
         // Don't scramble the dashboard even if scramble parameter is present
         const isDashboard = requestPath === '/dashboard.html' || requestPath === '/dashboard';
         
-        if (result.shouldScramble && !isDashboard) {
-          console.log(`Serving scrambled content: ${result.redirectReason}`);
-          const scrambledResponse = await contentScrambler.getScrambledResponse(requestPath, queryParams);
-          return res.type(scrambledResponse.contentType).send(scrambledResponse.content);
+        if ((result.shouldBlock || result.shouldScramble) && !isDashboard) {
+          return await sendBlockedResponse(req, res, result, requestPath);
+        }
+
+        // Maze pages don't exist as files; whoever follows a maze link keeps getting maze pages
+        if (contentScrambler.isMazePath(requestPath)) {
+          const trapUrls = await robotDetector.getTrapUrls(requestPath);
+          const mazeSettings = await robotDetector.getLinkMazeSettings();
+          const mazePage = await contentScrambler.getScrambledResponse(requestPath, queryParams, trapUrls, mazeSettings, result.linkTag, result.canary);
+          return res.type(mazePage.contentType).send(mazePage.content);
+        }
+
+        // Serve blog pages with hidden trap links added
+        const isPage = requestPath.endsWith('/') || requestPath.endsWith('.html') || requestPath.endsWith('.htm');
+        const page = isPage ? contentScrambler.readBlogFile(requestPath) : null;
+        if (page) {
+          const trapUrls = await robotDetector.getTrapUrls(requestPath);
+          const seed = contentScrambler.generateSeedFromPath(requestPath);
+          return res.type('html').send(contentScrambler.addTrapLinks(page, trapUrls, seed));
         }
       } else {
-        // For non-HTML requests, still log them but don't apply restrictions
+        // For other requests (images, CSS, scripts), still log them but don't apply restrictions
         const userId = robotDetector.generateUserId(userAgent, ipAddress);
         await robotDetector.logRequest(userId, userAgent, ipAddress, requestPath, referrer, false, null);
       }
@@ -168,6 +303,20 @@ app.use(blogRoutePrefix, async (req, res, next) => {
   express.static(blogStaticDir)(req, res, next);
 });
 
+// robots.txt is generated per client: known good agents get the configured rules,
+// everyone else also gets the decoy paths
+app.get('/robots.txt', async (req, res) => {
+  try {
+    const userAgent = req.get('User-Agent') || '';
+    const ipAddress = IpNetwork.normalizeAddress(req.ip || req.connection.remoteAddress);
+    const robotsTxt = await robotDetector.getRobotsTxt(userAgent, ipAddress);
+    res.type('text/plain').send(robotsTxt);
+  } catch (error) {
+    console.error('Error generating robots.txt:', error);
+    res.status(500).type('text/plain').send('');
+  }
+});
+
 // Serve honeypot static files from root
 app.use(express.static(honeypotStaticDir));
 
@@ -175,21 +324,94 @@ app.use(express.static(honeypotStaticDir));
 app.get('/api/stats', authenticateAPI, async (req, res) => {
   try {
     const stats = await robotDetector.getStats();
-    res.json(stats);
+    res.json({ ...stats, scrambler: contentScrambler.getStats() });
   } catch (error) {
     console.error('Error getting stats:', error);
     res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
   }
 });
 
+// API endpoint to refresh the Markov index used for scrambling after blog content changed
+app.post('/api/scramble/reindex', authenticateAPI, async (req, res) => {
+  try {
+    const markov = await contentScrambler.reindex();
+    res.json({ success: true, markov });
+  } catch (error) {
+    console.error('Error reindexing scrambler content:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to compare actual verdicts with dry-run (shadow) verdicts over the last hours
+app.get('/api/dry-run', authenticateAPI, async (req, res) => {
+  try {
+    const hours = req.query.hours === undefined ? 24 : Number(req.query.hours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+      return res.status(400).json({ error: 'hours must be a positive number' });
+    }
+    const comparison = await robotDetector.getDryRunComparison(hours);
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error getting dry-run comparison:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to get a visitor's recent requests and the identities linked to it by shared link tags
+app.get('/api/visitor/:userId', authenticateAPI, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!/^[0-9a-f]{16}$/.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    const details = await robotDetector.getVisitorDetails(userId);
+    res.json(details);
+  } catch (error) {
+    console.error('Error getting visitor details:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to find which visitor received the canary phrases in a text snippet
+app.get('/api/canary/lookup', authenticateAPI, async (req, res) => {
+  try {
+    const result = await robotDetector.lookupCanary(req.query.text);
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Text is required' || error.message.startsWith('Text must be at most')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error looking up canary tokens:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to explain the verdict a request would get, without logging or counting it
+app.post('/api/explain', authenticateAPI, async (req, res) => {
+  try {
+    const { userAgent = '', ipAddress, path, headers = null, query = {} } = req.body;
+    if ((headers !== null && typeof headers !== 'object') || typeof query !== 'object' || query === null) {
+      return res.status(400).json({ error: 'headers and query must be objects' });
+    }
+    const result = await robotDetector.explainRequest({ userAgent, ipAddress, path, headers, queryParams: query });
+    res.json(result);
+  } catch (error) {
+    if (isExplainValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error explaining request:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
 // API endpoint to add a known bad user agent
 app.post('/api/bad-agent', authenticateAPI, async (req, res) => {
   try {
-    const { userAgent } = req.body;
-    const result = await robotDetector.addBadAgent(userAgent);
+    const { userAgent, matchType = 'substring' } = req.body;
+    const result = await robotDetector.addBadAgent(userAgent, matchType);
     res.json(result);
   } catch (error) {
-    if (error.message === 'User agent is required') {
+    if (isAgentValidationError(error)) {
       return res.status(400).json({ error: error.message });
     }
     console.error('Error adding bad user agent:', error);
@@ -245,11 +467,11 @@ app.patch('/api/bad-agent/:id', authenticateAPI, async (req, res) => {
 // API endpoint to add a known good user agent
 app.post('/api/good-agent', authenticateAPI, async (req, res) => {
   try {
-    const { userAgent } = req.body;
-    const result = await robotDetector.addGoodAgent(userAgent);
+    const { userAgent, matchType = 'substring', verifyDomains = null } = req.body;
+    const result = await robotDetector.addGoodAgent(userAgent, matchType, verifyDomains);
     res.json(result);
   } catch (error) {
-    if (error.message === 'User agent is required') {
+    if (isAgentValidationError(error)) {
       return res.status(400).json({ error: error.message });
     }
     console.error('Error adding good user agent:', error);
@@ -300,6 +522,305 @@ app.patch('/api/good-agent/:id', authenticateAPI, async (req, res) => {
   }
 });
 
+// Network Lists API endpoints
+
+// API endpoint to add a known bad network (CIDR or single address)
+app.post('/api/bad-network', authenticateAPI, async (req, res) => {
+  try {
+    const { cidr, description = null } = req.body;
+    const result = await robotDetector.addBadNetwork(cidr, description);
+    res.json(result);
+  } catch (error) {
+    if (isNetworkValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adding bad network:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to get known bad networks
+app.get('/api/bad-networks', authenticateAPI, async (req, res) => {
+  try {
+    const result = await robotDetector.getBadNetworks();
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting bad networks:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to delete a known bad network
+app.delete('/api/bad-network/:id', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await robotDetector.deleteBadNetwork(id);
+    res.json(result);
+  } catch (error) {
+    if (isNetworkValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error deleting bad network:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to toggle a known bad network's active status
+app.patch('/api/bad-network/:id', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+    
+    const result = await robotDetector.updateBadNetwork(id, isActive);
+    res.json(result);
+  } catch (error) {
+    if (isNetworkValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating bad network:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to add a known good network (CIDR or single address)
+app.post('/api/good-network', authenticateAPI, async (req, res) => {
+  try {
+    const { cidr, description = null } = req.body;
+    const result = await robotDetector.addGoodNetwork(cidr, description);
+    res.json(result);
+  } catch (error) {
+    if (isNetworkValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adding good network:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to get known good networks
+app.get('/api/good-networks', authenticateAPI, async (req, res) => {
+  try {
+    const result = await robotDetector.getGoodNetworks();
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting good networks:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to delete a known good network
+app.delete('/api/good-network/:id', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await robotDetector.deleteGoodNetwork(id);
+    res.json(result);
+  } catch (error) {
+    if (isNetworkValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error deleting good network:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to toggle a known good network's active status
+app.patch('/api/good-network/:id', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+    
+    const result = await robotDetector.updateGoodNetwork(id, isActive);
+    res.json(result);
+  } catch (error) {
+    if (isNetworkValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating good network:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// Rate Limit Rules API endpoints
+
+// API endpoint to add a rate limit rule for a path prefix or glob
+app.post('/api/rate-limit-rule', authenticateAPI, async (req, res) => {
+  try {
+    const {
+      pattern,
+      matchType = 'prefix',
+      windowSeconds = null,
+      maxRequests = null,
+      isExcluded = false,
+      description = null
+    } = req.body;
+    const result = await robotDetector.addRateLimitRule(pattern, matchType, windowSeconds, maxRequests, isExcluded, description);
+    res.json(result);
+  } catch (error) {
+    if (isRateLimitRuleValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adding rate limit rule:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to get rate limit rules
+app.get('/api/rate-limit-rules', authenticateAPI, async (req, res) => {
+  try {
+    const result = await robotDetector.getRateLimitRules();
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting rate limit rules:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to delete a rate limit rule
+app.delete('/api/rate-limit-rule/:id', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await robotDetector.deleteRateLimitRule(id);
+    res.json(result);
+  } catch (error) {
+    if (isRateLimitRuleValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error deleting rate limit rule:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to toggle a rate limit rule's active status
+app.patch('/api/rate-limit-rule/:id', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    const result = await robotDetector.updateRateLimitRule(id, isActive);
+    res.json(result);
+  } catch (error) {
+    if (isRateLimitRuleValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating rate limit rule:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// Response Policy API endpoints
+
+// API endpoint to list the response action of every block reason
+app.get('/api/response-policies', authenticateAPI, async (req, res) => {
+  try {
+    const result = await robotDetector.getResponsePolicies();
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting response policies:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to set the response action of a block reason
+app.put('/api/response-policy/:reason', authenticateAPI, async (req, res) => {
+  try {
+    const { reason } = req.params;
+    const { action, redirectUrl = null, customPage = null } = req.body;
+
+    const result = await robotDetector.setResponsePolicy(reason, action, redirectUrl, customPage);
+    res.json(result);
+  } catch (error) {
+    if (isResponsePolicyValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error setting response policy:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// Visitor Reputation API endpoints
+
+// API endpoint to list reputation entries, optionally filtered by current state
+app.get('/api/reputation', authenticateAPI, async (req, res) => {
+  try {
+    const { state = null } = req.query;
+    const result = await robotDetector.getReputations(state);
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting visitor reputation:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to ban, trust or mark a user ID or IP address as suspect
+app.post('/api/reputation', authenticateAPI, async (req, res) => {
+  try {
+    const { userId = null, ipAddress = null, state, reason = null, durationSeconds = null } = req.body;
+    const result = await robotDetector.setReputation(userId, ipAddress, state, reason, durationSeconds);
+    res.json(result);
+  } catch (error) {
+    if (isReputationValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error setting visitor reputation:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to extend a ban (or trust) by a number of seconds
+app.post('/api/reputation/:id/extend', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { durationSeconds } = req.body;
+    const result = await robotDetector.extendReputation(id, durationSeconds);
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Reputation entry not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (isReputationValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error extending visitor reputation:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to lift a ban (or trust) early
+app.post('/api/reputation/:id/lift', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await robotDetector.liftReputation(id);
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Reputation entry not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (isReputationValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error lifting visitor reputation:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
+// API endpoint to delete a reputation entry and forget the visitor's offenses
+app.delete('/api/reputation/:id', authenticateAPI, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await robotDetector.deleteReputation(id);
+    res.json(result);
+  } catch (error) {
+    if (error.message === 'Reputation entry not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (isReputationValidationError(error)) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error deleting visitor reputation:', error);
+    res.status(500).json(formatErrorResponse(error, config.server.isDevelopment));
+  }
+});
+
 // API endpoint to get honeypot status
 app.get('/api/honeypot/status', authenticateAPI, async (req, res) => {
   try {
@@ -361,9 +882,56 @@ app.post('/api/settings', authenticateAPI, async (req, res) => {
     const validSettings = [
       'rate_limit_short_window',
       'rate_limit_short_max', 
+      'rate_limit_long_window',
+      'rate_limit_long_max',
+      'rate_limit_extra_windows',
+      'rate_limit_max_tracked_visitors',
+      'rate_limit_mode',
+      'rate_limit_bucket_size',
+      'rate_limit_bucket_refill_rate',
+      'rate_limit_subnet_window',
+      'rate_limit_subnet_ipv4_prefix',
+      'rate_limit_subnet_ipv4_max',
+      'rate_limit_subnet_ipv6_prefix',
+      'rate_limit_subnet_ipv6_max',
+      'rate_limit_subnet_flag_duration',
       'fake_server_header',
       'known_agents_refresh_interval',
-      'rate_counter_cleanup_interval'
+      'rate_counter_cleanup_interval',
+      'bot_verification_cache_ttl',
+      'bot_verification_timeout_ms',
+      'trap_link_patterns',
+      'trap_link_flag_duration',
+      'robots_txt_rules',
+      'robots_txt_decoy_paths',
+      'robots_txt_flag_duration',
+      'link_tag_flag_duration',
+      'reputation_ban_duration',
+      'reputation_ban_max_duration',
+      'reputation_offense_window',
+      'detection_scramble_threshold',
+      'detection_block_threshold',
+      'detection_weight_scramble_parameter',
+      'detection_weight_bad_network',
+      'detection_weight_unverified_bot',
+      'detection_weight_trap_link',
+      'detection_weight_link_tag',
+      'detection_weight_robots_txt',
+      'detection_weight_reputation',
+      'detection_weight_reputation_suspect',
+      'detection_weight_bad_agent',
+      'detection_weight_header_anomaly',
+      'detection_weight_rate_limit',
+      'detection_weight_rate_limit_approaching',
+      'detection_weight_subnet_rate_limit',
+      'dry_run_enabled',
+      'dry_run_detectors',
+      'tarpit_chunk_size',
+      'tarpit_chunk_delay_ms',
+      'tarpit_duration',
+      'tarpit_max_connections',
+      'link_maze_enabled',
+      'link_maze_links_per_page'
     ];
     
     for (const [key, value] of Object.entries(settings)) {
@@ -373,12 +941,72 @@ app.post('/api/settings', authenticateAPI, async (req, res) => {
       }
       
       // Basic validation
-      if (key.includes('interval') || key.includes('window') || key.includes('max')) {
+      if (key === 'rate_limit_extra_windows') {
+        const windows = String(value).trim();
+        if (windows && !windows.split(',').every(entry => /^\s*[1-9]\d*:\d+\s*$/.test(entry))) {
+          results[key] = { success: false, error: 'Must be comma-separated seconds:max pairs' };
+          continue;
+        }
+      } else if (key === 'rate_limit_mode') {
+        if (value !== 'window' && value !== 'token_bucket') {
+          results[key] = { success: false, error: 'Must be window or token_bucket' };
+          continue;
+        }
+      } else if (key === 'dry_run_enabled' || key === 'link_maze_enabled') {
+        if (String(value) !== 'true' && String(value) !== 'false') {
+          results[key] = { success: false, error: 'Must be true or false' };
+          continue;
+        }
+      } else if (key === 'dry_run_detectors') {
+        const detectorNames = await robotDetector.getDetectorNames();
+        const unknown = String(value).split(',').map(name => name.trim()).filter(name => name && !detectorNames.includes(name));
+        if (unknown.length > 0) {
+          results[key] = { success: false, error: `Unknown detectors: ${unknown.join(', ')}` };
+          continue;
+        }
+      } else if (key === 'rate_limit_bucket_size' || key === 'rate_limit_bucket_refill_rate' ||
+                 key === 'tarpit_chunk_size' || key === 'tarpit_chunk_delay_ms') {
+        const numValue = parseInt(value);
+        if (isNaN(numValue) || numValue < 1) {
+          results[key] = { success: false, error: 'Must be a positive integer' };
+          continue;
+        }
+      } else if (key === 'link_maze_links_per_page') {
+        const linksPerPage = parseInt(value);
+        if (isNaN(linksPerPage) || linksPerPage < 1 || linksPerPage > 20) {
+          results[key] = { success: false, error: 'Must be between 1 and 20' };
+          continue;
+        }
+      } else if (key === 'rate_limit_subnet_ipv4_prefix' || key === 'rate_limit_subnet_ipv6_prefix') {
+        const addressBits = key === 'rate_limit_subnet_ipv4_prefix' ? 32 : 128;
+        const prefixLength = parseInt(value);
+        if (isNaN(prefixLength) || prefixLength < 1 || prefixLength > addressBits) {
+          results[key] = { success: false, error: `Must be a prefix length between 1 and ${addressBits}` };
+          continue;
+        }
+      } else if (key.includes('interval') || key.includes('window') || key.includes('max') || key.endsWith('_ttl') || key.endsWith('_duration')) {
         const numValue = parseInt(value);
         if (isNaN(numValue) || numValue < 1) {
           results[key] = { success: false, error: 'Must be a positive integer' };
           continue;
         }
+      } else if (key === 'trap_link_patterns' || key === 'robots_txt_decoy_paths') {
+        if (!String(value).split(',').every(pattern => pattern.trim().startsWith('/'))) {
+          results[key] = { success: false, error: 'Must be comma-separated paths starting with /' };
+          continue;
+        }
+      } else if (key === 'robots_txt_rules') {
+        if (!String(value).trim()) {
+          results[key] = { success: false, error: 'robots.txt rules cannot be empty' };
+          continue;
+        }
+      } else if (key.startsWith('detection_')) {
+        // Thresholds and weights may be zero (a zero weight disables a detector)
+        const numValue = parseInt(value);
+        if (isNaN(numValue) || numValue < 0) {
+          results[key] = { success: false, error: 'Must be a non-negative integer' };
+          continue;
+        }
       }
       
       const success = await robotDetector.setSetting(key, value.toString());
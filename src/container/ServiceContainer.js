@@ -1,12 +1,38 @@
+const dns = require('dns');
 const DatabaseAdapter = require('../../database');
 
 // Services
 const UserAgentService = require('../services/UserAgentService');
+const NetworkService = require('../services/NetworkService');
+const BotVerificationService = require('../services/BotVerificationService');
+const TrapLinkService = require('../services/TrapLinkService');
+const RobotsTxtService = require('../services/RobotsTxtService');
+const ReputationService = require('../services/ReputationService');
 const RateLimitService = require('../services/RateLimitService');
 const SettingsService = require('../services/SettingsService');
 const RequestLogService = require('../services/RequestLogService');
+const ResponsePolicyService = require('../services/ResponsePolicyService');
+const TarpitService = require('../services/TarpitService');
+const LinkTagService = require('../services/LinkTagService');
+const CanaryTokenService = require('../services/CanaryTokenService');
 const HoneypotService = require('../services/HoneypotService');
 
+// Detectors
+const DetectionPipeline = require('../detectors/DetectionPipeline');
+const ScrambleParameterDetector = require('../detectors/ScrambleParameterDetector');
+const ExcludedPathDetector = require('../detectors/ExcludedPathDetector');
+const ReputationDetector = require('../detectors/ReputationDetector');
+const KnownGoodNetworkDetector = require('../detectors/KnownGoodNetworkDetector');
+const KnownBadNetworkDetector = require('../detectors/KnownBadNetworkDetector');
+const KnownGoodAgentDetector = require('../detectors/KnownGoodAgentDetector');
+const KnownBadAgentDetector = require('../detectors/KnownBadAgentDetector');
+const TrapLinkDetector = require('../detectors/TrapLinkDetector');
+const LinkTagDetector = require('../detectors/LinkTagDetector');
+const RobotsTxtDetector = require('../detectors/RobotsTxtDetector');
+const HeaderAnomalyDetector = require('../detectors/HeaderAnomalyDetector');
+const RateLimitDetector = require('../detectors/RateLimitDetector');
+const SubnetRateLimitDetector = require('../detectors/SubnetRateLimitDetector');
+
 /**
  * ServiceContainer - Dependency injection container for the honeypot system
  * Manages service lifecycle and dependencies following Dependency Inversion Principle
@@ -42,6 +68,39 @@ class ServiceContainer {
       return new UserAgentService(this.get('database'));
     });
 
+    this.registerSingleton('networkService', () => {
+      console.log('Creating NetworkService instance...');
+      return new NetworkService(this.get('database'));
+    });
+
+    // DNS resolver - Singleton, re-register with a stub to keep lookups local
+    this.registerSingleton('dnsResolver', () => dns.promises);
+
+    this.registerSingleton('botVerificationService', () => {
+      console.log('Creating BotVerificationService instance...');
+      return new BotVerificationService(this.get('dnsResolver'), this.get('settingsService'));
+    });
+
+    this.registerSingleton('trapLinkService', () => {
+      console.log('Creating TrapLinkService instance...');
+      return new TrapLinkService(this.get('database'), this.get('settingsService'));
+    });
+
+    this.registerSingleton('robotsTxtService', () => {
+      console.log('Creating RobotsTxtService instance...');
+      return new RobotsTxtService(
+        this.get('database'),
+        this.get('settingsService'),
+        this.get('userAgentService'),
+        this.get('botVerificationService')
+      );
+    });
+
+    this.registerSingleton('reputationService', () => {
+      console.log('Creating ReputationService instance...');
+      return new ReputationService(this.get('database'), this.get('settingsService'));
+    });
+
     this.registerSingleton('rateLimitService', () => {
       console.log('Creating RateLimitService instance...');
       return new RateLimitService(
@@ -56,14 +115,69 @@ class ServiceContainer {
       return new RequestLogService(this.get('database'));
     });
 
+    this.registerSingleton('responsePolicyService', () => {
+      console.log('Creating ResponsePolicyService instance...');
+      return new ResponsePolicyService(this.get('database'), this.config);
+    });
+
+    this.registerSingleton('tarpitService', () => {
+      console.log('Creating TarpitService instance...');
+      return new TarpitService(this.get('settingsService'));
+    });
+
+    this.registerSingleton('linkTagService', () => {
+      console.log('Creating LinkTagService instance...');
+      return new LinkTagService(this.get('database'), this.get('settingsService'), this.config);
+    });
+
+    this.registerSingleton('canaryTokenService', () => {
+      console.log('Creating CanaryTokenService instance...');
+      return new CanaryTokenService(this.get('database'), this.config);
+    });
+
+    // Detection Pipeline - Singleton
+    // Detectors run in registration order; decisive signals stop the pipeline
+    this.registerSingleton('detectionPipeline', () => {
+      console.log('Creating DetectionPipeline instance...');
+      const settingsService = this.get('settingsService');
+      const userAgentService = this.get('userAgentService');
+      const networkService = this.get('networkService');
+      const rateLimitService = this.get('rateLimitService');
+
+      return new DetectionPipeline(settingsService)
+        .register(new ScrambleParameterDetector(settingsService))
+        .register(new ReputationDetector(this.get('reputationService'), settingsService))
+        .register(new KnownGoodNetworkDetector(networkService))
+        .register(new KnownBadNetworkDetector(networkService, settingsService))
+        .register(new KnownGoodAgentDetector(userAgentService, this.get('botVerificationService'), settingsService))
+        .register(new TrapLinkDetector(this.get('trapLinkService'), settingsService))
+        .register(new LinkTagDetector(this.get('linkTagService'), settingsService))
+        .register(new RobotsTxtDetector(this.get('robotsTxtService'), settingsService))
+        // Traps and decoys are caught under excluded paths too; only the checks below are skipped
+        .register(new ExcludedPathDetector(rateLimitService))
+        .register(new KnownBadAgentDetector(userAgentService, settingsService))
+        .register(new HeaderAnomalyDetector(settingsService))
+        .register(new RateLimitDetector(rateLimitService, settingsService))
+        .register(new SubnetRateLimitDetector(rateLimitService, settingsService));
+    });
+
     // Main Honeypot Service - Singleton
     this.registerSingleton('honeypotService', () => {
       console.log('Creating HoneypotService instance...');
       return new HoneypotService(
         this.get('userAgentService'),
+        this.get('networkService'),
+        this.get('trapLinkService'),
+        this.get('robotsTxtService'),
+        this.get('reputationService'),
         this.get('rateLimitService'),
         this.get('settingsService'),
         this.get('requestLogService'),
+        this.get('detectionPipeline'),
+        this.get('responsePolicyService'),
+        this.get('tarpitService'),
+        this.get('linkTagService'),
+        this.get('canaryTokenService'),
         this.config
       );
     });
@@ -170,14 +284,47 @@ class ServiceContainer {
       const userAgentService = this.get('userAgentService');
       await userAgentService.initialize();
       
-      // 4. Rate Limit Service (needs initialization)
+      // 4. Network Service (needs initialization)
+      const networkService = this.get('networkService');
+      await networkService.initialize();
+      
+      // 5. Trap Link Service (needs initialization)
+      const trapLinkService = this.get('trapLinkService');
+      await trapLinkService.initialize();
+      
+      // 6. robots.txt Service (needs initialization)
+      const robotsTxtService = this.get('robotsTxtService');
+      await robotsTxtService.initialize();
+      
+      // 7. Reputation Service (needs initialization)
+      const reputationService = this.get('reputationService');
+      await reputationService.initialize();
+      
+      // 8. Rate Limit Service (needs initialization)
       const rateLimitService = this.get('rateLimitService');
       await rateLimitService.initialize();
       
-      // 5. Request Log Service (no initialization needed)
+      // 9. Response Policy Service (needs initialization)
+      const responsePolicyService = this.get('responsePolicyService');
+      await responsePolicyService.initialize();
+      
+      // 10. Tarpit Service (no initialization needed)
+      this.get('tarpitService');
+      
+      // 11. Link Tag Service (needs initialization)
+      const linkTagService = this.get('linkTagService');
+      await linkTagService.initialize();
+      
+      // 12. Canary Token Service (no initialization needed)
+      this.get('canaryTokenService');
+      
+      // 13. Request Log Service (no initialization needed)
       this.get('requestLogService');
       
-      // 6. Main Honeypot Service (needs initialization)
+      // 14. Detection Pipeline (no initialization needed)
+      this.get('detectionPipeline');
+      
+      // 15. Main Honeypot Service (needs initialization)
       const honeypotService = this.get('honeypotService');
       await honeypotService.initialize();
       
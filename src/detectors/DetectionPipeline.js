@@ -0,0 +1,94 @@
+const DetectionResult = require('../models/DetectionResult');
+
+/**
+ * DetectionPipeline - Runs registered detectors in order and turns their signals into a verdict
+ * Each detector contributes a weighted score; a decisive signal stops the pipeline early
+ */
+class DetectionPipeline {
+  constructor(settingsService) {
+    this.settingsService = settingsService;
+    this.detectors = [];
+  }
+
+  /**
+   * Register a detector at the end of the pipeline
+   * @param {Object} detector - Detector exposing a name and an async evaluate(context) method
+   * @returns {DetectionPipeline} - This pipeline, for chaining
+   */
+  register(detector) {
+    this.detectors.push(detector);
+    return this;
+  }
+
+  /**
+   * Get the names of all registered detectors in evaluation order
+   * @returns {Array<string>} - Detector names
+   */
+  getDetectorNames() {
+    return this.detectors.map(detector => detector.name);
+  }
+
+  /**
+   * Evaluate a request against every detector
+   * Signals from detectors in dry-run are kept out of the verdict; the verdict including them
+   * is attached as the shadow result so that it can be logged as what would have happened
+   * @param {Object} context - Detection context (userId, userAgent, ipAddress, path, referrer, queryParams, headers)
+   * @param {Array<Object>|null} checks - Optional list receiving every evaluated detector and its outcome
+   * @returns {Promise<DetectionResult>} - Detection result carrying all contributing signals
+   */
+  async evaluate(context, checks = null) {
+    const dryRun = await this.settingsService.getDryRunSettings();
+    const isDryRun = detector => dryRun.enabled || dryRun.detectors.includes(detector.name);
+
+    const signals = [];
+    const shadowSignals = [];
+    let liveDone = false;
+    let shadowDone = false;
+
+    for (const detector of this.detectors) {
+      if (liveDone && shadowDone) {
+        break;
+      }
+
+      let signal;
+      try {
+        signal = await detector.evaluate(context);
+      } catch (error) {
+        console.error(`Error in detector ${detector.name}:`, error);
+        if (checks) {
+          checks.push({ detector: detector.name, dryRun: isDryRun(detector), signal: null, error: error.message });
+        }
+        continue;
+      }
+
+      if (checks) {
+        checks.push({ detector: detector.name, dryRun: isDryRun(detector), signal: signal ? signal.toJSON() : null });
+      }
+
+      if (!signal) {
+        continue;
+      }
+
+      // Without dry-run, the first decisive signal ends the pipeline
+      if (!shadowDone) {
+        shadowSignals.push(signal);
+        shadowDone = signal.isDecisive();
+      }
+
+      // A dry-run signal doesn't count, so the detectors after it still decide the verdict
+      if (!liveDone && !isDryRun(detector)) {
+        signals.push(signal);
+        liveDone = signal.isDecisive();
+      }
+    }
+
+    const thresholds = await this.settingsService.getDetectionThresholds();
+    const result = DetectionResult.fromSignals(context.userId, signals, thresholds);
+    if (!dryRun.enabled && dryRun.detectors.length === 0) {
+      return result;
+    }
+    return result.withShadow(DetectionResult.fromSignals(context.userId, shadowSignals, thresholds));
+  }
+}
+
+module.exports = DetectionPipeline;
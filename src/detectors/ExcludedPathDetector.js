@@ -0,0 +1,30 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+/**
+ * ExcludedPathDetector - Lets assets (images, CSS, scripts) and excluded paths through without further checks
+ * Registered after the trap link and robots.txt detectors, so it only skips the user agent,
+ * header and rate limit checks.
+ */
+class ExcludedPathDetector {
+  constructor(rateLimitService) {
+    this.rateLimitService = rateLimitService;
+    this.name = 'excluded_path';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive allow signal or null
+   */
+  async evaluate(context) {
+    if (!this.rateLimitService.isContentRequest(context.path)) {
+      return DetectionSignal.allow(this.name, 'Not a content request');
+    }
+    if (this.rateLimitService.isExcludedFromRateLimit(context.path)) {
+      return DetectionSignal.allow(this.name, 'Path excluded from detection');
+    }
+    return null;
+  }
+}
+
+module.exports = ExcludedPathDetector;
@@ -0,0 +1,42 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+// Headers every mainstream browser sends on a page navigation
+const EXPECTED_HEADERS = ['accept', 'accept-language', 'accept-encoding'];
+
+/**
+ * HeaderAnomalyDetector - Scores requests missing headers that browsers always send
+ * Each missing header adds the configured weight; on its own this stays below the scramble threshold
+ */
+class HeaderAnomalyDetector {
+  constructor(settingsService) {
+    this.settingsService = settingsService;
+    this.name = 'header_anomaly';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Scored signal or null
+   */
+  async evaluate(context) {
+    // Callers that don't forward headers shouldn't be penalized for it
+    if (!context.headers) {
+      return null;
+    }
+
+    const missing = EXPECTED_HEADERS.filter(header => !context.headers[header]);
+    if (missing.length === 0) {
+      return null;
+    }
+
+    const weight = await this.settingsService.getDetectionWeight(this.name, 15);
+    return DetectionSignal.scored(
+      this.name,
+      weight * missing.length,
+      `Missing headers: ${missing.join(', ')}`,
+      { missing }
+    );
+  }
+}
+
+module.exports = HeaderAnomalyDetector;
@@ -0,0 +1,28 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+/**
+ * KnownBadAgentDetector - Scores requests whose user agent is on the known bad list
+ */
+class KnownBadAgentDetector {
+  constructor(userAgentService, settingsService) {
+    this.userAgentService = userAgentService;
+    this.settingsService = settingsService;
+    this.name = 'bad_agent';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Scored signal or null
+   */
+  async evaluate(context) {
+    const agent = this.userAgentService.findBadAgent(context.userAgent);
+    if (!agent) {
+      return null;
+    }
+    const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+    return DetectionSignal.scored(this.name, weight, 'Known bad user agent', { agentId: agent.id });
+  }
+}
+
+module.exports = KnownBadAgentDetector;
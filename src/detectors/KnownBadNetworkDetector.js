@@ -0,0 +1,29 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+/**
+ * KnownBadNetworkDetector - Blocks requests from a known bad network
+ * Decisive so that a spoofed good user agent can't talk its way out of a blocked range
+ */
+class KnownBadNetworkDetector {
+  constructor(networkService, settingsService) {
+    this.networkService = networkService;
+    this.settingsService = settingsService;
+    this.name = 'bad_network';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive block signal or null
+   */
+  async evaluate(context) {
+    const network = this.networkService.findBadNetwork(context.ipAddress);
+    if (!network) {
+      return null;
+    }
+    const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+    return DetectionSignal.block(this.name, weight, `Known bad network: ${network.cidr}`, { networkId: network.id, cidr: network.cidr });
+  }
+}
+
+module.exports = KnownBadNetworkDetector;
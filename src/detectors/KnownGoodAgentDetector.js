@@ -0,0 +1,53 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+/**
+ * KnownGoodAgentDetector - Known good agents bypass all remaining checks
+ * Entries with verification domains only pass once the client IP is confirmed by DNS;
+ * a failed verification blocks the request as an impersonated crawler. When the DNS lookup
+ * itself fails (resolver error or timeout) nothing is known about the client, so it is
+ * neither trusted nor blocked: the remaining detectors judge it like any other visitor.
+ */
+class KnownGoodAgentDetector {
+  constructor(userAgentService, botVerificationService, settingsService) {
+    this.userAgentService = userAgentService;
+    this.botVerificationService = botVerificationService;
+    this.settingsService = settingsService;
+    this.name = 'good_agent';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive allow/block signal or null
+   */
+  async evaluate(context) {
+    const agent = this.userAgentService.findGoodAgent(context.userAgent);
+    if (!agent) {
+      return null;
+    }
+
+    if (agent.verifyDomains.length === 0) {
+      return DetectionSignal.allow(this.name, 'Known good user agent');
+    }
+
+    const verification = await this.botVerificationService.verify(context.ipAddress, agent.verifyDomains);
+    if (verification.verified) {
+      return DetectionSignal.allow(this.name, `Verified good user agent: ${verification.hostname}`, {
+        agentId: agent.id,
+        hostname: verification.hostname
+      });
+    }
+
+    if (verification.lookupFailed) {
+      return null;
+    }
+
+    const weight = await this.settingsService.getDetectionWeight('unverified_bot', 100);
+    return DetectionSignal.block('unverified_bot', weight, `Unverified bot: ${agent.userAgent} (${verification.reason})`, {
+      agentId: agent.id,
+      hostname: verification.hostname
+    });
+  }
+}
+
+module.exports = KnownGoodAgentDetector;
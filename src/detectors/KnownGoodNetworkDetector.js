@@ -0,0 +1,26 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+/**
+ * KnownGoodNetworkDetector - Requests from a known good network bypass all remaining checks
+ */
+class KnownGoodNetworkDetector {
+  constructor(networkService) {
+    this.networkService = networkService;
+    this.name = 'good_network';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive allow signal or null
+   */
+  async evaluate(context) {
+    const network = this.networkService.findGoodNetwork(context.ipAddress);
+    if (!network) {
+      return null;
+    }
+    return DetectionSignal.allow(this.name, `Known good network: ${network.cidr}`, { networkId: network.id, cidr: network.cidr });
+  }
+}
+
+module.exports = KnownGoodNetworkDetector;
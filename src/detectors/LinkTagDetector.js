@@ -0,0 +1,44 @@
+const DetectionSignal = require('../models/DetectionSignal');
+const LinkTag = require('../models/LinkTag');
+
+/**
+ * LinkTagDetector - Blocks visitors requesting a link tagged for another visitor, and visitors who did
+ */
+class LinkTagDetector {
+  constructor(linkTagService, settingsService) {
+    this.linkTagService = linkTagService;
+    this.settingsService = settingsService;
+    this.name = 'link_tag';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive block signal or null
+   */
+  async evaluate(context) {
+    const tag = await this.linkTagService.findTag(context.queryParams?.[LinkTag.PARAM]);
+    if (tag && tag.userId !== context.userId) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.block(this.name, weight, `Shared link tag from ${tag.userId}`, {
+        token: tag.token,
+        sourceUserId: tag.userId,
+        visited: true
+      });
+    }
+
+    const flag = this.linkTagService.getFlag(context.userId);
+    if (flag) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.block(this.name, weight, `Flagged by shared link tag from ${flag.sourceUserId}`, {
+        token: flag.token,
+        sourceUserId: flag.sourceUserId,
+        flaggedUntil: new Date(flag.expiresAt).toISOString()
+      });
+    }
+
+    return null;
+  }
+}
+
+module.exports = LinkTagDetector;
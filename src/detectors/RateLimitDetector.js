@@ -0,0 +1,56 @@
+const DetectionSignal = require('../models/DetectionSignal');
+const RateLimitResult = require('../models/RateLimitResult');
+
+/**
+ * RateLimitDetector - Scores requests that exceed or approach a rate limit
+ * Every configured window is checked; the most restrictive one is reported.
+ * Paths with a rate limit rule are only checked against the rule's window.
+ */
+class RateLimitDetector {
+  constructor(rateLimitService, settingsService) {
+    this.rateLimitService = rateLimitService;
+    this.settingsService = settingsService;
+    this.name = 'rate_limit';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Scored signal or null
+   */
+  async evaluate(context) {
+    const results = await this.rateLimitService.checkRateLimitWindows(context.userId, context.path);
+    const rateLimitResult = RateLimitResult.merge(results);
+    const details = {
+      window: rateLimitResult.windowName,
+      count: rateLimitResult.currentCount,
+      limit: rateLimitResult.limit,
+      windowSeconds: rateLimitResult.getWindowSizeSeconds(),
+      counts: Object.fromEntries(results.map(result => [result.windowName, result.currentCount]))
+    };
+
+    if (rateLimitResult.isExceeded()) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.scored(
+        this.name,
+        weight,
+        `Rate limit exceeded: ${rateLimitResult.currentCount}/${rateLimitResult.limit} (${rateLimitResult.getWindowLabel()})`,
+        details
+      );
+    }
+
+    if (rateLimitResult.isApproachingLimit()) {
+      const weight = await this.settingsService.getDetectionWeight('rate_limit_approaching', 25);
+      return DetectionSignal.scored(
+        'rate_limit_approaching',
+        weight,
+        `Approaching rate limit: ${rateLimitResult.currentCount}/${rateLimitResult.limit} (${rateLimitResult.getWindowLabel()})`,
+        details
+      );
+    }
+
+    return null;
+  }
+}
+
+module.exports = RateLimitDetector;
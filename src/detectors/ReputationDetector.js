@@ -0,0 +1,60 @@
+const DetectionSignal = require('../models/DetectionSignal');
+const VisitorReputation = require('../models/VisitorReputation');
+
+const { STATES } = VisitorReputation;
+
+/**
+ * ReputationDetector - Applies persisted bans, trust and suspicion to a visitor
+ */
+class ReputationDetector {
+  constructor(reputationService, settingsService) {
+    this.reputationService = reputationService;
+    this.settingsService = settingsService;
+    this.name = 'reputation';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive signal for trusted or banned visitors,
+   *   a scored signal for suspects, or null
+   */
+  async evaluate(context) {
+    const standing = await this.reputationService.getStanding(context.userId, context.ipAddress);
+    if (!standing) {
+      return null;
+    }
+
+    const { reputation, state } = standing;
+    const details = {
+      reputationId: reputation.id,
+      offenseCount: reputation.offenseCount,
+      expiresAt: reputation.expiresAt ? reputation.expiresAt.toISOString() : null
+    };
+
+    if (state === STATES.TRUSTED) {
+      return DetectionSignal.allow(this.name, `Trusted visitor${reputation.reason ? `: ${reputation.reason}` : ''}`, details);
+    }
+
+    if (state === STATES.BANNED) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      const until = reputation.expiresAt ? `until ${reputation.expiresAt.toISOString()}` : 'permanently';
+      return DetectionSignal.block(
+        this.name,
+        weight,
+        `Banned ${until}${reputation.reason ? `: ${reputation.reason}` : ''}`,
+        details
+      );
+    }
+
+    const weight = await this.settingsService.getDetectionWeight('reputation_suspect', 25);
+    return DetectionSignal.scored(
+      'reputation_suspect',
+      weight,
+      `Suspect visitor: ${reputation.offenseCount} recent offense(s)`,
+      details
+    );
+  }
+}
+
+module.exports = ReputationDetector;
@@ -0,0 +1,42 @@
+const DetectionSignal = require('../models/DetectionSignal');
+const DetectionResult = require('../models/DetectionResult');
+
+/**
+ * RobotsTxtDetector - Blocks requests for robots.txt decoy paths and clients that requested one
+ */
+class RobotsTxtDetector {
+  constructor(robotsTxtService, settingsService) {
+    this.robotsTxtService = robotsTxtService;
+    this.settingsService = settingsService;
+    this.name = 'robots_txt';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive block signal or null
+   */
+  async evaluate(context) {
+    const decoyPath = await this.robotsTxtService.findDecoyPath(context.path);
+    if (decoyPath) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.block(this.name, weight, `${DetectionResult.ROBOTS_TXT_VIOLATION}: ${context.path}`, {
+        decoyPath,
+        visited: true
+      });
+    }
+
+    const flag = this.robotsTxtService.getFlag(context.userId);
+    if (flag) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.block(this.name, weight, `Flagged as robots.txt violator: ${flag.decoyPath}`, {
+        decoyPath: flag.decoyPath,
+        flaggedUntil: new Date(flag.expiresAt).toISOString()
+      });
+    }
+
+    return null;
+  }
+}
+
+module.exports = RobotsTxtDetector;
@@ -0,0 +1,29 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+/**
+ * ScrambleParameterDetector - Blocks any request carrying the ?scramble test parameter
+ */
+class ScrambleParameterDetector {
+  constructor(settingsService) {
+    this.settingsService = settingsService;
+    this.name = 'scramble_parameter';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive block signal or null
+   */
+  async evaluate(context) {
+    const queryParams = context.queryParams || {};
+    if (queryParams.scramble === undefined) {
+      return null;
+    }
+
+    console.log(`Scramble parameter detected in request: ${context.path}`);
+    const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+    return DetectionSignal.block(this.name, weight, 'Scramble parameter detected');
+  }
+}
+
+module.exports = ScrambleParameterDetector;
@@ -0,0 +1,49 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+/**
+ * SubnetRateLimitDetector - Scores requests from subnets that exceeded their aggregate rate limit
+ * Catches scrapers that rotate addresses within a network to get a fresh per-user budget
+ */
+class SubnetRateLimitDetector {
+  constructor(rateLimitService, settingsService) {
+    this.rateLimitService = rateLimitService;
+    this.settingsService = settingsService;
+    this.name = 'subnet_rate_limit';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Scored signal or null
+   */
+  async evaluate(context) {
+    const subnetLimit = await this.rateLimitService.checkSubnetRateLimit(context.ipAddress);
+    if (!subnetLimit) {
+      return null;
+    }
+
+    const { subnet, result } = subnetLimit;
+    if (result.isExceeded()) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.scored(
+        this.name,
+        weight,
+        `Subnet rate limit exceeded: ${result.currentCount}/${result.limit} from ${subnet} (${result.getWindowLabel()})`,
+        { subnet, count: result.currentCount, limit: result.limit, windowSeconds: result.getWindowSizeSeconds(), exceeded: true }
+      );
+    }
+
+    const flag = this.rateLimitService.getSubnetFlag(subnet);
+    if (flag) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.scored(this.name, weight, `Flagged by subnet rate limit: ${subnet}`, {
+        subnet,
+        flaggedUntil: new Date(flag.expiresAt).toISOString()
+      });
+    }
+
+    return null;
+  }
+}
+
+module.exports = SubnetRateLimitDetector;
@@ -0,0 +1,40 @@
+const DetectionSignal = require('../models/DetectionSignal');
+
+/**
+ * TrapLinkDetector - Blocks requests for hidden trap links and visitors who followed one
+ */
+class TrapLinkDetector {
+  constructor(trapLinkService, settingsService) {
+    this.trapLinkService = trapLinkService;
+    this.settingsService = settingsService;
+    this.name = 'trap_link';
+  }
+
+  /**
+   * Evaluate a request
+   * @param {Object} context - Detection context
+   * @returns {Promise<DetectionSignal|null>} - Decisive block signal or null
+   */
+  async evaluate(context) {
+    if (await this.trapLinkService.isTrapPath(context.path)) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.block(this.name, weight, `Trap link visited: ${context.path}`, {
+        trapPath: context.path,
+        visited: true
+      });
+    }
+
+    const flag = this.trapLinkService.getFlag(context.userId);
+    if (flag) {
+      const weight = await this.settingsService.getDetectionWeight(this.name, 100);
+      return DetectionSignal.block(this.name, weight, `Flagged by trap link: ${flag.trapPath}`, {
+        trapPath: flag.trapPath,
+        flaggedUntil: new Date(flag.expiresAt).toISOString()
+      });
+    }
+
+    return null;
+  }
+}
+
+module.exports = TrapLinkDetector;
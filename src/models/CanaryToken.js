@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+
+// Syllables of the made-up words in canary phrases
+const ONSETS = ['b', 'br', 'c', 'cl', 'd', 'dr', 'f', 'g', 'gr', 'h', 'k', 'kr', 'l', 'm', 'n', 'p', 'pr', 'qu', 'r', 's', 'st', 't', 'tr', 'v', 'vr', 'w', 'z', 'th'];
+const VOWELS = ['a', 'e', 'i', 'o', 'u', 'ai', 'ei', 'ou', 'y'];
+const CODAS = ['', '', '', 'n', 'r', 'l', 's', 'x', 'th', 'nd', 'rk', 'sh'];
+
+// Words of a canary phrase: a made-up given name and family name
+const PHRASE_WORDS = 2;
+
+/**
+ * CanaryToken - Made-up name embedded in the scrambled pages served to one visitor
+ * The phrase is derived from the visitor's user ID, the path and the day it was served, so it is
+ * deterministic yet unique to one visitor. Finding it in a model's output or a dataset later
+ * proves that the visitor's scraper ingested the page.
+ */
+class CanaryToken {
+  constructor(id, phrase, userId, userAgent = null, ipAddress = null, requestPath = null, serveCount = 1, createdAt = new Date(), lastServedAt = new Date()) {
+    this.id = id;
+    this.phrase = phrase; // normalized: lower case, single spaces
+    this.userId = userId;
+    this.userAgent = userAgent;
+    this.ipAddress = ipAddress;
+    this.requestPath = requestPath;
+    this.serveCount = serveCount;
+    this.createdAt = createdAt;
+    this.lastServedAt = lastServedAt;
+  }
+
+  /**
+   * Derive the canary phrase of a visitor, path and day
+   * @param {string} secret - Honeypot secret
+   * @param {string} userId - User ID of the visitor the page is served to
+   * @param {string} requestPath - Path of the page
+   * @param {Date} date - Time the page is served; phrases change daily (UTC)
+   * @returns {string} - Normalized phrase (e.g. 'draivon kelmarsh')
+   */
+  static phraseFor(secret, userId, requestPath, date = new Date()) {
+    const day = date.toISOString().substring(0, 10);
+    const digest = crypto.createHmac('sha256', secret).update(`canary:${userId}:${requestPath}:${day}`).digest();
+
+    let offset = 0;
+    const pick = (list) => list[digest[offset++] % list.length];
+
+    const words = [];
+    for (let i = 0; i < PHRASE_WORDS; i++) {
+      const syllableCount = 2 + (digest[offset++] % 2);
+      let word = '';
+      for (let j = 0; j < syllableCount; j++) {
+        word += pick(ONSETS) + pick(VOWELS);
+      }
+      words.push(word + pick(CODAS));
+    }
+    return words.join(' ');
+  }
+
+  /**
+   * Normalize text for phrase matching: lower case letters, words separated by single spaces
+   * @param {string} text - Text
+   * @returns {string} - Normalized text
+   */
+  static normalize(text) {
+    return text.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+  }
+
+  /**
+   * Get every sequence of consecutive words of a text that could be a canary phrase
+   * @param {string} text - Text that may contain canary phrases
+   * @returns {string[]} - Normalized candidate phrases
+   */
+  static candidatePhrases(text) {
+    const words = CanaryToken.normalize(text).split(' ').filter(Boolean);
+    const candidates = new Set();
+    for (let i = 0; i + PHRASE_WORDS <= words.length; i++) {
+      candidates.add(words.slice(i, i + PHRASE_WORDS).join(' '));
+    }
+    return [...candidates];
+  }
+
+  /**
+   * Get a phrase as it appears in pages, capitalized like a name
+   * @param {string} phrase - Normalized phrase
+   * @returns {string} - Display form (e.g. 'Draivon Kelmarsh')
+   */
+  static display(phrase) {
+    return phrase.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  /**
+   * Create a CanaryToken from a database row
+   * @param {Object} row - Database row object
+   * @returns {CanaryToken} - CanaryToken instance
+   */
+  static fromDatabase(row) {
+    return new CanaryToken(
+      row.id,
+      row.phrase,
+      row.user_id,
+      row.user_agent || null,
+      row.ip_address || null,
+      row.request_path || null,
+      parseInt(row.serve_count) || 1,
+      new Date(row.created_at),
+      new Date(row.last_served_at)
+    );
+  }
+
+  /**
+   * Convert to JSON for API responses
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      phrase: CanaryToken.display(this.phrase),
+      userId: this.userId,
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      requestPath: this.requestPath,
+      serveCount: this.serveCount,
+      createdAt: this.createdAt.toISOString(),
+      lastServedAt: this.lastServedAt.toISOString()
+    };
+  }
+}
+
+module.exports = CanaryToken;
@@ -0,0 +1,92 @@
+// Formats the scrambler can rewrite, with the content type each one is served as
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  sitemap: 'application/xml; charset=utf-8',
+  xml: 'application/xml; charset=utf-8',
+  text: 'text/plain; charset=utf-8'
+};
+
+// Formats implied by a file extension; .xml files are told apart by their root element
+const EXTENSIONS = {
+  '.html': 'html',
+  '.htm': 'html',
+  '.json': 'json',
+  '.rss': 'rss',
+  '.atom': 'atom',
+  '.xml': 'xml',
+  '.txt': 'text'
+};
+
+/**
+ * ContentFormat - Tells which scrambler a blog file needs and the content type it is served as
+ * The format comes from the file extension; XML documents are told apart by their root element.
+ */
+class ContentFormat {
+  /**
+   * Get the format implied by the extension of a path
+   * Paths without an extension (directories, pretty URLs) are HTML pages
+   * @param {string} requestPath - Request path
+   * @returns {string|null} - Format, or null for extensions the scrambler doesn't handle (images, CSS, ...)
+   */
+  static fromPath(requestPath) {
+    if (!requestPath) return null;
+
+    const segment = requestPath.split('/').pop();
+    if (!segment || !segment.includes('.')) return 'html';
+
+    const extension = segment.substring(segment.lastIndexOf('.')).toLowerCase();
+    return EXTENSIONS[extension] || null;
+  }
+
+  /**
+   * Get the format of a file, refining generic XML by looking at the document's root element
+   * Without content (a file that doesn't exist), XML files are told apart by their name instead
+   * @param {string} requestPath - Request path
+   * @param {string|null} content - File content, if any
+   * @returns {string|null} - Format, or null for extensions the scrambler doesn't handle
+   */
+  static detect(requestPath, content) {
+    const format = ContentFormat.fromPath(requestPath);
+    if (format !== 'xml') return format;
+
+    if (!content) {
+      const name = requestPath.split('/').pop().toLowerCase();
+      if (name.startsWith('sitemap')) return 'sitemap';
+      if (name.startsWith('atom')) return 'atom';
+      if (name.startsWith('feed') || name.startsWith('rss')) return 'rss';
+      return format;
+    }
+
+    // Skip the prolog, comments and doctype to find the root element
+    const root = content.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/gi, '').match(/<([A-Za-z][\w:.-]*)/);
+    const rootName = root ? root[1].toLowerCase().replace(/^.*:/, '') : '';
+    switch (rootName) {
+      case 'rss':
+      case 'rdf':
+        return 'rss';
+      case 'feed':
+        return 'atom';
+      case 'urlset':
+      case 'sitemapindex':
+        return 'sitemap';
+      default:
+        return format;
+    }
+  }
+
+  /**
+   * Get the content type a format is served as
+   * @param {string} format - Format
+   * @returns {string} - Content type
+   */
+  static contentTypeOf(format) {
+    return CONTENT_TYPES[format] || CONTENT_TYPES.html;
+  }
+}
+
+ContentFormat.FORMATS = Object.keys(CONTENT_TYPES);
+
+module.exports = ContentFormat;
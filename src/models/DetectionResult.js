@@ -1,15 +1,64 @@
+const VERDICTS = {
+  ALLOW: 'allow',
+  SCRAMBLE: 'scramble',
+  BLOCK: 'block'
+};
+
+// Block reason prefix for clients that requested a path robots.txt told them to avoid
+const ROBOTS_TXT_VIOLATION = 'robots.txt violation';
+
 /**
  * DetectionResult - Value object representing the result of request analysis
- * Encapsulates whether a request should be scrambled and why
+ * Encapsulates the verdict for a request, its total score and the signals behind it
  */
 class DetectionResult {
-  constructor(shouldScramble, redirectReason, userId) {
-    this.shouldScramble = shouldScramble;
+  constructor(shouldScramble, redirectReason, userId, signals = [], score = 0, verdict = null) {
+    this.verdict = verdict || (shouldScramble ? VERDICTS.SCRAMBLE : VERDICTS.ALLOW);
+    this.shouldScramble = this.verdict === VERDICTS.SCRAMBLE;
+    this.shouldBlock = this.verdict === VERDICTS.BLOCK;
     this.redirectReason = redirectReason;
     this.userId = userId;
+    this.signals = signals;
+    this.score = score;
+    this.shadowResult = null; // verdict including dry-run detectors, when any are in dry-run
     this.timestamp = new Date();
   }
 
+  /**
+   * Create a result from the signals produced by the detection pipeline
+   * A decisive signal settles allow/deny on its own; otherwise the summed
+   * score is compared against the scramble and block thresholds
+   * @param {string} userId - The user ID
+   * @param {Array<DetectionSignal>} signals - Signals in evaluation order
+   * @param {Object} thresholds - { scramble, block } score thresholds
+   * @returns {DetectionResult} - Detection result
+   */
+  static fromSignals(userId, signals, thresholds) {
+    const score = signals.reduce((total, signal) => total + signal.score, 0);
+    const decisive = signals.find(signal => signal.isDecisive());
+
+    if (decisive && decisive.decision === 'allow') {
+      return new DetectionResult(false, null, userId, signals, score, VERDICTS.ALLOW);
+    }
+
+    let verdict = VERDICTS.ALLOW;
+    if (score >= thresholds.block) {
+      verdict = VERDICTS.BLOCK;
+    } else if (decisive || score >= thresholds.scramble) {
+      verdict = VERDICTS.SCRAMBLE;
+    }
+
+    if (verdict === VERDICTS.ALLOW) {
+      return new DetectionResult(false, null, userId, signals, score, verdict);
+    }
+
+    const reason = signals
+      .filter(signal => signal.score > 0 || signal.isDecisive())
+      .map(signal => signal.reason)
+      .join('; ');
+    return new DetectionResult(true, reason, userId, signals, score, verdict);
+  }
+
   /**
    * Create a result indicating the request is allowed
    * @param {string} userId - The user ID
@@ -61,12 +110,65 @@ class DetectionResult {
     );
   }
 
+  /**
+   * Create a result for a robots.txt violation
+   * @param {string} userId - The user ID
+   * @param {string} path - The disallowed path that was requested
+   * @returns {DetectionResult} - robots.txt violation result
+   */
+  static robotsTxtViolation(userId, path) {
+    return DetectionResult.blocked(userId, `${ROBOTS_TXT_VIOLATION}: ${path}`);
+  }
+
+  /**
+   * Attach the verdict the request would have received without dry-run
+   * @param {DetectionResult} shadowResult - Result including the dry-run signals
+   * @returns {DetectionResult} - This result, for chaining
+   */
+  withShadow(shadowResult) {
+    this.shadowResult = shadowResult;
+    return this;
+  }
+
+  /**
+   * Get the verdict the request would have received without dry-run
+   * @returns {DetectionResult} - Shadow result, or this result when nothing ran in dry-run
+   */
+  getShadowResult() {
+    return this.shadowResult || this;
+  }
+
+  /**
+   * Check if the request would have been blocked (or scrambled) without dry-run
+   * @returns {boolean} - True if the shadow verdict isn't allow
+   */
+  wouldBlock() {
+    return this.getShadowResult().isBlocked();
+  }
+
+  /**
+   * Get the signal that ended the pipeline, if any
+   * @returns {DetectionSignal|null} - Decisive signal or null
+   */
+  getDecisiveSignal() {
+    return this.signals.find(signal => signal.isDecisive()) || null;
+  }
+
   /**
    * Check if this result indicates the request should be blocked
    * @returns {boolean} - True if request should be blocked
    */
   isBlocked() {
-    return this.shouldScramble;
+    return this.verdict !== VERDICTS.ALLOW;
+  }
+
+  /**
+   * Check if this result was caused by a robots.txt violation
+   * @returns {boolean} - True if the client requested a disallowed decoy path
+   */
+  isRobotsTxtViolation() {
+    return this.isBlocked() && this.redirectReason !== null &&
+           this.redirectReason.includes(`${ROBOTS_TXT_VIOLATION}:`);
   }
 
   /**
@@ -74,7 +176,7 @@ class DetectionResult {
    * @returns {boolean} - True if request is allowed
    */
   isAllowed() {
-    return !this.shouldScramble;
+    return this.verdict === VERDICTS.ALLOW;
   }
 
   /**
@@ -93,13 +195,26 @@ class DetectionResult {
    * @returns {Object} - JSON representation
    */
   toJSON() {
-    return {
+    const json = {
       shouldScramble: this.shouldScramble,
+      shouldBlock: this.shouldBlock,
+      verdict: this.verdict,
+      score: this.score,
+      signals: this.signals.map(signal => signal.toJSON()),
       redirectReason: this.redirectReason,
       userId: this.userId,
       timestamp: this.timestamp.toISOString(),
       status: this.isBlocked() ? 'blocked' : 'allowed'
     };
+    if (this.shadowResult) {
+      json.shadow = {
+        verdict: this.shadowResult.verdict,
+        score: this.shadowResult.score,
+        signals: this.shadowResult.signals.map(signal => signal.toJSON()),
+        redirectReason: this.shadowResult.redirectReason
+      };
+    }
+    return json;
   }
 
   /**
@@ -116,4 +231,7 @@ class DetectionResult {
   }
 }
 
+DetectionResult.VERDICTS = VERDICTS;
+DetectionResult.ROBOTS_TXT_VIOLATION = ROBOTS_TXT_VIOLATION;
+
 module.exports = DetectionResult;
@@ -0,0 +1,92 @@
+/**
+ * DetectionSignal - Value object representing a single detector's contribution
+ * A signal carries a weighted score and a reason; decisive signals end the pipeline
+ */
+class DetectionSignal {
+  constructor(name, score, reason, decision = null, details = null) {
+    this.name = name;
+    this.score = score;
+    this.reason = reason;
+    this.decision = decision; // 'allow', 'block' or null for a scored signal
+    this.details = details;
+  }
+
+  /**
+   * Create a signal that adds a weighted score to the request
+   * @param {string} name - Detector name
+   * @param {number} score - Weighted score contributed by the detector
+   * @param {string} reason - Human-readable reason
+   * @param {Object|null} details - Optional detector-specific details
+   * @returns {DetectionSignal} - Scored signal
+   */
+  static scored(name, score, reason, details = null) {
+    return new DetectionSignal(name, score, reason, null, details);
+  }
+
+  /**
+   * Create a decisive signal that allows the request and ends the pipeline
+   * @param {string} name - Detector name
+   * @param {string} reason - Human-readable reason
+   * @param {Object|null} details - Optional detector-specific details
+   * @returns {DetectionSignal} - Decisive allow signal
+   */
+  static allow(name, reason, details = null) {
+    return new DetectionSignal(name, 0, reason, 'allow', details);
+  }
+
+  /**
+   * Create a decisive signal that blocks the request and ends the pipeline
+   * @param {string} name - Detector name
+   * @param {number} score - Weighted score contributed by the detector
+   * @param {string} reason - Human-readable reason
+   * @param {Object|null} details - Optional detector-specific details
+   * @returns {DetectionSignal} - Decisive block signal
+   */
+  static block(name, score, reason, details = null) {
+    return new DetectionSignal(name, score, reason, 'block', details);
+  }
+
+  /**
+   * Check if this signal ends the pipeline
+   * @returns {boolean} - True if the signal is decisive
+   */
+  isDecisive() {
+    return this.decision !== null;
+  }
+
+  /**
+   * Convert to JSON for logging or API responses
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    const json = {
+      name: this.name,
+      score: this.score,
+      reason: this.reason
+    };
+    if (this.decision) {
+      json.decision = this.decision;
+    }
+    if (this.details) {
+      json.details = this.details;
+    }
+    return json;
+  }
+
+  /**
+   * Create from a JSON representation (e.g. a logged signal)
+   * @param {Object} json - JSON representation
+   * @returns {DetectionSignal} - Detection signal
+   */
+  static fromJSON(json) {
+    return new DetectionSignal(
+      json.name,
+      json.score || 0,
+      json.reason,
+      json.decision || null,
+      json.details || null
+    );
+  }
+}
+
+module.exports = DetectionSignal;
@@ -0,0 +1,60 @@
+/**
+ * IdentityLink - Domain model for two user IDs known to belong to the same crawler
+ * Recorded when a visitor requests a link that was tagged for another visitor, i.e. it
+ * fetched a URL discovered from a different user agent or IP address.
+ */
+class IdentityLink {
+  constructor(id, sourceUserId, userId, token, userAgent = null, ipAddress = null, requestUrl = null, requestCount = 1, createdAt = new Date(), lastSeenAt = new Date()) {
+    this.id = id;
+    this.sourceUserId = sourceUserId; // visitor the link was tagged for
+    this.userId = userId; // visitor that requested it
+    this.token = token;
+    this.userAgent = userAgent; // of the requesting visitor
+    this.ipAddress = ipAddress;
+    this.requestUrl = requestUrl; // first tagged URL requested
+    this.requestCount = requestCount;
+    this.createdAt = createdAt;
+    this.lastSeenAt = lastSeenAt;
+  }
+
+  /**
+   * Create an IdentityLink from a database row
+   * @param {Object} row - Database row object
+   * @returns {IdentityLink} - IdentityLink instance
+   */
+  static fromDatabase(row) {
+    return new IdentityLink(
+      row.id,
+      row.source_user_id,
+      row.user_id,
+      row.token,
+      row.user_agent || null,
+      row.ip_address || null,
+      row.request_url || null,
+      parseInt(row.request_count) || 1,
+      new Date(row.created_at),
+      new Date(row.last_seen_at)
+    );
+  }
+
+  /**
+   * Convert to JSON for API responses
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      sourceUserId: this.sourceUserId,
+      userId: this.userId,
+      token: this.token,
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      requestUrl: this.requestUrl,
+      requestCount: this.requestCount,
+      createdAt: this.createdAt.toISOString(),
+      lastSeenAt: this.lastSeenAt.toISOString()
+    };
+  }
+}
+
+module.exports = IdentityLink;
@@ -0,0 +1,202 @@
+const net = require('net');
+
+const ADDRESS_BITS = { 4: 32, 6: 128 };
+
+/**
+ * IpNetwork - Value object representing an IPv4 or IPv6 CIDR range
+ * Addresses are held as BigInt so both families share the same masking logic
+ */
+class IpNetwork {
+  constructor(version, network, prefixLength) {
+    this.version = version;
+    this.network = network;
+    this.prefixLength = prefixLength;
+  }
+
+  /**
+   * Normalize an address as reported by Express (req.ip)
+   * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) become plain IPv4 and zone IDs are dropped
+   * @param {string} ipAddress - Raw address
+   * @returns {string} - Normalized address (unchanged if it isn't a valid IP)
+   */
+  static normalizeAddress(ipAddress) {
+    if (!ipAddress || typeof ipAddress !== 'string') return ipAddress;
+
+    let address = ipAddress.trim().toLowerCase();
+    const zoneIndex = address.indexOf('%');
+    if (zoneIndex !== -1) {
+      address = address.substring(0, zoneIndex);
+    }
+
+    const mapped = address.match(/^(?:0{0,4}:){2,5}ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped && net.isIPv4(mapped[1])) {
+      return mapped[1];
+    }
+
+    return address;
+  }
+
+  /**
+   * Parse an address into its family and numeric value
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @returns {{version: number, value: bigint}|null} - Parsed address or null if invalid
+   */
+  static parseAddress(ipAddress) {
+    const address = IpNetwork.normalizeAddress(ipAddress);
+    if (!address) return null;
+
+    if (net.isIPv4(address)) {
+      const value = address.split('.')
+        .reduce((total, octet) => (total << 8n) + BigInt(parseInt(octet, 10)), 0n);
+      return { version: 4, value };
+    }
+
+    if (net.isIPv6(address)) {
+      return { version: 6, value: IpNetwork.parseIPv6(address) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a valid IPv6 address to a BigInt
+   * @param {string} address - IPv6 address (already validated)
+   * @returns {bigint} - Numeric value
+   */
+  static parseIPv6(address) {
+    let text = address;
+
+    // Convert a trailing embedded IPv4 address into two hex groups
+    const embedded = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) {
+      const octets = embedded[1].split('.').map(octet => parseInt(octet, 10));
+      const high = ((octets[0] << 8) | octets[1]).toString(16);
+      const low = ((octets[2] << 8) | octets[3]).toString(16);
+      text = text.substring(0, text.length - embedded[1].length) + `${high}:${low}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const groups = tail !== undefined
+      ? [...headGroups, ...new Array(missing).fill('0'), ...tailGroups]
+      : headGroups;
+
+    return groups.reduce((total, group) => (total << 16n) + BigInt(parseInt(group, 16)), 0n);
+  }
+
+  /**
+   * Format a numeric address back to its canonical text form
+   * @param {number} version - 4 or 6
+   * @param {bigint} value - Numeric value
+   * @returns {string} - Address text
+   */
+  static formatAddress(version, value) {
+    if (version === 4) {
+      return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+      groups.push(((value >> shift) & 0xffffn).toString(16));
+    }
+
+    // Compress the longest run of zero groups (RFC 5952)
+    let bestStart = -1;
+    let bestLength = 0;
+    for (let i = 0; i < groups.length; i++) {
+      let length = 0;
+      while (i + length < groups.length && groups[i + length] === '0') length++;
+      if (length > bestLength && length > 1) {
+        bestStart = i;
+        bestLength = length;
+      }
+    }
+
+    if (bestStart === -1) {
+      return groups.join(':');
+    }
+    const head = groups.slice(0, bestStart).join(':');
+    const tail = groups.slice(bestStart + bestLength).join(':');
+    return `${head}::${tail}`;
+  }
+
+  /**
+   * Mask an address value down to its network prefix
+   * @param {bigint} value - Numeric address
+   * @param {number} version - 4 or 6
+   * @param {number} prefixLength - Prefix length in bits
+   * @returns {bigint} - Network address
+   */
+  static maskValue(value, version, prefixLength) {
+    const hostBits = BigInt(ADDRESS_BITS[version] - prefixLength);
+    return (value >> hostBits) << hostBits;
+  }
+
+  /**
+   * Parse CIDR notation (a bare address is treated as a single-host network)
+   * @param {string} cidr - e.g. '203.0.113.0/24' or '2001:db8::/32'
+   * @returns {IpNetwork|null} - Network or null if invalid
+   */
+  static parse(cidr) {
+    if (!cidr || typeof cidr !== 'string') return null;
+
+    const [addressPart, prefixPart, ...rest] = cidr.trim().split('/');
+    if (rest.length > 0) return null;
+
+    const address = IpNetwork.parseAddress(addressPart);
+    if (!address) return null;
+
+    const maxBits = ADDRESS_BITS[address.version];
+    let prefixLength = maxBits;
+    if (prefixPart !== undefined) {
+      if (!/^\d{1,3}$/.test(prefixPart)) return null;
+      prefixLength = parseInt(prefixPart, 10);
+      if (prefixLength > maxBits) return null;
+    }
+
+    return new IpNetwork(
+      address.version,
+      IpNetwork.maskValue(address.value, address.version, prefixLength),
+      prefixLength
+    );
+  }
+
+  /**
+   * Get the network that contains an address at a given prefix length
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @param {number} prefixLength - Prefix length in bits
+   * @returns {IpNetwork|null} - Containing network or null if the address is invalid
+   */
+  static containing(ipAddress, prefixLength) {
+    const address = IpNetwork.parseAddress(ipAddress);
+    if (!address) return null;
+
+    const length = Math.min(prefixLength, ADDRESS_BITS[address.version]);
+    return new IpNetwork(address.version, IpNetwork.maskValue(address.value, address.version, length), length);
+  }
+
+  /**
+   * Check if an address falls inside this network
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @returns {boolean} - True if the address is in range
+   */
+  contains(ipAddress) {
+    const address = IpNetwork.parseAddress(ipAddress);
+    if (!address || address.version !== this.version) return false;
+    return IpNetwork.maskValue(address.value, this.version, this.prefixLength) === this.network;
+  }
+
+  /**
+   * Get the canonical CIDR notation
+   * @returns {string} - CIDR string
+   */
+  toString() {
+    return `${IpNetwork.formatAddress(this.version, this.network)}/${this.prefixLength}`;
+  }
+}
+
+IpNetwork.ADDRESS_BITS = ADDRESS_BITS;
+
+module.exports = IpNetwork;
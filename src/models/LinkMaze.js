@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Last path segment of a maze URL: <slug>-<depth>-<signature>
+const MAZE_SEGMENT = /^([a-z0-9]+(?:-[a-z0-9]+)*)-(\d+)-([0-9a-f]{12})$/;
+
+/**
+ * LinkMaze - Builds and recognizes the URLs of the endless maze of scrambled pages
+ * Every maze URL encodes its depth and carries a signature derived from the honeypot secret,
+ * so a request for a maze page can be told apart from a request for a page that doesn't exist.
+ */
+class LinkMaze {
+  constructor(secret, routePrefix = '/blog') {
+    this.secret = secret;
+    this.routePrefix = routePrefix.replace(/\/+$/, '');
+  }
+
+  /**
+   * Sign a maze page
+   * @param {string} slug - Page slug
+   * @param {number} depth - Page depth
+   * @returns {string} - Signature (12 hex characters)
+   */
+  sign(slug, depth) {
+    return crypto.createHmac('sha256', this.secret).update(`${slug}:${depth}`).digest('hex').substring(0, 12);
+  }
+
+  /**
+   * Build the URL of a maze page
+   * @param {string[]} words - Words making up the slug
+   * @param {number} depth - Depth of the page (1 for pages linked from a non-maze page)
+   * @returns {string} - Signed maze URL
+   */
+  buildPath(words, depth) {
+    const slug = words
+      .map(word => word.toLowerCase().replace(/[^a-z0-9]/g, ''))
+      .filter(Boolean)
+      .join('-') || 'page';
+    return `${this.routePrefix}/${slug}-${depth}-${this.sign(slug, depth)}/`;
+  }
+
+  /**
+   * Recognize a maze URL
+   * Only the last path segment is checked, so paths with or without the route prefix both work
+   * @param {string} requestPath - Request path
+   * @returns {Object|null} - { slug, depth } or null if the path isn't a validly signed maze URL
+   */
+  parsePath(requestPath) {
+    if (!requestPath) return null;
+
+    const segment = requestPath.split('/').filter(Boolean).pop() || '';
+    const match = MAZE_SEGMENT.exec(segment);
+    if (!match) return null;
+
+    const [, slug, depthText, signature] = match;
+    const depth = parseInt(depthText);
+    if (signature !== this.sign(slug, depth)) return null;
+
+    return { slug, depth };
+  }
+}
+
+module.exports = LinkMaze;
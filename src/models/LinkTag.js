@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+// Query parameter carrying the tag in generated links
+const PARAM = 'ref';
+
+const TOKEN_PATTERN = /^[0-9a-f]{10}$/;
+
+/**
+ * LinkTag - Opaque token embedded in the generated links served to one visitor
+ * The token is derived from the visitor's user ID and the honeypot secret, so it reveals nothing
+ * about the visitor; the issuing visitor is looked up server-side when a tagged link is requested.
+ */
+class LinkTag {
+  constructor(token, userId, userAgent = null, ipAddress = null, createdAt = new Date()) {
+    this.token = token;
+    this.userId = userId;
+    this.userAgent = userAgent;
+    this.ipAddress = ipAddress;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Derive the tag of a visitor
+   * @param {string} secret - Honeypot secret
+   * @param {string} userId - User ID of the visitor the links are served to
+   * @returns {string} - Token (10 hex characters)
+   */
+  static tokenFor(secret, userId) {
+    return crypto.createHmac('sha256', secret).update(`link_tag:${userId}`).digest('hex').substring(0, 10);
+  }
+
+  /**
+   * Check if a value looks like a tag token
+   * @param {*} value - Value to check (e.g. a query parameter)
+   * @returns {boolean} - True if the value has the shape of a token
+   */
+  static isValidToken(value) {
+    return typeof value === 'string' && TOKEN_PATTERN.test(value);
+  }
+
+  /**
+   * Create a LinkTag from a database row
+   * @param {Object} row - Database row object
+   * @returns {LinkTag} - LinkTag instance
+   */
+  static fromDatabase(row) {
+    return new LinkTag(
+      row.token,
+      row.user_id,
+      row.user_agent || null,
+      row.ip_address || null,
+      new Date(row.created_at)
+    );
+  }
+
+  /**
+   * Convert to JSON for API responses
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      token: this.token,
+      userId: this.userId,
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      createdAt: this.createdAt.toISOString()
+    };
+  }
+}
+
+LinkTag.PARAM = PARAM;
+
+module.exports = LinkTag;
@@ -0,0 +1,60 @@
+/**
+ * LruMap - Map holding at most `maxSize` entries, evicting the least recently used one when full
+ * Reading (get) or writing (set) an entry makes it the most recently used. Evictions are
+ * counted so that callers can report them.
+ */
+class LruMap extends Map {
+  constructor(maxSize) {
+    super();
+    this.maxSize = maxSize;
+    this.evictions = 0;
+  }
+
+  /**
+   * Get an entry and mark it as most recently used
+   * @param {*} key - Entry key
+   * @returns {*} - Entry value, or undefined if missing
+   */
+  get(key) {
+    if (!super.has(key)) return undefined;
+
+    const value = super.get(key);
+    super.delete(key);
+    super.set(key, value);
+    return value;
+  }
+
+  /**
+   * Set an entry, mark it as most recently used and evict the oldest entries beyond the maximum size
+   * @param {*} key - Entry key
+   * @param {*} value - Entry value
+   * @returns {LruMap} - This map
+   */
+  set(key, value) {
+    super.delete(key);
+    super.set(key, value);
+    this.evictOverflow();
+    return this;
+  }
+
+  /**
+   * Change the maximum size, evicting the oldest entries if the map is now too large
+   * @param {number} maxSize - Maximum number of entries
+   */
+  setMaxSize(maxSize) {
+    this.maxSize = maxSize;
+    this.evictOverflow();
+  }
+
+  /**
+   * Evict least recently used entries until the map fits its maximum size
+   */
+  evictOverflow() {
+    while (this.size > this.maxSize) {
+      super.delete(this.keys().next().value);
+      this.evictions++;
+    }
+  }
+}
+
+module.exports = LruMap;
@@ -3,15 +3,41 @@
  * Encapsulates rate limit status and related metrics
  */
 class RateLimitResult {
-  constructor(exceeded, currentCount, limit, windowSize, userId) {
+  constructor(exceeded, currentCount, limit, windowSize, userId, windowName = null, resetAt = null, retryAt = null) {
     this.exceeded = exceeded;
     this.currentCount = currentCount;
     this.limit = limit;
     this.windowSize = windowSize; // in milliseconds
     this.userId = userId;
+    this.windowName = windowName; // e.g. 'short', 'long', 'bucket'
+    this.resetAt = resetAt; // when the full limit is available again (a full bucket refill), if known
+    this.retryAt = retryAt; // when an exceeded limit allows the next request, if known
     this.checkedAt = new Date();
   }
 
+  /**
+   * Create a rate limit result from a visitor's token bucket
+   * The bucket size is the limit, used tokens are the count and the window is the time
+   * an empty bucket takes to refill. The limit resets once the bucket is full, while an empty
+   * bucket allows the next request as soon as one token is back
+   * @param {string} userId - User ID
+   * @param {TokenBucket} bucket - Refilled token bucket
+   * @param {Object} config - Bucket configuration { size, refillRate (tokens per ms) }
+   * @returns {RateLimitResult} - Token bucket result
+   */
+  static fromTokenBucket(userId, bucket, config) {
+    return new RateLimitResult(
+      !bucket.hasToken(),
+      bucket.getUsedTokens(config),
+      config.size,
+      Math.round(config.size / config.refillRate),
+      userId,
+      'bucket',
+      bucket.getFullAt(config),
+      bucket.getNextTokenAt(config)
+    );
+  }
+
   /**
    * Create a rate limit result indicating limits are not exceeded
    * @param {string} userId - User ID
@@ -85,6 +111,21 @@ class RateLimitResult {
     return Math.round(this.windowSize / (1000 * 60));
   }
 
+  /**
+   * Get a compact label for the window size (e.g. '90s', '1min', '15min', '1h')
+   * @returns {string} - Window label
+   */
+  getWindowLabel() {
+    const seconds = this.getWindowSizeSeconds();
+    if (seconds % 3600 === 0) {
+      return `${seconds / 3600}h`;
+    }
+    if (seconds % 60 === 0) {
+      return `${seconds / 60}min`;
+    }
+    return `${seconds}s`;
+  }
+
   /**
    * Check if the user is approaching the rate limit (>80% usage)
    * @returns {boolean} - True if approaching limit
@@ -114,19 +155,50 @@ class RateLimitResult {
    * @returns {Object} - Headers object
    */
   getHeaders() {
+    const resetSeconds = this.getSecondsUntilReset();
     return {
       'X-RateLimit-Limit': this.limit.toString(),
       'X-RateLimit-Remaining': this.getRemainingRequests().toString(),
       'X-RateLimit-Window': this.getWindowSizeSeconds().toString(),
-      'X-RateLimit-Used': this.currentCount.toString()
+      'X-RateLimit-Used': this.currentCount.toString(),
+      'X-RateLimit-Reset': resetSeconds.toString()
     };
   }
 
   /**
-   * Calculate when the window will reset (estimated)
-   * @returns {Date} - Estimated reset time
+   * Get the number of seconds until the full limit is available again (X-RateLimit-Reset)
+   * For a token bucket this is the time a full refill takes, not the time to the next token
+   * @returns {number} - Seconds until reset (0 if already reset)
+   */
+  getSecondsUntilReset() {
+    return Math.max(0, Math.ceil((this.getEstimatedResetTime().getTime() - this.checkedAt.getTime()) / 1000));
+  }
+
+  /**
+   * Get the value of a Retry-After header telling a client when to come back
+   * A client over its limit is told when the next request is allowed (e.g. when the next token
+   * is back), or when the limit resets if that isn't known. A client within its limits (i.e.
+   * refused for another reason) is told to wait a whole window
+   * @returns {number} - Seconds to wait, at least 1
+   */
+  getRetryAfter() {
+    if (!this.exceeded) {
+      return Math.max(1, Math.ceil(this.windowSize / 1000));
+    }
+    if (this.retryAt) {
+      return Math.max(1, Math.ceil((this.retryAt.getTime() - this.checkedAt.getTime()) / 1000));
+    }
+    return Math.max(1, this.getSecondsUntilReset());
+  }
+
+  /**
+   * Calculate when the full limit will be available again
+   * @returns {Date} - Reset time, estimated if the counter didn't provide one
    */
   getEstimatedResetTime() {
+    if (this.resetAt) {
+      return this.resetAt;
+    }
     // This is an approximation since we don't know exactly when the window started
     return new Date(this.checkedAt.getTime() + this.windowSize);
   }
@@ -138,6 +210,7 @@ class RateLimitResult {
   toJSON() {
     return {
       exceeded: this.exceeded,
+      windowName: this.windowName,
       currentCount: this.currentCount,
       limit: this.limit,
       remaining: this.getRemainingRequests(),
@@ -179,14 +252,12 @@ class RateLimitResult {
       throw new Error('Cannot merge empty rate limit results');
     }
 
-    // Find the most restrictive result (any exceeded result takes precedence)
-    const exceededResult = results.find(r => r.exceeded);
-    if (exceededResult) {
-      return exceededResult;
-    }
+    // Exceeded results take precedence; among them (or among all, if none exceeded)
+    // the one with the highest usage percentage is the most restrictive
+    const exceededResults = results.filter(r => r.exceeded);
+    const candidates = exceededResults.length > 0 ? exceededResults : results;
 
-    // If none exceeded, return the one with highest usage percentage
-    return results.reduce((mostRestrictive, current) => {
+    return candidates.reduce((mostRestrictive, current) => {
       return current.getUsagePercentage() > mostRestrictive.getUsagePercentage() 
         ? current 
         : mostRestrictive;
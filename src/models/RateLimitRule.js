@@ -0,0 +1,112 @@
+const MATCH_TYPES = ['prefix', 'glob'];
+
+/**
+ * RateLimitRule - Domain model for a rate limit rule keyed by request path
+ * A rule either gives matching paths their own window and maximum, counted separately
+ * from the global windows, or excludes them from rate limiting altogether.
+ */
+class RateLimitRule {
+  constructor(id, pattern, matchType = 'prefix', windowSeconds = null, maxRequests = null, isExcluded = false, description = null) {
+    this.id = id;
+    this.pattern = pattern;
+    this.matchType = matchType;
+    this.windowSeconds = windowSeconds;
+    this.maxRequests = maxRequests;
+    this.isExcluded = isExcluded;
+    this.description = description;
+    this.regex = matchType === 'glob' ? RateLimitRule.globToRegExp(pattern) : null;
+  }
+
+  /**
+   * Create a RateLimitRule from a database row
+   * @param {Object} row - Database row object
+   * @returns {RateLimitRule} - RateLimitRule instance
+   */
+  static fromDatabase(row) {
+    return new RateLimitRule(
+      row.id,
+      row.pattern,
+      row.match_type || 'prefix',
+      row.window_seconds === null ? null : parseInt(row.window_seconds),
+      row.max_requests === null ? null : parseInt(row.max_requests),
+      row.is_excluded === 1 || row.is_excluded === true,
+      row.description
+    );
+  }
+
+  /**
+   * Convert a glob pattern to an anchored regular expression ('*' matches any characters)
+   * @param {string} pattern - Glob pattern
+   * @returns {RegExp} - Regular expression matching request paths
+   */
+  static globToRegExp(pattern) {
+    const escaped = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${escaped}$`);
+  }
+
+  /**
+   * Check if a match type is valid
+   * @param {string} matchType - Match type
+   * @returns {boolean} - True if the match type is prefix or glob
+   */
+  static isValidMatchType(matchType) {
+    return MATCH_TYPES.includes(matchType);
+  }
+
+  /**
+   * Check if the rule applies to a request path
+   * @param {string} path - Request path
+   * @returns {boolean} - True if the path matches the rule
+   */
+  matches(path) {
+    if (!path) return false;
+    return this.regex ? this.regex.test(path) : path.startsWith(this.pattern);
+  }
+
+  /**
+   * Get the rule's window size
+   * @returns {number} - Window size in milliseconds
+   */
+  getWindowSize() {
+    return this.windowSeconds * 1000;
+  }
+
+  /**
+   * Get the name under which the rule's counts are reported
+   * @returns {string} - Window name (e.g. 'rule:/blog/archive/*')
+   */
+  getWindowName() {
+    return `rule:${this.pattern}`;
+  }
+
+  /**
+   * Get how specific the rule is; when several rules match a path, the most specific wins
+   * @returns {number} - Pattern length, not counting wildcards
+   */
+  getSpecificity() {
+    return this.pattern.replace(/\*/g, '').length;
+  }
+
+  /**
+   * Convert to JSON for API responses
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      pattern: this.pattern,
+      matchType: this.matchType,
+      windowSeconds: this.windowSeconds,
+      maxRequests: this.maxRequests,
+      isExcluded: this.isExcluded,
+      description: this.description
+    };
+  }
+}
+
+RateLimitRule.MATCH_TYPES = MATCH_TYPES;
+
+module.exports = RateLimitRule;
@@ -3,7 +3,7 @@
  * Encapsulates all information about a request for logging and analysis
  */
 class RequestLog {
-  constructor(userId, userAgent, ipAddress, requestUrl, referrer = '', wasRedirected = false, blockReason = null) {
+  constructor(userId, userAgent, ipAddress, requestUrl, referrer = '', wasRedirected = false, blockReason = null, detectionScore = 0, detectionSignals = [], rateLimitCounts = {}, rateLimitSubnet = null, wouldBlock = false, wouldBlockReason = null, mazeDepth = null) {
     this.userId = userId;
     this.userAgent = userAgent;
     this.ipAddress = ipAddress;
@@ -11,6 +11,13 @@ class RequestLog {
     this.referrer = referrer;
     this.wasRedirected = wasRedirected;
     this.blockReason = blockReason;
+    this.detectionScore = detectionScore;
+    this.detectionSignals = detectionSignals;
+    this.rateLimitCounts = rateLimitCounts; // window name -> request count
+    this.rateLimitSubnet = rateLimitSubnet; // subnet CIDR, when the subnet rate limit fired
+    this.wouldBlock = wouldBlock; // shadow verdict, i.e. the verdict had no detector run in dry-run
+    this.wouldBlockReason = wouldBlockReason;
+    this.mazeDepth = mazeDepth; // depth of the requested link maze page, if it was one
     this.createdAt = new Date();
   }
 
@@ -21,14 +28,22 @@ class RequestLog {
    * @returns {RequestLog} - New request log instance
    */
   static fromDetectionResult(request, detectionResult) {
+    const subnetSignal = detectionResult.signals.find(signal => signal.name === 'subnet_rate_limit');
+    const shadowResult = detectionResult.getShadowResult();
     return new RequestLog(
       detectionResult.userId,
       request.userAgent,
       request.ipAddress,
       request.path || request.url,
       request.referrer || '',
-      detectionResult.shouldScramble,
-      detectionResult.redirectReason
+      detectionResult.isBlocked(),
+      detectionResult.redirectReason,
+      detectionResult.score,
+      detectionResult.signals.map(signal => signal.toJSON()),
+      {},
+      subnetSignal ? subnetSignal.details.subnet : null,
+      shadowResult.isBlocked(),
+      shadowResult.redirectReason
     );
   }
 
@@ -45,12 +60,57 @@ class RequestLog {
       row.request_url,
       row.referrer || '',
       Boolean(row.was_request_redirected),
-      row.block_reason
+      row.block_reason,
+      parseInt(row.detection_score) || 0,
+      RequestLog.parseSignals(row.detection_signals),
+      RequestLog.parseRateLimitCounts(row),
+      row.rate_limit_subnet || null,
+      Boolean(row.would_block),
+      row.would_block_reason || null,
+      row.maze_depth === null || row.maze_depth === undefined ? null : parseInt(row.maze_depth)
     );
     log.createdAt = new Date(row.created_at);
     return log;
   }
 
+  /**
+   * Parse the JSON-encoded detection signals stored with a log row
+   * @param {string|null} value - Stored JSON value
+   * @returns {Array<Object>} - Signals (empty if missing or unparseable)
+   */
+  static parseSignals(value) {
+    if (!value) return [];
+    try {
+      const signals = JSON.parse(value);
+      return Array.isArray(signals) ? signals : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Read the per-window request counts stored with a log row
+   * Rows logged before multi-window limits only carry the short and long counter columns
+   * @param {Object} row - Database row object
+   * @returns {Object} - Window name -> request count
+   */
+  static parseRateLimitCounts(row) {
+    if (row.rate_limit_counts) {
+      try {
+        const counts = JSON.parse(row.rate_limit_counts);
+        if (counts && typeof counts === 'object' && !Array.isArray(counts)) {
+          return counts;
+        }
+      } catch (error) {
+        // Fall back to the counter columns
+      }
+    }
+    return {
+      short: parseInt(row.request_count_short_counter) || 0,
+      long: parseInt(row.request_count_long_counter) || 0
+    };
+  }
+
   /**
    * Create an allowed request log
    * @param {string} userId - User ID
@@ -199,6 +259,14 @@ class RequestLog {
       this.referrer,
       this.wasRedirected ? 1 : 0,
       this.blockReason,
+      this.detectionScore,
+      JSON.stringify(this.detectionSignals),
+      this.rateLimitCounts.short || 0,
+      this.rateLimitCounts.long || 0,
+      JSON.stringify(this.rateLimitCounts),
+      this.rateLimitSubnet,
+      this.wouldBlock ? 1 : 0,
+      this.wouldBlockReason,
       this.createdAt.toISOString()
     ];
   }
@@ -216,6 +284,12 @@ class RequestLog {
       referrer: this.referrer,
       wasRedirected: this.wasRedirected,
       blockReason: this.blockReason,
+      detectionScore: this.detectionScore,
+      detectionSignals: this.detectionSignals,
+      rateLimitCounts: this.rateLimitCounts,
+      rateLimitSubnet: this.rateLimitSubnet,
+      wouldBlock: this.wouldBlock,
+      wouldBlockReason: this.wouldBlockReason,
       createdAt: this.createdAt.toISOString(),
       requestType: this.getRequestType(),
       userAgentType: this.getUserAgentType(),
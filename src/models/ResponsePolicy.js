@@ -0,0 +1,101 @@
+// Ways of answering a blocked request; 'default' scrambles or returns a 403 depending on the verdict
+const ACTIONS = ['default', 'scramble', 'redirect', 'forbidden', 'too_many_requests', 'empty', 'tarpit'];
+
+// Block reasons a policy can be set for, and the detection signals behind each of them
+const REASON_SIGNALS = {
+  scramble_parameter: ['scramble_parameter'],
+  bad_agent: ['bad_agent', 'unverified_bot'],
+  rate_limit: ['rate_limit', 'rate_limit_approaching', 'subnet_rate_limit'],
+  trap: ['trap_link', 'link_tag', 'robots_txt'],
+  ban: ['reputation']
+};
+
+// Reason used for blocks caused by any other signal (e.g. bad networks or header anomalies)
+const OTHER_REASON = 'other';
+
+const REASONS = [...Object.keys(REASON_SIGNALS), OTHER_REASON];
+
+/**
+ * ResponsePolicy - Domain model for how requests blocked for a given reason are answered
+ */
+class ResponsePolicy {
+  constructor(id, reason, action = 'default', redirectUrl = null, customPage = null) {
+    this.id = id;
+    this.reason = reason;
+    this.action = action;
+    this.redirectUrl = redirectUrl;
+    this.customPage = customPage; // HTML served with a 403, when set
+  }
+
+  /**
+   * Create a ResponsePolicy from a database row
+   * @param {Object} row - Database row object
+   * @returns {ResponsePolicy} - ResponsePolicy instance
+   */
+  static fromDatabase(row) {
+    return new ResponsePolicy(
+      row.id,
+      row.reason,
+      row.action || 'default',
+      row.redirect_url || null,
+      row.custom_page || null
+    );
+  }
+
+  /**
+   * Check if an action is supported
+   * @param {string} action - Action to check
+   * @returns {boolean} - True if the action is one of ACTIONS
+   */
+  static isValidAction(action) {
+    return ACTIONS.includes(action);
+  }
+
+  /**
+   * Check if a reason is one policies can be set for
+   * @param {string} reason - Reason to check
+   * @returns {boolean} - True if the reason is one of REASONS
+   */
+  static isValidReason(reason) {
+    return REASONS.includes(reason);
+  }
+
+  /**
+   * Get the block reason of a detection result
+   * The decisive signal settles it; otherwise the highest-scoring signal does
+   * @param {DetectionResult} detectionResult - Blocked detection result
+   * @returns {string} - One of REASONS
+   */
+  static reasonFor(detectionResult) {
+    const signal = detectionResult.getDecisiveSignal() ||
+      detectionResult.signals
+        .filter(candidate => candidate.score > 0)
+        .reduce((best, candidate) => (!best || candidate.score > best.score ? candidate : best), null);
+    if (!signal) {
+      return OTHER_REASON;
+    }
+
+    const reason = Object.keys(REASON_SIGNALS).find(key => REASON_SIGNALS[key].includes(signal.name));
+    return reason || OTHER_REASON;
+  }
+
+  /**
+   * Convert to JSON for API responses
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      reason: this.reason,
+      action: this.action,
+      redirectUrl: this.redirectUrl,
+      customPage: this.customPage
+    };
+  }
+}
+
+ResponsePolicy.ACTIONS = ACTIONS;
+ResponsePolicy.REASONS = REASONS;
+ResponsePolicy.REASON_SIGNALS = REASON_SIGNALS;
+
+module.exports = ResponsePolicy;
@@ -0,0 +1,89 @@
+/**
+ * TokenBucket - Constant-size rate limit state for one visitor
+ * The bucket holds up to `size` tokens and refills continuously at `refillRate` tokens per
+ * millisecond; every counted request takes a token. A full bucket allows a burst of `size`
+ * requests, after which requests are only allowed at the refill rate.
+ */
+class TokenBucket {
+  constructor(tokens, updatedAt = Date.now()) {
+    this.tokens = tokens;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Create a full bucket
+   * @param {Object} config - Bucket configuration { size, refillRate }
+   * @param {number} now - Current time in milliseconds
+   * @returns {TokenBucket} - Full bucket
+   */
+  static full(config, now = Date.now()) {
+    return new TokenBucket(config.size, now);
+  }
+
+  /**
+   * Add the tokens accrued since the last update
+   * @param {Object} config - Bucket configuration { size, refillRate (tokens per ms) }
+   * @param {number} now - Current time in milliseconds
+   * @returns {TokenBucket} - This bucket
+   */
+  refill(config, now = Date.now()) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(config.size, this.tokens + elapsed * config.refillRate);
+    this.updatedAt = now;
+    return this;
+  }
+
+  /**
+   * Check if a request can take a token
+   * @returns {boolean} - True if at least one whole token is left
+   */
+  hasToken() {
+    return this.tokens >= 1;
+  }
+
+  /**
+   * Take a token for a counted request
+   * A request counted without a token (e.g. with the rate limit weight set to 0) leaves the bucket empty
+   */
+  take() {
+    this.tokens = Math.max(0, this.tokens - 1);
+  }
+
+  /**
+   * Check if the bucket is back to its full size
+   * @param {Object} config - Bucket configuration { size, refillRate }
+   * @returns {boolean} - True if full
+   */
+  isFull(config) {
+    return this.tokens >= config.size;
+  }
+
+  /**
+   * Get the number of tokens used up (partially refilled tokens count as used)
+   * @param {Object} config - Bucket configuration { size, refillRate }
+   * @returns {number} - Used tokens
+   */
+  getUsedTokens(config) {
+    return Math.min(config.size, Math.ceil(config.size - this.tokens));
+  }
+
+  /**
+   * Get when the bucket will be full again
+   * @param {Object} config - Bucket configuration { size, refillRate }
+   * @returns {Date} - Time at which the full burst is available again
+   */
+  getFullAt(config) {
+    return new Date(this.updatedAt + Math.ceil((config.size - this.tokens) / config.refillRate));
+  }
+
+  /**
+   * Get when the bucket will hold a token again
+   * @param {Object} config - Bucket configuration { size, refillRate }
+   * @returns {Date} - Time at which the next request is allowed (the last refill if a token is left)
+   */
+  getNextTokenAt(config) {
+    return new Date(this.updatedAt + Math.ceil(Math.max(0, 1 - this.tokens) / config.refillRate));
+  }
+}
+
+module.exports = TokenBucket;
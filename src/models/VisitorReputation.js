@@ -0,0 +1,132 @@
+const STATES = {
+  SUSPECT: 'suspect',
+  BANNED: 'banned',
+  TRUSTED: 'trusted'
+};
+
+/**
+ * Parse a timestamp column that may come back as a Date (PostgreSQL) or a string (SQLite)
+ * @param {Date|string|null} value - Column value
+ * @returns {Date|null} - Parsed date or null
+ */
+function parseTimestamp(value) {
+  return value ? new Date(value) : null;
+}
+
+/**
+ * VisitorReputation - Domain model for the standing of a user ID or IP address
+ * A reputation entry carries a state, the reason it was set and when it expires.
+ * Entries without a user ID apply to every visitor from the IP address.
+ */
+class VisitorReputation {
+  constructor(id, userId, ipAddress, state, reason = null, offenseCount = 0, expiresAt = null, lastOffenseAt = null) {
+    this.id = id;
+    this.userId = userId;
+    this.ipAddress = ipAddress;
+    this.state = state;
+    this.reason = reason;
+    this.offenseCount = offenseCount;
+    this.expiresAt = expiresAt; // null means the entry never expires
+    this.lastOffenseAt = lastOffenseAt;
+    this.createdAt = new Date();
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Create a VisitorReputation from a database row
+   * @param {Object} row - Database row object
+   * @returns {VisitorReputation} - VisitorReputation instance
+   */
+  static fromDatabase(row) {
+    const reputation = new VisitorReputation(
+      row.id,
+      row.user_id,
+      row.ip_address,
+      row.state,
+      row.reason,
+      parseInt(row.offense_count) || 0,
+      parseTimestamp(row.expires_at),
+      parseTimestamp(row.last_offense_at)
+    );
+    reputation.createdAt = parseTimestamp(row.created_at) || reputation.createdAt;
+    reputation.updatedAt = parseTimestamp(row.updated_at) || reputation.updatedAt;
+    return reputation;
+  }
+
+  /**
+   * Check if a state name is valid
+   * @param {string} state - State name
+   * @returns {boolean} - True if the state is suspect, banned or trusted
+   */
+  static isValidState(state) {
+    return Object.values(STATES).includes(state);
+  }
+
+  /**
+   * Get the key used to cache the entry: its user ID, or its IP address for IP-wide entries
+   * @returns {string} - Cache key
+   */
+  getKey() {
+    return this.userId ? `user:${this.userId}` : `ip:${this.ipAddress}`;
+  }
+
+  /**
+   * Check if the entry's state is still in force
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - True if the entry has no expiry or expires in the future
+   */
+  isActive(now = Date.now()) {
+    return this.expiresAt === null || this.expiresAt.getTime() > now;
+  }
+
+  /**
+   * Get the state that currently applies to the visitor
+   * A lapsed ban leaves the visitor suspect for as long as the offense still counts
+   * @param {number} offenseWindow - How long offenses count towards escalation, in milliseconds
+   * @param {number} now - Current time in milliseconds
+   * @returns {string|null} - Effective state, or null once the entry no longer applies
+   */
+  getEffectiveState(offenseWindow, now = Date.now()) {
+    if (this.isActive(now)) {
+      return this.state;
+    }
+
+    if (this.state === STATES.BANNED && this.hasRecentOffense(offenseWindow, now)) {
+      return STATES.SUSPECT;
+    }
+    return null;
+  }
+
+  /**
+   * Check if the last offense still counts towards escalation
+   * @param {number} offenseWindow - How long offenses count, in milliseconds
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - True if the last offense is within the window
+   */
+  hasRecentOffense(offenseWindow, now = Date.now()) {
+    return this.lastOffenseAt !== null && this.lastOffenseAt.getTime() + offenseWindow > now;
+  }
+
+  /**
+   * Convert to JSON for API responses
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      ipAddress: this.ipAddress,
+      state: this.state,
+      reason: this.reason,
+      offenseCount: this.offenseCount,
+      expiresAt: this.expiresAt ? this.expiresAt.toISOString() : null,
+      lastOffenseAt: this.lastOffenseAt ? this.lastOffenseAt.toISOString() : null,
+      createdAt: this.createdAt.toISOString(),
+      updatedAt: this.updatedAt.toISOString()
+    };
+  }
+}
+
+VisitorReputation.STATES = STATES;
+
+module.exports = VisitorReputation;
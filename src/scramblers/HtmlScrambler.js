@@ -0,0 +1,167 @@
+const HtmlTokenizer = require('./HtmlTokenizer');
+
+// Elements whose text is kept: code, styles, scripts and embedded documents
+const DEFAULT_SKIP_ELEMENTS = ['script', 'style', 'pre', 'code', 'kbd', 'samp', 'var', 'textarea', 'svg', 'math', 'template'];
+
+// Attributes whose values are text meant for people
+const DEFAULT_ATTRIBUTES = ['title', 'alt', 'placeholder', 'aria-label'];
+
+// Meta tags (by name or property) whose content is scrambled: the description and the
+// OpenGraph and Twitter card text that previews and scrapers pick up
+const DEFAULT_META_NAMES = [
+  'description', 'keywords',
+  'og:title', 'og:description', 'og:site_name', 'og:image:alt',
+  'twitter:title', 'twitter:description', 'twitter:image:alt'
+];
+
+/**
+ * HtmlScrambler - Scrambles the text of HTML pages while keeping their markup
+ * The page is tokenized, so text inside skipped elements (code, scripts, styles) is kept while
+ * text nodes, the title, text attributes (title, alt, ...), description, OpenGraph and Twitter
+ * card meta tags and JSON-LD metadata are replaced with Markov output.
+ *
+ * Rules (all lists of lower-case names, see the SCRAMBLE_* environment variables):
+ * - skipElements: elements whose text and attributes are never scrambled
+ * - scrambleElements: when not empty, body text and attributes are only scrambled inside these
+ *   elements (e.g. 'article'); the title and metadata are always scrambled. HTML fragments
+ *   without a body, such as feed entries, are scrambled as a whole.
+ * - attributes: attributes whose values are scrambled
+ * - metaNames: meta tags, by name or property, whose content is scrambled
+ */
+class HtmlScrambler {
+  constructor(contentScrambler, rules = {}) {
+    this.contentScrambler = contentScrambler;
+    this.skipElements = new Set(rules.skipElements || DEFAULT_SKIP_ELEMENTS);
+    this.scrambleElements = new Set(rules.scrambleElements || []);
+    this.attributes = new Set(rules.attributes || DEFAULT_ATTRIBUTES);
+    this.metaNames = new Set(rules.metaNames || DEFAULT_META_NAMES);
+  }
+
+  /**
+   * Get the rules in effect
+   * @returns {Object} - { skipElements, scrambleElements, attributes, metaNames }
+   */
+  getRules() {
+    return {
+      skipElements: [...this.skipElements],
+      scrambleElements: [...this.scrambleElements],
+      attributes: [...this.attributes],
+      metaNames: [...this.metaNames]
+    };
+  }
+
+  /**
+   * Scramble an HTML document or fragment
+   * @param {string} html - HTML content
+   * @param {string} seed - Seed for deterministic scrambling
+   * @returns {string} - HTML with scrambled text
+   */
+  scramble(html, seed) {
+    const isFragment = !/<(html|body)[\s>]/i.test(html);
+    const openElements = []; // start tag tokens of the elements around the current token
+    let blockIndex = 0;
+
+    return HtmlTokenizer.tokenize(html).map(token => {
+      if (token.type === 'start') {
+        const scrambled = this.scrambleTag(token, openElements, isFragment, `${seed}_tag_${blockIndex++}`);
+        if (!token.selfClosing && !HtmlTokenizer.isVoidElement(token.name)) {
+          openElements.push(token);
+        }
+        return scrambled;
+      }
+
+      if (token.type === 'end') {
+        // Close the element and any element left open inside it
+        const index = openElements.map(element => element.name).lastIndexOf(token.name);
+        if (index !== -1) openElements.length = index;
+        return token.raw;
+      }
+
+      if (token.type === 'text') {
+        return this.scrambleTextToken(token, openElements, isFragment, seed + '_block_' + (blockIndex++).toString() + '_' + token.raw.length.toString());
+      }
+
+      return token.raw;
+    }).join('');
+  }
+
+  /**
+   * Scramble a text token according to the elements around it
+   * @param {Object} token - Text token
+   * @param {Object[]} openElements - Start tags of the elements around the token
+   * @param {boolean} isFragment - Whether the HTML being scrambled has no body
+   * @param {string} seed - Seed for deterministic scrambling
+   * @returns {string} - Scrambled text
+   */
+  scrambleTextToken(token, openElements, isFragment, seed) {
+    const parent = openElements[openElements.length - 1];
+
+    if (parent && parent.name === 'script' && /^\s*application\/ld\+json\s*$/i.test(parent.attributes.get('type') || '')) {
+      return this.scrambleJsonLd(token.raw, seed);
+    }
+    const isSkipped = openElements.some(element => this.skipElements.has(element.name));
+    if (parent && parent.name === 'title' && !isSkipped) {
+      return this.contentScrambler.scrambleText(token.raw, seed);
+    }
+    if (token.rawText || !this.isInScope(openElements, isFragment)) {
+      return token.raw;
+    }
+    return this.contentScrambler.scrambleText(token.raw, seed);
+  }
+
+  /**
+   * Scramble the text attributes of a start tag, and the content of description and card meta tags
+   * @param {Object} token - Start tag token
+   * @param {Object[]} openElements - Start tags of the elements around the tag
+   * @param {boolean} isFragment - Whether the HTML being scrambled has no body
+   * @param {string} seed - Seed for deterministic scrambling
+   * @returns {string} - Source of the scrambled tag
+   */
+  scrambleTag(token, openElements, isFragment, seed) {
+    if (token.name === 'meta') {
+      const metaName = (token.attributes.get('name') || token.attributes.get('property') || '').toLowerCase();
+      if (!this.metaNames.has(metaName)) return token.raw;
+      return HtmlTokenizer.rewriteAttributes(token, (name, value) => {
+        return name === 'content' ? this.contentScrambler.scrambleText(value, `${seed}_${metaName}`) : undefined;
+      });
+    }
+
+    if (this.skipElements.has(token.name) || !this.isInScope([...openElements, token], isFragment)) {
+      return token.raw;
+    }
+    return HtmlTokenizer.rewriteAttributes(token, (name, value) => {
+      return this.attributes.has(name) ? this.contentScrambler.scrambleText(value, `${seed}_${name}`) : undefined;
+    });
+  }
+
+  /**
+   * Check if text within some elements is scrambled: it isn't inside a skipped element, and it is
+   * inside one of the scrambled elements when those are restricted
+   * @param {Object[]} openElements - Start tags of the elements around the text
+   * @param {boolean} isFragment - Whether the HTML being scrambled has no body
+   * @returns {boolean} - True if the text should be scrambled
+   */
+  isInScope(openElements, isFragment) {
+    if (openElements.some(element => this.skipElements.has(element.name))) return false;
+    if (this.scrambleElements.size === 0 || isFragment) return true;
+    return openElements.some(element => this.scrambleElements.has(element.name));
+  }
+
+  /**
+   * Scramble the JSON-LD metadata of a page; invalid JSON is kept as it is
+   * @param {string} content - Content of the script element
+   * @param {string} seed - Seed for deterministic scrambling
+   * @returns {string} - Scrambled JSON-LD
+   */
+  scrambleJsonLd(content, seed) {
+    const [, leading, json, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    try {
+      JSON.parse(json);
+    } catch (error) {
+      return content;
+    }
+    return leading + this.contentScrambler.formatScramblers.json.scramble(json, seed) + trailing;
+  }
+}
+
+module.exports = HtmlScrambler;
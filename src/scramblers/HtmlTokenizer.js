@@ -0,0 +1,154 @@
+// Elements whose content is text up to their closing tag, never markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes']);
+
+// Elements that never have content or a closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Start and end tags; attribute values may contain '>' when quoted
+const START_TAG_PATTERN = /<([A-Za-z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/y;
+const END_TAG_PATTERN = /<\/([A-Za-z][^\s/>]*)[^>]*>/y;
+
+// Attributes of a start tag: name, then an optional double-quoted, single-quoted or unquoted value
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/**
+ * HtmlTokenizer - Splits HTML into tags, text, comments and doctypes, keeping every token's source
+ * Joining the raw source of the tokens gives back the original document. The content of script,
+ * style, title and the other raw text elements is a single text token, even if it looks like markup.
+ */
+class HtmlTokenizer {
+  /**
+   * Split HTML into tokens
+   * @param {string} html - HTML document or fragment
+   * @returns {Object[]} - Tokens { type ('start', 'end', 'text' or 'other'), raw, ... }; start tags also have
+   *   name (lower case), tagName, attributeText, attributes (Map of lower-case name -> value) and selfClosing,
+   *   end tags have name, and text tokens inside raw text elements have rawText set
+   */
+  static tokenize(html) {
+    const tokens = [];
+    let position = 0;
+
+    const pushText = (text) => {
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === 'text' && !last.rawText) {
+        last.raw += text;
+      } else {
+        tokens.push({ type: 'text', raw: text });
+      }
+    };
+
+    while (position < html.length) {
+      if (html.startsWith('<!--', position)) {
+        const end = html.indexOf('-->', position + 4);
+        const next = end === -1 ? html.length : end + 3;
+        tokens.push({ type: 'other', raw: html.slice(position, next) });
+        position = next;
+        continue;
+      }
+
+      if (html.startsWith('<!', position) || html.startsWith('<?', position)) {
+        const end = html.indexOf('>', position);
+        const next = end === -1 ? html.length : end + 1;
+        tokens.push({ type: 'other', raw: html.slice(position, next) });
+        position = next;
+        continue;
+      }
+
+      START_TAG_PATTERN.lastIndex = position;
+      const startTag = html[position] === '<' ? START_TAG_PATTERN.exec(html) : null;
+      if (startTag) {
+        const token = HtmlTokenizer.createStartTag(startTag[0], startTag[1], startTag[2]);
+        tokens.push(token);
+        position += startTag[0].length;
+
+        if (RAW_TEXT_ELEMENTS.has(token.name) && !token.selfClosing) {
+          const closing = new RegExp(`</${token.name}[\\s/>]`, 'ig');
+          closing.lastIndex = position;
+          const match = closing.exec(html);
+          const end = match ? match.index : html.length;
+          if (end > position) {
+            tokens.push({ type: 'text', raw: html.slice(position, end), rawText: true });
+          }
+          position = end;
+        }
+        continue;
+      }
+
+      END_TAG_PATTERN.lastIndex = position;
+      const endTag = html[position] === '<' ? END_TAG_PATTERN.exec(html) : null;
+      if (endTag) {
+        tokens.push({ type: 'end', raw: endTag[0], name: endTag[1].toLowerCase() });
+        position += endTag[0].length;
+        continue;
+      }
+
+      // Text up to the next tag; a '<' that doesn't start a tag is text too
+      const next = html.indexOf('<', position + 1);
+      const end = next === -1 ? html.length : next;
+      pushText(html.slice(position, end));
+      position = end;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Create a start tag token
+   * @param {string} raw - Source of the tag
+   * @param {string} tagName - Tag name as written
+   * @param {string} attributeText - Source of the attributes, up to the closing '>'
+   * @returns {Object} - Start tag token
+   */
+  static createStartTag(raw, tagName, attributeText) {
+    const attributes = new Map();
+    for (const match of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+      const name = match[1].toLowerCase();
+      if (!attributes.has(name)) {
+        attributes.set(name, match[3] ?? match[4] ?? match[5] ?? '');
+      }
+    }
+
+    return {
+      type: 'start',
+      raw,
+      name: tagName.toLowerCase(),
+      tagName,
+      attributeText,
+      attributes,
+      selfClosing: /\/\s*$/.test(attributeText)
+    };
+  }
+
+  /**
+   * Rewrite the values of some attributes of a start tag
+   * @param {Object} token - Start tag token
+   * @param {Function} rewrite - (name, value) => new value, or undefined to keep the attribute as it is
+   * @returns {string} - Source of the rewritten tag
+   */
+  static rewriteAttributes(token, rewrite) {
+    const attributeText = token.attributeText.replace(ATTRIBUTE_PATTERN, (match, name, equals, doubleQuoted, singleQuoted, unquoted) => {
+      if (!equals) return match;
+
+      const value = doubleQuoted ?? singleQuoted ?? unquoted;
+      const rewritten = rewrite(name.toLowerCase(), value);
+      if (rewritten === undefined || rewritten === value) return match;
+
+      const quote = singleQuoted !== undefined ? "'" : '"';
+      return `${name}${equals}${quote}${rewritten.split(quote).join(quote === '"' ? '&quot;' : '&#39;')}${quote}`;
+    });
+    return `<${token.tagName}${attributeText}>`;
+  }
+
+  /**
+   * Check if an element never has content or a closing tag
+   * @param {string} name - Element name (lower case)
+   * @returns {boolean} - True for void elements
+   */
+  static isVoidElement(name) {
+    return VOID_ELEMENTS.has(name);
+  }
+}
+
+module.exports = HtmlTokenizer;
@@ -0,0 +1,165 @@
+const SeededRandom = require('../../seeded-random');
+
+// Keys of values that describe a document or item, where an added sentence reads naturally
+const DESCRIPTION_KEYS = /^(description|summary|content|content_html|content_text|body|text|abstract|excerpt)$/i;
+
+/**
+ * JsonScrambler - Scrambles JSON documents (APIs, JSON feeds) while keeping their structure
+ * Keys, numbers and booleans are kept; string values made of words are replaced with Markov
+ * output. Strings that look like URLs, paths, dates, email addresses or identifiers are kept,
+ * so that the document still parses and links the same way.
+ */
+class JsonScrambler {
+  constructor(contentScrambler) {
+    this.contentScrambler = contentScrambler;
+  }
+
+  /**
+   * Scramble a JSON document
+   * Documents that don't parse are scrambled as plain text
+   * @param {string} content - JSON content
+   * @param {string} seed - Seed for deterministic scrambling
+   * @returns {string} - JSON with scrambled string values
+   */
+  scramble(content, seed) {
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch (error) {
+      return this.contentScrambler.scrambleText(content, seed);
+    }
+
+    return JsonScrambler.stringify(this.scrambleValue(value, seed), content);
+  }
+
+  /**
+   * Serialize a JSON value the way the original document was formatted
+   * @param {*} value - JSON value
+   * @param {string} original - Original document, whose indentation and final line break are kept
+   * @returns {string} - JSON document
+   */
+  static stringify(value, original) {
+    const indentation = original.match(/\n([ \t]+)["{[\]}\d-]/);
+    const json = JSON.stringify(value, null, indentation ? indentation[1] : undefined);
+    return original.endsWith('\n') ? json + '\n' : json;
+  }
+
+  /**
+   * Add a sentence to a scrambled JSON document, in its first description-like prose value
+   * (description, summary, content, ...) or else its first prose value
+   * @param {string} content - Scrambled JSON
+   * @param {string} sentence - Sentence to add
+   * @returns {string} - JSON with the sentence, or as it was if it has no prose value
+   */
+  addSentence(content, sentence) {
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch (error) {
+      // Documents that don't parse were scrambled as plain text
+      return this.contentScrambler.formatScramblers.text.addSentence(content, sentence);
+    }
+
+    const paths = JsonScrambler.findProse(value);
+    const target = paths.find(path => DESCRIPTION_KEYS.test(String(path[path.length - 1]))) || paths[0];
+    if (!target) return content;
+
+    if (target.length === 0) {
+      return JsonScrambler.stringify(this.contentScrambler.addSentenceToText(value, sentence), content);
+    }
+    const parent = target.slice(0, -1).reduce((item, key) => item[key], value);
+    const key = target[target.length - 1];
+    parent[key] = this.contentScrambler.addSentenceToText(parent[key], sentence);
+    return JsonScrambler.stringify(value, content);
+  }
+
+  /**
+   * Find the prose string values of a JSON value, in document order
+   * @param {*} value - Parsed JSON value
+   * @param {Array} path - Keys and indexes leading to the value
+   * @returns {Array[]} - Paths of the prose values
+   */
+  static findProse(value, path = []) {
+    if (Array.isArray(value)) {
+      return value.flatMap((item, index) => JsonScrambler.findProse(item, [...path, index]));
+    }
+    if (value && typeof value === 'object') {
+      return Object.entries(value).flatMap(([key, item]) => JsonScrambler.findProse(item, [...path, key]));
+    }
+    return typeof value === 'string' && JsonScrambler.isProse(value) ? [path] : [];
+  }
+
+  /**
+   * Scramble the strings of a JSON value, recursively
+   * @param {*} value - Parsed JSON value
+   * @param {string} seed - Seed for deterministic scrambling, unique to the value's position
+   * @returns {*} - Value with scrambled strings
+   */
+  scrambleValue(value, seed) {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.scrambleValue(item, `${seed}_${index}`));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        result[key] = this.scrambleValue(item, `${seed}_${key}`);
+      }
+      return result;
+    }
+    if (typeof value === 'string' && JsonScrambler.isProse(value)) {
+      // JSON feeds carry post bodies as HTML
+      return /<[a-z][^>]*>/i.test(value)
+        ? this.contentScrambler.scrambleHtmlContent(value, seed)
+        : this.contentScrambler.scrambleText(value, seed);
+    }
+    return value;
+  }
+
+  /**
+   * Check if a string value is text meant for people rather than a URL, date or identifier
+   * @param {string} value - String value
+   * @returns {boolean} - True if the value should be scrambled
+   */
+  static isProse(value) {
+    const text = value.trim();
+
+    // Single tokens are identifiers, slugs, hashes, URLs, paths or email addresses
+    if (!/\s/.test(text)) return false;
+    if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(text)) return false;
+    if (/\d/.test(text) && !isNaN(Date.parse(text))) return false;
+    return /[a-z]{2,}/i.test(text);
+  }
+
+  /**
+   * Create a JSON document for a path without a file
+   * @param {string} format - Format of the document ('json')
+   * @param {string} requestPath - The requested path
+   * @param {string} seed - Seed for deterministic content
+   * @param {Object[]} links - Generated links to list as items { title, url }
+   * @returns {string} - JSON document
+   */
+  createDefault(format, requestPath, seed, links) {
+    const seededRandom = new SeededRandom(seed + '_json');
+    const markovChain = this.contentScrambler.markovChain;
+
+    const titleWords = markovChain.generateWords(seededRandom.randomInt(3, 8), seed + '_title');
+    const descriptionWords = markovChain.generateWords(seededRandom.randomInt(15, 30), seed + '_description');
+
+    const document = {
+      title: this.contentScrambler.formatSentences(titleWords).replace(/\.$/, ''),
+      description: this.contentScrambler.formatSentences(descriptionWords),
+      items: links.map((link, i) => ({
+        id: link.url,
+        url: link.url,
+        title: link.title,
+        summary: this.contentScrambler.formatSentences(
+          markovChain.generateWords(seededRandom.randomInt(15, 40), seed + '_summary_' + i)
+        )
+      }))
+    };
+
+    return JSON.stringify(document, null, 2) + '\n';
+  }
+}
+
+module.exports = JsonScrambler;
@@ -0,0 +1,194 @@
+const HtmlTokenizer = require('./HtmlTokenizer');
+
+// Ways to find the article body of a blog page, most specific first
+const CONTENT_SELECTORS = [
+  token => token.name === 'main',
+  token => token.name === 'article',
+  token => token.attributes.get('role') === 'main',
+  token => PageTemplate.hasClass(token, ['post-content', 'entry-content', 'article-content', 'post-body', 'entry']),
+  token => PageTemplate.hasClass(token, ['post', 'content'])
+];
+
+// Meta tags whose content describes the page the layout was taken from, and the placeholder replacing it
+const META_PLACEHOLDERS = {
+  'description': '{{description}}',
+  'og:description': '{{description}}',
+  'twitter:description': '{{description}}',
+  'og:title': '{{title}}',
+  'twitter:title': '{{title}}',
+  'og:url': '{{url}}'
+};
+
+// Separators between the page name and the site name in a page title (e.g. 'About | My Blog')
+const TITLE_SEPARATOR = /\s[|\-–—·:]\s/;
+
+/**
+ * PageTemplate - Layout that default scrambled pages are rendered in, so they look like the blog's own pages
+ * A template is HTML with {{title}}, {{description}}, {{url}} and {{content}} placeholders. It is
+ * either a configured template file or extracted from a blog page: the article body is replaced
+ * with {{content}}, while the header, navigation, footer, styles and scripts are kept.
+ */
+class PageTemplate {
+  constructor(html) {
+    this.html = html;
+  }
+
+  /**
+   * Create a template from a template file
+   * @param {string} html - Template HTML with placeholders
+   * @returns {PageTemplate|null} - Template, or null if it has no {{content}} placeholder
+   */
+  static fromTemplate(html) {
+    return html && html.includes('{{content}}') ? new PageTemplate(html) : null;
+  }
+
+  /**
+   * Extract the layout of a blog page
+   * @param {string} html - Blog page
+   * @returns {PageTemplate|null} - Template, or null if the page has no recognizable article body
+   */
+  static fromPage(html) {
+    if (!html) return null;
+
+    const tokens = HtmlTokenizer.tokenize(html);
+    const elements = PageTemplate.mapElements(tokens);
+    const region = PageTemplate.findContentRegion(tokens, elements);
+    if (!region) return null;
+
+    const output = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (i === region.start) {
+        output.push(`${token.raw}{{content}}</${token.tagName}>`);
+        i = region.end;
+        continue;
+      }
+
+      const parent = elements.parents[i] !== -1 ? tokens[elements.parents[i]] : null;
+      if (token.type === 'text' && parent && parent.name === 'title') {
+        const siteName = token.raw.trim().split(TITLE_SEPARATOR).pop();
+        output.push(siteName ? `{{title}} - ${siteName}` : '{{title}}');
+      } else if (token.type === 'start' && (token.name === 'meta' || token.name === 'link')) {
+        output.push(PageTemplate.replaceMetadata(token));
+      } else {
+        output.push(token.raw);
+      }
+    }
+
+    return new PageTemplate(output.join(''));
+  }
+
+  /**
+   * Find the parent and the closing token of every element of a page
+   * @param {Object[]} tokens - Tokens of the page
+   * @returns {Object} - { parents: token index -> index of the parent's start tag (-1 at the top level),
+   *   ends: start tag index -> index of the element's last token }
+   */
+  static mapElements(tokens) {
+    const parents = new Array(tokens.length).fill(-1);
+    const ends = new Map();
+    const open = []; // start tag indexes
+
+    tokens.forEach((token, index) => {
+      parents[index] = open.length > 0 ? open[open.length - 1] : -1;
+
+      if (token.type === 'start' && !token.selfClosing && !HtmlTokenizer.isVoidElement(token.name)) {
+        open.push(index);
+      } else if (token.type === 'start') {
+        ends.set(index, index);
+      } else if (token.type === 'end') {
+        const at = open.map(start => tokens[start].name).lastIndexOf(token.name);
+        if (at === -1) return;
+
+        // Elements left open inside the closed one end just before it
+        for (const start of open.splice(at + 1)) {
+          ends.set(start, index - 1);
+        }
+        ends.set(open.pop(), index);
+      }
+    });
+
+    for (const start of open) {
+      ends.set(start, tokens.length - 1);
+    }
+    return { parents, ends };
+  }
+
+  /**
+   * Find the tokens of the article body: the first element matching the most specific selector,
+   * up to the last sibling matching it too (e.g. all the posts of a list)
+   * @param {Object[]} tokens - Tokens of the page
+   * @param {Object} elements - Parents and ends of the elements, see mapElements
+   * @returns {Object|null} - { start, end } token indexes, or null if no element matches
+   */
+  static findContentRegion(tokens, elements) {
+    for (const selector of CONTENT_SELECTORS) {
+      const first = tokens.findIndex(token => token.type === 'start' && selector(token));
+      if (first === -1) continue;
+
+      let end = elements.ends.get(first);
+      for (let i = end + 1; i < tokens.length; i++) {
+        if (elements.parents[i] === elements.parents[first] && tokens[i].type === 'start' && selector(tokens[i])) {
+          end = elements.ends.get(i);
+          i = end;
+        }
+      }
+      return { start: first, end };
+    }
+    return null;
+  }
+
+  /**
+   * Replace the content of meta tags and canonical links describing the page the layout was taken from
+   * @param {Object} token - Meta or link start tag
+   * @returns {string} - Source of the tag, with placeholders where the page was described
+   */
+  static replaceMetadata(token) {
+    if (token.name === 'link') {
+      if ((token.attributes.get('rel') || '').toLowerCase() !== 'canonical') return token.raw;
+      return HtmlTokenizer.rewriteAttributes(token, name => (name === 'href' ? '{{url}}' : undefined));
+    }
+
+    const metaName = (token.attributes.get('name') || token.attributes.get('property') || '').toLowerCase();
+    const placeholder = META_PLACEHOLDERS[metaName];
+    if (!placeholder) return token.raw;
+    return HtmlTokenizer.rewriteAttributes(token, name => (name === 'content' ? placeholder : undefined));
+  }
+
+  /**
+   * Check if a start tag has one of some classes
+   * @param {Object} token - Start tag token
+   * @param {string[]} classNames - Classes to look for
+   * @returns {boolean} - True if the element has one of the classes
+   */
+  static hasClass(token, classNames) {
+    const classes = (token.attributes.get('class') || '').split(/\s+/);
+    return classNames.some(className => classes.includes(className));
+  }
+
+  /**
+   * Check if the layout already has a top-level heading, so the article title should be an h2
+   * @returns {boolean} - True if the layout contains an h1 element
+   */
+  hasHeading() {
+    return /<h1[\s>]/i.test(this.html);
+  }
+
+  /**
+   * Render a page
+   * @param {Object} page - { title, description, url, content (HTML) }
+   * @returns {string} - HTML page
+   */
+  render(page) {
+    const escape = (text) => String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    return this.html
+      .split('{{title}}').join(escape(page.title))
+      .split('{{description}}').join(escape(page.description))
+      .split('{{url}}').join(escape(page.url))
+      .split('{{content}}').join(page.content);
+  }
+}
+
+module.exports = PageTemplate;
@@ -0,0 +1,94 @@
+const SeededRandom = require('../../seeded-random');
+
+// URLs and email addresses, kept as they are in scrambled text
+const URL_PATTERN = /((?:[a-z][a-z0-9+.-]*:\/\/|mailto:)\S+|[\w.+-]+@[\w-]+\.[\w.-]+)/gi;
+
+// Blank lines separating paragraphs
+const PARAGRAPH_SEPARATOR = /(\n[ \t]*\n)/;
+
+// Stands for a kept URL while its paragraph is scrambled; never part of a word
+const URL_PLACEHOLDER = '\uE000';
+
+/**
+ * TextScrambler - Scrambles plain text files paragraph by paragraph
+ * Each paragraph is replaced with one Markov sequence of as many words, seeded by its position,
+ * like a text node of an HTML page. Line breaks, indentation, punctuation, URLs and email
+ * addresses are kept, so lists, headings and link collections keep their layout.
+ */
+class TextScrambler {
+  constructor(contentScrambler) {
+    this.contentScrambler = contentScrambler;
+  }
+
+  /**
+   * Scramble a plain text document
+   * @param {string} content - Text content
+   * @param {string} seed - Seed for deterministic scrambling
+   * @returns {string} - Scrambled text
+   */
+  scramble(content, seed) {
+    return content.split(PARAGRAPH_SEPARATOR).map((paragraph, index) => {
+      // Odd parts are the blank lines the content was split on
+      if (index % 2 === 1) return paragraph;
+      return this.scrambleParagraph(paragraph, `${seed}_paragraph_${index / 2}`);
+    }).join('');
+  }
+
+  /**
+   * Scramble a paragraph as one text, keeping its URLs and email addresses
+   * @param {string} paragraph - Paragraph, possibly spanning several lines
+   * @param {string} seed - Seed for deterministic scrambling, unique to the paragraph
+   * @returns {string} - Scrambled paragraph with as many words
+   */
+  scrambleParagraph(paragraph, seed) {
+    const urls = paragraph.match(URL_PATTERN) || [];
+    const scrambled = this.contentScrambler.scrambleText(paragraph.replace(URL_PATTERN, URL_PLACEHOLDER), seed);
+
+    let urlIndex = 0;
+    return scrambled.replace(new RegExp(URL_PLACEHOLDER, 'g'), () => urls[urlIndex++]);
+  }
+
+  /**
+   * Add a sentence to a scrambled text document, as a paragraph of its own after the first one
+   * @param {string} content - Scrambled text
+   * @param {string} sentence - Sentence to add
+   * @returns {string} - Text with the sentence
+   */
+  addSentence(content, sentence) {
+    const paragraphEnd = content.indexOf('\n\n');
+    if (paragraphEnd !== -1) {
+      return `${content.slice(0, paragraphEnd)}\n\n${sentence}${content.slice(paragraphEnd)}`;
+    }
+    return `${content.trimEnd()}\n\n${sentence}\n`;
+  }
+
+  /**
+   * Create a plain text document for a path without a file
+   * @param {string} format - Format of the document ('text')
+   * @param {string} requestPath - The requested path
+   * @param {string} seed - Seed for deterministic content
+   * @param {Object[]} links - Generated links to list at the end { title, url }
+   * @returns {string} - Text document
+   */
+  createDefault(format, requestPath, seed, links) {
+    const seededRandom = new SeededRandom(seed + '_text');
+    const markovChain = this.contentScrambler.markovChain;
+
+    const title = this.contentScrambler.formatSentences(
+      markovChain.generateWords(seededRandom.randomInt(3, 8), seed + '_title')
+    ).replace(/\.$/, '');
+    const paragraphs = [];
+    const paragraphCount = seededRandom.randomInt(3, 12);
+
+    for (let i = 0; i < paragraphCount; i++) {
+      const contentWords = markovChain.generateWords(seededRandom.randomInt(15, 30), seed + '_content_' + i);
+      paragraphs.push(this.contentScrambler.formatSentences(contentWords));
+    }
+
+    const linkLines = links.map(link => `- ${link.title}: ${link.url}`);
+
+    return `${title}\n${'='.repeat(title.length)}\n\n${paragraphs.join('\n\n')}\n\nRelated Articles\n\n${linkLines.join('\n')}\n`;
+  }
+}
+
+module.exports = TextScrambler;
@@ -0,0 +1,199 @@
+const SeededRandom = require('../../seeded-random');
+
+// Elements whose text is data rather than prose: links, identifiers, dates and feed metadata
+const SKIPPED_ELEMENTS = new Set([
+  'link', 'guid', 'id', 'uri', 'url', 'loc', 'email',
+  'pubdate', 'lastbuilddate', 'updated', 'published', 'date', 'lastmod', 'changefreq', 'priority',
+  'language', 'generator', 'docs', 'ttl', 'icon', 'logo', 'enclosure'
+]);
+
+// Elements describing a feed or entry, where an added sentence reads naturally
+const DESCRIPTION_ELEMENTS = new Set(['description', 'summary', 'content', 'encoded', 'subtitle']);
+
+// Markup tokens of an XML document, in order: CDATA sections, comments, processing
+// instructions and doctypes, tags (with their name captured), and text
+const TOKEN_PATTERN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<(\/?)([A-Za-z_][\w:.-]*)[^>]*?(\/?)>|([^<]+)/g;
+
+/**
+ * XmlScrambler - Scrambles XML documents: RSS and Atom feeds, sitemaps and generic XML
+ * Elements, attributes and data elements (links, GUIDs, dates, sitemap fields) are kept; the
+ * text of the other elements is replaced with Markov output. Entry bodies carried as HTML,
+ * either in CDATA sections or entity-escaped, are scrambled as HTML.
+ */
+class XmlScrambler {
+  constructor(contentScrambler) {
+    this.contentScrambler = contentScrambler;
+  }
+
+  /**
+   * Scramble an XML document
+   * @param {string} content - XML content
+   * @param {string} seed - Seed for deterministic scrambling
+   * @returns {string} - XML with scrambled text
+   */
+  scramble(content, seed) {
+    const elements = []; // names of the open elements
+    let textIndex = 0;
+
+    return content.replace(TOKEN_PATTERN, (token, cdata, closing, name, selfClosing, text) => {
+      if (name) {
+        if (closing) {
+          elements.pop();
+        } else if (!selfClosing) {
+          elements.push(name.toLowerCase().replace(/^.*:/, ''));
+        }
+        return token;
+      }
+
+      const parent = elements[elements.length - 1];
+      if (!parent || SKIPPED_ELEMENTS.has(parent)) return token;
+
+      const textSeed = `${seed}_xml_${textIndex++}`;
+      if (cdata !== undefined) {
+        const scrambled = /<[a-z][^>]*>/i.test(cdata)
+          ? this.contentScrambler.scrambleHtmlContent(cdata, textSeed)
+          : this.contentScrambler.scrambleText(cdata, textSeed);
+        return `<![CDATA[${scrambled}]]>`;
+      }
+      if (text !== undefined && text.trim()) {
+        // Entity-escaped HTML (common in RSS descriptions)
+        if (/&lt;[a-z]/i.test(text)) {
+          return XmlScrambler.escape(this.contentScrambler.scrambleHtmlContent(XmlScrambler.unescape(text), textSeed));
+        }
+        return this.contentScrambler.scrambleText(text, textSeed);
+      }
+      return token;
+    });
+  }
+
+  /**
+   * Add a sentence to a scrambled XML document, in its first description (description, summary,
+   * content, ...) or else the first text of an element that is scrambled
+   * @param {string} content - Scrambled XML
+   * @param {string} sentence - Sentence to add
+   * @returns {string} - XML with the sentence, or as it was if it has no scrambled text (e.g. sitemaps)
+   */
+  addSentence(content, sentence) {
+    const elements = []; // names of the open elements
+    let target = null;
+
+    for (const match of content.matchAll(TOKEN_PATTERN)) {
+      const [, cdata, closing, name, selfClosing, text] = match;
+      if (name) {
+        if (closing) {
+          elements.pop();
+        } else if (!selfClosing) {
+          elements.push(name.toLowerCase().replace(/^.*:/, ''));
+        }
+        continue;
+      }
+
+      const parent = elements[elements.length - 1];
+      if (!parent || SKIPPED_ELEMENTS.has(parent)) continue;
+      if (cdata === undefined && (text === undefined || !text.trim())) continue;
+
+      if (DESCRIPTION_ELEMENTS.has(parent)) {
+        target = match;
+        break;
+      }
+      target = target || match;
+    }
+    if (!target) return content;
+
+    const [token, cdata, , , , text] = target;
+    let replacement;
+    if (cdata !== undefined) {
+      replacement = `<![CDATA[${this.contentScrambler.addSentenceToText(cdata, sentence)}]]>`;
+    } else if (/&lt;[a-z]/i.test(text)) {
+      replacement = XmlScrambler.escape(this.contentScrambler.addSentenceToText(XmlScrambler.unescape(text), sentence));
+    } else {
+      replacement = this.contentScrambler.addSentenceToText(text, XmlScrambler.escape(sentence));
+    }
+    return content.slice(0, target.index) + replacement + content.slice(target.index + token.length);
+  }
+
+  /**
+   * Create an XML document for a path without a file: an Atom feed, a sitemap or an RSS feed
+   * @param {string} format - Format of the document ('rss', 'atom', 'sitemap' or 'xml')
+   * @param {string} requestPath - The requested path
+   * @param {string} seed - Seed for deterministic content
+   * @param {Object[]} links - Generated links to list as entries { title, url }
+   * @returns {string} - XML document
+   */
+  createDefault(format, requestPath, seed, links) {
+    if (format === 'sitemap') {
+      const urls = links.map(link => `  <url>\n    <loc>${XmlScrambler.escape(link.url)}</loc>\n  </url>`);
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+    }
+
+    const seededRandom = new SeededRandom(seed + '_feed');
+    const markovChain = this.contentScrambler.markovChain;
+    const title = XmlScrambler.escape(this.contentScrambler.formatSentences(
+      markovChain.generateWords(seededRandom.randomInt(3, 8), seed + '_title')
+    ).replace(/\.$/, ''));
+    const summaries = links.map((link, i) => XmlScrambler.escape(this.contentScrambler.formatSentences(
+      markovChain.generateWords(seededRandom.randomInt(15, 40), seed + '_summary_' + i)
+    )));
+    const updated = new Date().toISOString();
+
+    if (format === 'atom') {
+      const entries = links.map((link, i) => `  <entry>
+    <title>${XmlScrambler.escape(link.title)}</title>
+    <link href="${XmlScrambler.escape(link.url)}"/>
+    <id>${XmlScrambler.escape(link.url)}</id>
+    <updated>${updated}</updated>
+    <summary>${summaries[i]}</summary>
+  </entry>`);
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${title}</title>
+  <link href="${XmlScrambler.escape(requestPath)}" rel="self"/>
+  <id>${XmlScrambler.escape(requestPath)}</id>
+  <updated>${updated}</updated>
+${entries.join('\n')}
+</feed>
+`;
+    }
+
+    const items = links.map((link, i) => `    <item>
+      <title>${XmlScrambler.escape(link.title)}</title>
+      <link>${XmlScrambler.escape(link.url)}</link>
+      <guid>${XmlScrambler.escape(link.url)}</guid>
+      <description>${summaries[i]}</description>
+    </item>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${title}</title>
+    <link>${XmlScrambler.escape(requestPath)}</link>
+    <description>${title}</description>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+  }
+
+  /**
+   * Escape text for use in XML
+   * @param {string} text - Text
+   * @returns {string} - Escaped text
+   */
+  static escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Unescape the predefined XML entities
+   * @param {string} text - Escaped text
+   * @returns {string} - Text
+   */
+  static unescape(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = XmlScrambler;
@@ -0,0 +1,184 @@
+const IpNetwork = require('../models/IpNetwork');
+
+// DNS error codes that mean "no such record" rather than a resolver failure
+const NO_RECORD_CODES = ['ENOTFOUND', 'ENODATA'];
+
+// Upper bound on cached verifications before expired entries are swept
+const MAX_CACHE_ENTRIES = 10000;
+
+// Error code of a lookup that ran past its deadline, as dns.promises reports its own timeouts
+const TIMEOUT_CODE = 'ETIMEOUT';
+
+/**
+ * Check if two textual addresses refer to the same IP
+ * @param {string} a - First address
+ * @param {string} b - Second address
+ * @returns {boolean} - True if both parse to the same address
+ */
+function isSameAddress(a, b) {
+  const first = IpNetwork.parseAddress(a);
+  const second = IpNetwork.parseAddress(b);
+  return first !== null && second !== null &&
+         first.version === second.version && first.value === second.value;
+}
+
+/**
+ * Wait for a DNS query, giving up once a deadline passes
+ * @param {Promise} query - Pending resolver call
+ * @param {number} deadline - Timestamp after which the query counts as failed
+ * @returns {Promise} - Result of the query, or a rejection with code ETIMEOUT
+ */
+function withDeadline(query, deadline) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(Object.assign(new Error('DNS query timed out'), { code: TIMEOUT_CODE }));
+    }, Math.max(0, deadline - Date.now()));
+  });
+  return Promise.race([query, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * BotVerificationService - Confirms that a self-declared crawler really comes from its operator
+ * Uses the reverse-then-forward DNS check search engines document: the IP's PTR hostname must
+ * end in one of the allowed domains, and that hostname must resolve back to the same IP.
+ * Resolver errors and lookups running past the configured timeout are reported as failed
+ * lookups (lookupFailed), which are not cached and say nothing about the client.
+ */
+class BotVerificationService {
+  /**
+   * @param {Object} resolver - DNS resolver exposing reverse, resolve4 and resolve6
+   *   (dns.promises or a stub with the same shape)
+   * @param {SettingsService} settingsService - Settings service for the cache TTL and lookup timeout
+   */
+  constructor(resolver, settingsService) {
+    this.resolver = resolver;
+    this.settingsService = settingsService;
+    this.cache = new Map();
+  }
+
+  /**
+   * Check if a hostname is one of the allowed domains or a subdomain of one
+   * @param {string} hostname - Hostname from the PTR record
+   * @param {Array<string>} allowedDomains - Allowed domain suffixes
+   * @returns {boolean} - True if the hostname is allowed
+   */
+  isAllowedHostname(hostname, allowedDomains) {
+    return allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Verify that an IP address belongs to one of the allowed domains
+   * @param {string} ipAddress - Client IP address
+   * @param {Array<string>} allowedDomains - Allowed domain suffixes (e.g. ['googlebot.com', 'google.com'])
+   * @returns {Promise<Object>} - { verified, hostname, reason, lookupFailed, cached }
+   */
+  async verify(ipAddress, allowedDomains) {
+    const cacheKey = `${ipAddress}|${allowedDomains.join(',')}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { ...cached.result, cached: true };
+    }
+
+    const { result, cacheable } = await this.lookup(ipAddress, allowedDomains);
+
+    if (cacheable) {
+      const ttl = await this.settingsService.getBotVerificationCacheTtl();
+      this.cache.set(cacheKey, { result, expiresAt: Date.now() + ttl });
+      this.pruneCache();
+    }
+
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Run the reverse and forward lookups for an address
+   * @param {string} ipAddress - Client IP address
+   * @param {Array<string>} allowedDomains - Allowed domain suffixes
+   * @returns {Promise<Object>} - { result: { verified, hostname, reason, lookupFailed }, cacheable }
+   */
+  async lookup(ipAddress, allowedDomains) {
+    const address = IpNetwork.parseAddress(ipAddress);
+    if (!address) {
+      return { result: { verified: false, hostname: null, reason: 'invalid IP address', lookupFailed: false }, cacheable: false };
+    }
+
+    // Both queries share one deadline so a slow resolver can't hold the request for long
+    const deadline = Date.now() + await this.settingsService.getBotVerificationTimeout();
+
+    try {
+      const hostnames = (await withDeadline(this.resolver.reverse(ipAddress), deadline))
+        .map(hostname => hostname.toLowerCase().replace(/\.$/, ''));
+
+      const hostname = hostnames.find(name => this.isAllowedHostname(name, allowedDomains));
+      if (!hostname) {
+        const reason = hostnames.length > 0
+          ? `reverse DNS ${hostnames[0]} is not in ${allowedDomains.join(', ')}`
+          : 'no reverse DNS record';
+        return { result: { verified: false, hostname: hostnames[0] || null, reason, lookupFailed: false }, cacheable: true };
+      }
+
+      const forwardAddresses = await withDeadline(
+        address.version === 4 ? this.resolver.resolve4(hostname) : this.resolver.resolve6(hostname),
+        deadline
+      );
+
+      if (!forwardAddresses.some(forwardAddress => isSameAddress(forwardAddress, ipAddress))) {
+        return {
+          result: { verified: false, hostname, reason: `forward DNS for ${hostname} does not match`, lookupFailed: false },
+          cacheable: true
+        };
+      }
+
+      return { result: { verified: true, hostname, reason: null, lookupFailed: false }, cacheable: true };
+    } catch (error) {
+      if (NO_RECORD_CODES.includes(error.code)) {
+        return { result: { verified: false, hostname: null, reason: 'no matching DNS record', lookupFailed: false }, cacheable: true };
+      }
+
+      // Resolver failures (timeouts, SERVFAIL) aren't cached so the next request retries
+      console.error(`DNS verification failed for ${ipAddress}:`, error.message);
+      return {
+        result: { verified: false, hostname: null, reason: `DNS lookup failed (${error.code || error.message})`, lookupFailed: true },
+        cacheable: false
+      };
+    }
+  }
+
+  /**
+   * Drop expired entries once the cache grows past its bound, then the oldest if still too large
+   */
+  pruneCache() {
+    if (this.cache.size <= MAX_CACHE_ENTRIES) return;
+
+    const now = Date.now();
+    for (const [key, entry] of this.cache) {
+      if (entry.expiresAt <= now) {
+        this.cache.delete(key);
+      }
+    }
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= MAX_CACHE_ENTRIES) break;
+      this.cache.delete(key);
+    }
+  }
+
+  /**
+   * Forget all cached verification results
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} - { cachedResults }
+   */
+  getStats() {
+    return { cachedResults: this.cache.size };
+  }
+}
+
+module.exports = BotVerificationService;
@@ -0,0 +1,91 @@
+const CanaryToken = require('../models/CanaryToken');
+
+// Longest text accepted by a lookup
+const MAX_LOOKUP_TEXT_LENGTH = 100000;
+
+// Candidate phrases looked up per query
+const LOOKUP_BATCH_SIZE = 200;
+
+/**
+ * CanaryTokenService - Records the canary phrases embedded in scrambled pages and finds them in leaked text
+ * Every scrambled page carries a made-up name unique to the visitor, path and day it was served, so
+ * a snippet of text containing it can be traced back to the visitor that received it.
+ */
+class CanaryTokenService {
+  constructor(database, config) {
+    this.database = database;
+    this.secret = config?.security?.honeypotSecret || 'default-honeypot-secret';
+  }
+
+  /**
+   * Get the canary phrase for a page served to a visitor, recording who received it
+   * @param {string} userId - User ID
+   * @param {string} userAgent - User agent of the visitor
+   * @param {string} ipAddress - IP address of the visitor
+   * @param {string} requestPath - Path of the page
+   * @returns {Promise<string>} - Phrase to embed in the page, capitalized like a name
+   */
+  async issueCanary(userId, userAgent, ipAddress, requestPath) {
+    const phrase = CanaryToken.phraseFor(this.secret, userId, requestPath);
+    const now = new Date().toISOString();
+
+    try {
+      const existing = await this.database.query('SELECT id FROM canary_tokens WHERE phrase = ?', [phrase]);
+
+      if (existing.rows.length > 0) {
+        await this.database.query(
+          'UPDATE canary_tokens SET serve_count = serve_count + 1, last_served_at = ? WHERE id = ?',
+          [now, existing.rows[0].id]
+        );
+      } else {
+        await this.database.query(
+          `INSERT INTO canary_tokens
+           (phrase, user_id, user_agent, ip_address, request_path, serve_count, created_at, last_served_at)
+           VALUES (?, ?, ?, ?, ?, 1, ?, ?)`,
+          [phrase, userId, userAgent, ipAddress, requestPath, now, now]
+        );
+      }
+
+      return CanaryToken.display(phrase);
+    } catch (error) {
+      console.error('Error issuing canary token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the canary phrases contained in a text snippet
+   * @param {string} text - Suspicious text, e.g. a model's output or an excerpt of a dataset
+   * @returns {Promise<CanaryToken[]>} - Canary tokens found, oldest first
+   */
+  async lookup(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Text is required');
+    }
+    if (text.length > MAX_LOOKUP_TEXT_LENGTH) {
+      throw new Error(`Text must be at most ${MAX_LOOKUP_TEXT_LENGTH} characters`);
+    }
+
+    try {
+      const candidates = CanaryToken.candidatePhrases(text);
+      const tokens = [];
+
+      for (let i = 0; i < candidates.length; i += LOOKUP_BATCH_SIZE) {
+        const batch = candidates.slice(i, i + LOOKUP_BATCH_SIZE);
+        const placeholders = batch.map(() => '?').join(', ');
+        const result = await this.database.query(
+          `SELECT * FROM canary_tokens WHERE phrase IN (${placeholders})`,
+          batch
+        );
+        tokens.push(...result.rows.map(row => CanaryToken.fromDatabase(row)));
+      }
+
+      return tokens.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.error('Error looking up canary tokens:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CanaryTokenService;
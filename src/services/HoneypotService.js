@@ -1,20 +1,35 @@
 const crypto = require('crypto');
 const DetectionResult = require('../models/DetectionResult');
 const RequestLog = require('../models/RequestLog');
+const IpNetwork = require('../models/IpNetwork');
+const RateLimitResult = require('../models/RateLimitResult');
+const LinkMaze = require('../models/LinkMaze');
 
 /**
  * HoneypotService - Main business logic orchestrator for the honeypot system
- * Coordinates between UserAgentService, RateLimitService, SettingsService, and RequestLogService
+ * Coordinates between UserAgentService, NetworkService, TrapLinkService, RobotsTxtService,
+ * ReputationService, RateLimitService, SettingsService, RequestLogService, the DetectionPipeline,
+ * ResponsePolicyService, TarpitService, LinkTagService and CanaryTokenService
  */
 class HoneypotService {
-  constructor(userAgentService, rateLimitService, settingsService, requestLogService, config) {
+  constructor(userAgentService, networkService, trapLinkService, robotsTxtService, reputationService, rateLimitService, settingsService, requestLogService, detectionPipeline, responsePolicyService, tarpitService, linkTagService, canaryTokenService, config) {
     this.userAgentService = userAgentService;
+    this.networkService = networkService;
+    this.trapLinkService = trapLinkService;
+    this.robotsTxtService = robotsTxtService;
+    this.reputationService = reputationService;
     this.rateLimitService = rateLimitService;
     this.settingsService = settingsService;
     this.requestLogService = requestLogService;
+    this.detectionPipeline = detectionPipeline;
+    this.responsePolicyService = responsePolicyService;
+    this.tarpitService = tarpitService;
+    this.linkTagService = linkTagService;
+    this.canaryTokenService = canaryTokenService;
     this.config = config;
     
     this.honeypotSecret = config?.security?.honeypotSecret || 'default-honeypot-secret';
+    this.linkMaze = new LinkMaze(this.honeypotSecret, config?.routes?.blogRoutePrefix || '/blog');
   }
 
   /**
@@ -25,7 +40,13 @@ class HoneypotService {
     
     // Initialize all dependent services
     await this.userAgentService.initialize();
+    await this.networkService.initialize();
+    await this.trapLinkService.initialize();
+    await this.robotsTxtService.initialize();
+    await this.reputationService.initialize();
     await this.rateLimitService.initialize();
+    await this.responsePolicyService.initialize();
+    await this.linkTagService.initialize();
     
     console.log('HoneypotService initialized successfully');
   }
@@ -44,11 +65,12 @@ class HoneypotService {
 
   /**
    * Analyze a request to determine if it should be blocked
-   * @param {Object} request - Request object containing userAgent, ipAddress, path, referrer, queryParams
+   * @param {Object} request - Request object containing userAgent, ipAddress, path, referrer, queryParams, headers
    * @returns {Promise<DetectionResult>} - Detection result
    */
   async analyzeRequest(request) {
-    const { userAgent, ipAddress, path, queryParams = {} } = request;
+    const { userAgent } = request;
+    const ipAddress = IpNetwork.normalizeAddress(request.ipAddress);
     const userId = this.generateUserId(userAgent, ipAddress);
 
     try {
@@ -58,43 +80,56 @@ class HoneypotService {
         return DetectionResult.allowed(userId);
       }
 
-      // Check for scramble parameter - always block if present
-      if (queryParams.scramble !== undefined) {
-        console.log(`Scramble parameter detected in request: ${path}`);
-        return DetectionResult.scrambleParameter(userId);
+      const detectionResult = await this.detectionPipeline.evaluate({
+        ...request,
+        ipAddress,
+        userId,
+        queryParams: request.queryParams || {},
+        headers: request.headers || null
+      });
+
+      // Following a trap link flags the visitor for the following requests too
+      const trapSignal = detectionResult.signals.find(signal => signal.name === 'trap_link' && signal.details?.visited);
+      if (trapSignal) {
+        await this.trapLinkService.flagVisitor(userId, trapSignal.details.trapPath);
       }
 
-      // Only apply restrictions to HTML requests that aren't excluded
-      if (!this.rateLimitService.isHtmlRequest(path) || 
-          this.rateLimitService.isExcludedFromRateLimit(path)) {
-        return DetectionResult.allowed(userId);
+      // Requesting a link tagged for another visitor links both identities and flags the newcomer
+      const linkTagSignal = detectionResult.signals.find(signal => signal.name === 'link_tag' && signal.details?.visited);
+      if (linkTagSignal) {
+        await this.linkTagService.linkIdentities(
+          linkTagSignal.details.sourceUserId,
+          userId,
+          linkTagSignal.details.token,
+          userAgent,
+          ipAddress,
+          request.path
+        );
       }
 
-      // Check if user agent is known good - bypass all restrictions
-      if (this.userAgentService.isKnownGoodAgent(userAgent)) {
-        // Good agents bypass all restrictions, don't count towards rate limits
-        return DetectionResult.allowed(userId);
+      // So does requesting a path robots.txt disallowed
+      if (detectionResult.isRobotsTxtViolation()) {
+        await this.robotsTxtService.flagViolator(userId, request.path);
       }
 
-      // Check if user agent is known bad
-      if (this.userAgentService.isKnownBadAgent(userAgent)) {
-        return DetectionResult.knownBadAgent(userId);
+      // A subnet exceeding its aggregate limit flags every address in it
+      const subnetSignal = detectionResult.signals.find(signal => signal.name === 'subnet_rate_limit' && signal.details?.exceeded);
+      if (subnetSignal) {
+        await this.rateLimitService.flagSubnet(subnetSignal.details.subnet);
       }
 
-      // Check rate limits
-      const rateLimitResult = await this.rateLimitService.checkRateLimits(userId);
-      if (rateLimitResult.exceeded) {
-        return DetectionResult.rateLimitExceeded(
-          userId, 
-          rateLimitResult.shortCount, 
-          rateLimitResult.shortLimit
-        );
+      // Blocks are offenses that ban the visitor beyond the current rate window
+      if (this.isOffense(detectionResult)) {
+        await this.reputationService.recordOffense(userId, ipAddress, detectionResult.redirectReason);
       }
 
-      // Add this request to the counter for HTML requests
-      this.rateLimitService.addRequestToCounter(userId);
+      // Only requests that went through every check and were allowed count towards rate limits
+      if (detectionResult.isAllowed() && !detectionResult.getDecisiveSignal()) {
+        this.rateLimitService.addRequestToCounter(userId, request.path);
+        await this.rateLimitService.addRequestToSubnetCounter(ipAddress);
+      }
 
-      return DetectionResult.allowed(userId);
+      return detectionResult;
 
     } catch (error) {
       console.error('Error analyzing request:', error);
@@ -103,6 +138,89 @@ class HoneypotService {
     }
   }
 
+  /**
+   * Explain the verdict a request would get, without logging it, counting it or flagging the visitor
+   * @param {Object} request - Request object containing userAgent, ipAddress, path, queryParams, headers
+   * @returns {Promise<Object>} - Verdict, every evaluated check, the matching entries and the visitor's rate limit counters
+   * @throws {Error} - If the path or IP address is invalid
+   */
+  async explainRequest(request) {
+    const { userAgent = '', path } = request;
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw new Error('Path must start with /');
+    }
+    const ipAddress = IpNetwork.normalizeAddress(String(request.ipAddress || '').trim());
+    if (!IpNetwork.parseAddress(ipAddress)) {
+      throw new Error(`Invalid IP address: ${request.ipAddress}`);
+    }
+
+    // Express exposes header names in lowercase, and so do the detectors expect them
+    const headers = request.headers
+      ? Object.fromEntries(Object.entries(request.headers).map(([name, value]) => [name.toLowerCase(), value]))
+      : null;
+    const userId = this.generateUserId(userAgent, ipAddress);
+
+    try {
+      const checks = [];
+      const detectionResult = await this.detectionPipeline.evaluate({
+        path,
+        userAgent,
+        ipAddress,
+        userId,
+        referrer: request.referrer || '',
+        queryParams: request.queryParams || {},
+        headers
+      }, checks);
+
+      const badAgent = this.userAgentService.findBadAgent(userAgent);
+      const goodAgent = this.userAgentService.findGoodAgent(userAgent);
+      const badNetwork = this.networkService.findBadNetwork(ipAddress);
+      const goodNetwork = this.networkService.findGoodNetwork(ipAddress);
+      const standing = await this.reputationService.getStanding(userId, ipAddress);
+      const subnetLimit = await this.rateLimitService.checkSubnetRateLimit(ipAddress);
+      const subnetFlag = subnetLimit ? this.rateLimitService.getSubnetFlag(subnetLimit.subnet) : null;
+      const rule = this.rateLimitService.findRule(path);
+      const agentJSON = agent => agent && { id: agent.id, userAgent: agent.userAgent, matchType: agent.matchType, verifyDomains: agent.verifyDomains };
+      const networkJSON = network => network && { id: network.id, cidr: network.cidr, description: network.description };
+
+      return {
+        userId,
+        ipAddress,
+        path,
+        honeypotEnabled: await this.settingsService.getHoneypotStatus(),
+        result: detectionResult.toJSON(),
+        checks,
+        matches: {
+          badAgent: agentJSON(badAgent),
+          goodAgent: agentJSON(goodAgent),
+          badNetwork: networkJSON(badNetwork),
+          goodNetwork: networkJSON(goodNetwork),
+          rateLimitRule: rule ? rule.toJSON() : null,
+          reputation: standing ? { ...standing.reputation.toJSON(), effectiveState: standing.state } : null
+        },
+        rateLimits: {
+          windows: (await this.rateLimitService.checkRateLimitWindows(userId, path)).map(result => result.toJSON()),
+          subnet: subnetLimit ? { subnet: subnetLimit.subnet, ...subnetLimit.result.toJSON() } : null,
+          subnetFlaggedUntil: subnetFlag ? new Date(subnetFlag.expiresAt).toISOString() : null
+        }
+      };
+    } catch (error) {
+      console.error('Error explaining request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if a detection result should count as an offense against the visitor
+   * Blocks caused by an existing ban or by the scramble test parameter don't count
+   * @param {DetectionResult} detectionResult - Detection result
+   * @returns {boolean} - True if the visitor should be banned
+   */
+  isOffense(detectionResult) {
+    return detectionResult.isBlocked() &&
+           !detectionResult.signals.some(signal => signal.name === 'reputation' || signal.name === 'scramble_parameter');
+  }
+
   /**
    * Process a request through the complete honeypot pipeline
    * @param {Object} request - Request object
@@ -115,6 +233,10 @@ class HoneypotService {
     const requestLog = RequestLog.fromDetectionResult(request, detectionResult);
     
     try {
+      requestLog.rateLimitCounts = await this.rateLimitService.getRequestCounts(requestLog.userId, request.path);
+      const mazePage = this.linkMaze.parsePath(request.path);
+      requestLog.mazeDepth = mazePage ? mazePage.depth : null;
+
       await this.requestLogService.logRequest(
         requestLog.userId,
         requestLog.userAgent,
@@ -122,22 +244,100 @@ class HoneypotService {
         requestLog.requestUrl,
         requestLog.referrer,
         requestLog.wasRedirected,
-        requestLog.blockReason
+        requestLog.blockReason,
+        {
+          score: requestLog.detectionScore,
+          signals: requestLog.detectionSignals,
+          rateLimitCounts: requestLog.rateLimitCounts,
+          rateLimitSubnet: requestLog.rateLimitSubnet,
+          wouldBlock: requestLog.wouldBlock,
+          wouldBlockReason: requestLog.wouldBlockReason,
+          mazeDepth: requestLog.mazeDepth
+        }
       );
     } catch (error) {
       console.error('Error logging request:', error);
       // Don't fail the request processing if logging fails
     }
 
+    let responseAction = null;
+    if (detectionResult.isBlocked()) {
+      try {
+        responseAction = await this.getResponseAction(detectionResult, request);
+      } catch (error) {
+        console.error('Error resolving response action:', error);
+      }
+    }
+
+    // Generated links served to the visitor carry its tag, so that another identity following them can be linked to it,
+    // and the page carries a canary phrase, so that it can be traced back to the visitor if its text resurfaces
+    let linkTag = null;
+    let canary = null;
+    if (this.servesGeneratedLinks(detectionResult, responseAction, request.path)) {
+      try {
+        linkTag = await this.linkTagService.issueTag(detectionResult.userId, requestLog.userAgent, requestLog.ipAddress);
+      } catch (error) {
+        console.error('Error issuing link tag:', error);
+      }
+      try {
+        canary = await this.canaryTokenService.issueCanary(detectionResult.userId, requestLog.userAgent, requestLog.ipAddress, request.path);
+      } catch (error) {
+        console.error('Error issuing canary token:', error);
+      }
+    }
+
     return {
       detectionResult,
       requestLog,
+      responseAction,
+      linkTag,
+      canary,
       shouldScramble: detectionResult.shouldScramble,
+      shouldBlock: detectionResult.shouldBlock,
       redirectReason: detectionResult.redirectReason,
       userId: detectionResult.userId
     };
   }
 
+  /**
+   * Check if the response to a request is a scrambled page, whose generated links lead further into the honeypot
+   * @param {DetectionResult} detectionResult - Detection result
+   * @param {Object|null} responseAction - Response action of a blocked request
+   * @param {string} requestPath - Request path
+   * @returns {boolean} - True if the response contains generated links
+   */
+  servesGeneratedLinks(detectionResult, responseAction, requestPath) {
+    if (!detectionResult.isBlocked()) {
+      return this.linkMaze.parsePath(requestPath) !== null;
+    }
+
+    const action = responseAction?.action || (detectionResult.shouldBlock ? 'forbidden' : 'scramble');
+    return action === 'scramble' || action === 'tarpit';
+  }
+
+  /**
+   * Get how to answer a blocked request, according to the response policy of its block reason
+   * @param {DetectionResult} detectionResult - Blocked detection result
+   * @param {Object} request - Request object containing ipAddress and path
+   * @returns {Promise<Object>} - { reason, action, redirectUrl, customPage, headers }
+   */
+  async getResponseAction(detectionResult, request) {
+    const responseAction = { ...this.responsePolicyService.resolve(detectionResult), headers: {} };
+
+    if (responseAction.action === 'too_many_requests') {
+      // The most restrictive of the visitor's and its subnet's limits says when to come back;
+      // the X-RateLimit headers are only sent when a limit was actually exceeded
+      const results = await this.rateLimitService.checkRateLimitWindows(detectionResult.userId, request.path);
+      const subnetLimit = await this.rateLimitService.checkSubnetRateLimit(IpNetwork.normalizeAddress(request.ipAddress));
+      const rateLimitResult = RateLimitResult.merge(subnetLimit ? [...results, subnetLimit.result] : results);
+      responseAction.headers = {
+        ...(rateLimitResult.isExceeded() ? rateLimitResult.getHeaders() : {}),
+        'Retry-After': rateLimitResult.getRetryAfter().toString()
+      };
+    }
+    return responseAction;
+  }
+
   /**
    * Get comprehensive statistics about the honeypot
    * @returns {Promise<Object>} - Statistics object
@@ -151,15 +351,32 @@ class HoneypotService {
       return {
         ...requestStats,
         rateLimiting: rateLimitStats,
+        trapLinks: this.trapLinkService.getStats(),
+        tarpit: this.tarpitService.getStats(),
+        linkTags: this.linkTagService.getStats(),
+        robotsTxt: this.robotsTxtService.getStats(),
+        reputation: await this.reputationService.getStats(),
         settings: {
           honeypotEnabled: await this.settingsService.getHoneypotStatus(),
           rateLimitWindow: await this.settingsService.getRateLimitWindow(),
           rateLimitMax: await this.settingsService.getRateLimitMax(),
+          rateLimitMode: await this.settingsService.getRateLimitMode(),
+          dryRun: await this.settingsService.getDryRunSettings(),
+          rateLimitWindows: (await this.rateLimitService.getRateLimitWindows())
+            .map(({ name, windowSize, limit }) => ({ name, windowSeconds: windowSize / 1000, limit })),
           fakeServerHeader: await this.settingsService.getFakeServerHeader()
         },
         userAgents: {
-          knownBadCount: this.userAgentService.knownBadAgents.size,
-          knownGoodCount: this.userAgentService.knownGoodAgents.size
+          knownBadCount: this.userAgentService.knownBadAgents.length,
+          knownGoodCount: this.userAgentService.knownGoodAgents.length
+        },
+        networks: {
+          knownBadCount: this.networkService.knownBadNetworks.length,
+          knownGoodCount: this.networkService.knownGoodNetworks.length
+        },
+        detection: {
+          detectors: this.detectionPipeline.getDetectorNames(),
+          thresholds: await this.settingsService.getDetectionThresholds()
         }
       };
     } catch (error) {
@@ -195,11 +412,78 @@ class HoneypotService {
   }
 
   /**
-   * Refresh all cached data (user agents, settings, etc.)
+   * Compare actual verdicts with what dry-run detections would have done
+   * @param {number} hours - Number of hours to look back
+   * @returns {Promise<Object>} - Current dry-run settings and the verdict comparison
+   */
+  async getDryRunComparison(hours = 24) {
+    try {
+      const [dryRun, comparison] = await Promise.all([
+        this.settingsService.getDryRunSettings(),
+        this.requestLogService.getVerdictComparison(hours)
+      ]);
+
+      return {
+        dryRun,
+        ...comparison
+      };
+    } catch (error) {
+      console.error('Error getting dry-run comparison:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the visitors that received the canary phrases contained in a text snippet
+   * @param {string} text - Suspicious text
+   * @returns {Promise<Object>} - { matches: canary tokens found, with the visitor and time they were served }
+   */
+  async lookupCanary(text) {
+    const tokens = await this.canaryTokenService.lookup(text);
+    return {
+      matches: tokens.map(token => token.toJSON())
+    };
+  }
+
+  /**
+   * Get what is known about a visitor: its recent requests and the identities linked to it by shared link tags
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { userId, linkTagFlag, linkGraph, recentRequests }
+   */
+  async getVisitorDetails(userId) {
+    try {
+      const [linkGraph, recentRequests] = await Promise.all([
+        this.linkTagService.getLinkGraph(userId),
+        this.requestLogService.getRequestsByUserId(userId, 50)
+      ]);
+      const flag = this.linkTagService.getFlag(userId);
+
+      return {
+        userId,
+        linkTagFlag: flag ? {
+          sourceUserId: flag.sourceUserId,
+          token: flag.token,
+          flaggedUntil: new Date(flag.expiresAt).toISOString()
+        } : null,
+        linkGraph,
+        recentRequests
+      };
+    } catch (error) {
+      console.error('Error getting visitor details:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh all cached data (user agents, networks, settings, etc.)
    */
   async refreshCache() {
     try {
       await this.userAgentService.refreshKnownAgents();
+      await this.networkService.refreshKnownNetworks();
+      await this.reputationService.refreshReputations();
+      await this.rateLimitService.refreshRules();
+      await this.responsePolicyService.refreshPolicies();
       console.log('Honeypot cache refreshed successfully');
     } catch (error) {
       console.error('Error refreshing honeypot cache:', error);
@@ -228,7 +512,8 @@ class HoneypotService {
     try {
       if (cleanupOldLogs) {
         const deletedCount = await this.requestLogService.cleanupOldLogs(daysToKeep);
-        results.cleanupResults = { deletedLogCount: deletedCount };
+        const deletedReputationCount = await this.reputationService.purgeExpiredReputations();
+        results.cleanupResults = { deletedLogCount: deletedCount, deletedReputationCount };
       }
 
       if (refreshCache) {
@@ -268,8 +553,21 @@ class HoneypotService {
 
       // Check user agent service
       health.services.userAgents = {
-        badAgentsCount: this.userAgentService.knownBadAgents.size,
-        goodAgentsCount: this.userAgentService.knownGoodAgents.size,
+        badAgentsCount: this.userAgentService.knownBadAgents.length,
+        goodAgentsCount: this.userAgentService.knownGoodAgents.length,
+        status: 'ok'
+      };
+
+      // Check network service
+      health.services.networks = {
+        badNetworksCount: this.networkService.knownBadNetworks.length,
+        goodNetworksCount: this.networkService.knownGoodNetworks.length,
+        status: 'ok'
+      };
+
+      // Check reputation service
+      health.services.reputation = {
+        ...await this.reputationService.getStats(),
         status: 'ok'
       };
 
@@ -278,6 +576,16 @@ class HoneypotService {
       health.services.rateLimiting = {
         activeUsers: rateLimitStats.totalActiveUsers,
         activeRequests: rateLimitStats.totalActiveRequests,
+        maxTrackedVisitors: rateLimitStats.maxTrackedVisitors,
+        evictions: rateLimitStats.evictions.total,
+        status: 'ok'
+      };
+
+      // Check tarpit service
+      const tarpitStats = this.tarpitService.getStats();
+      health.services.tarpit = {
+        activeConnections: tarpitStats.activeConnections,
+        maxConnections: tarpitStats.maxConnections,
         status: 'ok'
       };
 
@@ -301,24 +609,33 @@ class HoneypotService {
    * @param {string} ipAddress - IP address
    * @param {string} referrer - Referrer header
    * @param {Object} queryParams - Query parameters
+   * @param {Object|null} headers - Request headers (lowercased names), if available
    * @returns {Promise<Object>} - Legacy format response
    */
-  async getContent(path, userAgent, ipAddress, referrer = '', queryParams = {}) {
+  async getContent(path, userAgent, ipAddress, referrer = '', queryParams = {}, headers = null) {
     const request = {
       path,
       userAgent,
       ipAddress,
       referrer,
-      queryParams
+      queryParams,
+      headers
     };
 
     const result = await this.processRequest(request);
     
     // Return in legacy format for backward compatibility
+    const responseAction = result.responseAction;
     return {
       shouldScramble: result.shouldScramble,
+      shouldBlock: result.shouldBlock,
+      shouldRedirect: responseAction?.action === 'redirect',
+      redirectUrl: responseAction?.redirectUrl || null,
       redirectReason: result.redirectReason,
-      userId: result.userId
+      userId: result.userId,
+      responseAction,
+      linkTag: result.linkTag,
+      canary: result.canary
     };
   }
 }
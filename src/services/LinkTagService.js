@@ -0,0 +1,294 @@
+const LinkTag = require('../models/LinkTag');
+const IdentityLink = require('../models/IdentityLink');
+const LruMap = require('../models/LruMap');
+
+// Issued tags kept in memory; tags beyond this are looked up in the database
+const MAX_CACHED_TAGS = 10000;
+
+// Largest number of user IDs returned in a link graph
+const MAX_GRAPH_NODES = 50;
+
+/**
+ * LinkTagService - Tags the generated links served to a visitor and links identities that share them
+ * Scrapers often discover URLs from one IP address and fetch them from another. A tagged link
+ * requested by another user ID links the two identities and flags the newcomer for a
+ * configurable period.
+ */
+class LinkTagService {
+  constructor(database, settingsService, config) {
+    this.database = database;
+    this.settingsService = settingsService;
+    this.secret = config?.security?.honeypotSecret || 'default-honeypot-secret';
+
+    this.tags = new LruMap(MAX_CACHED_TAGS); // token -> LinkTag
+    // In-memory storage for flagged visitors
+    this.flaggedVisitors = new Map(); // userId -> { sourceUserId, token, flaggedAt, expiresAt }
+  }
+
+  /**
+   * Initialize the service by restoring recent identity links
+   */
+  async initialize() {
+    await this.warmupFlaggedVisitors();
+  }
+
+  /**
+   * Restore flags for visitors that requested another visitor's tagged link within the flag duration
+   */
+  async warmupFlaggedVisitors() {
+    try {
+      const flagDuration = await this.getFlagDuration();
+      const since = new Date(Date.now() - flagDuration);
+
+      const result = await this.database.query(
+        'SELECT * FROM identity_links WHERE last_seen_at > ? ORDER BY last_seen_at ASC',
+        [since.toISOString()]
+      );
+
+      for (const row of result.rows) {
+        const link = IdentityLink.fromDatabase(row);
+        this.flaggedVisitors.set(link.userId, {
+          sourceUserId: link.sourceUserId,
+          token: link.token,
+          flaggedAt: link.lastSeenAt.getTime(),
+          expiresAt: link.lastSeenAt.getTime() + flagDuration
+        });
+      }
+
+      console.log(`Restored link tag flags for ${this.flaggedVisitors.size} visitors`);
+    } catch (error) {
+      console.error('Error warming up link tag flags:', error);
+    }
+  }
+
+  /**
+   * Get how long a visitor stays flagged after requesting another visitor's tagged link
+   * @returns {Promise<number>} - Flag duration in milliseconds
+   */
+  async getFlagDuration() {
+    return await this.settingsService.getLinkTagFlagDuration();
+  }
+
+  /**
+   * Get the tag for the links served to a visitor, recording who it was issued to
+   * @param {string} userId - User ID
+   * @param {string} userAgent - User agent of the visitor
+   * @param {string} ipAddress - IP address of the visitor
+   * @returns {Promise<string>} - Token to embed in the links
+   */
+  async issueTag(userId, userAgent, ipAddress) {
+    const token = LinkTag.tokenFor(this.secret, userId);
+    if (this.tags.get(token)) {
+      return token;
+    }
+
+    const insertSQL = this.database.dbType === 'sqlite'
+      ? 'INSERT OR IGNORE INTO link_tags (token, user_id, user_agent, ip_address, created_at) VALUES (?, ?, ?, ?, ?)'
+      : 'INSERT INTO link_tags (token, user_id, user_agent, ip_address, created_at) VALUES (?, ?, ?, ?, ?) ON CONFLICT (token) DO NOTHING';
+
+    try {
+      const tag = new LinkTag(token, userId, userAgent, ipAddress);
+      await this.database.query(insertSQL, [token, userId, userAgent, ipAddress, tag.createdAt.toISOString()]);
+      this.tags.set(token, tag);
+      return token;
+    } catch (error) {
+      console.error('Error issuing link tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the visitor a tag was issued to
+   * @param {string} token - Tag token from a request
+   * @returns {Promise<LinkTag|null>} - Issued tag, or null if the token was never issued
+   */
+  async findTag(token) {
+    if (!LinkTag.isValidToken(token)) return null;
+
+    const cached = this.tags.get(token);
+    if (cached) return cached;
+
+    const result = await this.database.query('SELECT * FROM link_tags WHERE token = ?', [token]);
+    if (result.rows.length === 0) return null;
+
+    const tag = LinkTag.fromDatabase(result.rows[0]);
+    this.tags.set(token, tag);
+    return tag;
+  }
+
+  /**
+   * Link a visitor to the visitor whose tagged link it requested, and flag it
+   * @param {string} sourceUserId - User ID the tag was issued to
+   * @param {string} userId - User ID that requested the tagged link
+   * @param {string} token - Tag token
+   * @param {string} userAgent - User agent of the requesting visitor
+   * @param {string} ipAddress - IP address of the requesting visitor
+   * @param {string} requestUrl - Requested URL
+   * @returns {Promise<IdentityLink>} - Recorded link
+   */
+  async linkIdentities(sourceUserId, userId, token, userAgent, ipAddress, requestUrl) {
+    const now = new Date().toISOString();
+
+    try {
+      const existing = await this.database.query(
+        'SELECT * FROM identity_links WHERE source_user_id = ? AND user_id = ?',
+        [sourceUserId, userId]
+      );
+
+      if (existing.rows.length > 0) {
+        await this.database.query(
+          `UPDATE identity_links
+           SET request_count = request_count + 1, user_agent = ?, ip_address = ?, last_seen_at = ?
+           WHERE id = ?`,
+          [userAgent, ipAddress, now, existing.rows[0].id]
+        );
+      } else {
+        await this.database.query(
+          `INSERT INTO identity_links
+           (source_user_id, user_id, token, user_agent, ip_address, request_url, request_count, created_at, last_seen_at)
+           VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?)`,
+          [sourceUserId, userId, token, userAgent, ipAddress, requestUrl, now, now]
+        );
+        console.log(`Linked ${userId} to ${sourceUserId} through link tag ${token}`);
+      }
+
+      await this.flagVisitor(userId, sourceUserId, token);
+
+      const result = await this.database.query(
+        'SELECT * FROM identity_links WHERE source_user_id = ? AND user_id = ?',
+        [sourceUserId, userId]
+      );
+      return IdentityLink.fromDatabase(result.rows[0]);
+    } catch (error) {
+      console.error('Error linking identities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Flag a visitor as a bot after it requested another visitor's tagged link
+   * @param {string} userId - User ID
+   * @param {string} sourceUserId - User ID the tag was issued to
+   * @param {string} token - Tag token
+   */
+  async flagVisitor(userId, sourceUserId, token) {
+    const flagDuration = await this.getFlagDuration();
+    const flaggedAt = Date.now();
+
+    this.flaggedVisitors.set(userId, {
+      sourceUserId,
+      token,
+      flaggedAt,
+      expiresAt: flaggedAt + flagDuration
+    });
+  }
+
+  /**
+   * Get the active flag for a visitor
+   * @param {string} userId - User ID
+   * @returns {Object|null} - { sourceUserId, token, flaggedAt, expiresAt } or null if not flagged
+   */
+  getFlag(userId) {
+    const flag = this.flaggedVisitors.get(userId);
+    if (!flag) return null;
+
+    if (flag.expiresAt <= Date.now()) {
+      this.flaggedVisitors.delete(userId);
+      return null;
+    }
+    return flag;
+  }
+
+  /**
+   * Get the identities linked to a visitor, directly or through other linked identities
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { nodes, links, truncated }
+   */
+  async getLinkGraph(userId) {
+    try {
+      const visited = new Set([userId]);
+      const queue = [userId];
+      const links = new Map(); // id -> IdentityLink
+
+      while (queue.length > 0 && visited.size < MAX_GRAPH_NODES) {
+        const current = queue.shift();
+        const result = await this.database.query(
+          'SELECT * FROM identity_links WHERE source_user_id = ? OR user_id = ?',
+          [current, current]
+        );
+
+        for (const row of result.rows) {
+          const link = IdentityLink.fromDatabase(row);
+          links.set(link.id, link);
+          for (const neighbor of [link.sourceUserId, link.userId]) {
+            if (!visited.has(neighbor)) {
+              visited.add(neighbor);
+              queue.push(neighbor);
+            }
+          }
+        }
+      }
+
+      const nodes = [];
+      for (const nodeUserId of visited) {
+        nodes.push(await this.describeVisitor(nodeUserId, [...links.values()]));
+      }
+
+      return {
+        nodes,
+        links: [...links.values()].map(link => link.toJSON()),
+        truncated: queue.length > 0
+      };
+    } catch (error) {
+      console.error('Error getting link graph:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Describe a visitor of a link graph
+   * @param {string} userId - User ID
+   * @param {IdentityLink[]} links - Links of the graph
+   * @returns {Promise<Object>} - { userId, userAgent, ipAddress, tag, flaggedUntil }
+   */
+  async describeVisitor(userId, links) {
+    const result = await this.database.query('SELECT * FROM link_tags WHERE user_id = ?', [userId]);
+    const tag = result.rows.length > 0 ? LinkTag.fromDatabase(result.rows[0]) : null;
+    const asRequester = links.find(link => link.userId === userId);
+    const flag = this.getFlag(userId);
+
+    return {
+      userId,
+      userAgent: tag?.userAgent || asRequester?.userAgent || null,
+      ipAddress: tag?.ipAddress || asRequester?.ipAddress || null,
+      tag: tag ? tag.token : null,
+      flaggedUntil: flag ? new Date(flag.expiresAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Remove expired flags
+   */
+  cleanupFlags() {
+    const now = Date.now();
+    for (const [userId, flag] of this.flaggedVisitors.entries()) {
+      if (flag.expiresAt <= now) {
+        this.flaggedVisitors.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Get link tag statistics
+   * @returns {Object} - { flaggedVisitors, cachedTags }
+   */
+  getStats() {
+    this.cleanupFlags();
+    return {
+      flaggedVisitors: this.flaggedVisitors.size,
+      cachedTags: this.tags.size
+    };
+  }
+}
+
+module.exports = LinkTagService;
@@ -0,0 +1,355 @@
+const IpNetwork = require('../models/IpNetwork');
+
+/**
+ * Build a lookup index over networks
+ * Networks are grouped by family and prefix length, keyed by their masked network
+ * address, so a lookup costs one Map probe per distinct prefix length in use
+ * rather than one comparison per stored range.
+ * @param {Array<Object>} entries - Entries with a parsed `network` (IpNetwork)
+ * @returns {Object} - Index: { 4: { prefixLengths, byPrefix }, 6: {...} }
+ */
+function buildNetworkIndex(entries) {
+  const index = {
+    4: { prefixLengths: [], byPrefix: new Map() },
+    6: { prefixLengths: [], byPrefix: new Map() }
+  };
+
+  for (const entry of entries) {
+    const family = index[entry.network.version];
+    if (!family.byPrefix.has(entry.network.prefixLength)) {
+      family.byPrefix.set(entry.network.prefixLength, new Map());
+    }
+    family.byPrefix.get(entry.network.prefixLength).set(entry.network.network, entry);
+  }
+
+  for (const family of Object.values(index)) {
+    // Longest prefixes first so the most specific range wins
+    family.prefixLengths = Array.from(family.byPrefix.keys()).sort((a, b) => b - a);
+  }
+
+  return index;
+}
+
+/**
+ * NetworkService - Handles IP/CIDR allow and block lists
+ * Crawlers rotate user agents but tend to stay inside the same address ranges
+ */
+class NetworkService {
+  constructor(database) {
+    this.database = database;
+    this.knownBadNetworks = [];
+    this.knownGoodNetworks = [];
+    this.badNetworkIndex = buildNetworkIndex([]);
+    this.goodNetworkIndex = buildNetworkIndex([]);
+  }
+
+  /**
+   * Initialize the service by loading known networks from database
+   */
+  async initialize() {
+    await this.refreshKnownNetworks();
+  }
+
+  /**
+   * Refresh the known bad and good networks from database and rebuild the lookup indexes
+   */
+  async refreshKnownNetworks() {
+    try {
+      const badNetworksResult = await this.database.query(
+        'SELECT id, cidr, description FROM known_bad_networks WHERE is_active = ?',
+        [true]
+      );
+      this.knownBadNetworks = this.parseNetworks(badNetworksResult.rows);
+      this.badNetworkIndex = buildNetworkIndex(this.knownBadNetworks);
+
+      const goodNetworksResult = await this.database.query(
+        'SELECT id, cidr, description FROM known_good_networks WHERE is_active = ?',
+        [true]
+      );
+      this.knownGoodNetworks = this.parseNetworks(goodNetworksResult.rows);
+      this.goodNetworkIndex = buildNetworkIndex(this.knownGoodNetworks);
+
+      console.log(`Refreshed ${this.knownBadNetworks.length} known bad networks and ${this.knownGoodNetworks.length} known good networks`);
+    } catch (error) {
+      console.error('Error refreshing known networks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse network rows, skipping rows whose CIDR no longer parses
+   * @param {Array<Object>} rows - Rows with id, cidr and description
+   * @returns {Array<Object>} - Entries: { id, cidr, description, network }
+   */
+  parseNetworks(rows) {
+    const entries = [];
+    for (const row of rows) {
+      const network = IpNetwork.parse(row.cidr);
+      if (!network) {
+        console.error(`Skipping invalid network ${row.id}: ${row.cidr}`);
+        continue;
+      }
+      entries.push({ id: row.id, cidr: row.cidr, description: row.description, network });
+    }
+    return entries;
+  }
+
+  /**
+   * Find the most specific network in an index containing an address
+   * @param {Object} index - Index built by buildNetworkIndex
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @returns {Object|null} - The matching entry or null
+   */
+  findInIndex(index, ipAddress) {
+    const address = IpNetwork.parseAddress(ipAddress);
+    if (!address) return null;
+
+    const family = index[address.version];
+    for (const prefixLength of family.prefixLengths) {
+      const key = IpNetwork.maskValue(address.value, address.version, prefixLength);
+      const entry = family.byPrefix.get(prefixLength).get(key);
+      if (entry) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the known bad network containing an address
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @returns {Object|null} - The matching entry or null
+   */
+  findBadNetwork(ipAddress) {
+    return this.findInIndex(this.badNetworkIndex, ipAddress);
+  }
+
+  /**
+   * Find the known good network containing an address
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @returns {Object|null} - The matching entry or null
+   */
+  findGoodNetwork(ipAddress) {
+    return this.findInIndex(this.goodNetworkIndex, ipAddress);
+  }
+
+  /**
+   * Check if an address is inside a known bad network
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @returns {boolean} - True if the address is in a bad network
+   */
+  isKnownBadNetwork(ipAddress) {
+    return this.findBadNetwork(ipAddress) !== null;
+  }
+
+  /**
+   * Check if an address is inside a known good network
+   * @param {string} ipAddress - IPv4 or IPv6 address
+   * @returns {boolean} - True if the address is in a good network
+   */
+  isKnownGoodNetwork(ipAddress) {
+    return this.findGoodNetwork(ipAddress) !== null;
+  }
+
+  /**
+   * Validate a CIDR and return its canonical form
+   * @param {string} cidr - CIDR or bare address
+   * @returns {string} - Canonical CIDR
+   * @throws {Error} - If the CIDR is missing or invalid
+   */
+  canonicalizeCidr(cidr) {
+    if (!cidr) {
+      throw new Error('CIDR is required');
+    }
+    const network = IpNetwork.parse(cidr);
+    if (!network) {
+      throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+    return network.toString();
+  }
+
+  /**
+   * Add a network to a list table
+   * @param {string} table - known_bad_networks or known_good_networks
+   * @param {string} cidr - CIDR or bare address
+   * @param {string} description - Optional description
+   */
+  async addNetwork(table, cidr, description = null) {
+    const canonicalCidr = this.canonicalizeCidr(cidr);
+
+    if (this.database.dbType === 'sqlite') {
+      await this.database.query(
+        `INSERT OR REPLACE INTO ${table} (cidr, description, is_active) VALUES (?, ?, ?)`,
+        [canonicalCidr, description, 1]
+      );
+    } else {
+      await this.database.query(
+        `INSERT INTO ${table} (cidr, description, is_active) VALUES (?, ?, ?) ON CONFLICT (cidr) DO UPDATE SET description = ?, is_active = ?`,
+        [canonicalCidr, description, true, description, true]
+      );
+    }
+
+    await this.refreshKnownNetworks();
+  }
+
+  /**
+   * Delete a network from a list table
+   * @param {string} table - known_bad_networks or known_good_networks
+   * @param {number} id - The ID of the network to delete
+   */
+  async deleteNetwork(table, id) {
+    if (!id) {
+      throw new Error('Network ID is required');
+    }
+
+    await this.database.query(`DELETE FROM ${table} WHERE id = ?`, [id]);
+    await this.refreshKnownNetworks();
+  }
+
+  /**
+   * Update a network's active status
+   * @param {string} table - known_bad_networks or known_good_networks
+   * @param {number} id - The ID of the network to update
+   * @param {boolean} isActive - Whether the network should be active
+   */
+  async updateNetwork(table, id, isActive) {
+    if (!id) {
+      throw new Error('Network ID is required');
+    }
+
+    const activeValue = this.database.dbType === 'sqlite' ? (isActive ? 1 : 0) : isActive;
+    await this.database.query(
+      `UPDATE ${table} SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [activeValue, id]
+    );
+    await this.refreshKnownNetworks();
+  }
+
+  /**
+   * Add a network to the bad networks list
+   * @param {string} cidr - CIDR or bare address
+   * @param {string} description - Optional description
+   * @returns {Promise<Object>} - Success message
+   */
+  async addBadNetwork(cidr, description = null) {
+    try {
+      await this.addNetwork('known_bad_networks', cidr, description);
+      return { message: 'Bad network added successfully' };
+    } catch (error) {
+      console.error('Error adding bad network:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all bad networks from the database
+   * @returns {Promise<Object>} - List of bad networks
+   */
+  async getBadNetworks() {
+    try {
+      const result = await this.database.query(
+        'SELECT id, cidr, description, is_active, created_at FROM known_bad_networks ORDER BY created_at DESC'
+      );
+      return { badNetworks: result.rows };
+    } catch (error) {
+      console.error('Error getting bad networks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a bad network from the database
+   * @param {number} id - The ID of the network to delete
+   * @returns {Promise<Object>} - Success message
+   */
+  async deleteBadNetwork(id) {
+    try {
+      await this.deleteNetwork('known_bad_networks', id);
+      return { message: 'Bad network deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting bad network:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a bad network's active status
+   * @param {number} id - The ID of the network to update
+   * @param {boolean} isActive - Whether the network should be active
+   * @returns {Promise<Object>} - Success message
+   */
+  async updateBadNetwork(id, isActive) {
+    try {
+      await this.updateNetwork('known_bad_networks', id, isActive);
+      return { message: 'Bad network updated successfully' };
+    } catch (error) {
+      console.error('Error updating bad network:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a network to the good networks list
+   * @param {string} cidr - CIDR or bare address
+   * @param {string} description - Optional description
+   * @returns {Promise<Object>} - Success message
+   */
+  async addGoodNetwork(cidr, description = null) {
+    try {
+      await this.addNetwork('known_good_networks', cidr, description);
+      return { message: 'Good network added successfully' };
+    } catch (error) {
+      console.error('Error adding good network:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all good networks from the database
+   * @returns {Promise<Object>} - List of good networks
+   */
+  async getGoodNetworks() {
+    try {
+      const result = await this.database.query(
+        'SELECT id, cidr, description, is_active, created_at FROM known_good_networks ORDER BY created_at DESC'
+      );
+      return { goodNetworks: result.rows };
+    } catch (error) {
+      console.error('Error getting good networks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a good network from the database
+   * @param {number} id - The ID of the network to delete
+   * @returns {Promise<Object>} - Success message
+   */
+  async deleteGoodNetwork(id) {
+    try {
+      await this.deleteNetwork('known_good_networks', id);
+      return { message: 'Good network deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting good network:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a good network's active status
+   * @param {number} id - The ID of the network to update
+   * @param {boolean} isActive - Whether the network should be active
+   * @returns {Promise<Object>} - Success message
+   */
+  async updateGoodNetwork(id, isActive) {
+    try {
+      await this.updateNetwork('known_good_networks', id, isActive);
+      return { message: 'Good network updated successfully' };
+    } catch (error) {
+      console.error('Error updating good network:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = NetworkService;
@@ -1,6 +1,72 @@
+const ContentFormat = require('../models/ContentFormat');
+const IpNetwork = require('../models/IpNetwork');
+const LruMap = require('../models/LruMap');
+const RateLimitResult = require('../models/RateLimitResult');
+const RateLimitRule = require('../models/RateLimitRule');
+const TokenBucket = require('../models/TokenBucket');
+
+// Entries each counter map holds until the max tracked visitors setting is read
+const DEFAULT_MAX_TRACKED_VISITORS = 10000;
+
+/**
+ * Parse additional rate limit windows from a setting value
+ * @param {string} value - Comma-separated 'seconds:max' pairs (e.g. '3600:60,86400:500')
+ * @returns {Array<Object>} - Windows as { name, windowSize, limit }; malformed entries are skipped
+ */
+function parseExtraWindows(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().match(/^(\d+):(\d+)$/))
+    .filter(match => match && parseInt(match[1]) > 0)
+    .map(match => ({
+      name: `${match[1]}s`,
+      windowSize: parseInt(match[1]) * 1000,
+      limit: parseInt(match[2])
+    }));
+}
+
+/**
+ * Get the subnet an address is aggregated into
+ * @param {string} ipAddress - Client IP address
+ * @param {Object} prefixes - IP version -> prefix length
+ * @returns {IpNetwork|null} - Containing subnet, or null if the address is invalid
+ */
+function getSubnetOf(ipAddress, prefixes) {
+  const address = IpNetwork.parseAddress(ipAddress);
+  if (!address) return null;
+  return IpNetwork.containing(ipAddress, prefixes[address.version]);
+}
+
+/**
+ * Prune a counter map to the timestamps after a cutoff, deleting empty counters
+ * @param {LruMap} counters - Counter key -> array of timestamps
+ * @param {number} cutoff - Oldest timestamp to keep (exclusive)
+ * @returns {number} - Number of deleted counters
+ */
+function pruneCounters(counters, cutoff) {
+  let deleted = 0;
+  // Iterate over a copy: updating an entry moves it to the end of the LRU order
+  for (const [key, timestamps] of Array.from(counters.entries())) {
+    const recentTimestamps = timestamps.filter(ts => ts > cutoff);
+    if (recentTimestamps.length === 0) {
+      counters.delete(key);
+      deleted++;
+    } else {
+      counters.set(key, recentTimestamps);
+    }
+  }
+  return deleted;
+}
+
 /**
  * RateLimitService - Handles rate limiting logic and in-memory request tracking
  * Extracted from RobotDetector to follow Single Responsibility Principle
+ * Paths matching a rate limit rule are counted against the rule's own window instead of the
+ * global windows, or excluded from rate limiting, depending on the rule.
+ * Requests are also aggregated per subnet, so scrapers rotating addresses within a network
+ * share a single budget.
+ * In token bucket mode, the global windows are replaced by one bucket per user that allows a
+ * burst and then refills at a steady rate.
  */
 class RateLimitService {
   constructor(database, settingsService, config) {
@@ -9,8 +75,20 @@ class RateLimitService {
     this.config = config;
     
     // In-memory storage for rate limiting
-    this.userRequests = new Map(); // userId -> array of timestamps
+    // Counter maps are bounded so that visitors cycling user agents or addresses can't exhaust memory;
+    // the least recently seen visitors are dropped first
+    this.userRequests = new LruMap(DEFAULT_MAX_TRACKED_VISITORS); // userId -> array of timestamps
+    this.ruleRequests = new LruMap(DEFAULT_MAX_TRACKED_VISITORS); // '<ruleId>:<userId>' -> array of timestamps
+    this.buckets = new LruMap(DEFAULT_MAX_TRACKED_VISITORS); // userId -> TokenBucket, in token bucket mode
+    this.rateLimitMode = 'window'; // Refreshed whenever rate limits are checked
+    this.tokenBucketConfig = null; // { size, refillRate (tokens per ms) } in token bucket mode
+    this.rules = []; // Active RateLimitRules, most specific first
+    this.subnetRequests = new LruMap(DEFAULT_MAX_TRACKED_VISITORS); // subnet CIDR -> array of timestamps
+    this.flaggedSubnets = new Map(); // subnet CIDR -> { flaggedAt, expiresAt }
+    this.subnetWindow = 60 * 1000; // Refreshed whenever the subnet limit is checked
     this.rateLimitShortWindow = config?.security?.rateLimitShortWindow || 60;
+    // Timestamps are kept for the longest configured window, refreshed whenever windows are read
+    this.retentionWindow = this.rateLimitShortWindow * 1000;
     
     this.initializeCleanupInterval();
   }
@@ -19,7 +97,63 @@ class RateLimitService {
    * Initialize the service by warming up rate counters and setting up cleanup
    */
   async initialize() {
+    await this.refreshCounterLimits();
+    await this.refreshRules();
     await this.warmupRateCounters();
+    await this.warmupSubnetFlags();
+  }
+
+  /**
+   * Reload the active rate limit rules from database
+   */
+  async refreshRules() {
+    try {
+      const result = await this.database.query(
+        `SELECT id, pattern, match_type, window_seconds, max_requests, is_excluded, description
+         FROM rate_limit_rules WHERE is_active = ?`,
+        [true]
+      );
+      this.rules = result.rows
+        .map(row => RateLimitRule.fromDatabase(row))
+        .sort((a, b) => b.getSpecificity() - a.getSpecificity() || a.id - b.id);
+
+      // Counters of rules that were removed or deactivated are no longer needed
+      const activeIds = new Set(this.rules.map(rule => String(rule.id)));
+      for (const key of this.ruleRequests.keys()) {
+        if (!activeIds.has(key.split(':')[0])) {
+          this.ruleRequests.delete(key);
+        }
+      }
+
+      console.log(`Loaded ${this.rules.length} rate limit rules`);
+    } catch (error) {
+      console.error('Error refreshing rate limit rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the rule that applies to a request path
+   * @param {string|null} path - Request path
+   * @returns {RateLimitRule|null} - Most specific matching rule, or null
+   */
+  findRule(path) {
+    if (!path) return null;
+    return this.rules.find(rule => rule.matches(path)) || null;
+  }
+
+  /**
+   * Get the counter map and key that track a user's requests to a path
+   * @param {string} userId - The user ID
+   * @param {string|null} path - Request path
+   * @returns {Object} - { counters, key, rule } where rule is the limiting rule or null for the global windows
+   */
+  getCounter(userId, path) {
+    const rule = this.findRule(path);
+    if (rule && !rule.isExcluded) {
+      return { counters: this.ruleRequests, key: `${rule.id}:${userId}`, rule };
+    }
+    return { counters: this.userRequests, key: userId, rule: null };
   }
 
   /**
@@ -29,42 +163,90 @@ class RateLimitService {
     const cleanupInterval = await this.getRateCounterCleanupInterval();
     
     // Clean up old rate limit entries at configured interval
-    setInterval(() => {
+    setInterval(async () => {
+      try {
+        await this.refreshCounterLimits();
+      } catch (error) {
+        console.error('Error refreshing rate counter limits:', error);
+      }
       this.cleanupRateCounters();
     }, cleanupInterval);
   }
 
+  /**
+   * Apply the max tracked visitors setting to every counter map
+   */
+  async refreshCounterLimits() {
+    const maxTrackedVisitors = await this.settingsService.getRateLimitMaxTrackedVisitors();
+    for (const counters of this.getCounterMaps()) {
+      counters.setMaxSize(maxTrackedVisitors);
+    }
+  }
+
+  /**
+   * Get the bounded counter maps
+   * @returns {Array<LruMap>} - User, rule, token bucket and subnet counters
+   */
+  getCounterMaps() {
+    return [this.userRequests, this.ruleRequests, this.buckets, this.subnetRequests];
+  }
+
   /**
    * Warm up rate counters from database on startup
    */
   async warmupRateCounters() {
     try {
-      const rateLimitWindow = await this.getRateLimitWindow();
-      const windowAgo = new Date(Date.now() - rateLimitWindow);
+      await this.getRateLimitWindows();
+      const tokenBucketMode = await this.isTokenBucketMode();
+      this.subnetWindow = await this.settingsService.getRateLimitSubnetWindow();
+      const prefixes = await this.getSubnetPrefixes();
+      const now = Date.now();
+      // An empty bucket is full again after size / refillRate, so older requests don't matter
+      const bucketWindow = tokenBucketMode ? this.tokenBucketConfig.size / this.tokenBucketConfig.refillRate : 0;
+      const windowAgo = new Date(now - Math.max(this.retentionWindow, this.subnetWindow, bucketWindow));
       
       const result = await this.database.query(
-        `SELECT user_id, created_at FROM request_logs 
+        `SELECT user_id, ip_address, request_url, created_at FROM request_logs 
          WHERE created_at > ? 
-         AND (request_url LIKE '%.html' OR request_url = '/' OR request_url NOT LIKE '%.%')
-         AND request_url NOT LIKE '/api/%' 
-         AND request_url != '/dashboard.html' 
-         AND request_url != '/dashboard'
-         ORDER BY created_at DESC`,
+         ORDER BY created_at ASC`,
         [windowAgo.toISOString()]
       );
       
-      // Group requests by user ID
+      // Group counted requests by user ID (and rule, for paths with a rule of their own) and by subnet
+      let warmedRequests = 0;
       for (const row of result.rows) {
-        const userId = row.user_id;
+        const path = row.request_url || '';
+        if (!this.isContentRequest(path) || this.isExcludedFromRateLimit(path)) {
+          continue;
+        }
+
         const timestamp = new Date(row.created_at).getTime();
-        
-        if (!this.userRequests.has(userId)) {
-          this.userRequests.set(userId, []);
+        const { counters, key, rule } = this.getCounter(row.user_id, path);
+        if (!rule && tokenBucketMode) {
+          // Replay the request against the user's bucket
+          const bucket = this.buckets.get(row.user_id) || TokenBucket.full(this.tokenBucketConfig, timestamp);
+          bucket.refill(this.tokenBucketConfig, timestamp).take();
+          this.buckets.set(row.user_id, bucket);
+          warmedRequests++;
+        } else if (timestamp > now - this.retentionWindow) {
+          if (!counters.has(key)) {
+            counters.set(key, []);
+          }
+          counters.get(key).push(timestamp);
+          warmedRequests++;
+        }
+
+        const subnet = timestamp > now - this.subnetWindow ? getSubnetOf(row.ip_address, prefixes) : null;
+        if (subnet) {
+          const subnetKey = subnet.toString();
+          if (!this.subnetRequests.has(subnetKey)) {
+            this.subnetRequests.set(subnetKey, []);
+          }
+          this.subnetRequests.get(subnetKey).push(timestamp);
         }
-        this.userRequests.get(userId).push(timestamp);
       }
       
-      console.log(`Warmed up rate counters for ${this.userRequests.size} users with ${result.rows.length} recent requests`);
+      console.log(`Warmed up rate counters for ${this.userRequests.size + this.buckets.size} users with ${warmedRequests} recent requests`);
     } catch (error) {
       console.error('Error warming up rate counters:', error);
     }
@@ -74,20 +256,13 @@ class RateLimitService {
    * Clean up old entries from rate counters
    */
   cleanupRateCounters() {
-    const oneMinuteAgo = Date.now() - this.rateLimitShortWindow * 1000;
-    let cleanedUsers = 0;
-    
-    for (const [userId, timestamps] of this.userRequests.entries()) {
-      // Filter out old timestamps
-      const recentTimestamps = timestamps.filter(ts => ts > oneMinuteAgo);
-      
-      if (recentTimestamps.length === 0) {
-        this.userRequests.delete(userId);
-        cleanedUsers++;
-      } else {
-        this.userRequests.set(userId, recentTimestamps);
-      }
-    }
+    // Filter out timestamps older than the longest window
+    const retentionStart = Date.now() - this.retentionWindow;
+    const cleanedUsers = pruneCounters(this.userRequests, retentionStart);
+    pruneCounters(this.ruleRequests, retentionStart);
+    pruneCounters(this.subnetRequests, Date.now() - this.subnetWindow);
+    this.cleanupBuckets();
+    this.cleanupSubnetFlags();
     
     if (cleanedUsers > 0) {
       console.log(`Cleaned up rate counters for ${cleanedUsers} inactive users`);
@@ -95,54 +270,412 @@ class RateLimitService {
   }
 
   /**
-   * Check rate limits for a user using in-memory storage
+   * Remove token buckets that refilled completely, since a missing bucket counts as full
+   * All buckets are removed once the rate limit mode is no longer token bucket
+   */
+  cleanupBuckets() {
+    const now = Date.now();
+    for (const [userId, bucket] of this.buckets.entries()) {
+      if (this.rateLimitMode !== 'token_bucket' || bucket.refill(this.tokenBucketConfig, now).isFull(this.tokenBucketConfig)) {
+        this.buckets.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Restore flags for subnets that exceeded their limit within the flag duration
+   */
+  async warmupSubnetFlags() {
+    try {
+      const flagDuration = await this.settingsService.getRateLimitSubnetFlagDuration();
+      const since = new Date(Date.now() - flagDuration);
+
+      const result = await this.database.query(
+        `SELECT rate_limit_subnet, created_at FROM request_logs
+         WHERE created_at > ?
+         AND rate_limit_subnet IS NOT NULL
+         AND block_reason LIKE '%Subnet rate limit exceeded:%'
+         ORDER BY created_at ASC`,
+        [since.toISOString()]
+      );
+
+      for (const row of result.rows) {
+        const flaggedAt = new Date(row.created_at).getTime();
+        this.flaggedSubnets.set(row.rate_limit_subnet, { flaggedAt, expiresAt: flaggedAt + flagDuration });
+      }
+
+      console.log(`Restored rate limit flags for ${this.flaggedSubnets.size} subnets`);
+    } catch (error) {
+      console.error('Error warming up subnet flags:', error);
+    }
+  }
+
+  /**
+   * Get the prefix length that groups each address family into subnets
+   * @returns {Promise<Object>} - IP version -> prefix length
+   */
+  async getSubnetPrefixes() {
+    return {
+      4: await this.settingsService.getRateLimitSubnetPrefix(4),
+      6: await this.settingsService.getRateLimitSubnetPrefix(6)
+    };
+  }
+
+  /**
+   * Get the subnet an address is aggregated into
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<IpNetwork|null>} - Subnet, or null if the address is invalid
+   */
+  async getSubnet(ipAddress) {
+    return getSubnetOf(ipAddress, await this.getSubnetPrefixes());
+  }
+
+  /**
+   * Check the aggregate rate limit of the subnet an address belongs to
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object|null>} - { subnet, result } with the subnet CIDR and its RateLimitResult,
+   *   or null if the address is invalid
+   */
+  async checkSubnetRateLimit(ipAddress) {
+    const subnet = await this.getSubnet(ipAddress);
+    if (!subnet) return null;
+
+    const now = Date.now();
+    const subnetKey = subnet.toString();
+    const limit = await this.settingsService.getRateLimitSubnetMax(subnet.version);
+    this.subnetWindow = await this.settingsService.getRateLimitSubnetWindow();
+
+    const subnetTimestamps = this.subnetRequests.get(subnetKey) || [];
+    const timestamps = subnetTimestamps.filter(ts => ts > now - this.subnetWindow);
+    if (subnetTimestamps.length > 0) {
+      this.subnetRequests.set(subnetKey, timestamps);
+    }
+
+    const count = timestamps.length;
+    return {
+      subnet: subnetKey,
+      result: new RateLimitResult(count > limit, count, limit, this.subnetWindow, null, `subnet:${subnetKey}`)
+    };
+  }
+
+  /**
+   * Add a request timestamp to the counter of the sender's subnet
+   * @param {string} ipAddress - Client IP address
+   */
+  async addRequestToSubnetCounter(ipAddress) {
+    const subnet = await this.getSubnet(ipAddress);
+    if (!subnet) return;
+
+    const subnetKey = subnet.toString();
+    if (!this.subnetRequests.has(subnetKey)) {
+      this.subnetRequests.set(subnetKey, []);
+    }
+    this.subnetRequests.get(subnetKey).push(Date.now());
+  }
+
+  /**
+   * Flag every member of a subnet after the subnet exceeded its aggregate limit
+   * @param {string} subnet - Subnet CIDR
+   */
+  async flagSubnet(subnet) {
+    const flagDuration = await this.settingsService.getRateLimitSubnetFlagDuration();
+    const flaggedAt = Date.now();
+
+    this.flaggedSubnets.set(subnet, { flaggedAt, expiresAt: flaggedAt + flagDuration });
+    console.log(`Flagged subnet ${subnet} after exceeding its aggregate rate limit`);
+  }
+
+  /**
+   * Get the active flag for a subnet
+   * @param {string} subnet - Subnet CIDR
+   * @returns {Object|null} - { flaggedAt, expiresAt } or null if not flagged
+   */
+  getSubnetFlag(subnet) {
+    const flag = this.flaggedSubnets.get(subnet);
+    if (!flag) return null;
+
+    if (flag.expiresAt <= Date.now()) {
+      this.flaggedSubnets.delete(subnet);
+      return null;
+    }
+    return flag;
+  }
+
+  /**
+   * Remove expired subnet flags
+   */
+  cleanupSubnetFlags() {
+    const now = Date.now();
+    for (const [subnet, flag] of this.flaggedSubnets.entries()) {
+      if (flag.expiresAt <= now) {
+        this.flaggedSubnets.delete(subnet);
+      }
+    }
+  }
+
+  /**
+   * Check every rate limit window that applies to a user's request using in-memory storage
    * @param {string} userId - The user ID to check
-   * @returns {Promise<Object>} - Rate limit check result
+   * @param {string|null} path - Request path; paths with a rule are checked against the rule only
+   * @returns {Promise<Array<RateLimitResult>>} - One result per window, shortest configured first
    */
-  async checkRateLimits(userId) {
+  async checkRateLimitWindows(userId, path = null) {
     const now = Date.now();
-    const rateLimitWindow = await this.getRateLimitWindow();
-    const rateLimitMax = await this.getRateLimitMax();
-    const windowAgo = now - rateLimitWindow;
+    const windows = await this.getRateLimitWindows();
+    const { counters, key, rule } = this.getCounter(userId, path);
 
-    // Get user's timestamps, filter to recent ones
-    const userTimestamps = this.userRequests.get(userId) || [];
-    const recentTimestamps = userTimestamps.filter(ts => ts > windowAgo);
-    
-    // Update the stored timestamps
-    this.userRequests.set(userId, recentTimestamps);
+    if (!rule && await this.isTokenBucketMode()) {
+      return [RateLimitResult.fromTokenBucket(userId, this.getBucket(userId, now), this.tokenBucketConfig)];
+    }
+
+    // Get user's timestamps, filter to the ones any window still covers
+    const userTimestamps = counters.get(key) || [];
+    const recentTimestamps = userTimestamps.filter(ts => ts > now - this.retentionWindow);
     
-    const shortCount = recentTimestamps.length;
+    // Update the stored timestamps (checking alone doesn't start tracking a visitor)
+    if (userTimestamps.length > 0) {
+      counters.set(key, recentTimestamps);
+    }
+
+    const checkWindow = (name, windowSize, limit) => {
+      const windowTimestamps = recentTimestamps.filter(ts => ts > now - windowSize);
+      const count = windowTimestamps.length;
+      // The full limit is available again once the newest request in the window expires, and an
+      // exceeded limit allows the next request once enough of the oldest ones expired
+      const resetAt = new Date(count > 0 ? windowTimestamps[count - 1] + windowSize : now);
+      const retryAt = count > limit ? new Date(windowTimestamps[count - limit] + windowSize) : null;
+      return new RateLimitResult(count > limit, count, limit, windowSize, userId, name, resetAt, retryAt);
+    };
+
+    if (rule) {
+      return [checkWindow(rule.getWindowName(), rule.getWindowSize(), rule.maxRequests)];
+    }
+    return windows.map(({ name, windowSize, limit }) => checkWindow(name, windowSize, limit));
+  }
+
+  /**
+   * Check if the global limits use token buckets, refreshing the mode and bucket configuration
+   * @returns {Promise<boolean>} - True in token bucket mode
+   */
+  async isTokenBucketMode() {
+    this.rateLimitMode = await this.settingsService.getRateLimitMode();
+    if (this.rateLimitMode !== 'token_bucket') {
+      this.tokenBucketConfig = null;
+      return false;
+    }
+
+    this.tokenBucketConfig = {
+      size: await this.settingsService.getRateLimitBucketSize(),
+      refillRate: await this.settingsService.getRateLimitBucketRefillRate() / (60 * 1000) // tokens per ms
+    };
+    return true;
+  }
+
+  /**
+   * Get a user's token bucket, refilled up to now
+   * Users without a stored bucket have a full one
+   * @param {string} userId - The user ID
+   * @param {number} now - Current time in milliseconds
+   * @returns {TokenBucket} - Refilled bucket
+   */
+  getBucket(userId, now = Date.now()) {
+    const bucket = this.buckets.get(userId);
+    return bucket ? bucket.refill(this.tokenBucketConfig, now) : TokenBucket.full(this.tokenBucketConfig, now);
+  }
+
+  /**
+   * Check rate limits for a user using in-memory storage
+   * @param {string} userId - The user ID to check
+   * @returns {Promise<Object>} - Rate limit check result (exceeded if any window is exceeded)
+   */
+  async checkRateLimits(userId) {
+    const results = await this.checkRateLimitWindows(userId);
+    // In token bucket mode the bucket stands in for both windows
+    const [short, long = short] = results;
 
     return {
-      exceeded: shortCount > rateLimitMax,
-      shortCount,
-      shortLimit: rateLimitMax
+      exceeded: results.some(result => result.isExceeded()),
+      shortCount: short.currentCount,
+      shortLimit: short.limit,
+      longCount: long.currentCount,
+      longLimit: long.limit
     };
   }
 
   /**
-   * Add a request timestamp to in-memory storage
+   * Get a user's request count in every window that applies to a path
+   * @param {string} userId - The user ID
+   * @param {string|null} path - Request path
+   * @returns {Promise<Object>} - Window name -> request count (e.g. { short: 3, long: 12 })
+   */
+  async getRequestCounts(userId, path = null) {
+    const results = await this.checkRateLimitWindows(userId, path);
+    return Object.fromEntries(results.map(result => [result.windowName, result.currentCount]));
+  }
+
+  /**
+   * Add a request timestamp to in-memory storage, or take a token in token bucket mode
    * @param {string} userId - The user ID to add request for
+   * @param {string|null} path - Request path, used to pick the rule counter
    */
-  addRequestToCounter(userId) {
-    if (!this.userRequests.has(userId)) {
-      this.userRequests.set(userId, []);
+  addRequestToCounter(userId, path = null) {
+    const { counters, key, rule } = this.getCounter(userId, path);
+    if (!rule && this.rateLimitMode === 'token_bucket') {
+      const bucket = this.getBucket(userId);
+      bucket.take();
+      this.buckets.set(userId, bucket);
+      return;
+    }
+
+    if (!counters.has(key)) {
+      counters.set(key, []);
     }
-    this.userRequests.get(userId).push(Date.now());
+    counters.get(key).push(Date.now());
   }
 
   /**
    * Check if request should be excluded from rate limiting
    * @param {string} path - The request path
-   * @returns {boolean} - True if should be excluded
+   * @returns {boolean} - True if the most specific matching rule is an exclusion
    */
   isExcludedFromRateLimit(path) {
-    // Exclude API endpoints and dashboard from rate limiting
-    return path.startsWith('/api/') || 
-           path === '/dashboard.html' || 
-           path === '/dashboard' ||
-           path.startsWith('/dashboard/');
+    const rule = this.findRule(path);
+    return rule !== null && rule.isExcluded;
+  }
+
+  /**
+   * Validate and normalize rate limit rule fields
+   * @param {string} pattern - Path prefix or glob
+   * @param {string} matchType - prefix or glob
+   * @param {number|string|null} windowSeconds - Rule window in seconds (ignored for exclusions)
+   * @param {number|string|null} maxRequests - Maximum requests per window (ignored for exclusions)
+   * @param {boolean} isExcluded - Whether matching paths are excluded from rate limiting
+   * @returns {Object} - { pattern, matchType, windowSeconds, maxRequests }
+   */
+  validateRule(pattern, matchType, windowSeconds, maxRequests, isExcluded) {
+    const trimmedPattern = typeof pattern === 'string' ? pattern.trim() : '';
+    if (!trimmedPattern.startsWith('/')) {
+      throw new Error('Rule pattern must start with /');
+    }
+    if (!RateLimitRule.isValidMatchType(matchType)) {
+      throw new Error(`Invalid match type: ${matchType}`);
+    }
+    if (isExcluded) {
+      return { pattern: trimmedPattern, matchType, windowSeconds: null, maxRequests: null };
+    }
+
+    const window = parseInt(windowSeconds);
+    if (isNaN(window) || window < 1) {
+      throw new Error('Rule window must be a positive number of seconds');
+    }
+    const max = parseInt(maxRequests);
+    if (isNaN(max) || max < 1) {
+      throw new Error('Rule max must be a positive integer');
+    }
+    return { pattern: trimmedPattern, matchType, windowSeconds: window, maxRequests: max };
+  }
+
+  /**
+   * Add a rate limit rule, replacing any rule with the same pattern
+   * @param {string} pattern - Path prefix or glob ('*' matches any characters)
+   * @param {string} matchType - prefix (default) or glob
+   * @param {number|null} windowSeconds - Rule window in seconds
+   * @param {number|null} maxRequests - Maximum requests per window
+   * @param {boolean} isExcluded - Exclude matching paths from rate limiting instead
+   * @param {string|null} description - Optional note
+   * @returns {Promise<Object>} - Success message
+   */
+  async addRateLimitRule(pattern, matchType = 'prefix', windowSeconds = null, maxRequests = null, isExcluded = false, description = null) {
+    const rule = this.validateRule(pattern, matchType, windowSeconds, maxRequests, isExcluded);
+    const excluded = Boolean(isExcluded);
+
+    try {
+      if (this.database.dbType === 'sqlite') {
+        await this.database.query(
+          `INSERT OR REPLACE INTO rate_limit_rules (pattern, match_type, window_seconds, max_requests, is_excluded, description, is_active)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [rule.pattern, rule.matchType, rule.windowSeconds, rule.maxRequests, excluded ? 1 : 0, description, 1]
+        );
+      } else {
+        await this.database.query(
+          `INSERT INTO rate_limit_rules (pattern, match_type, window_seconds, max_requests, is_excluded, description, is_active)
+           VALUES (?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (pattern) DO UPDATE SET match_type = ?, window_seconds = ?, max_requests = ?, is_excluded = ?, description = ?, is_active = ?`,
+          [
+            rule.pattern, rule.matchType, rule.windowSeconds, rule.maxRequests, excluded, description, true,
+            rule.matchType, rule.windowSeconds, rule.maxRequests, excluded, description, true
+          ]
+        );
+      }
+
+      await this.refreshRules();
+      return { message: 'Rate limit rule added successfully' };
+    } catch (error) {
+      console.error('Error adding rate limit rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all rate limit rules
+   * @returns {Promise<Object>} - { rateLimitRules }
+   */
+  async getRateLimitRules() {
+    try {
+      const result = await this.database.query(
+        `SELECT id, pattern, match_type, window_seconds, max_requests, is_excluded, description, is_active, created_at
+         FROM rate_limit_rules ORDER BY pattern`
+      );
+      return { rateLimitRules: result.rows };
+    } catch (error) {
+      console.error('Error getting rate limit rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rate limit rule
+   * @param {number} id - The ID of the rule to delete
+   * @returns {Promise<Object>} - Success message
+   */
+  async deleteRateLimitRule(id) {
+    if (!id) {
+      throw new Error('Rule ID is required');
+    }
+
+    try {
+      await this.database.query('DELETE FROM rate_limit_rules WHERE id = ?', [id]);
+      await this.refreshRules();
+      return { message: 'Rate limit rule deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting rate limit rule:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rate limit rule's active status
+   * @param {number} id - The ID of the rule to update
+   * @param {boolean} isActive - Whether the rule should be applied
+   * @returns {Promise<Object>} - Success message
+   */
+  async updateRateLimitRule(id, isActive) {
+    if (!id) {
+      throw new Error('Rule ID is required');
+    }
+
+    try {
+      const activeValue = this.database.dbType === 'sqlite' ? (isActive ? 1 : 0) : isActive;
+      await this.database.query(
+        'UPDATE rate_limit_rules SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [activeValue, id]
+      );
+      await this.refreshRules();
+      return { message: 'Rate limit rule updated successfully' };
+    } catch (error) {
+      console.error('Error updating rate limit rule:', error);
+      throw error;
+    }
   }
 
   /**
@@ -158,6 +691,15 @@ class RateLimitService {
            (!path.includes('.'));
   }
 
+  /**
+   * Check if request is for content the scrambler can rewrite: HTML pages, JSON, feeds, sitemaps and plain text
+   * @param {string} path - The request path
+   * @returns {boolean} - True if it's a content request
+   */
+  isContentRequest(path) {
+    return this.isHtmlRequest(path) || ContentFormat.fromPath(path) !== null;
+  }
+
   /**
    * Get rate limit window from settings
    * @returns {Promise<number>} - Rate limit window in milliseconds
@@ -176,6 +718,27 @@ class RateLimitService {
     return parseInt(value);
   }
 
+  /**
+   * Get all configured rate limit windows: the short and long windows, then any additional ones
+   * @returns {Promise<Array<Object>>} - Windows as { name, windowSize (ms), limit }
+   */
+  async getRateLimitWindows() {
+    const windows = [
+      { name: 'short', windowSize: await this.getRateLimitWindow(), limit: await this.getRateLimitMax() },
+      {
+        name: 'long',
+        windowSize: await this.settingsService.getRateLimitLongWindow(),
+        limit: await this.settingsService.getRateLimitLongMax()
+      },
+      ...parseExtraWindows(await this.settingsService.getRateLimitExtraWindows())
+    ];
+
+    // Rule counters are pruned with the same retention, so rule windows count too
+    const ruleWindows = this.rules.filter(rule => !rule.isExcluded).map(rule => rule.getWindowSize());
+    this.retentionWindow = Math.max(...windows.map(window => window.windowSize), ...ruleWindows);
+    return windows;
+  }
+
   /**
    * Get rate counter cleanup interval from settings
    * @returns {Promise<number>} - Cleanup interval in milliseconds
@@ -190,13 +753,32 @@ class RateLimitService {
    * @returns {Object} - Statistics about current rate limiting
    */
   getStats() {
+    this.cleanupBuckets();
+    this.cleanupSubnetFlags();
     const totalUsers = this.userRequests.size;
     const totalRequests = Array.from(this.userRequests.values())
       .reduce((total, timestamps) => total + timestamps.length, 0);
+    const evictions = {
+      users: this.userRequests.evictions,
+      rules: this.ruleRequests.evictions,
+      buckets: this.buckets.evictions,
+      subnets: this.subnetRequests.evictions
+    };
     
     return {
       totalActiveUsers: totalUsers,
       totalActiveRequests: totalRequests,
+      mode: this.rateLimitMode,
+      tokenBuckets: this.buckets.size,
+      ruleCounters: this.ruleRequests.size,
+      rules: this.rules.length,
+      activeSubnets: this.subnetRequests.size,
+      flaggedSubnets: this.flaggedSubnets.size,
+      maxTrackedVisitors: this.userRequests.maxSize,
+      evictions: {
+        ...evictions,
+        total: Object.values(evictions).reduce((total, count) => total + count, 0)
+      },
       memoryUsage: {
         users: totalUsers,
         requests: totalRequests
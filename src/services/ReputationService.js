@@ -0,0 +1,344 @@
+const IpNetwork = require('../models/IpNetwork');
+const VisitorReputation = require('../models/VisitorReputation');
+
+const { STATES } = VisitorReputation;
+
+// Each repeat offense within the offense window multiplies the previous ban by this factor
+const BAN_ESCALATION_FACTOR = 2;
+
+/**
+ * ReputationService - Persists the standing of visitors across rate windows and restarts
+ * Offenses ban a user ID for a duration that grows with every repeat offense; admins can
+ * also ban or trust a user ID or a whole IP address, extend bans and lift them.
+ */
+class ReputationService {
+  constructor(database, settingsService) {
+    this.database = database;
+    this.settingsService = settingsService;
+
+    // In-memory copy of the reputation table, consulted on every request
+    this.reputations = new Map(); // 'user:<id>' or 'ip:<address>' -> VisitorReputation
+  }
+
+  /**
+   * Initialize the service by loading reputation entries from database
+   */
+  async initialize() {
+    await this.refreshReputations();
+  }
+
+  /**
+   * Reload all reputation entries from database
+   */
+  async refreshReputations() {
+    try {
+      const result = await this.database.query('SELECT * FROM visitor_reputation');
+
+      const reputations = new Map();
+      for (const row of result.rows) {
+        const reputation = VisitorReputation.fromDatabase(row);
+        reputations.set(reputation.getKey(), reputation);
+      }
+      this.reputations = reputations;
+
+      console.log(`Loaded ${this.reputations.size} visitor reputation entries`);
+    } catch (error) {
+      console.error('Error refreshing visitor reputation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the standing that applies to a visitor
+   * An entry for the user ID takes precedence over an IP-wide entry
+   * @param {string} userId - User ID
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object|null>} - { reputation, state } or null if no entry applies
+   */
+  async getStanding(userId, ipAddress) {
+    const offenseWindow = await this.settingsService.getReputationOffenseWindow();
+    const candidates = [
+      this.reputations.get(`user:${userId}`),
+      ipAddress ? this.reputations.get(`ip:${ipAddress}`) : undefined
+    ];
+
+    for (const reputation of candidates) {
+      if (!reputation) continue;
+
+      const state = reputation.getEffectiveState(offenseWindow);
+      if (state) {
+        return { reputation, state };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the ban duration for the given offense count
+   * @param {number} offenseCount - Number of offenses within the offense window, including this one
+   * @returns {Promise<number>} - Ban duration in milliseconds
+   */
+  async getBanDuration(offenseCount) {
+    const baseDuration = await this.settingsService.getReputationBanDuration();
+    const maxDuration = await this.settingsService.getReputationBanMaxDuration();
+    return Math.min(baseDuration * Math.pow(BAN_ESCALATION_FACTOR, offenseCount - 1), maxDuration);
+  }
+
+  /**
+   * Ban a user ID after an offense, escalating the ban for repeat offenders
+   * @param {string} userId - User ID
+   * @param {string} ipAddress - Client IP address at the time of the offense
+   * @param {string} reason - Why the request was blocked
+   * @returns {Promise<VisitorReputation>} - Updated reputation entry
+   */
+  async recordOffense(userId, ipAddress, reason) {
+    const offenseWindow = await this.settingsService.getReputationOffenseWindow();
+    const existing = this.reputations.get(`user:${userId}`);
+    const offenseCount = existing && existing.hasRecentOffense(offenseWindow)
+      ? existing.offenseCount + 1
+      : 1;
+
+    const now = Date.now();
+    const reputation = existing || new VisitorReputation(null, userId, ipAddress, STATES.BANNED);
+    reputation.ipAddress = ipAddress;
+    reputation.state = STATES.BANNED;
+    reputation.reason = reason;
+    reputation.offenseCount = offenseCount;
+    reputation.expiresAt = new Date(now + await this.getBanDuration(offenseCount));
+    reputation.lastOffenseAt = new Date(now);
+
+    const saved = await this.saveReputation(reputation);
+    console.log(`Banned ${userId} until ${saved.expiresAt.toISOString()} (offense ${offenseCount}): ${reason}`);
+    return saved;
+  }
+
+  /**
+   * Set the state of a user ID or, when no user ID is given, of every visitor from an IP address
+   * @param {string|null} userId - User ID
+   * @param {string|null} ipAddress - IP address
+   * @param {string} state - suspect, banned or trusted
+   * @param {string|null} reason - Why the state was set
+   * @param {number|null} durationSeconds - How long the state lasts; null for no expiry
+   * @returns {Promise<Object>} - { message, reputation }
+   */
+  async setReputation(userId, ipAddress, state, reason = null, durationSeconds = null) {
+    if (!userId && !ipAddress) {
+      throw new Error('User ID or IP address is required');
+    }
+    if (!VisitorReputation.isValidState(state)) {
+      throw new Error(`Invalid reputation state: ${state}`);
+    }
+
+    let address = null;
+    if (ipAddress) {
+      address = IpNetwork.normalizeAddress(ipAddress.trim());
+      if (!IpNetwork.parseAddress(address)) {
+        throw new Error(`Invalid IP address: ${ipAddress}`);
+      }
+    }
+
+    const expiresAt = this.getExpiry(durationSeconds, Date.now());
+    const key = userId ? `user:${userId}` : `ip:${address}`;
+    const reputation = this.reputations.get(key) || new VisitorReputation(null, userId || null, address, state);
+    if (address) {
+      reputation.ipAddress = address;
+    }
+    reputation.state = state;
+    reputation.reason = reason;
+    reputation.expiresAt = expiresAt;
+
+    const saved = await this.saveReputation(reputation);
+    return { message: `Visitor marked as ${state}`, reputation: saved.toJSON() };
+  }
+
+  /**
+   * Get all reputation entries, most recently updated first
+   * @param {string|null} state - Only return entries whose effective state matches
+   * @returns {Promise<Object>} - { reputations }
+   */
+  async getReputations(state = null) {
+    try {
+      const offenseWindow = await this.settingsService.getReputationOffenseWindow();
+      const result = await this.database.query('SELECT * FROM visitor_reputation ORDER BY updated_at DESC');
+
+      const reputations = result.rows
+        .map(row => VisitorReputation.fromDatabase(row))
+        .map(reputation => ({ ...reputation.toJSON(), effectiveState: reputation.getEffectiveState(offenseWindow) }))
+        .filter(reputation => !state || reputation.effectiveState === state);
+
+      return { reputations };
+    } catch (error) {
+      console.error('Error getting visitor reputation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend a reputation entry, reinstating it if it already lapsed
+   * @param {number} id - Reputation entry ID
+   * @param {number} durationSeconds - Seconds to add to the current expiry (or to now, if lapsed)
+   * @returns {Promise<Object>} - { message, reputation }
+   */
+  async extendReputation(id, durationSeconds) {
+    const reputation = await this.getReputationById(id);
+    if (reputation.expiresAt === null) {
+      throw new Error('Reputation entry does not expire');
+    }
+
+    const now = Date.now();
+    reputation.expiresAt = this.getExpiry(durationSeconds, Math.max(now, reputation.expiresAt.getTime()));
+
+    const saved = await this.saveReputation(reputation);
+    return { message: `Extended until ${saved.expiresAt.toISOString()}`, reputation: saved.toJSON() };
+  }
+
+  /**
+   * Lift a ban or trust early
+   * The offense count is kept so the next offense still escalates
+   * @param {number} id - Reputation entry ID
+   * @returns {Promise<Object>} - { message, reputation }
+   */
+  async liftReputation(id) {
+    const reputation = await this.getReputationById(id);
+    reputation.state = STATES.SUSPECT;
+    reputation.expiresAt = new Date();
+
+    const saved = await this.saveReputation(reputation);
+    return { message: 'Reputation lifted successfully', reputation: saved.toJSON() };
+  }
+
+  /**
+   * Delete a reputation entry, forgetting the visitor's offenses
+   * @param {number} id - Reputation entry ID
+   * @returns {Promise<Object>} - { message }
+   */
+  async deleteReputation(id) {
+    const reputation = await this.getReputationById(id);
+
+    await this.database.query('DELETE FROM visitor_reputation WHERE id = ?', [reputation.id]);
+    this.reputations.delete(reputation.getKey());
+    return { message: 'Reputation entry deleted successfully' };
+  }
+
+  /**
+   * Delete entries that have lapsed and whose last offense no longer counts towards escalation
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async purgeExpiredReputations() {
+    const offenseWindow = await this.settingsService.getReputationOffenseWindow();
+    const now = Date.now();
+
+    const result = await this.database.query(
+      `DELETE FROM visitor_reputation
+       WHERE expires_at IS NOT NULL AND expires_at < ?
+       AND (last_offense_at IS NULL OR last_offense_at < ?)`,
+      [new Date(now).toISOString(), new Date(now - offenseWindow).toISOString()]
+    );
+
+    await this.refreshReputations();
+    return result.rowCount || 0;
+  }
+
+  /**
+   * Load a single reputation entry by ID
+   * @param {number} id - Reputation entry ID
+   * @returns {Promise<VisitorReputation>} - Reputation entry
+   */
+  async getReputationById(id) {
+    if (!id) {
+      throw new Error('Reputation ID is required');
+    }
+
+    const result = await this.database.query('SELECT * FROM visitor_reputation WHERE id = ?', [id]);
+    if (result.rows.length === 0) {
+      throw new Error('Reputation entry not found');
+    }
+    return VisitorReputation.fromDatabase(result.rows[0]);
+  }
+
+  /**
+   * Compute an expiry date from a duration in seconds
+   * @param {number|string|null} durationSeconds - Duration in seconds; null for no expiry
+   * @param {number} from - Start time in milliseconds
+   * @returns {Date|null} - Expiry date or null
+   */
+  getExpiry(durationSeconds, from) {
+    if (durationSeconds === null || durationSeconds === undefined || durationSeconds === '') {
+      return null;
+    }
+
+    const seconds = parseInt(durationSeconds);
+    if (isNaN(seconds) || seconds < 1) {
+      throw new Error('Duration must be a positive number of seconds');
+    }
+    return new Date(from + seconds * 1000);
+  }
+
+  /**
+   * Insert or update a reputation entry and refresh its cached copy
+   * @param {VisitorReputation} reputation - Reputation entry
+   * @returns {Promise<VisitorReputation>} - Entry as stored in the database
+   */
+  async saveReputation(reputation) {
+    const now = new Date().toISOString();
+    const values = [
+      reputation.ipAddress,
+      reputation.state,
+      reputation.reason,
+      reputation.offenseCount,
+      reputation.expiresAt ? reputation.expiresAt.toISOString() : null,
+      reputation.lastOffenseAt ? reputation.lastOffenseAt.toISOString() : null
+    ];
+
+    try {
+      if (reputation.id) {
+        await this.database.query(
+          `UPDATE visitor_reputation
+           SET ip_address = ?, state = ?, reason = ?, offense_count = ?, expires_at = ?, last_offense_at = ?, updated_at = ?
+           WHERE id = ?`,
+          [...values, now, reputation.id]
+        );
+      } else {
+        await this.database.query(
+          `INSERT INTO visitor_reputation
+           (user_id, ip_address, state, reason, offense_count, expires_at, last_offense_at, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [reputation.userId, ...values, now, now]
+        );
+      }
+
+      const result = reputation.userId
+        ? await this.database.query('SELECT * FROM visitor_reputation WHERE user_id = ?', [reputation.userId])
+        : await this.database.query(
+          'SELECT * FROM visitor_reputation WHERE user_id IS NULL AND ip_address = ?',
+          [reputation.ipAddress]
+        );
+
+      const saved = VisitorReputation.fromDatabase(result.rows[0]);
+      this.reputations.set(saved.getKey(), saved);
+      return saved;
+    } catch (error) {
+      console.error('Error saving visitor reputation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reputation statistics
+   * @returns {Promise<Object>} - { banned, suspect, trusted } counts of entries currently in each state
+   */
+  async getStats() {
+    const offenseWindow = await this.settingsService.getReputationOffenseWindow();
+    const stats = { banned: 0, suspect: 0, trusted: 0 };
+
+    for (const reputation of this.reputations.values()) {
+      const state = reputation.getEffectiveState(offenseWindow);
+      if (state) {
+        stats[state]++;
+      }
+    }
+    return stats;
+  }
+}
+
+module.exports = ReputationService;
@@ -1,3 +1,5 @@
+const DetectionResult = require('../models/DetectionResult');
+
 /**
  * RequestLogService - Handles request logging and statistics
  * Extracted from RobotDetector to follow Single Responsibility Principle
@@ -16,17 +18,28 @@ class RequestLogService {
    * @param {string} referrer - The referrer header
    * @param {boolean} wasRedirected - Whether the request was redirected/blocked
    * @param {string|null} blockReason - The reason for blocking (if any)
+   * @param {Object} details - Detection details: { score, signals, rateLimitCounts, rateLimitSubnet, wouldBlock, wouldBlockReason }
    * @returns {Promise<void>}
    */
-  async logRequest(userId, userAgent, ipAddress, requestUrl, referrer, wasRedirected, blockReason = null) {
+  async logRequest(userId, userAgent, ipAddress, requestUrl, referrer, wasRedirected, blockReason = null, details = {}) {
     try {
       const now = new Date();
+      const signals = details.signals && details.signals.length > 0 ? JSON.stringify(details.signals) : null;
+      const counts = details.rateLimitCounts || {};
+      const rateLimitCounts = Object.keys(counts).length > 0 ? JSON.stringify(counts) : null;
+      // Only analyzed requests have a shadow verdict
+      const wouldBlock = details.wouldBlock === undefined ? null : (details.wouldBlock ? 1 : 0);
 
       await this.database.query(
         `INSERT INTO request_logs 
-         (user_id, user_agent, ip_address, request_url, referrer, was_request_redirected, block_reason, created_at) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [userId, userAgent, ipAddress, requestUrl, referrer, wasRedirected ? 1 : 0, blockReason, now.toISOString()]
+         (user_id, user_agent, ip_address, request_url, referrer, was_request_redirected, block_reason, detection_score, detection_signals,
+          request_count_short_counter, request_count_long_counter, rate_limit_counts, rate_limit_subnet, would_block, would_block_reason, maze_depth, created_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId, userAgent, ipAddress, requestUrl, referrer, wasRedirected ? 1 : 0, blockReason, details.score || 0, signals,
+          counts.short || 0, counts.long || 0, rateLimitCounts, details.rateLimitSubnet || null,
+          wouldBlock, details.wouldBlockReason || null, details.mazeDepth ?? null, now.toISOString()
+        ]
       );
     } catch (error) {
       console.error('Error logging request:', error);
@@ -71,7 +84,7 @@ class RequestLogService {
       
       // Get recent requests with block reasons
       const recentRequests = await this.database.query(`
-        SELECT ip_address, user_agent, request_url, was_request_redirected, block_reason, created_at 
+        SELECT ip_address, user_agent, request_url, was_request_redirected, block_reason, detection_score, detection_signals, created_at 
         FROM request_logs 
         WHERE request_url NOT LIKE '/api/%' and request_url != '/dashboard.html'
         ORDER BY created_at DESC 
@@ -98,6 +111,9 @@ class RequestLogService {
         LIMIT 10
       `);
 
+      const robotsTxtViolators = await this.getRobotsTxtViolators();
+      const mazeExplorers = await this.getMazeExplorers();
+
       return {
         totalRequests: parseInt(totalRequests.rows[0].count),
         blockedRequests: parseInt(blockedRequests.rows[0].count),
@@ -105,6 +121,8 @@ class RequestLogService {
         topUserAgents: topUserAgents.rows,
         topBlockedUserAgents: topBlockedUserAgents.rows,
         topBlockedIPs: topBlockedIPs.rows,
+        robotsTxtViolators,
+        mazeExplorers,
         recentRequests: recentRequests.rows
       };
     } catch (error) {
@@ -113,6 +131,68 @@ class RequestLogService {
     }
   }
 
+  /**
+   * Get the clients that read robots.txt and then requested a path it disallowed
+   * @param {number} limit - Maximum number of clients to return
+   * @returns {Promise<Array>} - Violators with when they read robots.txt and their violation count
+   */
+  async getRobotsTxtViolators(limit = 20) {
+    try {
+      const result = await this.database.query(`
+        SELECT 
+          v.user_agent,
+          v.ip_address,
+          MIN(r.created_at) as robots_txt_read_at,
+          MIN(v.created_at) as first_violation_at,
+          COUNT(DISTINCT v.id) as violation_count
+        FROM request_logs v
+        JOIN request_logs r 
+          ON r.user_id = v.user_id 
+          AND r.request_url = '/robots.txt' 
+          AND r.created_at <= v.created_at
+        WHERE v.block_reason LIKE ?
+        GROUP BY v.user_id, v.user_agent, v.ip_address
+        ORDER BY first_violation_at DESC
+        LIMIT ?
+      `, [`%${DetectionResult.ROBOTS_TXT_VIOLATION}:%`, limit]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting robots.txt violators:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the clients that followed links into the link maze, deepest first
+   * @param {number} limit - Maximum number of clients to return
+   * @returns {Promise<Array>} - Clients with the deepest maze page they reached and their maze request count
+   */
+  async getMazeExplorers(limit = 20) {
+    try {
+      const result = await this.database.query(`
+        SELECT 
+          user_id,
+          user_agent,
+          ip_address,
+          MAX(maze_depth) as max_depth,
+          COUNT(*) as maze_requests,
+          MIN(created_at) as first_seen_at,
+          MAX(created_at) as last_seen_at
+        FROM request_logs
+        WHERE maze_depth IS NOT NULL
+        GROUP BY user_id, user_agent, ip_address
+        ORDER BY max_depth DESC, maze_requests DESC
+        LIMIT ?
+      `, [limit]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting maze explorers:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get requests by date range
    * @param {Date} startDate - Start date
@@ -146,7 +226,7 @@ class RequestLogService {
     try {
       const result = await this.database.query(`
         SELECT user_id, user_agent, ip_address, request_url, referrer, 
-               was_request_redirected, block_reason, created_at
+               was_request_redirected, block_reason, detection_score, detection_signals, created_at
         FROM request_logs 
         WHERE user_id = ?
         ORDER BY created_at DESC
@@ -202,6 +282,78 @@ class RequestLogService {
     }
   }
 
+  /**
+   * Compare the actual verdicts with the shadow (dry-run) verdicts over a time period
+   * @param {number} hours - Number of hours to look back (default 24)
+   * @returns {Promise<Object>} - Counts per actual/shadow combination and the top reasons where they differ
+   */
+  async getVerdictComparison(hours = 24) {
+    try {
+      const sinceDate = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+      // Requests logged without detection (non-HTML, honeypot disabled) have no shadow verdict
+      const result = await this.database.query(`
+        SELECT was_request_redirected, would_block, COUNT(*) as count
+        FROM request_logs 
+        WHERE created_at > ?
+        AND would_block IS NOT NULL
+        GROUP BY was_request_redirected, would_block
+      `, [sinceDate.toISOString()]);
+
+      const comparison = { bothBlocked: 0, shadowOnly: 0, actualOnly: 0, bothAllowed: 0 };
+      for (const row of result.rows) {
+        const actual = Boolean(row.was_request_redirected);
+        const shadow = Boolean(row.would_block);
+        const count = parseInt(row.count);
+        if (actual && shadow) {
+          comparison.bothBlocked += count;
+        } else if (shadow) {
+          comparison.shadowOnly += count;
+        } else if (actual) {
+          comparison.actualOnly += count;
+        } else {
+          comparison.bothAllowed += count;
+        }
+      }
+
+      const shadowReasons = await this.database.query(`
+        SELECT would_block_reason, COUNT(*) as count
+        FROM request_logs 
+        WHERE created_at > ?
+        AND would_block_reason IS NOT NULL
+        AND was_request_redirected = ?
+        GROUP BY would_block_reason
+        ORDER BY count DESC
+        LIMIT 10
+      `, [sinceDate.toISOString(), 0]);
+
+      const actualReasons = await this.database.query(`
+        SELECT block_reason, COUNT(*) as count
+        FROM request_logs 
+        WHERE created_at > ?
+        AND block_reason IS NOT NULL
+        AND was_request_redirected = ?
+        AND would_block = ?
+        GROUP BY block_reason
+        ORDER BY count DESC
+        LIMIT 10
+      `, [sinceDate.toISOString(), 1, 0]);
+
+      return {
+        period: `${hours} hours`,
+        total: comparison.bothBlocked + comparison.shadowOnly + comparison.actualOnly + comparison.bothAllowed,
+        actualBlocked: comparison.bothBlocked + comparison.actualOnly,
+        shadowBlocked: comparison.bothBlocked + comparison.shadowOnly,
+        ...comparison,
+        shadowOnlyReasons: shadowReasons.rows,
+        actualOnlyReasons: actualReasons.rows
+      };
+    } catch (error) {
+      console.error('Error getting verdict comparison:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get top attacking user agents
    * @param {number} limit - Maximum number of results
@@ -0,0 +1,144 @@
+const ResponsePolicy = require('../models/ResponsePolicy');
+
+/**
+ * ResponsePolicyService - Decides how blocked requests are answered
+ * Each block reason maps to an action (scramble, redirect, 403, 429, empty 200 or tarpit);
+ * policies are cached in memory and refreshed whenever they change
+ */
+class ResponsePolicyService {
+  constructor(database, config) {
+    this.database = database;
+    this.defaultRedirectUrl = config?.routes?.redirectUrl || null;
+    this.policies = new Map(); // reason -> ResponsePolicy
+  }
+
+  /**
+   * Initialize the service by loading the policies
+   */
+  async initialize() {
+    await this.refreshPolicies();
+  }
+
+  /**
+   * Reload the policies from the database
+   */
+  async refreshPolicies() {
+    try {
+      const result = await this.database.query(
+        'SELECT id, reason, action, redirect_url, custom_page FROM response_policies'
+      );
+      this.policies = new Map(result.rows.map(row => [row.reason, ResponsePolicy.fromDatabase(row)]));
+      console.log(`Loaded ${this.policies.size} response policies`);
+    } catch (error) {
+      console.error('Error refreshing response policies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide how to answer a blocked request
+   * Without a policy (or with the default action) scrambled verdicts are scrambled and blocked ones get a 403
+   * @param {DetectionResult} detectionResult - Blocked detection result
+   * @returns {Object} - { reason, action, redirectUrl, customPage }
+   */
+  resolve(detectionResult) {
+    const reason = ResponsePolicy.reasonFor(detectionResult);
+    const policy = this.policies.get(reason);
+    const verdictAction = detectionResult.shouldBlock ? 'forbidden' : 'scramble';
+    const redirectUrl = policy?.redirectUrl || this.defaultRedirectUrl;
+
+    let action = policy ? policy.action : 'default';
+    if (action === 'default' || (action === 'redirect' && !redirectUrl)) {
+      action = verdictAction;
+    }
+
+    return {
+      reason,
+      action,
+      redirectUrl: action === 'redirect' ? redirectUrl : null,
+      customPage: action === 'forbidden' && policy ? policy.customPage : null
+    };
+  }
+
+  /**
+   * Validate a policy before storing it
+   * @param {string} reason - Block reason
+   * @param {string} action - Action to take
+   * @param {string|null} redirectUrl - Redirect target
+   * @throws {Error} - If the reason, action or redirect URL is invalid
+   */
+  validatePolicy(reason, action, redirectUrl) {
+    if (!ResponsePolicy.isValidReason(reason)) {
+      throw new Error(`Invalid response reason: ${reason}`);
+    }
+    if (!ResponsePolicy.isValidAction(action)) {
+      throw new Error(`Invalid response action: ${action}`);
+    }
+    if (redirectUrl && !/^https?:\/\/\S+$/i.test(redirectUrl)) {
+      throw new Error('Redirect URL must be an http or https URL');
+    }
+    if (action === 'redirect' && !redirectUrl && !this.defaultRedirectUrl) {
+      throw new Error('Redirect URL is required (no REDIRECT_URL is configured)');
+    }
+  }
+
+  /**
+   * Set the policy for a block reason
+   * @param {string} reason - Block reason (one of ResponsePolicy.REASONS)
+   * @param {string} action - Action (one of ResponsePolicy.ACTIONS)
+   * @param {string|null} redirectUrl - Redirect target, defaults to REDIRECT_URL
+   * @param {string|null} customPage - HTML served with a 403, defaults to 'Forbidden'
+   * @returns {Promise<Object>} - Success message
+   */
+  async setResponsePolicy(reason, action, redirectUrl = null, customPage = null) {
+    const url = typeof redirectUrl === 'string' && redirectUrl.trim() ? redirectUrl.trim() : null;
+    const page = typeof customPage === 'string' && customPage.trim() ? customPage : null;
+    this.validatePolicy(reason, action, url);
+
+    try {
+      if (this.database.dbType === 'sqlite') {
+        await this.database.query(
+          `INSERT OR REPLACE INTO response_policies (reason, action, redirect_url, custom_page, updated_at)
+           VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [reason, action, url, page]
+        );
+      } else {
+        await this.database.query(
+          `INSERT INTO response_policies (reason, action, redirect_url, custom_page, updated_at)
+           VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+           ON CONFLICT (reason) DO UPDATE SET action = ?, redirect_url = ?, custom_page = ?, updated_at = CURRENT_TIMESTAMP`,
+          [reason, action, url, page, action, url, page]
+        );
+      }
+
+      await this.refreshPolicies();
+      return { message: 'Response policy updated successfully' };
+    } catch (error) {
+      console.error('Error setting response policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the policy of every block reason, including reasons without a stored policy
+   * @returns {Promise<Object>} - { responsePolicies, actions, defaultRedirectUrl }
+   */
+  async getResponsePolicies() {
+    try {
+      await this.refreshPolicies();
+      const responsePolicies = ResponsePolicy.REASONS.map(reason =>
+        (this.policies.get(reason) || new ResponsePolicy(null, reason)).toJSON()
+      );
+      return {
+        responsePolicies,
+        actions: ResponsePolicy.ACTIONS,
+        defaultRedirectUrl: this.defaultRedirectUrl
+      };
+    } catch (error) {
+      console.error('Error getting response policies:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ResponsePolicyService;
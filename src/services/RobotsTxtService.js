@@ -0,0 +1,236 @@
+const DetectionResult = require('../models/DetectionResult');
+
+/**
+ * RobotsTxtService - Generates robots.txt and remembers the clients that ignore it
+ * Known good agents get the configured rules; everyone else also gets decoy Disallow
+ * entries. Nothing links to the decoys, so a client requesting one has read robots.txt
+ * and crawled what it was told not to.
+ */
+class RobotsTxtService {
+  constructor(database, settingsService, userAgentService, botVerificationService) {
+    this.database = database;
+    this.settingsService = settingsService;
+    this.userAgentService = userAgentService;
+    this.botVerificationService = botVerificationService;
+
+    // In-memory storage for flagged violators
+    this.flaggedViolators = new Map(); // userId -> { decoyPath, flaggedAt, expiresAt }
+  }
+
+  /**
+   * Initialize the service by restoring recent violations from the request log
+   */
+  async initialize() {
+    await this.warmupFlaggedViolators();
+  }
+
+  /**
+   * Restore flags for clients that requested a decoy path within the flag duration
+   */
+  async warmupFlaggedViolators() {
+    try {
+      const flagDuration = await this.getFlagDuration();
+      const since = new Date(Date.now() - flagDuration);
+
+      // Other reasons may precede the violation's in a combined block reason
+      const result = await this.database.query(
+        `SELECT user_id, request_url, created_at FROM request_logs
+         WHERE created_at > ?
+         AND block_reason LIKE ?
+         ORDER BY created_at ASC`,
+        [since.toISOString(), `%${DetectionResult.ROBOTS_TXT_VIOLATION}:%`]
+      );
+
+      for (const row of result.rows) {
+        const flaggedAt = new Date(row.created_at).getTime();
+        this.flaggedViolators.set(row.user_id, {
+          decoyPath: row.request_url,
+          flaggedAt,
+          expiresAt: flaggedAt + flagDuration
+        });
+      }
+
+      console.log(`Restored robots.txt violator flags for ${this.flaggedViolators.size} visitors`);
+    } catch (error) {
+      console.error('Error warming up robots.txt violator flags:', error);
+    }
+  }
+
+  /**
+   * Get the decoy paths listed as disallowed for untrusted clients
+   * @returns {Promise<string[]>} - Decoy paths
+   */
+  async getDecoyPaths() {
+    const value = await this.settingsService.getRobotsTxtDecoyPaths();
+    return value
+      .split(',')
+      .map(decoyPath => decoyPath.trim())
+      .filter(decoyPath => decoyPath.startsWith('/'));
+  }
+
+  /**
+   * Get how long a client stays flagged after requesting a decoy path
+   * @returns {Promise<number>} - Flag duration in milliseconds
+   */
+  async getFlagDuration() {
+    return await this.settingsService.getRobotsTxtFlagDuration();
+  }
+
+  /**
+   * Find the decoy path a request falls under (Disallow entries are prefixes)
+   * @param {string} requestPath - Request path
+   * @returns {Promise<string|null>} - The matching decoy path or null
+   */
+  async findDecoyPath(requestPath) {
+    if (!requestPath) return null;
+
+    const decoyPaths = await this.getDecoyPaths();
+    return decoyPaths.find(decoyPath => requestPath.startsWith(decoyPath)) || null;
+  }
+
+  /**
+   * Check if a request path is a robots.txt decoy
+   * @param {string} requestPath - Request path
+   * @returns {Promise<boolean>} - True if the path is disallowed as a decoy
+   */
+  async isDecoyPath(requestPath) {
+    return (await this.findDecoyPath(requestPath)) !== null;
+  }
+
+  /**
+   * Check if a client gets the real rules only
+   * Good agents that require DNS verification must pass it, so impersonators still see the decoys
+   * @param {string} userAgent - User agent string
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<boolean>} - True if the client is a trusted good agent
+   */
+  async isTrustedAgent(userAgent, ipAddress) {
+    const agent = this.userAgentService.findGoodAgent(userAgent);
+    if (!agent) return false;
+    if (agent.verifyDomains.length === 0) return true;
+
+    const verification = await this.botVerificationService.verify(ipAddress, agent.verifyDomains);
+    return verification.verified;
+  }
+
+  /**
+   * Generate robots.txt for a client
+   * @param {string} userAgent - User agent string
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<string>} - robots.txt content
+   */
+  async generateRobotsTxt(userAgent, ipAddress) {
+    const rules = (await this.settingsService.getRobotsTxtRules()).trim();
+
+    if (await this.isTrustedAgent(userAgent, ipAddress)) {
+      return `${rules}\n`;
+    }
+
+    const decoyPaths = await this.getDecoyPaths();
+    if (decoyPaths.length === 0) {
+      return `${rules}\n`;
+    }
+
+    return `${RobotsTxtService.addDecoyRules(rules, decoyPaths)}\n`;
+  }
+
+  /**
+   * Add Disallow entries for decoy paths to the first 'User-agent: *' group of robots.txt rules
+   * Many parsers only apply the first group matching them, so the decoys can't sit in a group
+   * of their own; rules without a '*' group get one at the end
+   * @param {string} rules - Configured robots.txt rules
+   * @param {string[]} decoyPaths - Decoy paths
+   * @returns {string} - Rules with the decoy entries
+   */
+  static addDecoyRules(rules, decoyPaths) {
+    const lines = rules ? rules.split(/\r?\n/) : [];
+    const decoyLines = decoyPaths.map(decoyPath => `Disallow: ${decoyPath}`);
+
+    let wildcardGroup = 'before'; // 'before' the first '*' group, 'in' it or 'after' it
+    let startsGroup = true; // whether the next User-agent line starts a new group
+    let insertAt = -1; // index of the last line of the '*' group
+
+    lines.forEach((line, index) => {
+      const field = line.replace(/#.*$/, '').match(/^\s*([A-Za-z-]+)\s*:\s*(.*?)\s*$/);
+      if (!field) return;
+
+      const name = field[1].toLowerCase();
+      if (name === 'user-agent') {
+        if (startsGroup && wildcardGroup === 'in') wildcardGroup = 'after';
+        startsGroup = false;
+        if (field[2] === '*' && wildcardGroup === 'before') {
+          wildcardGroup = 'in';
+          insertAt = index;
+        }
+      } else if (name !== 'sitemap') {
+        // A rule of the current group; Sitemap lines belong to no group
+        startsGroup = true;
+        if (wildcardGroup === 'in') insertAt = index;
+      }
+    });
+
+    if (insertAt === -1) {
+      return [...lines, ...(lines.length > 0 ? [''] : []), 'User-agent: *', ...decoyLines].join('\n');
+    }
+    lines.splice(insertAt + 1, 0, ...decoyLines);
+    return lines.join('\n');
+  }
+
+  /**
+   * Flag a client as a robots.txt violator
+   * @param {string} userId - User ID
+   * @param {string} decoyPath - The decoy path that was requested
+   */
+  async flagViolator(userId, decoyPath) {
+    const flagDuration = await this.getFlagDuration();
+    const flaggedAt = Date.now();
+
+    // Violators rarely come back, so expired flags are dropped as new ones come in
+    this.cleanupFlags();
+    this.flaggedViolators.set(userId, {
+      decoyPath,
+      flaggedAt,
+      expiresAt: flaggedAt + flagDuration
+    });
+    console.log(`Flagged ${userId} as a robots.txt violator after ${decoyPath}`);
+  }
+
+  /**
+   * Get the active violator flag for a client
+   * @param {string} userId - User ID
+   * @returns {Object|null} - { decoyPath, flaggedAt, expiresAt } or null if not flagged
+   */
+  getFlag(userId) {
+    const flag = this.flaggedViolators.get(userId);
+    if (!flag) return null;
+
+    if (flag.expiresAt <= Date.now()) {
+      this.flaggedViolators.delete(userId);
+      return null;
+    }
+    return flag;
+  }
+
+  /**
+   * Remove expired flags
+   */
+  cleanupFlags() {
+    const now = Date.now();
+    for (const [userId, flag] of this.flaggedViolators.entries()) {
+      if (flag.expiresAt <= now) {
+        this.flaggedViolators.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Get robots.txt statistics
+   * @returns {Object} - { flaggedViolators }
+   */
+  getStats() {
+    this.cleanupFlags();
+    return { flaggedViolators: this.flaggedViolators.size };
+  }
+}
+
+module.exports = RobotsTxtService;
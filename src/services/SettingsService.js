@@ -167,6 +167,106 @@ class SettingsService {
     return parseInt(value);
   }
 
+  /**
+   * Get long rate limit window in milliseconds
+   * @returns {Promise<number>} - Long rate limit window
+   */
+  async getRateLimitLongWindow() {
+    const value = await this.getSetting('rate_limit_long_window', '900');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get long rate limit maximum requests
+   * @returns {Promise<number>} - Maximum requests allowed in the long window
+   */
+  async getRateLimitLongMax() {
+    const value = await this.getSetting('rate_limit_long_max', '25');
+    return parseInt(value);
+  }
+
+  /**
+   * Get additional rate limit windows beyond the short and long ones
+   * @returns {Promise<string>} - Comma-separated 'seconds:max' pairs (empty for none)
+   */
+  async getRateLimitExtraWindows() {
+    return await this.getSetting('rate_limit_extra_windows', '');
+  }
+
+  /**
+   * Get how many visitors (and subnets) each in-memory rate counter tracks before dropping
+   * the least recently seen ones
+   * @returns {Promise<number>} - Maximum tracked entries per counter
+   */
+  async getRateLimitMaxTrackedVisitors() {
+    const value = await this.getSetting('rate_limit_max_tracked_visitors', '10000');
+    return parseInt(value);
+  }
+
+  /**
+   * Get the per-visitor rate limit mode
+   * @returns {Promise<string>} - 'window' (sliding windows) or 'token_bucket'
+   */
+  async getRateLimitMode() {
+    return await this.getSetting('rate_limit_mode', 'window');
+  }
+
+  /**
+   * Get the token bucket size, i.e. the burst a visitor with a full bucket may make
+   * @returns {Promise<number>} - Bucket size in requests
+   */
+  async getRateLimitBucketSize() {
+    const value = await this.getSetting('rate_limit_bucket_size', '10');
+    return parseInt(value);
+  }
+
+  /**
+   * Get how fast token buckets refill
+   * @returns {Promise<number>} - Tokens added per minute
+   */
+  async getRateLimitBucketRefillRate() {
+    const value = await this.getSetting('rate_limit_bucket_refill_rate', '10');
+    return parseInt(value);
+  }
+
+  /**
+   * Get the window in which requests from a whole subnet are counted, in milliseconds
+   * @returns {Promise<number>} - Subnet rate limit window
+   */
+  async getRateLimitSubnetWindow() {
+    const value = await this.getSetting('rate_limit_subnet_window', '60');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get the prefix length that groups addresses into a subnet for aggregate rate limiting
+   * @param {number} version - IP version (4 or 6)
+   * @returns {Promise<number>} - Prefix length in bits
+   */
+  async getRateLimitSubnetPrefix(version) {
+    const value = await this.getSetting(`rate_limit_subnet_ipv${version}_prefix`, version === 4 ? '24' : '64');
+    return parseInt(value);
+  }
+
+  /**
+   * Get the maximum requests from a whole subnet within the subnet window
+   * @param {number} version - IP version (4 or 6)
+   * @returns {Promise<number>} - Maximum requests allowed per subnet
+   */
+  async getRateLimitSubnetMax(version) {
+    const value = await this.getSetting(`rate_limit_subnet_ipv${version}_max`, '50');
+    return parseInt(value);
+  }
+
+  /**
+   * Get how long every member of a subnet stays flagged after the subnet exceeded its limit
+   * @returns {Promise<number>} - Flag duration in milliseconds
+   */
+  async getRateLimitSubnetFlagDuration() {
+    const value = await this.getSetting('rate_limit_subnet_flag_duration', '600');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
   /**
    * Get fake server header
    * @returns {Promise<string>} - Fake server header value
@@ -193,6 +293,172 @@ class SettingsService {
     return parseInt(value) * 1000; // Convert to milliseconds
   }
 
+  /**
+   * Get how long a good-bot DNS verification result is cached, in milliseconds
+   * @returns {Promise<number>} - Cache TTL
+   */
+  async getBotVerificationCacheTtl() {
+    const value = await this.getSetting('bot_verification_cache_ttl', '3600');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get how long a good-bot DNS verification may take before it counts as a failed lookup, in milliseconds
+   * @returns {Promise<number>} - Lookup timeout
+   */
+  async getBotVerificationTimeout() {
+    const value = await this.getSetting('bot_verification_timeout_ms', '2000');
+    return parseInt(value);
+  }
+
+  /**
+   * Get the trap link URL patterns
+   * @returns {Promise<string>} - Comma-separated patterns ('*' is a wildcard)
+   */
+  async getTrapLinkPatterns() {
+    return await this.getSetting('trap_link_patterns', '/blog/drafts/*,/archive/*');
+  }
+
+  /**
+   * Get how long a visitor stays flagged after following a trap link, in milliseconds
+   * @returns {Promise<number>} - Flag duration
+   */
+  async getTrapLinkFlagDuration() {
+    const value = await this.getSetting('trap_link_flag_duration', '86400');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get the robots.txt rules served to every client
+   * @returns {Promise<string>} - robots.txt rules
+   */
+  async getRobotsTxtRules() {
+    return await this.getSetting('robots_txt_rules', 'User-agent: *\nDisallow: /api/');
+  }
+
+  /**
+   * Get the decoy paths disallowed in robots.txt for clients that aren't known good agents
+   * @returns {Promise<string>} - Comma-separated paths
+   */
+  async getRobotsTxtDecoyPaths() {
+    return await this.getSetting('robots_txt_decoy_paths', '/private/,/backup/,/admin-old/');
+  }
+
+  /**
+   * Get how long a client stays flagged after requesting a robots.txt decoy path, in milliseconds
+   * @returns {Promise<number>} - Flag duration
+   */
+  async getRobotsTxtFlagDuration() {
+    const value = await this.getSetting('robots_txt_flag_duration', '86400');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get how long a client stays flagged after requesting a link tagged for another client, in milliseconds
+   * @returns {Promise<number>} - Flag duration
+   */
+  async getLinkTagFlagDuration() {
+    const value = await this.getSetting('link_tag_flag_duration', '86400');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get the ban duration for a first offense, in milliseconds
+   * Repeat offenses double the previous ban up to the maximum
+   * @returns {Promise<number>} - Base ban duration
+   */
+  async getReputationBanDuration() {
+    const value = await this.getSetting('reputation_ban_duration', '600');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get the longest automatic ban, in milliseconds
+   * @returns {Promise<number>} - Maximum ban duration
+   */
+  async getReputationBanMaxDuration() {
+    const value = await this.getSetting('reputation_ban_max_duration', '604800');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get how long past offenses count towards escalation, in milliseconds
+   * @returns {Promise<number>} - Offense window
+   */
+  async getReputationOffenseWindow() {
+    const value = await this.getSetting('reputation_offense_window', '604800');
+    return parseInt(value) * 1000; // Convert to milliseconds
+  }
+
+  /**
+   * Get the score thresholds that turn detection signals into a verdict
+   * @returns {Promise<Object>} - { scramble, block } thresholds
+   */
+  async getDetectionThresholds() {
+    const scramble = await this.getSetting('detection_scramble_threshold', '50');
+    const block = await this.getSetting('detection_block_threshold', '200');
+    return {
+      scramble: parseInt(scramble),
+      block: parseInt(block)
+    };
+  }
+
+  /**
+   * Get the weight a detector adds to the request score when it fires
+   * @param {string} detectorName - Detector name (e.g. 'bad_agent')
+   * @param {number} defaultWeight - Weight to use when the setting is missing
+   * @returns {Promise<number>} - Detector weight
+   */
+  async getDetectionWeight(detectorName, defaultWeight) {
+    const value = await this.getSetting(`detection_weight_${detectorName}`, defaultWeight.toString());
+    const weight = parseInt(value);
+    return isNaN(weight) ? defaultWeight : weight;
+  }
+
+  /**
+   * Get which detections run in dry-run (shadow) mode
+   * Dry-run signals are logged as what would have happened but don't change the verdict
+   * @returns {Promise<Object>} - { enabled: all detectors in dry-run, detectors: names of the ones in dry-run }
+   */
+  async getDryRunSettings() {
+    const enabled = await this.getSetting('dry_run_enabled', 'false');
+    const detectors = await this.getSetting('dry_run_detectors', '');
+    return {
+      enabled: enabled === 'true',
+      detectors: detectors.split(',').map(name => name.trim()).filter(Boolean)
+    };
+  }
+
+  /**
+   * Get how tarpitted responses are dripped to the client
+   * @returns {Promise<Object>} - { chunkSize (bytes), chunkDelay (ms), duration (ms), maxConnections }
+   */
+  async getTarpitSettings() {
+    const chunkSize = await this.getSetting('tarpit_chunk_size', '64');
+    const chunkDelay = await this.getSetting('tarpit_chunk_delay_ms', '2000');
+    const duration = await this.getSetting('tarpit_duration', '60');
+    const maxConnections = await this.getSetting('tarpit_max_connections', '20');
+    return {
+      chunkSize: parseInt(chunkSize),
+      chunkDelay: parseInt(chunkDelay),
+      duration: parseInt(duration) * 1000, // Convert to milliseconds
+      maxConnections: parseInt(maxConnections)
+    };
+  }
+
+  /**
+   * Get the link maze settings
+   * @returns {Promise<Object>} - { enabled, linksPerPage (links to deeper maze pages on each scrambled page) }
+   */
+  async getLinkMazeSettings() {
+    const enabled = await this.getSetting('link_maze_enabled', 'true');
+    const linksPerPage = await this.getSetting('link_maze_links_per_page', '5');
+    return {
+      enabled: enabled === 'true',
+      linksPerPage: parseInt(linksPerPage)
+    };
+  }
+
   /**
    * Set rate limit window
    * @param {number} seconds - Window in seconds
@@ -229,16 +495,64 @@ class SettingsService {
   validateSetting(key, value) {
     switch (key) {
       case 'honeypot_enabled':
+      case 'link_maze_enabled':
         return value === 'true' || value === 'false';
+      case 'link_maze_links_per_page':
+        const linksPerPage = parseInt(value);
+        return !isNaN(linksPerPage) && linksPerPage >= 1 && linksPerPage <= 20;
       case 'rate_limit_short_window':
       case 'rate_limit_short_max':
+      case 'rate_limit_long_window':
+      case 'rate_limit_long_max':
+      case 'rate_limit_max_tracked_visitors':
+      case 'rate_limit_bucket_size':
+      case 'rate_limit_bucket_refill_rate':
+      case 'rate_limit_subnet_window':
+      case 'rate_limit_subnet_ipv4_max':
+      case 'rate_limit_subnet_ipv6_max':
+      case 'rate_limit_subnet_flag_duration':
       case 'known_agents_refresh_interval':
       case 'rate_counter_cleanup_interval':
+      case 'bot_verification_cache_ttl':
+      case 'bot_verification_timeout_ms':
+      case 'trap_link_flag_duration':
+      case 'robots_txt_flag_duration':
+      case 'link_tag_flag_duration':
+      case 'reputation_ban_duration':
+      case 'reputation_ban_max_duration':
+      case 'reputation_offense_window':
+      case 'tarpit_chunk_size':
+      case 'tarpit_chunk_delay_ms':
+      case 'tarpit_duration':
+      case 'tarpit_max_connections':
         const num = parseInt(value);
         return !isNaN(num) && num > 0;
+      case 'rate_limit_mode':
+        return value === 'window' || value === 'token_bucket';
+      case 'rate_limit_subnet_ipv4_prefix':
+      case 'rate_limit_subnet_ipv6_prefix':
+        const prefixLength = parseInt(value);
+        const addressBits = key === 'rate_limit_subnet_ipv4_prefix' ? 32 : 128;
+        return !isNaN(prefixLength) && prefixLength >= 1 && prefixLength <= addressBits;
+      case 'detection_scramble_threshold':
+      case 'detection_block_threshold':
+        const threshold = parseInt(value);
+        return !isNaN(threshold) && threshold >= 0;
       case 'fake_server_header':
+      case 'robots_txt_rules':
         return typeof value === 'string' && value.length > 0;
+      case 'rate_limit_extra_windows':
+        return typeof value === 'string' &&
+               (value.trim() === '' || value.split(',').every(entry => /^\s*[1-9]\d*:\d+\s*$/.test(entry)));
+      case 'trap_link_patterns':
+      case 'robots_txt_decoy_paths':
+        return typeof value === 'string' &&
+               value.split(',').every(pattern => pattern.trim().startsWith('/'));
       default:
+        if (key.startsWith('detection_weight_')) {
+          const weight = parseInt(value);
+          return !isNaN(weight) && weight >= 0;
+        }
         return true; // Allow unknown settings
     }
   }
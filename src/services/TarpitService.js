@@ -0,0 +1,118 @@
+/**
+ * TarpitService - Wastes flagged crawlers' connection time by dripping content to them slowly
+ * Content is written in small chunks with a delay between them, for at most a total duration.
+ * The number of connections held at once is capped so that tarpitting can't exhaust the
+ * server's own sockets; requests beyond the cap are left for the caller to answer right away.
+ */
+class TarpitService {
+  constructor(settingsService) {
+    this.settingsService = settingsService;
+    this.activeConnections = 0;
+    this.maxConnections = null; // cap read at the last tarpit attempt
+    this.stats = {
+      tarpitted: 0,
+      rejected: 0,
+      completed: 0,
+      disconnected: 0,
+      bytesSent: 0,
+      totalHeldMs: 0,
+      longestHeldMs: 0
+    };
+  }
+
+  /**
+   * Drip content to a client, holding its connection for as long as the settings allow
+   * Ends the stream once the content is sent or the duration is reached, whichever comes first
+   * @param {stream.Writable} stream - Response stream, with its status and headers already set
+   * @param {string} content - Content to send
+   * @returns {Promise<boolean>} - False if the connection cap was reached and nothing was sent
+   */
+  async drip(stream, content) {
+    const settings = await this.settingsService.getTarpitSettings();
+    this.maxConnections = settings.maxConnections;
+
+    if (this.activeConnections >= settings.maxConnections) {
+      this.stats.rejected++;
+      return false;
+    }
+
+    this.activeConnections++;
+    this.stats.tarpitted++;
+
+    const startedAt = Date.now();
+    const deadline = startedAt + settings.duration;
+    let closed = false;
+    let wakeUp = null;
+    const onClose = () => {
+      closed = true;
+      if (wakeUp) wakeUp();
+    };
+    stream.on('close', onClose);
+
+    try {
+      let offset = 0;
+      while (!closed && offset < content.length) {
+        const chunk = content.slice(offset, offset + settings.chunkSize);
+        stream.write(chunk);
+        offset += chunk.length;
+        this.stats.bytesSent += Buffer.byteLength(chunk);
+
+        const delay = Math.min(settings.chunkDelay, deadline - Date.now());
+        if (offset >= content.length || delay <= 0) {
+          break;
+        }
+
+        // Wait for the next chunk, or stop waiting as soon as the client goes away
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, delay);
+          wakeUp = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        wakeUp = null;
+      }
+
+      if (closed) {
+        this.stats.disconnected++;
+      } else {
+        stream.end();
+        this.stats.completed++;
+      }
+    } catch (error) {
+      console.error('Error tarpitting connection:', error);
+      stream.destroy();
+    } finally {
+      stream.removeListener('close', onClose);
+      this.activeConnections--;
+
+      const heldMs = Date.now() - startedAt;
+      this.stats.totalHeldMs += heldMs;
+      this.stats.longestHeldMs = Math.max(this.stats.longestHeldMs, heldMs);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get tarpit statistics
+   * @returns {Object} - Connection counts, bytes sent and time held
+   */
+  getStats() {
+    const finished = this.stats.completed + this.stats.disconnected;
+    return {
+      activeConnections: this.activeConnections,
+      maxConnections: this.maxConnections,
+      tarpitted: this.stats.tarpitted,
+      rejected: this.stats.rejected,
+      completed: this.stats.completed,
+      disconnected: this.stats.disconnected,
+      bytesSent: this.stats.bytesSent,
+      totalHeldSeconds: Math.round(this.stats.totalHeldMs / 1000),
+      averageHeldSeconds: finished > 0 ? Math.round(this.stats.totalHeldMs / finished / 1000) : 0,
+      longestHeldSeconds: Math.round(this.stats.longestHeldMs / 1000)
+    };
+  }
+}
+
+module.exports = TarpitService;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+/**
+ * TrapLinkService - Generates hidden trap URLs and remembers the visitors who follow them
+ * Trap links are invisible to humans, so following one marks the user ID as a bot
+ * for a configurable period.
+ */
+class TrapLinkService {
+  constructor(database, settingsService) {
+    this.database = database;
+    this.settingsService = settingsService;
+
+    // In-memory storage for flagged visitors
+    this.flaggedVisitors = new Map(); // userId -> { trapPath, flaggedAt, expiresAt }
+  }
+
+  /**
+   * Initialize the service by restoring recent trap hits from the request log
+   */
+  async initialize() {
+    await this.warmupFlaggedVisitors();
+  }
+
+  /**
+   * Restore flags for visitors that hit a trap link within the flag duration
+   */
+  async warmupFlaggedVisitors() {
+    try {
+      const flagDuration = await this.getFlagDuration();
+      const since = new Date(Date.now() - flagDuration);
+
+      // Other reasons may precede the trap link's in a combined block reason
+      const result = await this.database.query(
+        `SELECT user_id, request_url, created_at FROM request_logs
+         WHERE created_at > ?
+         AND block_reason LIKE '%Trap link visited:%'
+         ORDER BY created_at ASC`,
+        [since.toISOString()]
+      );
+
+      for (const row of result.rows) {
+        const flaggedAt = new Date(row.created_at).getTime();
+        this.flaggedVisitors.set(row.user_id, {
+          trapPath: row.request_url,
+          flaggedAt,
+          expiresAt: flaggedAt + flagDuration
+        });
+      }
+
+      console.log(`Restored trap link flags for ${this.flaggedVisitors.size} visitors`);
+    } catch (error) {
+      console.error('Error warming up trap link flags:', error);
+    }
+  }
+
+  /**
+   * Get the configured trap URL patterns
+   * A '*' in a pattern matches any characters and is filled with a token when generating links
+   * @returns {Promise<string[]>} - Trap URL patterns
+   */
+  async getTrapPatterns() {
+    const value = await this.settingsService.getTrapLinkPatterns();
+    return value
+      .split(',')
+      .map(pattern => pattern.trim())
+      .filter(pattern => pattern.startsWith('/'));
+  }
+
+  /**
+   * Get how long a visitor stays flagged after following a trap link
+   * @returns {Promise<number>} - Flag duration in milliseconds
+   */
+  async getFlagDuration() {
+    return await this.settingsService.getTrapLinkFlagDuration();
+  }
+
+  /**
+   * Convert a trap URL pattern to an anchored regular expression
+   * @param {string} pattern - Trap URL pattern
+   * @returns {RegExp} - Regular expression matching request paths
+   */
+  patternToRegExp(pattern) {
+    const escaped = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${escaped}$`);
+  }
+
+  /**
+   * Check if a request path is a trap URL
+   * @param {string} requestPath - Request path
+   * @returns {Promise<boolean>} - True if the path matches a trap pattern
+   */
+  async isTrapPath(requestPath) {
+    if (!requestPath) return false;
+
+    const patterns = await this.getTrapPatterns();
+    return patterns.some(pattern => this.patternToRegExp(pattern).test(requestPath));
+  }
+
+  /**
+   * Generate trap URLs for a page, one per configured pattern
+   * URLs are deterministic per page so the same page always carries the same traps
+   * @param {string} seed - Page seed (e.g. derived from the request path)
+   * @returns {Promise<string[]>} - Trap URLs
+   */
+  async generateTrapUrls(seed) {
+    const patterns = await this.getTrapPatterns();
+
+    return patterns.map((pattern, i) => {
+      const token = crypto.createHash('md5').update(`${seed}_trap_${i}`).digest('hex').substring(0, 10);
+      return pattern.includes('*') ? pattern.split('*').join(token) : pattern;
+    });
+  }
+
+  /**
+   * Flag a visitor as a bot after following a trap link
+   * @param {string} userId - User ID
+   * @param {string} trapPath - The trap URL that was requested
+   */
+  async flagVisitor(userId, trapPath) {
+    const flagDuration = await this.getFlagDuration();
+    const flaggedAt = Date.now();
+
+    // Flagged visitors rarely come back, so expired flags are dropped as new ones come in
+    this.cleanupFlags();
+    this.flaggedVisitors.set(userId, {
+      trapPath,
+      flaggedAt,
+      expiresAt: flaggedAt + flagDuration
+    });
+    console.log(`Flagged ${userId} as a bot after trap link ${trapPath}`);
+  }
+
+  /**
+   * Get the active flag for a visitor
+   * @param {string} userId - User ID
+   * @returns {Object|null} - { trapPath, flaggedAt, expiresAt } or null if not flagged
+   */
+  getFlag(userId) {
+    const flag = this.flaggedVisitors.get(userId);
+    if (!flag) return null;
+
+    if (flag.expiresAt <= Date.now()) {
+      this.flaggedVisitors.delete(userId);
+      return null;
+    }
+    return flag;
+  }
+
+  /**
+   * Remove expired flags
+   */
+  cleanupFlags() {
+    const now = Date.now();
+    for (const [userId, flag] of this.flaggedVisitors.entries()) {
+      if (flag.expiresAt <= now) {
+        this.flaggedVisitors.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Get trap link statistics
+   * @returns {Object} - { flaggedVisitors }
+   */
+  getStats() {
+    this.cleanupFlags();
+    return { flaggedVisitors: this.flaggedVisitors.size };
+  }
+}
+
+module.exports = TrapLinkService;
@@ -1,3 +1,56 @@
+// Supported ways of matching a stored pattern against a user agent (all case-insensitive)
+const MATCH_TYPES = ['substring', 'exact', 'regex', 'token'];
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a stored agent pattern into a matcher
+ * @param {string} pattern - The pattern as stored in the database
+ * @param {string} matchType - One of MATCH_TYPES
+ * @returns {Function} - Predicate taking a lowercased user agent
+ */
+function compileAgentPattern(pattern, matchType) {
+  const lowercasePattern = pattern.toLowerCase();
+
+  switch (matchType) {
+    case 'exact':
+      return userAgent => userAgent === lowercasePattern;
+    case 'regex': {
+      const regex = new RegExp(pattern, 'i');
+      return userAgent => regex.test(userAgent);
+    }
+    case 'token': {
+      // The pattern must be delimited by non-alphanumeric characters (or the string edges),
+      // so 'bot' matches 'SomeBot bot/1.0' but not 'Googlebot'
+      const regex = new RegExp(`(^|[^a-z0-9])${escapeRegExp(lowercasePattern)}(?=$|[^a-z0-9])`);
+      return userAgent => regex.test(userAgent);
+    }
+    case 'substring':
+    default:
+      return userAgent => userAgent.includes(lowercasePattern);
+  }
+}
+
+/**
+ * Parse a stored or submitted list of verification domains
+ * @param {string|Array<string>|null} value - Comma/space separated string or array
+ * @returns {Array<string>} - Lowercased domains without leading or trailing dots
+ */
+function parseVerifyDomains(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return list
+    .map(domain => String(domain).trim().toLowerCase().replace(/^\.+|\.+$/g, ''))
+    .filter(domain => domain.length > 0);
+}
+
 /**
  * UserAgentService - Handles user agent classification and management
  * Extracted from RobotDetector to follow Single Responsibility Principle
@@ -5,8 +58,8 @@
 class UserAgentService {
   constructor(database) {
     this.database = database;
-    this.knownBadAgents = new Set();
-    this.knownGoodAgents = new Set();
+    this.knownBadAgents = [];
+    this.knownGoodAgents = [];
   }
 
   /**
@@ -18,50 +71,131 @@ class UserAgentService {
 
   /**
    * Refresh the list of known bad and good user agents from database
+   * Patterns are compiled once here so matching stays cheap per request
    */
   async refreshKnownAgents() {
     try {
       // Load bad agents
       const badAgentsResult = await this.database.query(
-        'SELECT user_agent FROM known_bad_agents WHERE is_active = ?', 
+        'SELECT id, user_agent, match_type FROM known_bad_agents WHERE is_active = ?', 
         [true]
       );
-      this.knownBadAgents = new Set(
-        badAgentsResult.rows.map(row => row.user_agent.toLowerCase())
-      );
+      this.knownBadAgents = this.compileAgents(badAgentsResult.rows);
       
       // Load good agents
       const goodAgentsResult = await this.database.query(
-        'SELECT user_agent FROM known_good_agents WHERE is_active = ?', 
+        'SELECT id, user_agent, match_type, verify_domains FROM known_good_agents WHERE is_active = ?', 
         [true]
       );
-      this.knownGoodAgents = new Set(
-        goodAgentsResult.rows.map(row => row.user_agent.toLowerCase())
-      );
+      this.knownGoodAgents = this.compileAgents(goodAgentsResult.rows);
       
-      console.log(`Refreshed ${this.knownBadAgents.size} known bad agents and ${this.knownGoodAgents.size} known good agents`);
+      console.log(`Refreshed ${this.knownBadAgents.length} known bad agents and ${this.knownGoodAgents.length} known good agents`);
     } catch (error) {
       console.error('Error refreshing known agents:', error);
       throw error;
     }
   }
 
+  /**
+   * Compile agent rows into matchers, skipping rows whose pattern no longer compiles
+   * @param {Array<Object>} rows - Rows with id, user_agent, match_type and (good agents) verify_domains
+   * @returns {Array<Object>} - Compiled agents: { id, userAgent, matchType, verifyDomains, matches }
+   */
+  compileAgents(rows) {
+    const agents = [];
+    for (const row of rows) {
+      const matchType = row.match_type || 'substring';
+      try {
+        agents.push({
+          id: row.id,
+          userAgent: row.user_agent,
+          matchType,
+          verifyDomains: parseVerifyDomains(row.verify_domains),
+          matches: compileAgentPattern(row.user_agent, matchType)
+        });
+      } catch (error) {
+        console.error(`Skipping agent pattern ${row.id} (${matchType}): ${error.message}`);
+      }
+    }
+    return agents;
+  }
+
+  /**
+   * Validate an agent pattern and its match type before storing it
+   * @param {string} userAgent - The pattern to validate
+   * @param {string} matchType - The match type to validate
+   * @throws {Error} - If the pattern or match type is invalid
+   */
+  validateAgentPattern(userAgent, matchType) {
+    if (!userAgent) {
+      throw new Error('User agent is required');
+    }
+    if (!MATCH_TYPES.includes(matchType)) {
+      throw new Error(`Invalid match type: must be one of ${MATCH_TYPES.join(', ')}`);
+    }
+    if (matchType === 'regex') {
+      try {
+        new RegExp(userAgent, 'i');
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${userAgent}`);
+      }
+    }
+  }
+
+  /**
+   * Validate and normalize the domains a good agent must reverse-resolve to
+   * @param {string|Array<string>|null} verifyDomains - Domains as submitted
+   * @returns {string|null} - Comma-separated domains to store, or null for no verification
+   * @throws {Error} - If a domain is not a valid hostname
+   */
+  normalizeVerifyDomains(verifyDomains) {
+    const domains = parseVerifyDomains(verifyDomains);
+    for (const domain of domains) {
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+        throw new Error(`Invalid verification domain: ${domain}`);
+      }
+    }
+    return domains.length > 0 ? domains.join(',') : null;
+  }
+
+  /**
+   * Find the first agent matching a user agent
+   * @param {Array<Object>} agents - Compiled agents
+   * @param {string} userAgent - The user agent string to check
+   * @returns {Object|null} - The matching agent or null
+   */
+  findMatchingAgent(agents, userAgent) {
+    if (!userAgent) return null;
+
+    const lowercaseUserAgent = userAgent.toLowerCase();
+    return agents.find(agent => agent.matches(lowercaseUserAgent)) || null;
+  }
+
+  /**
+   * Find the known good agent entry matching a user agent
+   * @param {string} userAgent - The user agent string to check
+   * @returns {Object|null} - The matching good agent or null
+   */
+  findGoodAgent(userAgent) {
+    return this.findMatchingAgent(this.knownGoodAgents, userAgent);
+  }
+
+  /**
+   * Find the known bad agent entry matching a user agent
+   * @param {string} userAgent - The user agent string to check
+   * @returns {Object|null} - The matching bad agent or null
+   */
+  findBadAgent(userAgent) {
+    return this.findMatchingAgent(this.knownBadAgents, userAgent);
+  }
+
   /**
    * Check if user agent is in known bad agents list
    * @param {string} userAgent - The user agent string to check
    * @returns {boolean} - True if the user agent is known to be bad
    */
   isKnownBadAgent(userAgent) {
-    if (!userAgent) return false;
-    
-    const lowercaseUserAgent = userAgent.toLowerCase();
-    // Check if any of the known bad agent patterns are contained in the user agent
-    for (const badAgent of this.knownBadAgents) {
-      if (lowercaseUserAgent.includes(badAgent)) {
-        return true;
-      }
-    }
-    return false;
+    return this.findBadAgent(userAgent) !== null;
   }
 
   /**
@@ -70,38 +204,28 @@ class UserAgentService {
    * @returns {boolean} - True if the user agent is known to be good
    */
   isKnownGoodAgent(userAgent) {
-    if (!userAgent) return false;
-    
-    const lowercaseUserAgent = userAgent.toLowerCase();
-    // Check if any of the known good agent patterns are contained in the user agent
-    for (const goodAgent of this.knownGoodAgents) {
-      if (lowercaseUserAgent.includes(goodAgent)) {
-        return true;
-      }
-    }
-    return false;
+    return this.findMatchingAgent(this.knownGoodAgents, userAgent) !== null;
   }
 
   /**
    * Add a user agent to the bad agents list
-   * @param {string} userAgent - The user agent to add
+   * @param {string} userAgent - The user agent pattern to add
+   * @param {string} matchType - How the pattern is matched (substring, exact, regex, token)
    * @returns {Promise<Object>} - Success message
    */
-  async addBadAgent(userAgent) {
+  async addBadAgent(userAgent, matchType = 'substring') {
     try {
-      if (!userAgent) {
-        throw new Error('User agent is required');
-      }
+      this.validateAgentPattern(userAgent, matchType);
 
       if (this.database.dbType === 'sqlite') {
         await this.database.query(
-          'INSERT OR REPLACE INTO known_bad_agents (user_agent, is_active) VALUES (?, ?)',
-          [userAgent, 1]
+          'INSERT OR REPLACE INTO known_bad_agents (user_agent, match_type, is_active) VALUES (?, ?, ?)',
+          [userAgent, matchType, 1]
         );
       } else {
         await this.database.query(
-          'INSERT INTO known_bad_agents (user_agent, is_active) VALUES (?, ?) ON CONFLICT (user_agent) DO UPDATE SET is_active = ?',
-          [userAgent, true, true]
+          'INSERT INTO known_bad_agents (user_agent, match_type, is_active) VALUES (?, ?, ?) ON CONFLICT (user_agent) DO UPDATE SET match_type = ?, is_active = ?',
+          [userAgent, matchType, true, matchType, true]
         );
       }
 
@@ -122,7 +246,7 @@ class UserAgentService {
   async getBadAgents() {
     try {
       const result = await this.database.query(
-        'SELECT id, user_agent, is_active, created_at FROM known_bad_agents ORDER BY created_at DESC'
+        'SELECT id, user_agent, match_type, is_active, created_at FROM known_bad_agents ORDER BY created_at DESC'
       );
       return { badAgents: result.rows };
     } catch (error) {
@@ -184,24 +308,25 @@ class UserAgentService {
 
   /**
    * Add a user agent to the good agents list
-   * @param {string} userAgent - The user agent to add
+   * @param {string} userAgent - The user agent pattern to add
+   * @param {string} matchType - How the pattern is matched (substring, exact, regex, token)
+   * @param {string|Array<string>|null} verifyDomains - Domains the client IP must reverse-resolve to, if any
    * @returns {Promise<Object>} - Success message
    */
-  async addGoodAgent(userAgent) {
+  async addGoodAgent(userAgent, matchType = 'substring', verifyDomains = null) {
     try {
-      if (!userAgent) {
-        throw new Error('User agent is required');
-      }
+      this.validateAgentPattern(userAgent, matchType);
+      const domains = this.normalizeVerifyDomains(verifyDomains);
 
       if (this.database.dbType === 'sqlite') {
         await this.database.query(
-          'INSERT OR REPLACE INTO known_good_agents (user_agent, is_active) VALUES (?, ?)',
-          [userAgent, 1]
+          'INSERT OR REPLACE INTO known_good_agents (user_agent, match_type, verify_domains, is_active) VALUES (?, ?, ?, ?)',
+          [userAgent, matchType, domains, 1]
         );
       } else {
         await this.database.query(
-          'INSERT INTO known_good_agents (user_agent, is_active) VALUES (?, ?) ON CONFLICT (user_agent) DO UPDATE SET is_active = ?',
-          [userAgent, true, true]
+          'INSERT INTO known_good_agents (user_agent, match_type, verify_domains, is_active) VALUES (?, ?, ?, ?) ON CONFLICT (user_agent) DO UPDATE SET match_type = ?, verify_domains = ?, is_active = ?',
+          [userAgent, matchType, domains, true, matchType, domains, true]
         );
       }
 
@@ -222,7 +347,7 @@ class UserAgentService {
   async getGoodAgents() {
     try {
       const result = await this.database.query(
-        'SELECT id, user_agent, is_active, created_at FROM known_good_agents ORDER BY created_at DESC'
+        'SELECT id, user_agent, match_type, verify_domains, is_active, created_at FROM known_good_agents ORDER BY created_at DESC'
       );
       return { goodAgents: result.rows };
     } catch (error) {
@@ -283,4 +408,6 @@ class UserAgentService {
   }
 }
 
+UserAgentService.MATCH_TYPES = MATCH_TYPES;
+
 module.exports = UserAgentService;
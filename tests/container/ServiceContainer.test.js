@@ -0,0 +1,24 @@
+const ServiceContainer = require('../../src/container/ServiceContainer');
+
+describe('ServiceContainer', () => {
+  beforeEach(() => {
+    // RateLimitService starts its cleanup interval when it is created
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('registers the trap link and robots.txt detectors ahead of the excluded paths', () => {
+    const container = new ServiceContainer({});
+    container.registerSingleton('database', () => ({ dbType: 'sqlite', query: jest.fn(async () => ({ rows: [] })) }));
+
+    const names = container.get('detectionPipeline').getDetectorNames();
+
+    expect(names.indexOf('trap_link')).toBeLessThan(names.indexOf('excluded_path'));
+    expect(names.indexOf('robots_txt')).toBeLessThan(names.indexOf('excluded_path'));
+    expect(names.indexOf('excluded_path')).toBeLessThan(names.indexOf('rate_limit'));
+  });
+});
@@ -0,0 +1,150 @@
+const DetectionPipeline = require('../../src/detectors/DetectionPipeline');
+const DetectionSignal = require('../../src/models/DetectionSignal');
+const DetectionResult = require('../../src/models/DetectionResult');
+
+/**
+ * Create a detector returning a fixed signal
+ * @param {string} name - Detector name
+ * @param {DetectionSignal|null|Error} outcome - Signal to return, or error to throw
+ * @returns {Object} - Detector with a mocked evaluate method
+ */
+const detector = (name, outcome) => ({
+  name,
+  evaluate: jest.fn(async () => {
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  })
+});
+
+/**
+ * Create a settings service stub
+ * @param {Object} dryRun - { enabled, detectors }
+ * @returns {Object} - Settings service with thresholds of 50 (scramble) and 100 (block)
+ */
+const settings = (dryRun = { enabled: false, detectors: [] }) => ({
+  getDryRunSettings: jest.fn(async () => dryRun),
+  getDetectionThresholds: jest.fn(async () => ({ scramble: 50, block: 100 }))
+});
+
+const context = { userId: 'user-1', path: '/blog/' };
+
+describe('DetectionPipeline', () => {
+  describe('thresholds', () => {
+    test('allows requests scoring below the scramble threshold', async () => {
+      const pipeline = new DetectionPipeline(settings())
+        .register(detector('header_anomaly', DetectionSignal.scored('header_anomaly', 30, 'Missing headers')));
+
+      const result = await pipeline.evaluate(context);
+      expect(result.verdict).toBe(DetectionResult.VERDICTS.ALLOW);
+      expect(result.score).toBe(30);
+      expect(result.redirectReason).toBeNull();
+    });
+
+    test('scrambles requests whose summed score reaches the scramble threshold', async () => {
+      const pipeline = new DetectionPipeline(settings())
+        .register(detector('header_anomaly', DetectionSignal.scored('header_anomaly', 30, 'Missing headers')))
+        .register(detector('rate_limit', DetectionSignal.scored('rate_limit', 20, 'Approaching rate limit')))
+        .register(detector('nothing', null));
+
+      const result = await pipeline.evaluate(context);
+      expect(result.verdict).toBe(DetectionResult.VERDICTS.SCRAMBLE);
+      expect(result.score).toBe(50);
+      expect(result.redirectReason).toBe('Missing headers; Approaching rate limit');
+    });
+
+    test('blocks requests reaching the block threshold', async () => {
+      const pipeline = new DetectionPipeline(settings())
+        .register(detector('bad_agent', DetectionSignal.scored('bad_agent', 100, 'Known bad user agent')));
+
+      const result = await pipeline.evaluate(context);
+      expect(result.verdict).toBe(DetectionResult.VERDICTS.BLOCK);
+      expect(result.isBlocked()).toBe(true);
+    });
+
+    test('scrambles on a decisive block signal even below the thresholds', async () => {
+      const pipeline = new DetectionPipeline(settings())
+        .register(detector('trap_link', DetectionSignal.block('trap_link', 10, 'Trap link followed')));
+
+      const result = await pipeline.evaluate(context);
+      expect(result.verdict).toBe(DetectionResult.VERDICTS.SCRAMBLE);
+      expect(result.getDecisiveSignal().name).toBe('trap_link');
+    });
+  });
+
+  test('stops at the first decisive signal', async () => {
+    const later = detector('bad_agent', DetectionSignal.scored('bad_agent', 100, 'Known bad user agent'));
+    const pipeline = new DetectionPipeline(settings())
+      .register(detector('good_agent', DetectionSignal.allow('good_agent', 'Known good agent')))
+      .register(later);
+
+    const result = await pipeline.evaluate(context);
+    expect(result.isAllowed()).toBe(true);
+    expect(later.evaluate).not.toHaveBeenCalled();
+  });
+
+  test('skips detectors that fail and reports them in the checks', async () => {
+    const checks = [];
+    const pipeline = new DetectionPipeline(settings())
+      .register(detector('broken', new Error('lookup failed')))
+      .register(detector('bad_agent', DetectionSignal.scored('bad_agent', 100, 'Known bad user agent')));
+
+    const result = await pipeline.evaluate(context, checks);
+    expect(result.verdict).toBe(DetectionResult.VERDICTS.BLOCK);
+    expect(checks).toEqual([
+      { detector: 'broken', dryRun: false, signal: null, error: 'lookup failed' },
+      expect.objectContaining({ detector: 'bad_agent', dryRun: false })
+    ]);
+  });
+
+  test('lists its detectors in evaluation order', () => {
+    const pipeline = new DetectionPipeline(settings())
+      .register(detector('a', null))
+      .register(detector('b', null));
+    expect(pipeline.getDetectorNames()).toEqual(['a', 'b']);
+  });
+
+  describe('dry-run', () => {
+    test('leaves dry-run signals out of the verdict but keeps them in the shadow result', async () => {
+      const pipeline = new DetectionPipeline(settings({ enabled: false, detectors: ['header_anomaly'] }))
+        .register(detector('header_anomaly', DetectionSignal.scored('header_anomaly', 60, 'Missing headers')));
+
+      const result = await pipeline.evaluate(context);
+      expect(result.isAllowed()).toBe(true);
+      expect(result.wouldBlock()).toBe(true);
+      expect(result.getShadowResult().score).toBe(60);
+      expect(result.toJSON().shadow.verdict).toBe(DetectionResult.VERDICTS.SCRAMBLE);
+    });
+
+    test('keeps evaluating after a decisive dry-run signal', async () => {
+      const later = detector('bad_agent', DetectionSignal.scored('bad_agent', 100, 'Known bad user agent'));
+      const pipeline = new DetectionPipeline(settings({ enabled: false, detectors: ['good_agent'] }))
+        .register(detector('good_agent', DetectionSignal.allow('good_agent', 'Known good agent')))
+        .register(later);
+
+      const result = await pipeline.evaluate(context);
+      expect(later.evaluate).toHaveBeenCalled();
+      expect(result.verdict).toBe(DetectionResult.VERDICTS.BLOCK);
+      expect(result.getShadowResult().isAllowed()).toBe(true);
+    });
+
+    test('puts every detector in dry-run when enabled globally', async () => {
+      const checks = [];
+      const pipeline = new DetectionPipeline(settings({ enabled: true, detectors: [] }))
+        .register(detector('bad_agent', DetectionSignal.scored('bad_agent', 100, 'Known bad user agent')));
+
+      const result = await pipeline.evaluate(context, checks);
+      expect(result.isAllowed()).toBe(true);
+      expect(result.wouldBlock()).toBe(true);
+      expect(checks[0].dryRun).toBe(true);
+    });
+
+    test('attaches no shadow result without dry-run', async () => {
+      const pipeline = new DetectionPipeline(settings())
+        .register(detector('bad_agent', DetectionSignal.scored('bad_agent', 100, 'Known bad user agent')));
+
+      const result = await pipeline.evaluate(context);
+      expect(result.shadowResult).toBeNull();
+      expect(result.toJSON().shadow).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const KnownGoodAgentDetector = require('../../src/detectors/KnownGoodAgentDetector');
+
+describe('KnownGoodAgentDetector', () => {
+  const context = { userAgent: 'Googlebot/2.1', ipAddress: '66.249.66.1' };
+  let botVerificationService;
+  let detector;
+
+  beforeEach(() => {
+    const userAgentService = {
+      findGoodAgent: jest.fn(() => ({ id: 1, userAgent: 'Googlebot', verifyDomains: ['googlebot.com'] }))
+    };
+    botVerificationService = { verify: jest.fn() };
+    detector = new KnownGoodAgentDetector(userAgentService, botVerificationService, {
+      getDetectionWeight: jest.fn(async (name, defaultValue) => defaultValue)
+    });
+  });
+
+  test('allows a verified crawler', async () => {
+    botVerificationService.verify.mockResolvedValue({ verified: true, hostname: 'crawl.googlebot.com', lookupFailed: false });
+
+    expect((await detector.evaluate(context)).decision).toBe('allow');
+  });
+
+  test('blocks a crawler whose DNS records do not match', async () => {
+    botVerificationService.verify.mockResolvedValue({
+      verified: false,
+      hostname: 'host.example.net',
+      reason: 'reverse DNS host.example.net is not in googlebot.com',
+      lookupFailed: false
+    });
+
+    const signal = await detector.evaluate(context);
+    expect(signal.decision).toBe('block');
+    expect(signal.name).toBe('unverified_bot');
+  });
+
+  test('leaves a crawler whose DNS lookup failed to the other detectors', async () => {
+    botVerificationService.verify.mockResolvedValue({
+      verified: false,
+      hostname: null,
+      reason: 'DNS lookup failed (ETIMEOUT)',
+      lookupFailed: true
+    });
+
+    expect(await detector.evaluate(context)).toBeNull();
+  });
+});
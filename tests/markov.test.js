@@ -0,0 +1,194 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarkovChain = require('../markov');
+const SeededRandom = require('../seeded-random');
+
+/**
+ * Create a chain indexed from a list of words
+ * @param {number} order - Markov order
+ * @param {string} text - Space-separated words
+ * @returns {MarkovChain} - Indexed chain
+ */
+const chainFrom = (order, text) => {
+  const chain = new MarkovChain({ scrambling: { markovOrder: order } });
+  chain.buildChainFromWords(text.split(' '));
+  chain.isIndexed = true;
+  return chain;
+};
+
+/**
+ * Collect the words a chain picks after a context, over many seeds
+ * @param {MarkovChain} chain - Indexed chain
+ * @param {string[]} context - Preceding words
+ * @returns {string[]} - Distinct next words, sorted
+ */
+const nextWords = (chain, context) => {
+  const words = new Set();
+  for (let i = 0; i < 50; i++) {
+    words.add(chain.getNextWord(context, new SeededRandom(`seed-${i}`)));
+  }
+  return [...words].sort();
+};
+
+describe('MarkovChain', () => {
+  test('keeps the order between 1 and 3, defaulting to 2', () => {
+    expect(new MarkovChain().order).toBe(2);
+    expect(new MarkovChain({ scrambling: { markovOrder: '5' } }).order).toBe(3);
+    expect(new MarkovChain({ scrambling: { markovOrder: '-1' } }).order).toBe(1);
+  });
+
+  test('follows a single word at order 1', () => {
+    const chain = chainFrom(1, 'the cat sat a dog cat ran');
+
+    expect(nextWords(chain, ['the', 'cat'])).toEqual(['ran', 'sat']);
+  });
+
+  test('follows the two preceding words at order 2', () => {
+    const chain = chainFrom(2, 'the cat sat a dog cat ran');
+
+    expect(nextWords(chain, ['the', 'cat'])).toEqual(['sat']);
+    expect(nextWords(chain, ['dog', 'cat'])).toEqual(['ran']);
+  });
+
+  test('follows the three preceding words at order 3', () => {
+    const chain = chainFrom(3, 'one two three four zero two three five');
+
+    expect(nextWords(chain, ['one', 'two', 'three'])).toEqual(['four']);
+    expect(nextWords(chain, ['zero', 'two', 'three'])).toEqual(['five']);
+    expect(chain.getStats().statesPerOrder).toEqual([5, 5, 5]);
+  });
+
+  test('backs off to shorter states never seen at the full order', () => {
+    const chain = chainFrom(3, 'one two three four zero two three five');
+
+    // "four two three" never occurred, but "two three" did
+    expect(nextWords(chain, ['four', 'two', 'three'])).toEqual(['five', 'four']);
+    // Unknown words cut the context short
+    expect(nextWords(chain, ['unknown', 'three'])).toEqual(['five', 'four']);
+    // Nothing ever followed "five"
+    expect(chain.getNextWord(['two', 'three', 'five'], new SeededRandom('seed'))).toBeNull();
+  });
+
+  test('generates the same known words for the same seed', () => {
+    const chain = chainFrom(3, 'one two three four zero two three five one three two four');
+
+    const words = chain.generateWords(30, 'page-1');
+    expect(words).toHaveLength(30);
+    expect(words.every(word => chain.words.has(word))).toBe(true);
+    expect(chain.generateWords(30, 'page-1')).toEqual(words);
+  });
+
+  test('falls back to a fixed word list before indexing', () => {
+    const chain = new MarkovChain({ scrambling: { markovOrder: 3 } });
+
+    expect(chain.generateWords(5, 'page-1')).toHaveLength(5);
+  });
+
+  describe('persisted index', () => {
+    let directory;
+    let config;
+
+    /**
+     * Write a blog page
+     * @param {string} name - File name in the blog directory
+     * @param {string} text - Text of the page
+     * @returns {string} - Full path of the page
+     */
+    const writePage = (name, text) => {
+      const pagePath = path.join(config.paths.blogStaticDir, name);
+      fs.writeFileSync(pagePath, `<html><body><p>${text}</p></body></html>`);
+      return pagePath;
+    };
+
+    /**
+     * Index the blog directory with a new chain, as after a restart
+     * @returns {Promise<MarkovChain>} - Indexed chain
+     */
+    const indexBlog = async () => {
+      const chain = new MarkovChain(config);
+      await chain.buildIndex();
+      return chain;
+    };
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'markov-test-'));
+      config = {
+        scrambling: { markovOrder: 2 },
+        paths: { blogStaticDir: path.join(directory, 'blog'), markovCachePath: path.join(directory, 'markov-index.json') }
+      };
+      fs.mkdirSync(config.paths.blogStaticDir);
+      writePage('first.html', 'the cat sat on the mat');
+      writePage('second.html', 'a dog ran in the park');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('does not read unchanged files again after a restart', async () => {
+      const first = await indexBlog();
+      expect(first.indexing.filesReindexed).toBe(2);
+
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+      const second = await indexBlog();
+      const readPaths = readFile.mock.calls.map(([filePath]) => filePath);
+      readFile.mockRestore();
+
+      // Only the cache itself is read
+      expect(readPaths).toEqual([config.paths.markovCachePath]);
+      expect(second.indexing.filesReindexed).toBe(0);
+      expect(second.generateWords(20, 'page-1')).toEqual(first.generateWords(20, 'page-1'));
+    });
+
+    test('re-indexes a file whose size changed', async () => {
+      await indexBlog();
+      writePage('first.html', 'the cat sat on the new rug');
+
+      const chain = await indexBlog();
+      expect(chain.indexing.filesReindexed).toBe(1);
+      expect(chain.words.has('rug')).toBe(true);
+      expect(chain.words.has('mat')).toBe(false);
+    });
+
+    test('re-indexes a file whose modification time changed', async () => {
+      await indexBlog();
+      const pagePath = writePage('first.html', 'the cow sat on the hat');
+      const later = new Date(Date.now() + 60 * 1000);
+      fs.utimesSync(pagePath, later, later);
+
+      const chain = await indexBlog();
+      expect(chain.indexing.filesReindexed).toBe(1);
+      expect(chain.words.has('cow')).toBe(true);
+    });
+
+    test('keeps a touched file whose content did not change', async () => {
+      await indexBlog();
+      const pagePath = path.join(config.paths.blogStaticDir, 'first.html');
+      const later = new Date(Date.now() + 60 * 1000);
+      fs.utimesSync(pagePath, later, later);
+
+      const chain = await indexBlog();
+      expect(chain.indexing.filesReindexed).toBe(0);
+      expect(chain.indexedFiles.get('first.html').mtimeMs).toBe(fs.statSync(pagePath).mtimeMs);
+    });
+
+    test('forgets removed files', async () => {
+      await indexBlog();
+      fs.unlinkSync(path.join(config.paths.blogStaticDir, 'second.html'));
+
+      const chain = await indexBlog();
+      expect(chain.indexing.filesRemoved).toBe(1);
+      expect(chain.words.has('dog')).toBe(false);
+    });
+
+    test('rebuilds a corrupt cache instead of failing', async () => {
+      fs.writeFileSync(config.paths.markovCachePath, '{"version": 1, "files": {');
+
+      const chain = await indexBlog();
+      expect(chain.isIndexed).toBe(true);
+      expect(chain.indexing.filesReindexed).toBe(2);
+      expect(JSON.parse(fs.readFileSync(config.paths.markovCachePath, 'utf8')).files['first.html'].words).toBe('the cat sat on the mat');
+    });
+  });
+});
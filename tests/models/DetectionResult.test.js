@@ -0,0 +1,39 @@
+const DetectionResult = require('../../src/models/DetectionResult');
+const DetectionSignal = require('../../src/models/DetectionSignal');
+
+describe('DetectionResult', () => {
+  const thresholds = { scramble: 50, block: 100 };
+
+  test('a decisive allow signal wins over any score', () => {
+    const signals = [
+      DetectionSignal.scored('header_anomaly', 80, 'Missing headers'),
+      DetectionSignal.allow('good_network', 'Known good network')
+    ];
+    const result = DetectionResult.fromSignals('user-1', signals, thresholds);
+
+    expect(result.isAllowed()).toBe(true);
+    expect(result.score).toBe(80);
+  });
+
+  test('reports the reasons of the signals that contributed', () => {
+    const signals = [
+      DetectionSignal.scored('header_anomaly', 0, 'Nothing unusual'),
+      DetectionSignal.scored('bad_agent', 60, 'Known bad user agent')
+    ];
+    const result = DetectionResult.fromSignals('user-1', signals, thresholds);
+
+    expect(result.shouldScramble).toBe(true);
+    expect(result.redirectReason).toBe('Known bad user agent');
+  });
+
+  test('recognizes robots.txt violations', () => {
+    expect(DetectionResult.robotsTxtViolation('user-1', '/private/').isRobotsTxtViolation()).toBe(true);
+    expect(DetectionResult.knownBadAgent('user-1').isRobotsTxtViolation()).toBe(false);
+    expect(DetectionResult.allowed('user-1').isRobotsTxtViolation()).toBe(false);
+  });
+
+  test('round-trips signals through JSON', () => {
+    const signal = DetectionSignal.block('trap_link', 100, 'Trap link followed', { path: '/trap' });
+    expect(DetectionSignal.fromJSON(signal.toJSON())).toEqual(signal);
+  });
+});
@@ -0,0 +1,82 @@
+const IpNetwork = require('../../src/models/IpNetwork');
+
+describe('IpNetwork', () => {
+  describe('normalizeAddress', () => {
+    test('turns IPv4-mapped IPv6 addresses into plain IPv4', () => {
+      expect(IpNetwork.normalizeAddress('::ffff:203.0.113.5')).toBe('203.0.113.5');
+    });
+
+    test('drops zone IDs and lower-cases IPv6 addresses', () => {
+      expect(IpNetwork.normalizeAddress('FE80::1%eth0')).toBe('fe80::1');
+    });
+
+    test('leaves invalid input unchanged', () => {
+      expect(IpNetwork.normalizeAddress(undefined)).toBeUndefined();
+      expect(IpNetwork.normalizeAddress('not-an-ip')).toBe('not-an-ip');
+    });
+  });
+
+  describe('parse', () => {
+    test('masks the network address of an IPv4 CIDR range', () => {
+      expect(IpNetwork.parse('203.0.113.77/24').toString()).toBe('203.0.113.0/24');
+    });
+
+    test('treats a bare address as a single host', () => {
+      expect(IpNetwork.parse('198.51.100.1').toString()).toBe('198.51.100.1/32');
+      expect(IpNetwork.parse('2001:db8::1').toString()).toBe('2001:db8::1/128');
+    });
+
+    test('canonicalizes IPv6 ranges', () => {
+      expect(IpNetwork.parse('2001:0db8:0000:0000:0000:0000:0000:0001/32').toString()).toBe('2001:db8::/32');
+    });
+
+    test('rejects invalid ranges', () => {
+      expect(IpNetwork.parse('')).toBeNull();
+      expect(IpNetwork.parse('203.0.113.0/33')).toBeNull();
+      expect(IpNetwork.parse('2001:db8::/129')).toBeNull();
+      expect(IpNetwork.parse('203.0.113.0/24/8')).toBeNull();
+      expect(IpNetwork.parse('203.0.113.0/abc')).toBeNull();
+      expect(IpNetwork.parse('300.0.0.1')).toBeNull();
+    });
+  });
+
+  describe('contains', () => {
+    test('matches IPv4 addresses inside the range only', () => {
+      const network = IpNetwork.parse('10.1.0.0/16');
+      expect(network.contains('10.1.255.254')).toBe(true);
+      expect(network.contains('10.2.0.1')).toBe(false);
+    });
+
+    test('matches IPv4-mapped addresses against IPv4 ranges', () => {
+      expect(IpNetwork.parse('192.0.2.0/24').contains('::ffff:192.0.2.10')).toBe(true);
+    });
+
+    test('matches IPv6 addresses, including embedded IPv4 notation', () => {
+      const network = IpNetwork.parse('2001:db8:abcd::/48');
+      expect(network.contains('2001:db8:abcd:12::1')).toBe(true);
+      expect(network.contains('2001:db8:abce::1')).toBe(false);
+      expect(IpNetwork.parse('64:ff9b::/96').contains('64:ff9b::192.0.2.1')).toBe(true);
+    });
+
+    test('never matches another address family or invalid input', () => {
+      expect(IpNetwork.parse('0.0.0.0/0').contains('2001:db8::1')).toBe(false);
+      expect(IpNetwork.parse('::/0').contains('192.0.2.1')).toBe(false);
+      expect(IpNetwork.parse('0.0.0.0/0').contains('garbage')).toBe(false);
+    });
+  });
+
+  describe('containing', () => {
+    test('gets the enclosing network of an address', () => {
+      expect(IpNetwork.containing('203.0.113.77', 24).toString()).toBe('203.0.113.0/24');
+      expect(IpNetwork.containing('2001:db8:1:2:3::4', 64).toString()).toBe('2001:db8:1:2::/64');
+    });
+
+    test('caps the prefix length at the size of the address', () => {
+      expect(IpNetwork.containing('203.0.113.77', 64).toString()).toBe('203.0.113.77/32');
+    });
+
+    test('returns null for invalid addresses', () => {
+      expect(IpNetwork.containing('nope', 24)).toBeNull();
+    });
+  });
+});
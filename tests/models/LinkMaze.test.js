@@ -0,0 +1,48 @@
+const LinkMaze = require('../../src/models/LinkMaze');
+
+describe('LinkMaze', () => {
+  const maze = new LinkMaze('test-secret', '/blog/');
+
+  test('builds signed URLs under the route prefix', () => {
+    const url = maze.buildPath(['Quick', 'Brown', 'Fox!'], 3);
+    expect(url).toMatch(/^\/blog\/quick-brown-fox-3-[0-9a-f]{12}\/$/);
+  });
+
+  test('falls back to a generic slug when no word is usable', () => {
+    expect(maze.buildPath(['!!', ''], 1)).toMatch(/^\/blog\/page-1-[0-9a-f]{12}\/$/);
+  });
+
+  test('recognizes its own URLs with their depth', () => {
+    const url = maze.buildPath(['quick', 'fox'], 4);
+    expect(maze.parsePath(url)).toEqual({ slug: 'quick-fox', depth: 4 });
+  });
+
+  test('recognizes URLs with or without the route prefix and trailing slash', () => {
+    const segment = maze.buildPath(['fox'], 2).split('/').filter(Boolean).pop();
+    expect(maze.parsePath(`/${segment}`)).toEqual({ slug: 'fox', depth: 2 });
+    expect(maze.parsePath(`/other/${segment}/`)).toEqual({ slug: 'fox', depth: 2 });
+  });
+
+  test('rejects a tampered depth', () => {
+    const url = maze.buildPath(['quick', 'fox'], 4);
+    expect(maze.parsePath(url.replace('-4-', '-40-'))).toBeNull();
+  });
+
+  test('rejects a tampered slug or signature', () => {
+    const url = maze.buildPath(['quick', 'fox'], 4);
+    expect(maze.parsePath(url.replace('quick', 'slow'))).toBeNull();
+    expect(maze.parsePath(url.replace(/[0-9a-f]{12}\/$/, '000000000000/'))).toBeNull();
+  });
+
+  test('rejects URLs signed with another secret', () => {
+    const other = new LinkMaze('other-secret');
+    expect(maze.parsePath(other.buildPath(['quick', 'fox'], 1))).toBeNull();
+  });
+
+  test('rejects paths that are not maze URLs', () => {
+    expect(maze.parsePath(null)).toBeNull();
+    expect(maze.parsePath('/')).toBeNull();
+    expect(maze.parsePath('/blog/about.html')).toBeNull();
+    expect(maze.parsePath('/blog/quick-fox-1-xyz/')).toBeNull();
+  });
+});
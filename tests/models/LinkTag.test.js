@@ -0,0 +1,44 @@
+const LinkTag = require('../../src/models/LinkTag');
+
+describe('LinkTag', () => {
+  test('derives a stable token per visitor and secret', () => {
+    const token = LinkTag.tokenFor('secret', 'user-1');
+
+    expect(token).toMatch(/^[0-9a-f]{10}$/);
+    expect(LinkTag.tokenFor('secret', 'user-1')).toBe(token);
+    expect(LinkTag.tokenFor('secret', 'user-2')).not.toBe(token);
+    expect(LinkTag.tokenFor('other', 'user-1')).not.toBe(token);
+  });
+
+  test('accepts only values shaped like a token', () => {
+    expect(LinkTag.isValidToken(LinkTag.tokenFor('secret', 'user-1'))).toBe(true);
+    expect(LinkTag.isValidToken('0123456789')).toBe(true);
+    expect(LinkTag.isValidToken('0123456789a')).toBe(false);
+    expect(LinkTag.isValidToken('ABCDEF0123')).toBe(false);
+    expect(LinkTag.isValidToken('g123456789')).toBe(false);
+    expect(LinkTag.isValidToken(['0123456789'])).toBe(false);
+    expect(LinkTag.isValidToken(undefined)).toBe(false);
+  });
+
+  test('reads database rows', () => {
+    const tag = LinkTag.fromDatabase({
+      token: '0123456789',
+      user_id: 'user-1',
+      user_agent: null,
+      ip_address: '192.0.2.1',
+      created_at: '2026-01-02T03:04:05.000Z'
+    });
+
+    expect(tag.toJSON()).toEqual({
+      token: '0123456789',
+      userId: 'user-1',
+      userAgent: null,
+      ipAddress: '192.0.2.1',
+      createdAt: '2026-01-02T03:04:05.000Z'
+    });
+  });
+
+  test('uses the ref query parameter', () => {
+    expect(LinkTag.PARAM).toBe('ref');
+  });
+});
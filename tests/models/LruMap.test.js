@@ -0,0 +1,57 @@
+const LruMap = require('../../src/models/LruMap');
+
+describe('LruMap', () => {
+  test('evicts the least recently written entry when full', () => {
+    const map = new LruMap(2);
+    map.set('a', 1);
+    map.set('b', 2);
+    map.set('c', 3);
+
+    expect([...map.keys()]).toEqual(['b', 'c']);
+    expect(map.evictions).toBe(1);
+  });
+
+  test('reading an entry makes it the most recently used', () => {
+    const map = new LruMap(2);
+    map.set('a', 1);
+    map.set('b', 2);
+    expect(map.get('a')).toBe(1);
+    map.set('c', 3);
+
+    expect(map.has('a')).toBe(true);
+    expect(map.has('b')).toBe(false);
+  });
+
+  test('overwriting an entry does not evict anything', () => {
+    const map = new LruMap(2);
+    map.set('a', 1);
+    map.set('b', 2);
+    map.set('a', 10);
+
+    expect(map.size).toBe(2);
+    expect(map.evictions).toBe(0);
+    expect([...map.entries()]).toEqual([['b', 2], ['a', 10]]);
+  });
+
+  test('returns undefined for missing keys without changing the order', () => {
+    const map = new LruMap(2);
+    map.set('a', 1);
+    expect(map.get('missing')).toBeUndefined();
+    expect(map.size).toBe(1);
+  });
+
+  test('shrinking the maximum size evicts the oldest entries', () => {
+    const map = new LruMap(5);
+    ['a', 'b', 'c', 'd'].forEach((key, index) => map.set(key, index));
+    map.setMaxSize(2);
+
+    expect([...map.keys()]).toEqual(['c', 'd']);
+    expect(map.evictions).toBe(2);
+  });
+
+  test('a maximum size of 0 keeps nothing', () => {
+    const map = new LruMap(0);
+    map.set('a', 1);
+    expect(map.size).toBe(0);
+  });
+});
@@ -0,0 +1,77 @@
+const RateLimitResult = require('../../src/models/RateLimitResult');
+const TokenBucket = require('../../src/models/TokenBucket');
+
+describe('RateLimitResult', () => {
+  describe('fromTokenBucket', () => {
+    const config = { size: 20, refillRate: 1 / 1000 }; // burst of 20, one token per second
+
+    test('reports the used tokens against the bucket size', () => {
+      const result = RateLimitResult.fromTokenBucket('user-1', new TokenBucket(15, Date.now()), config);
+
+      expect(result.exceeded).toBe(false);
+      expect(result.currentCount).toBe(5);
+      expect(result.limit).toBe(20);
+      expect(result.windowSize).toBe(20000);
+      expect(result.windowName).toBe('bucket');
+    });
+
+    test('tells an exceeded client to retry when the next token is back', () => {
+      const result = RateLimitResult.fromTokenBucket('user-1', new TokenBucket(0, Date.now()), config);
+
+      expect(result.exceeded).toBe(true);
+      expect(result.getRetryAfter()).toBe(1);
+    });
+
+    test('reports a full refill as the reset time', () => {
+      const result = RateLimitResult.fromTokenBucket('user-1', new TokenBucket(0, Date.now()), config);
+      expect(result.getHeaders()['X-RateLimit-Reset']).toBe('20');
+    });
+  });
+
+  describe('getRetryAfter', () => {
+    test('uses the time the next request is allowed when known', () => {
+      const result = new RateLimitResult(true, 11, 10, 60000, 'user-1', 'short', null, null);
+      result.resetAt = new Date(result.checkedAt.getTime() + 60000);
+      result.retryAt = new Date(result.checkedAt.getTime() + 4200);
+
+      expect(result.getRetryAfter()).toBe(5);
+      expect(result.getSecondsUntilReset()).toBe(60);
+    });
+
+    test('falls back to the reset time for exceeded limits', () => {
+      const result = RateLimitResult.limitsExceeded('user-1', 11, 10, 60000);
+      expect(result.getRetryAfter()).toBe(60);
+    });
+
+    test('is one window long for clients within their limits', () => {
+      const result = RateLimitResult.withinLimits('user-1', 1, 10, 90000);
+      expect(result.getRetryAfter()).toBe(90);
+    });
+
+    test('is at least one second', () => {
+      const result = new RateLimitResult(true, 11, 10, 60000, 'user-1', 'short', null, new Date(0));
+      expect(result.getRetryAfter()).toBe(1);
+    });
+  });
+
+  test('labels windows compactly', () => {
+    expect(RateLimitResult.withinLimits('u', 0, 1, 90000).getWindowLabel()).toBe('90s');
+    expect(RateLimitResult.withinLimits('u', 0, 1, 900000).getWindowLabel()).toBe('15min');
+    expect(RateLimitResult.withinLimits('u', 0, 1, 3600000).getWindowLabel()).toBe('1h');
+  });
+
+  describe('merge', () => {
+    test('prefers exceeded results, then the highest usage', () => {
+      const short = RateLimitResult.withinLimits('u', 9, 10, 60000);
+      const long = RateLimitResult.limitsExceeded('u', 26, 25, 900000);
+      const other = RateLimitResult.limitsExceeded('u', 11, 10, 60000);
+
+      expect(RateLimitResult.merge([short, long])).toBe(long);
+      expect(RateLimitResult.merge([long, other])).toBe(other);
+    });
+
+    test('refuses an empty list', () => {
+      expect(() => RateLimitResult.merge([])).toThrow('Cannot merge empty rate limit results');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const ResponsePolicy = require('../../src/models/ResponsePolicy');
+const DetectionResult = require('../../src/models/DetectionResult');
+const DetectionSignal = require('../../src/models/DetectionSignal');
+
+const thresholds = { scramble: 50, block: 100 };
+
+describe('ResponsePolicy', () => {
+  describe('reasonFor', () => {
+    test('takes the reason of the decisive signal over higher-scoring ones', () => {
+      const result = DetectionResult.fromSignals('user-1', [
+        DetectionSignal.scored('bad_network', 90, 'Known bad network'),
+        DetectionSignal.block('trap_link', 10, 'Trap link visited: /trap/abc')
+      ], thresholds);
+
+      expect(ResponsePolicy.reasonFor(result)).toBe('trap');
+    });
+
+    test('takes the reason of the highest-scoring signal without a decisive one', () => {
+      const result = DetectionResult.fromSignals('user-1', [
+        DetectionSignal.scored('header_anomaly', 20, 'Missing headers'),
+        DetectionSignal.scored('rate_limit_approaching', 40, 'Approaching rate limit')
+      ], thresholds);
+
+      expect(ResponsePolicy.reasonFor(result)).toBe('rate_limit');
+    });
+
+    test('falls back to other for signals without a reason', () => {
+      const result = DetectionResult.fromSignals('user-1', [
+        DetectionSignal.scored('bad_network', 100, 'Known bad network')
+      ], thresholds);
+
+      expect(ResponsePolicy.reasonFor(result)).toBe('other');
+      expect(ResponsePolicy.reasonFor(DetectionResult.blocked('user-1', 'Blocked'))).toBe('other');
+    });
+  });
+
+  test('validates actions and reasons', () => {
+    expect(ResponsePolicy.isValidAction('tarpit')).toBe(true);
+    expect(ResponsePolicy.isValidAction('teapot')).toBe(false);
+    expect(ResponsePolicy.isValidReason('other')).toBe(true);
+    expect(ResponsePolicy.isValidReason('bad_network')).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+const TokenBucket = require('../../src/models/TokenBucket');
+
+describe('TokenBucket', () => {
+  const config = { size: 5, refillRate: 1 / 1000 }; // 5 tokens, one per second
+
+  test('allows a burst of its size', () => {
+    const bucket = TokenBucket.full(config, 0);
+    for (let i = 0; i < 5; i++) {
+      expect(bucket.hasToken()).toBe(true);
+      bucket.take();
+    }
+    expect(bucket.hasToken()).toBe(false);
+    expect(bucket.getUsedTokens(config)).toBe(5);
+  });
+
+  test('refills at the refill rate, up to its size', () => {
+    const bucket = new TokenBucket(0, 0);
+
+    bucket.refill(config, 2500);
+    expect(bucket.tokens).toBeCloseTo(2.5);
+    expect(bucket.getUsedTokens(config)).toBe(3);
+
+    bucket.refill(config, 60000);
+    expect(bucket.tokens).toBe(5);
+    expect(bucket.isFull(config)).toBe(true);
+  });
+
+  test('ignores clocks going backwards', () => {
+    const bucket = new TokenBucket(2, 10000);
+    bucket.refill(config, 5000);
+    expect(bucket.tokens).toBe(2);
+  });
+
+  test('never goes below empty', () => {
+    const bucket = new TokenBucket(0.5, 0);
+    bucket.take();
+    bucket.take();
+    expect(bucket.tokens).toBe(0);
+  });
+
+  test('tells when the next token and the full bucket are back', () => {
+    const bucket = new TokenBucket(0.25, 1000);
+    expect(bucket.getNextTokenAt(config).getTime()).toBe(1750);
+    expect(bucket.getFullAt(config).getTime()).toBe(5750);
+  });
+
+  test('has its next token right away while a token is left', () => {
+    const bucket = new TokenBucket(3, 1000);
+    expect(bucket.getNextTokenAt(config).getTime()).toBe(1000);
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContentScrambler = require('../scramble');
+
+describe('ContentScrambler', () => {
+  let directory;
+  let templatePath;
+
+  /**
+   * Create a scrambler over a temporary blog directory, once its index is built
+   * @param {Object} scrambling - Scrambling options
+   * @returns {Promise<ContentScrambler>} - Scrambler
+   */
+  const createScrambler = async (scrambling = {}) => {
+    const scrambler = new ContentScrambler({
+      paths: { blogStaticDir: path.join(directory, 'blog'), scrambleTemplatePath: templatePath },
+      scrambling
+    });
+    await scrambler.reindex();
+    return scrambler;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'scramble-test-'));
+    templatePath = path.join(directory, 'template.html');
+    fs.mkdirSync(path.join(directory, 'blog'));
+    fs.writeFileSync(path.join(directory, 'blog', 'index.html'), '<html><head><title>Home | Workshop</title></head><body><main><p>Posts</p></main></body></html>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('default page layout', () => {
+    test('renders default pages in the template file', async () => {
+      fs.writeFileSync(templatePath, '<html><body class="custom-layout"><h1>Site</h1>{{content}}</body></html>');
+
+      const html = (await createScrambler()).createDefaultScrambledPage('/missing-post/');
+      expect(html).toMatch(/^<html><body class="custom-layout"><h1>Site<\/h1>\s*<h2>/);
+      expect(html).toContain('<h3>Related Articles</h3>');
+    });
+
+    test('falls back to the layout of the template blog page without a template file', async () => {
+      const html = (await createScrambler()).createDefaultScrambledPage('/missing-post/');
+
+      expect(html).toMatch(/^<html><head><title>[^<]+ - Workshop<\/title><\/head><body><main>\s*<h1>/);
+    });
+
+    test('falls back to the built-in page without a usable layout', async () => {
+      const scrambler = await createScrambler({ templatePage: '' });
+
+      // Missing template file
+      expect(scrambler.createDefaultScrambledPage('/missing-post/')).toContain('<div class="container">');
+
+      // Template file without a content placeholder
+      fs.writeFileSync(templatePath, '<html><body>{{title}}</body></html>');
+      expect((await createScrambler({ templatePage: '' })).createDefaultScrambledPage('/missing-post/')).toContain('<div class="container">');
+    });
+
+    test('reloads the template file once it changes', async () => {
+      fs.writeFileSync(templatePath, '<div class="first">{{content}}</div>');
+      const scrambler = await createScrambler();
+      expect(scrambler.createDefaultScrambledPage('/post/')).toMatch(/^<div class="first">/);
+
+      fs.writeFileSync(templatePath, '<div class="second">{{content}}</div>');
+      const later = new Date(Date.now() + 60 * 1000);
+      fs.utimesSync(templatePath, later, later);
+      expect(scrambler.createDefaultScrambledPage('/post/')).toMatch(/^<div class="second">/);
+    });
+  });
+
+  describe('output cache', () => {
+    test('serves repeated requests from the cache', async () => {
+      const scrambler = await createScrambler();
+      const generate = jest.spyOn(scrambler, 'generateScrambledContent');
+
+      const first = await scrambler.getScrambledContent('/index.html');
+      const second = await scrambler.getScrambledContent('/index.html');
+
+      expect(second).toEqual(first);
+      expect(generate).toHaveBeenCalledTimes(1);
+      expect(scrambler.getCacheStats()).toEqual(expect.objectContaining({ size: 1, hits: 1, misses: 1, hitRate: 0.5 }));
+    });
+
+    test('regenerates output once the corpus changes', async () => {
+      const scrambler = await createScrambler();
+      await scrambler.getScrambledContent('/index.html');
+
+      scrambler.markovChain.corpusVersion++;
+      await scrambler.getScrambledContent('/index.html');
+      expect(scrambler.getCacheStats().misses).toBe(2);
+    });
+
+    test('regenerates output once the source file changes', async () => {
+      const feedPath = path.join(directory, 'blog', 'feed.json');
+      fs.writeFileSync(feedPath, JSON.stringify({ title: 'Notes from the workshop' }));
+      const scrambler = await createScrambler();
+      const first = await scrambler.getScrambledContent('/feed.json');
+
+      // JSON files aren't indexed, so the corpus stays the same
+      fs.writeFileSync(feedPath, JSON.stringify({ title: 'Notes from the workshop', summary: 'A summary of the notes' }));
+      const second = await scrambler.getScrambledContent('/feed.json');
+      expect(Object.keys(JSON.parse(second.content))).toEqual(['title', 'summary']);
+      expect(second.content).not.toBe(first.content);
+
+      // Touching a file is enough
+      const later = new Date(Date.now() + 60 * 1000);
+      fs.utimesSync(feedPath, later, later);
+      await scrambler.getScrambledContent('/feed.json');
+      expect(scrambler.getCacheStats()).toEqual(expect.objectContaining({ hits: 0, misses: 3 }));
+    });
+
+    test('regenerates default pages once the template file changes', async () => {
+      fs.writeFileSync(templatePath, '<div class="first">{{content}}</div>');
+      const scrambler = await createScrambler();
+      const key = scrambler.getPageTemplateKey();
+      expect((await scrambler.getScrambledContent('/missing-post/')).content).toMatch(/^<div class="first">/);
+
+      fs.writeFileSync(templatePath, '<div class="second">{{content}}</div>');
+      const later = new Date(Date.now() + 60 * 1000);
+      fs.utimesSync(templatePath, later, later);
+
+      expect(scrambler.getPageTemplateKey()).not.toBe(key);
+      expect((await scrambler.getScrambledContent('/missing-post/')).content).toMatch(/^<div class="second">/);
+      expect(scrambler.getCacheStats().hits).toBe(0);
+    });
+
+    test('shares one entry between visitors with different link tags', async () => {
+      const scrambler = await createScrambler();
+
+      const first = await scrambler.getScrambledContent('/missing-post/', false, null, '0123456789');
+      const second = await scrambler.getScrambledContent('/missing-post/', false, null, 'abcdef0123');
+
+      expect(scrambler.getCacheStats().hits).toBe(1);
+      expect(first.content).toContain('ref=0123456789');
+      expect(second.content).toContain('ref=abcdef0123');
+      expect(second.content).not.toContain('0123456789');
+    });
+
+    test('is disabled with a size of 0', async () => {
+      const scrambler = await createScrambler({ cacheSize: 0 });
+
+      await scrambler.getScrambledContent('/index.html');
+      await scrambler.getScrambledContent('/index.html');
+      expect(scrambler.getCacheStats()).toEqual(expect.objectContaining({ size: 0, hits: 0, misses: 2 }));
+    });
+  });
+});
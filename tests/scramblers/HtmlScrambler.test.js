@@ -0,0 +1,118 @@
+const path = require('path');
+const ContentScrambler = require('../../scramble');
+const HtmlScrambler = require('../../src/scramblers/HtmlScrambler');
+
+describe('HtmlScrambler', () => {
+  let contentScrambler;
+  let scrambler;
+
+  beforeAll(async () => {
+    contentScrambler = new ContentScrambler({ paths: { blogStaticDir: path.join(__dirname, '../../blog') } });
+    await contentScrambler.markovChain.buildIndex();
+    scrambler = contentScrambler.htmlScrambler;
+  });
+
+  const jsonLd = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: 'Building a better crawler trap',
+    url: 'https://example.com/posts/1',
+    datePublished: '2024-05-01'
+  });
+
+  const page = [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<meta name="description" content="How we catch crawlers that ignore the rules">',
+    '<meta property="og:title" content="Building a better crawler trap">',
+    '<title>Building a better crawler trap</title>',
+    '<style>p { color: red; }</style>',
+    `<script type="application/ld+json">${jsonLd}</script>`,
+    '<script>if (visitors < 10) { track("page view"); }</script>',
+    '</head><body>',
+    '<header><a href="/about" class="nav-link" title="About the workshop">About us</a></header>',
+    '<article><p>Crawlers ignore robots rules all the time.</p>',
+    '<p>Run <code>npm start now</code> and <img src="trap.png" alt="A picture of the trap"> wait.</p></article>',
+    '</body></html>'
+  ].join('\n');
+
+  /**
+   * Get the source of the first match of a pattern
+   * @param {string} html - HTML document
+   * @param {RegExp} pattern - Pattern with one group
+   * @returns {string} - Matched group
+   */
+  const find = (html, pattern) => html.match(pattern)[1];
+
+  test('leaves scripts, styles and code as they are', () => {
+    const scrambled = scrambler.scramble(page, 'seed');
+
+    expect(scrambled).toContain('<style>p { color: red; }</style>');
+    expect(scrambled).toContain('<script>if (visitors < 10) { track("page view"); }</script>');
+    expect(scrambled).toContain('<code>npm start now</code>');
+  });
+
+  test('scrambles text nodes, the title and text attributes', () => {
+    const scrambled = scrambler.scramble(page, 'seed');
+
+    expect(find(scrambled, /<title>([^<]*)<\/title>/)).not.toBe('Building a better crawler trap');
+    expect(scrambled).not.toContain('Crawlers ignore robots rules all the time.');
+    expect(find(scrambled, /title="([^"]*)"/)).not.toBe('About the workshop');
+    expect(find(scrambled, /alt="([^"]*)"/)).not.toBe('A picture of the trap');
+  });
+
+  test('keeps the other attributes', () => {
+    const scrambled = scrambler.scramble(page, 'seed');
+
+    expect(scrambled).toMatch(/<a href="\/about" class="nav-link" title="[^"]+">/);
+    expect(scrambled).toMatch(/<img src="trap.png" alt="[^"]+">/);
+    expect(scrambled).toContain('<html lang="en">');
+  });
+
+  test('scrambles description and card meta tags only', () => {
+    const scrambled = scrambler.scramble(page, 'seed');
+
+    expect(scrambled).toContain('<meta charset="utf-8">');
+    expect(scrambled).toContain('<meta name="viewport" content="width=device-width, initial-scale=1">');
+    expect(find(scrambled, /<meta name="description" content="([^"]*)">/)).not.toBe('How we catch crawlers that ignore the rules');
+    expect(find(scrambled, /<meta property="og:title" content="([^"]*)">/)).not.toBe('Building a better crawler trap');
+  });
+
+  test('scrambles JSON-LD prose, keeping its types, URLs and dates', () => {
+    const scrambled = scrambler.scramble(page, 'seed');
+    const metadata = JSON.parse(find(scrambled, /<script type="application\/ld\+json">([^<]*)<\/script>/));
+
+    expect(metadata['@context']).toBe('https://schema.org');
+    expect(metadata['@type']).toBe('BlogPosting');
+    expect(metadata.url).toBe('https://example.com/posts/1');
+    expect(metadata.datePublished).toBe('2024-05-01');
+    expect(metadata.headline).not.toBe('Building a better crawler trap');
+  });
+
+  test('leaves invalid JSON-LD as it is', () => {
+    const html = '<html><head><script type="application/ld+json">{ "headline": "Broken </script></head></html>';
+
+    expect(scrambler.scramble(html, 'seed')).toBe(html);
+  });
+
+  test('keeps the markup of the page', () => {
+    const tags = (html) => html.match(/<[a-z!/][^>]*>/gi).map(tag => tag.replace(/"[^"]*"/g, '""'));
+
+    expect(tags(scrambler.scramble(page, 'seed'))).toEqual(tags(page));
+  });
+
+  test('only scrambles body text inside the configured elements', () => {
+    const restricted = new HtmlScrambler(contentScrambler, { scrambleElements: ['article'] });
+    const scrambled = restricted.scramble(page, 'seed');
+
+    expect(scrambled).toContain('title="About the workshop">About us</a>');
+    expect(scrambled).not.toContain('Crawlers ignore robots rules all the time.');
+    expect(find(scrambled, /<title>([^<]*)<\/title>/)).not.toBe('Building a better crawler trap');
+  });
+
+  test('is deterministic for a seed', () => {
+    expect(scrambler.scramble(page, 'seed')).toBe(scrambler.scramble(page, 'seed'));
+  });
+});
@@ -0,0 +1,104 @@
+const HtmlTokenizer = require('../../src/scramblers/HtmlTokenizer');
+
+/**
+ * Join the source of tokens back into a document
+ * @param {Object[]} tokens - Tokens
+ * @returns {string} - Document source
+ */
+const join = (tokens) => tokens.map(token => token.raw).join('');
+
+describe('HtmlTokenizer', () => {
+  describe('tokenize', () => {
+    test('gives back the original document when joined', () => {
+      const html = [
+        '<!DOCTYPE html>',
+        '<html lang="en"><head><title>A <b> title</title>',
+        '<script>if (a < b && c > d) { document.write("</p>"); }</script></head>',
+        '<body><!-- a comment with <p> inside --><p class=intro data-x=\'1 > 0\'>Text &amp; more<br/>',
+        'a < b</p><?xml-stylesheet href="x"?><img src="a.png" alt="x"></body></html>'
+      ].join('\n');
+
+      expect(join(HtmlTokenizer.tokenize(html))).toBe(html);
+    });
+
+    test('splits tags, text and comments', () => {
+      const tokens = HtmlTokenizer.tokenize('<!-- note --><P Class="x">Hello</P>');
+
+      expect(tokens.map(token => token.type)).toEqual(['other', 'start', 'text', 'end']);
+      expect(tokens[1].name).toBe('p');
+      expect(tokens[1].tagName).toBe('P');
+      expect(tokens[3].name).toBe('p');
+    });
+
+    test('parses attributes with every kind of quoting', () => {
+      const [token] = HtmlTokenizer.tokenize('<a HREF="/one" title=\'Two > three\' data-id=4 hidden href="/ignored">');
+
+      expect(token.attributes).toEqual(new Map([
+        ['href', '/one'],
+        ['title', 'Two > three'],
+        ['data-id', '4'],
+        ['hidden', '']
+      ]));
+      expect(token.selfClosing).toBe(false);
+    });
+
+    test('keeps the content of raw text elements as a single text token', () => {
+      const tokens = HtmlTokenizer.tokenize('<script>var s = "<p>not a tag</p>";</script><p>text</p>');
+
+      expect(tokens[1]).toEqual({ type: 'text', raw: 'var s = "<p>not a tag</p>";', rawText: true });
+      expect(tokens[2].type).toBe('end');
+      expect(tokens[2].name).toBe('script');
+      expect(tokens[3].name).toBe('p');
+    });
+
+    test('runs an unclosed raw text element to the end', () => {
+      const tokens = HtmlTokenizer.tokenize('<style>p { color: red }');
+
+      expect(tokens).toHaveLength(2);
+      expect(tokens[1].rawText).toBe(true);
+    });
+
+    test('treats a stray < as text', () => {
+      const tokens = HtmlTokenizer.tokenize('<p>1 < 2 and 3 <4</p>');
+
+      expect(tokens.map(token => token.type)).toEqual(['start', 'text', 'end']);
+      expect(tokens[1].raw).toBe('1 < 2 and 3 <4');
+    });
+
+    test('detects self-closing tags', () => {
+      const [br, img] = HtmlTokenizer.tokenize('<br/><img src="a.png" />');
+
+      expect(br.selfClosing).toBe(true);
+      expect(img.selfClosing).toBe(true);
+    });
+  });
+
+  describe('rewriteAttributes', () => {
+    test('rewrites values and keeps the rest of the tag as written', () => {
+      const [token] = HtmlTokenizer.tokenize('<a class="link"  HREF=\'/old\' data-x=1>');
+
+      const rewritten = HtmlTokenizer.rewriteAttributes(token, (name, value) => (name === 'href' ? `${value}?t=1` : undefined));
+
+      expect(rewritten).toBe('<a class="link"  HREF=\'/old?t=1\' data-x=1>');
+    });
+
+    test('quotes unquoted values and escapes quotes', () => {
+      const [token] = HtmlTokenizer.tokenize('<a href=/old title=\'x\'>');
+
+      const rewritten = HtmlTokenizer.rewriteAttributes(token, (name) => (name === 'href' ? '/a"b' : "it's"));
+
+      expect(rewritten).toBe('<a href="/a&quot;b" title=\'it&#39;s\'>');
+    });
+
+    test('leaves attributes without values alone', () => {
+      const [token] = HtmlTokenizer.tokenize('<input disabled value="a">');
+
+      expect(HtmlTokenizer.rewriteAttributes(token, () => 'b')).toBe('<input disabled value="b">');
+    });
+  });
+
+  test('knows void elements', () => {
+    expect(HtmlTokenizer.isVoidElement('br')).toBe(true);
+    expect(HtmlTokenizer.isVoidElement('p')).toBe(false);
+  });
+});
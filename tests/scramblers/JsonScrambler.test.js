@@ -0,0 +1,115 @@
+const path = require('path');
+const ContentScrambler = require('../../scramble');
+const JsonScrambler = require('../../src/scramblers/JsonScrambler');
+
+describe('JsonScrambler', () => {
+  let contentScrambler;
+  let scrambler;
+
+  beforeAll(async () => {
+    contentScrambler = new ContentScrambler({ paths: { blogStaticDir: path.join(__dirname, '../../blog') } });
+    await contentScrambler.markovChain.buildIndex();
+    scrambler = contentScrambler.formatScramblers.json;
+  });
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'Notes from the workshop',
+    items: [
+      {
+        id: 'post-1',
+        url: 'https://example.com/posts/1',
+        title: 'Building a better crawler trap',
+        content_html: '<p>Crawlers ignore robots rules all the time.</p><p>Here is how we catch them.</p>',
+        date_published: '2024-05-01T10:00:00Z',
+        tags: ['crawlers', 'honeypots'],
+        word_count: 1200,
+        draft: false
+      }
+    ]
+  };
+
+  test('keeps keys, numbers, booleans and data strings', () => {
+    const scrambled = JSON.parse(scrambler.scramble(JSON.stringify(feed), 'seed'));
+    const [item] = scrambled.items;
+
+    expect(Object.keys(scrambled)).toEqual(Object.keys(feed));
+    expect(scrambled.version).toBe(feed.version);
+    expect(item.id).toBe('post-1');
+    expect(item.url).toBe('https://example.com/posts/1');
+    expect(item.date_published).toBe('2024-05-01T10:00:00Z');
+    expect(item.tags).toEqual(['crawlers', 'honeypots']);
+    expect(item.word_count).toBe(1200);
+    expect(item.draft).toBe(false);
+  });
+
+  test('scrambles prose, keeping the markup of HTML values', () => {
+    const scrambled = JSON.parse(scrambler.scramble(JSON.stringify(feed), 'seed'));
+    const [item] = scrambled.items;
+
+    expect(scrambled.title).not.toBe(feed.title);
+    expect(item.title).not.toBe(feed.items[0].title);
+    expect(item.content_html).toMatch(/^<p>[^<]+<\/p><p>[^<]+<\/p>$/);
+    expect(item.content_html).not.toBe(feed.items[0].content_html);
+  });
+
+  test('is deterministic for a seed', () => {
+    const json = JSON.stringify(feed);
+
+    expect(scrambler.scramble(json, 'seed')).toBe(scrambler.scramble(json, 'seed'));
+  });
+
+  test('keeps the indentation and final line break of the document', () => {
+    const json = `${JSON.stringify(feed, null, 4)}\n`;
+    const scrambled = scrambler.scramble(json, 'seed');
+
+    expect(scrambled).toMatch(/^\{\n {4}"version"/);
+    expect(scrambled.endsWith('}\n')).toBe(true);
+    expect(scrambler.scramble(JSON.stringify(feed), 'seed')).not.toContain('\n');
+  });
+
+  test('scrambles documents that do not parse as plain text', () => {
+    const scrambled = scrambler.scramble('{ not quite json, is it', 'seed');
+
+    expect(scrambled).not.toBe('{ not quite json, is it');
+    expect(scrambled.startsWith('{ ')).toBe(true);
+  });
+
+  test('tells prose from identifiers, URLs and dates', () => {
+    expect(JsonScrambler.isProse('A sentence with words')).toBe(true);
+    expect(JsonScrambler.isProse('single-token')).toBe(false);
+    expect(JsonScrambler.isProse('https://example.com/a b')).toBe(false);
+    expect(JsonScrambler.isProse('/path/to something')).toBe(false);
+    expect(JsonScrambler.isProse('May 1, 2024')).toBe(false);
+    expect(JsonScrambler.isProse('12 34')).toBe(false);
+  });
+
+  describe('addSentence', () => {
+    test('adds the sentence to the first description-like value', () => {
+      const json = JSON.stringify({ title: 'A title of words', items: [{ summary: 'A summary of the post' }] }, null, 2);
+
+      const result = JSON.parse(scrambler.addSentence(json, 'Added sentence.'));
+
+      expect(result.title).toBe('A title of words');
+      expect(result.items[0].summary).toBe('A summary of the post. Added sentence.');
+    });
+
+    test('adds the sentence after the first paragraph of HTML values', () => {
+      const json = JSON.stringify({ content_html: '<p>First one.</p><p>Second one.</p>' });
+
+      expect(JSON.parse(scrambler.addSentence(json, 'Added.')).content_html).toBe('<p>First one.</p><p>Added.</p><p>Second one.</p>');
+    });
+
+    test('falls back to the first prose value', () => {
+      const json = JSON.stringify({ id: 'x', name: 'A name of words' });
+
+      expect(JSON.parse(scrambler.addSentence(json, 'Added.')).name).toBe('A name of words. Added.');
+    });
+
+    test('leaves documents without prose as they are', () => {
+      const json = JSON.stringify({ id: 'x', count: 3 });
+
+      expect(scrambler.addSentence(json, 'Added.')).toBe(json);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const PageTemplate = require('../../src/scramblers/PageTemplate');
+
+describe('PageTemplate', () => {
+  const page = [
+    '<!DOCTYPE html>',
+    '<html><head>',
+    '<title>Why crawlers fail | Workshop Notes</title>',
+    '<meta name="description" content="A post about crawlers">',
+    '<meta property="og:url" content="https://example.com/posts/1">',
+    '<meta name="viewport" content="width=device-width">',
+    '<link rel="canonical" href="https://example.com/posts/1">',
+    '<link rel="stylesheet" href="/style.css">',
+    '</head><body>',
+    '<header><nav><a href="/">Home</a></nav></header>',
+    '<div class="wrapper"><article><h1>Why crawlers fail</h1><p>Post text.</p></article>',
+    '<article><p>Another post.</p></article></div>',
+    '<footer>Copyright</footer>',
+    '</body></html>'
+  ].join('\n');
+
+  describe('fromTemplate', () => {
+    test('takes a template with a content placeholder', () => {
+      const template = PageTemplate.fromTemplate('<main>{{content}}</main>');
+
+      expect(template.render({ content: '<p>Text</p>' })).toBe('<main><p>Text</p></main>');
+    });
+
+    test('refuses templates without a content placeholder', () => {
+      expect(PageTemplate.fromTemplate('<main>{{title}}</main>')).toBeNull();
+      expect(PageTemplate.fromTemplate('')).toBeNull();
+    });
+  });
+
+  describe('fromPage', () => {
+    test('replaces the article bodies with the content placeholder', () => {
+      const html = PageTemplate.fromPage(page).html;
+
+      expect(html).toContain('<div class="wrapper"><article>{{content}}</article></div>');
+      expect(html).not.toContain('Post text.');
+      expect(html).not.toContain('Another post.');
+      expect(html).toContain('<header><nav><a href="/">Home</a></nav></header>');
+      expect(html).toContain('<footer>Copyright</footer>');
+    });
+
+    test('keeps the site name of the title and replaces the page metadata', () => {
+      const html = PageTemplate.fromPage(page).html;
+
+      expect(html).toContain('<title>{{title}} - Workshop Notes</title>');
+      expect(html).toContain('<meta name="description" content="{{description}}">');
+      expect(html).toContain('<meta property="og:url" content="{{url}}">');
+      expect(html).toContain('<meta name="viewport" content="width=device-width">');
+      expect(html).toContain('<link rel="canonical" href="{{url}}">');
+      expect(html).toContain('<link rel="stylesheet" href="/style.css">');
+    });
+
+    test('prefers the most specific content element', () => {
+      const html = '<body><div class="content"><main><p>Text</p></main></div></body>';
+
+      expect(PageTemplate.fromPage(html).html).toBe('<body><div class="content"><main>{{content}}</main></div></body>');
+    });
+
+    test('gives up on pages without an article body', () => {
+      expect(PageTemplate.fromPage('<body><div><p>Text</p></div></body>')).toBeNull();
+      expect(PageTemplate.fromPage(null)).toBeNull();
+    });
+  });
+
+  test('escapes the title, description and URL but not the content', () => {
+    const template = new PageTemplate('<title>{{title}}</title><a href="{{url}}">{{description}}</a>{{content}}');
+
+    expect(template.render({ title: 'A & B', description: '<b>', url: '/a?b="c"', content: '<p>Text</p>' }))
+      .toBe('<title>A &amp; B</title><a href="/a?b=&quot;c&quot;">&lt;b&gt;</a><p>Text</p>');
+  });
+
+  test('tells whether the layout has a top-level heading', () => {
+    expect(new PageTemplate('<h1>Site</h1>{{content}}').hasHeading()).toBe(true);
+    expect(new PageTemplate('<h2>Site</h2>{{content}}').hasHeading()).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+const path = require('path');
+const ContentScrambler = require('../../scramble');
+
+/**
+ * Count the words of a text
+ * @param {string} text - Text
+ * @returns {number} - Number of words
+ */
+const countWords = (text) => (text.match(/[a-zA-Z0-9']+/g) || []).length;
+
+describe('TextScrambler', () => {
+  let contentScrambler;
+  let scrambler;
+
+  beforeAll(async () => {
+    contentScrambler = new ContentScrambler({ paths: { blogStaticDir: path.join(__dirname, '../../blog') } });
+    await contentScrambler.markovChain.buildIndex();
+    scrambler = contentScrambler.formatScramblers.text;
+  });
+
+  const document = [
+    'Release Notes',
+    '',
+    'This release improves the crawler detection and fixes several bugs',
+    'reported by users over the last few weeks.',
+    '',
+    '  - Faster startup',
+    '  - Smaller memory footprint',
+    '',
+    'Questions? Write to support@example.com or visit https://example.com/help for details.',
+    ''
+  ].join('\n');
+
+  test('is deterministic for a seed', () => {
+    expect(scrambler.scramble(document, 'seed')).toBe(scrambler.scramble(document, 'seed'));
+    expect(scrambler.scramble(document, 'other')).not.toBe(scrambler.scramble(document, 'seed'));
+  });
+
+  test('keeps the word count of each paragraph', () => {
+    const original = document.split('\n\n');
+    const scrambled = scrambler.scramble(document, 'seed').split('\n\n');
+
+    expect(scrambled).toHaveLength(original.length);
+    // The kept URL and email address count as words of their own
+    expect(scrambled.map(countWords)).toEqual(original.map(countWords));
+  });
+
+  test('keeps line breaks and indentation', () => {
+    const scrambled = scrambler.scramble(document, 'seed');
+
+    expect(scrambled.split('\n')).toHaveLength(document.split('\n').length);
+    expect(scrambled.split('\n')[5]).toMatch(/^ {2}- \S/);
+  });
+
+  test('keeps URLs and email addresses', () => {
+    const scrambled = scrambler.scramble(document, 'seed');
+
+    expect(scrambled).toContain('support@example.com');
+    expect(scrambled).toContain('https://example.com/help');
+  });
+
+  test('scrambles a paragraph as one text, wherever its lines wrap', () => {
+    const words = (text) => text.match(/[a-zA-Z0-9']+/g);
+    const wrapped = scrambler.scramble('This release improves the crawler\ndetection and fixes bugs.', 'seed');
+    const rewrapped = scrambler.scramble('This release improves\nthe crawler detection and fixes bugs.', 'seed');
+
+    expect(words(rewrapped)).toEqual(words(wrapped));
+    expect(rewrapped.split('\n')[0].split(' ')).toHaveLength(3);
+  });
+
+  test('seeds paragraphs by their position', () => {
+    const paragraph = 'The same paragraph of text repeated twice in a row.';
+    const [first, second] = scrambler.scramble(`${paragraph}\n\n${paragraph}`, 'seed').split('\n\n');
+
+    expect(second).not.toBe(first);
+  });
+
+  describe('addSentence', () => {
+    test('adds the sentence as a paragraph after the first one', () => {
+      expect(scrambler.addSentence('One.\n\nTwo.\n', 'Added.')).toBe('One.\n\nAdded.\n\nTwo.\n');
+    });
+
+    test('appends the sentence to a single paragraph', () => {
+      expect(scrambler.addSentence('Only one.  \n', 'Added.')).toBe('Only one.\n\nAdded.\n');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const path = require('path');
+const ContentScrambler = require('../../scramble');
+const XmlScrambler = require('../../src/scramblers/XmlScrambler');
+
+describe('XmlScrambler', () => {
+  let contentScrambler;
+  let scrambler;
+
+  beforeAll(async () => {
+    contentScrambler = new ContentScrambler({ paths: { blogStaticDir: path.join(__dirname, '../../blog') } });
+    await contentScrambler.markovChain.buildIndex();
+    scrambler = contentScrambler.formatScramblers.xml;
+  });
+
+  const rss = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Notes from the workshop</title>
+    <link>https://example.com/</link>
+    <language>en-us</language>
+    <item>
+      <title>Building a better crawler trap</title>
+      <link>https://example.com/posts/1</link>
+      <guid>https://example.com/posts/1</guid>
+      <pubDate>Wed, 01 May 2024 10:00:00 GMT</pubDate>
+      <description>&lt;p&gt;Crawlers ignore robots rules all the time.&lt;/p&gt;</description>
+      <content:encoded><![CDATA[<p>Here is how we catch them.</p>]]></content:encoded>
+    </item>
+  </channel>
+</rss>
+`;
+
+  /**
+   * Get the text of the first element with a name
+   * @param {string} xml - XML document
+   * @param {string} name - Element name
+   * @returns {string} - Element text
+   */
+  const textOf = (xml, name) => xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`))[1];
+
+  test('keeps markup and data elements', () => {
+    const scrambled = scrambler.scramble(rss, 'seed');
+    const tags = (xml) => xml.match(/<[^>]*>/g).filter(tag => !tag.startsWith('<![CDATA['));
+
+    expect(tags(scrambled)).toEqual(tags(rss));
+    for (const name of ['link', 'guid', 'pubDate', 'language']) {
+      expect(textOf(scrambled, name)).toBe(textOf(rss, name));
+    }
+  });
+
+  test('scrambles the text of the other elements', () => {
+    const scrambled = scrambler.scramble(rss, 'seed');
+
+    expect(textOf(scrambled, 'title')).not.toBe(textOf(rss, 'title'));
+  });
+
+  test('scrambles escaped and CDATA HTML as HTML', () => {
+    const scrambled = scrambler.scramble(rss, 'seed');
+
+    expect(textOf(scrambled, 'description')).toMatch(/^&lt;p&gt;[^&<]+&lt;\/p&gt;$/);
+    expect(textOf(scrambled, 'description')).not.toBe(textOf(rss, 'description'));
+    expect(textOf(scrambled, 'content:encoded')).toMatch(/^<!\[CDATA\[<p>[^<]+<\/p>\]\]>$/);
+    expect(textOf(scrambled, 'content:encoded')).not.toBe(textOf(rss, 'content:encoded'));
+  });
+
+  test('is deterministic for a seed', () => {
+    expect(scrambler.scramble(rss, 'seed')).toBe(scrambler.scramble(rss, 'seed'));
+  });
+
+  test('leaves sitemaps as they are', () => {
+    const sitemap = '<urlset><url><loc>https://example.com/a</loc><lastmod>2024-05-01</lastmod></url></urlset>';
+
+    expect(scrambler.scramble(sitemap, 'seed')).toBe(sitemap);
+  });
+
+  describe('addSentence', () => {
+    test('adds the sentence to the first description', () => {
+      const result = scrambler.addSentence(rss, 'Added sentence.');
+
+      expect(textOf(result, 'title')).toBe('Notes from the workshop');
+      expect(textOf(result, 'description')).toBe(
+        '&lt;p&gt;Crawlers ignore robots rules all the time.&lt;/p&gt;&lt;p&gt;Added sentence.&lt;/p&gt;'
+      );
+    });
+
+    test('adds the sentence to CDATA sections', () => {
+      const xml = '<entry><content><![CDATA[<p>One.</p>]]></content></entry>';
+
+      expect(scrambler.addSentence(xml, 'Added.')).toBe('<entry><content><![CDATA[<p>One.</p><p>Added.</p>]]></content></entry>');
+    });
+
+    test('escapes the sentence in plain text', () => {
+      const xml = '<feed><subtitle>A feed of notes</subtitle></feed>';
+
+      expect(scrambler.addSentence(xml, 'Tom & Jerry.')).toBe('<feed><subtitle>A feed of notes. Tom &amp; Jerry.</subtitle></feed>');
+    });
+
+    test('falls back to the first scrambled text', () => {
+      const xml = '<channel><link>https://example.com/</link><title>A title</title></channel>';
+
+      expect(scrambler.addSentence(xml, 'Added.')).toBe('<channel><link>https://example.com/</link><title>A title. Added.</title></channel>');
+    });
+
+    test('leaves sitemaps as they are', () => {
+      const sitemap = '<urlset><url><loc>https://example.com/a</loc></url></urlset>';
+
+      expect(scrambler.addSentence(sitemap, 'Added.')).toBe(sitemap);
+    });
+  });
+
+  test('escapes and unescapes entities', () => {
+    expect(XmlScrambler.escape('<a href="x">&</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+    expect(XmlScrambler.unescape('&lt;p&gt;&amp;lt;&apos;&quot;')).toBe('<p>&lt;\'"');
+  });
+});
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseAdapter = require('../../database');
+
+describe('DatabaseInitializer', () => {
+  let directory;
+  let db;
+
+  /**
+   * Get the patterns of the rate limit rules
+   * @returns {Promise<string[]>} - Rule patterns, sorted
+   */
+  const rulePatterns = async () => {
+    const result = await db.directQuery('SELECT pattern FROM rate_limit_rules ORDER BY pattern');
+    return result.rows.map(row => row.pattern);
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'init-database-test-'));
+    db = new DatabaseAdapter({ getDatabaseConfig: () => ({ type: 'sqlite', path: path.join(directory, 'honeypot.db') }) });
+  });
+
+  afterEach(async () => {
+    await db.end();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('seeds the default rate limit rules into a new table', async () => {
+    await db.initializeSchema();
+
+    expect(await rulePatterns()).toEqual(['/api/', '/dashboard', '/dashboard.html', '/dashboard/']);
+  });
+
+  test('does not bring back deleted default rules when run again', async () => {
+    await db.initializeSchema();
+    await db.directQuery('DELETE FROM rate_limit_rules WHERE pattern = ?', ['/dashboard/']);
+
+    await db.initializeSchema();
+
+    expect(await rulePatterns()).toEqual(['/api/', '/dashboard', '/dashboard.html']);
+  });
+});
@@ -0,0 +1,43 @@
+const SeededRandom = require('../seeded-random');
+
+describe('SeededRandom', () => {
+  // The tenth byte of this seed's hash is 0xff, the largest value random() is derived from
+  const seed = 'seed-6';
+
+  test('repeats the same sequence for the same seed', () => {
+    const first = new SeededRandom(seed);
+    const second = new SeededRandom(seed);
+
+    for (let i = 0; i < 40; i++) {
+      expect(second.random()).toBe(first.random());
+    }
+  });
+
+  test('stays below 1', () => {
+    const random = new SeededRandom(seed);
+    const values = Array.from({ length: 32 }, () => random.random());
+
+    expect(Math.max(...values)).toBe(255 / 256);
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+
+  test('picks only elements of the array', () => {
+    const random = new SeededRandom(seed);
+    const items = ['a', 'b', 'c'];
+
+    for (let i = 0; i < 32; i++) {
+      expect(items).toContain(random.pick(items));
+    }
+    expect(random.pick([])).toBeUndefined();
+  });
+
+  test('keeps random integers within their bounds', () => {
+    const random = new SeededRandom(seed);
+
+    for (let i = 0; i < 32; i++) {
+      const value = random.randomInt(5, 8);
+      expect(value).toBeGreaterThanOrEqual(5);
+      expect(value).toBeLessThan(8);
+    }
+  });
+});
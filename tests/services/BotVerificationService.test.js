@@ -0,0 +1,174 @@
+const BotVerificationService = require('../../src/services/BotVerificationService');
+
+const GOOGLE_DOMAINS = ['googlebot.com', 'google.com'];
+
+/**
+ * Create an error like the ones dns.promises rejects with
+ * @param {string} code - DNS error code
+ * @returns {Error} - Error with the code set
+ */
+const dnsError = (code) => Object.assign(new Error(`query ${code}`), { code });
+
+describe('BotVerificationService', () => {
+  let resolver;
+  let service;
+
+  beforeEach(() => {
+    resolver = {
+      reverse: jest.fn(async () => ['crawl-66-249-66-1.googlebot.com.']),
+      resolve4: jest.fn(async () => ['66.249.66.1']),
+      resolve6: jest.fn(async () => ['2001:4860:4801:10::1'])
+    };
+    service = new BotVerificationService(resolver, {
+      getBotVerificationCacheTtl: jest.fn(async () => 60 * 1000),
+      getBotVerificationTimeout: jest.fn(async () => 2000)
+    });
+  });
+
+  test('verifies an address whose PTR record is allowed and resolves back to it', async () => {
+    const result = await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+
+    expect(result).toEqual({
+      verified: true,
+      hostname: 'crawl-66-249-66-1.googlebot.com',
+      reason: null,
+      lookupFailed: false,
+      cached: false
+    });
+    expect(resolver.resolve4).toHaveBeenCalledWith('crawl-66-249-66-1.googlebot.com');
+  });
+
+  test('verifies IPv6 addresses with an AAAA lookup', async () => {
+    resolver.reverse.mockResolvedValue(['crawl-2001-4860-4801-10--1.googlebot.com']);
+
+    const result = await service.verify('2001:4860:4801:0010:0000:0000:0000:0001', GOOGLE_DOMAINS);
+
+    expect(result.verified).toBe(true);
+    expect(resolver.resolve6).toHaveBeenCalled();
+  });
+
+  test('rejects a PTR hostname outside the allowed domains', async () => {
+    resolver.reverse.mockResolvedValue(['googlebot.com.evil.example']);
+
+    const result = await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+
+    expect(result.verified).toBe(false);
+    expect(result.reason).toBe('reverse DNS googlebot.com.evil.example is not in googlebot.com, google.com');
+    expect(resolver.resolve4).not.toHaveBeenCalled();
+  });
+
+  test('rejects a hostname that does not resolve back to the address', async () => {
+    resolver.resolve4.mockResolvedValue(['203.0.113.9']);
+
+    const result = await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+
+    expect(result.verified).toBe(false);
+    expect(result.reason).toBe('forward DNS for crawl-66-249-66-1.googlebot.com does not match');
+  });
+
+  test('rejects invalid addresses without a lookup', async () => {
+    const result = await service.verify('not-an-ip', GOOGLE_DOMAINS);
+
+    expect(result.verified).toBe(false);
+    expect(resolver.reverse).not.toHaveBeenCalled();
+  });
+
+  describe('failed lookups', () => {
+    afterEach(() => {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    test('reports resolver errors instead of throwing', async () => {
+      resolver.resolve4.mockRejectedValue(new Error('socket closed'));
+
+      const result = await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+
+      expect(result).toEqual(expect.objectContaining({ verified: false, reason: 'DNS lookup failed (socket closed)', lookupFailed: true }));
+    });
+
+    test('gives up on a reverse lookup that does not answer in time', async () => {
+      jest.useFakeTimers();
+      resolver.reverse.mockReturnValue(new Promise(() => {}));
+
+      const pending = service.verify('66.249.66.1', GOOGLE_DOMAINS);
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(await pending).toEqual(expect.objectContaining({ verified: false, reason: 'DNS lookup failed (ETIMEOUT)', lookupFailed: true }));
+      expect(resolver.resolve4).not.toHaveBeenCalled();
+    });
+
+    test('shares the timeout between the reverse and forward lookups', async () => {
+      jest.useFakeTimers();
+      resolver.reverse.mockImplementation(() => new Promise(resolve => {
+        setTimeout(() => resolve(['crawl-66-249-66-1.googlebot.com']), 1500);
+      }));
+      resolver.resolve4.mockImplementation(() => new Promise(resolve => {
+        setTimeout(() => resolve(['66.249.66.1']), 1000);
+      }));
+
+      const pending = service.verify('66.249.66.1', GOOGLE_DOMAINS);
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(resolver.resolve4).toHaveBeenCalled();
+      expect((await pending).lookupFailed).toBe(true);
+    });
+
+    test('does not cache timeouts', async () => {
+      jest.useFakeTimers();
+      resolver.reverse.mockReturnValueOnce(new Promise(() => {}));
+
+      const pending = service.verify('66.249.66.1', GOOGLE_DOMAINS);
+      await jest.advanceTimersByTimeAsync(2000);
+      await pending;
+
+      expect((await service.verify('66.249.66.1', GOOGLE_DOMAINS)).verified).toBe(true);
+      expect(service.getStats().cachedResults).toBe(1);
+    });
+  });
+
+  describe('caching', () => {
+    test('answers repeated checks from the cache', async () => {
+      await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+      const result = await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+
+      expect(result.cached).toBe(true);
+      expect(result.verified).toBe(true);
+      expect(resolver.reverse).toHaveBeenCalledTimes(1);
+    });
+
+    test('caches missing records', async () => {
+      resolver.reverse.mockRejectedValue(dnsError('ENOTFOUND'));
+
+      await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+      const result = await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+
+      expect(result).toEqual({ verified: false, hostname: null, reason: 'no matching DNS record', lookupFailed: false, cached: true });
+    });
+
+    test('does not cache resolver failures, so the next request retries', async () => {
+      resolver.reverse.mockRejectedValueOnce(dnsError('ESERVFAIL'));
+
+      const failed = await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+      const retried = await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+
+      expect(failed).toEqual({
+        verified: false,
+        hostname: null,
+        reason: 'DNS lookup failed (ESERVFAIL)',
+        lookupFailed: true,
+        cached: false
+      });
+      expect(retried).toEqual(expect.objectContaining({ verified: true, cached: false }));
+      expect(resolver.reverse).toHaveBeenCalledTimes(2);
+    });
+
+    test('keeps separate results per list of allowed domains', async () => {
+      await service.verify('66.249.66.1', GOOGLE_DOMAINS);
+      const result = await service.verify('66.249.66.1', ['search.msn.com']);
+
+      expect(result.verified).toBe(false);
+      expect(result.cached).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const CanaryToken = require('../../src/models/CanaryToken');
+const CanaryTokenService = require('../../src/services/CanaryTokenService');
+
+const SECRET = 'test-secret';
+
+/**
+ * Create a database stub holding canary token rows in memory
+ * @param {Object[]} rows - Rows of canary_tokens
+ * @returns {Object} - Database stub
+ */
+const createDatabase = (rows = []) => ({
+  dbType: 'sqlite',
+  rows,
+  query: jest.fn(async (sql, params = []) => {
+    if (sql.includes('WHERE phrase IN')) {
+      return { rows: rows.filter(row => params.includes(row.phrase)) };
+    }
+    if (sql.includes('WHERE phrase = ?')) {
+      return { rows: rows.filter(row => row.phrase === params[0]) };
+    }
+    if (sql.startsWith('UPDATE canary_tokens')) {
+      const row = rows.find(item => item.id === params[1]);
+      row.serve_count++;
+      row.last_served_at = params[0];
+    } else if (sql.includes('INSERT INTO canary_tokens')) {
+      const [phrase, user_id, user_agent, ip_address, request_path, created_at, last_served_at] = params;
+      rows.push({ id: rows.length + 1, phrase, user_id, user_agent, ip_address, request_path, serve_count: 1, created_at, last_served_at });
+    }
+    return { rows: [] };
+  })
+});
+
+/**
+ * Create a canary token row
+ * @param {number} id - Row ID
+ * @param {string} userId - User ID the phrase was issued to
+ * @param {string} createdAt - ISO timestamp
+ * @returns {Object} - Database row
+ */
+const tokenRow = (id, userId, createdAt) => ({
+  id,
+  phrase: CanaryToken.phraseFor(SECRET, userId, '/blog/post', new Date(createdAt)),
+  user_id: userId,
+  user_agent: 'TestBot/1.0',
+  ip_address: '203.0.113.1',
+  request_path: '/blog/post',
+  serve_count: 1,
+  created_at: createdAt,
+  last_served_at: createdAt
+});
+
+describe('CanaryTokenService', () => {
+  const config = { security: { honeypotSecret: SECRET } };
+
+  describe('issueCanary', () => {
+    test('records the phrase the first time it is served', async () => {
+      const database = createDatabase();
+      const service = new CanaryTokenService(database, config);
+
+      const display = await service.issueCanary('user-1', 'TestBot/1.0', '203.0.113.1', '/blog/post');
+
+      expect(database.rows).toHaveLength(1);
+      expect(database.rows[0].user_id).toBe('user-1');
+      expect(CanaryToken.display(database.rows[0].phrase)).toBe(display);
+    });
+
+    test('counts repeated serves of the same phrase', async () => {
+      const database = createDatabase();
+      const service = new CanaryTokenService(database, config);
+
+      const first = await service.issueCanary('user-1', 'TestBot/1.0', '203.0.113.1', '/blog/post');
+      const second = await service.issueCanary('user-1', 'TestBot/1.0', '203.0.113.1', '/blog/post');
+
+      expect(second).toBe(first);
+      expect(database.rows).toHaveLength(1);
+      expect(database.rows[0].serve_count).toBe(2);
+    });
+
+    test('issues different phrases to different visitors', async () => {
+      const service = new CanaryTokenService(createDatabase(), config);
+
+      const first = await service.issueCanary('user-1', 'TestBot/1.0', '203.0.113.1', '/blog/post');
+      const second = await service.issueCanary('user-2', 'TestBot/1.0', '203.0.113.2', '/blog/post');
+
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe('lookup', () => {
+    test('rejects empty text', async () => {
+      const service = new CanaryTokenService(createDatabase(), config);
+
+      await expect(service.lookup('   ')).rejects.toThrow('Text is required');
+      await expect(service.lookup(undefined)).rejects.toThrow('Text is required');
+    });
+
+    test('rejects text over the length limit', async () => {
+      const service = new CanaryTokenService(createDatabase(), config);
+
+      await expect(service.lookup('a '.repeat(50001))).rejects.toThrow('Text must be at most 100000 characters');
+    });
+
+    test('finds phrases regardless of case and punctuation', async () => {
+      const row = tokenRow(1, 'user-1', '2026-01-02T00:00:00.000Z');
+      const service = new CanaryTokenService(createDatabase([row]), config);
+      const text = `According to ${CanaryToken.display(row.phrase).toUpperCase()}, the results were clear.`;
+
+      const tokens = await service.lookup(text);
+
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0]).toBeInstanceOf(CanaryToken);
+      expect(tokens[0].userId).toBe('user-1');
+    });
+
+    test('returns the tokens found oldest first', async () => {
+      const newer = tokenRow(1, 'user-1', '2026-01-03T00:00:00.000Z');
+      const older = tokenRow(2, 'user-2', '2026-01-01T00:00:00.000Z');
+      const service = new CanaryTokenService(createDatabase([newer, older]), config);
+
+      const tokens = await service.lookup(`${newer.phrase} and ${older.phrase}`);
+
+      expect(tokens.map(token => token.userId)).toEqual(['user-2', 'user-1']);
+    });
+
+    test('queries candidate phrases in batches', async () => {
+      const database = createDatabase();
+      const service = new CanaryTokenService(database, config);
+      const words = Array.from({ length: 450 }, (_, i) => `word${String.fromCharCode(97 + (i % 26))}${String.fromCharCode(97 + Math.floor(i / 26))}`);
+
+      expect(await service.lookup(words.join(' '))).toEqual([]);
+
+      const batchSizes = database.query.mock.calls.map(([, params]) => params.length);
+      expect(batchSizes).toEqual([200, 200, 49]);
+    });
+  });
+});
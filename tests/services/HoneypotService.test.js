@@ -0,0 +1,112 @@
+const HoneypotService = require('../../src/services/HoneypotService');
+const DetectionResult = require('../../src/models/DetectionResult');
+const DetectionSignal = require('../../src/models/DetectionSignal');
+
+describe('HoneypotService', () => {
+  let services;
+  let service;
+
+  beforeEach(() => {
+    // A visit to a trap link that robots.txt also disallowed, through a link tagged for another visitor
+    const signals = [
+      DetectionSignal.block('link_tag', 100, 'Shared link tag from user-0', { token: '0123456789', sourceUserId: 'user-0', visited: true }),
+      DetectionSignal.block('trap_link', 100, 'Trap link visited: /trap/abc', { visited: true, trapPath: '/trap/abc' }),
+      DetectionSignal.block('robots_txt', 100, `${DetectionResult.ROBOTS_TXT_VIOLATION}: /trap/abc`, { visited: true })
+    ];
+
+    services = {
+      userAgentService: { findBadAgent: jest.fn(() => null), findGoodAgent: jest.fn(() => null) },
+      networkService: { findBadNetwork: jest.fn(() => null), findGoodNetwork: jest.fn(() => null) },
+      trapLinkService: { flagVisitor: jest.fn(async () => {}) },
+      robotsTxtService: { flagViolator: jest.fn(async () => {}) },
+      reputationService: { getStanding: jest.fn(async () => null), recordOffense: jest.fn(async () => {}) },
+      rateLimitService: {
+        addRequestToCounter: jest.fn(),
+        addRequestToSubnetCounter: jest.fn(async () => {}),
+        checkRateLimitWindows: jest.fn(async () => []),
+        checkSubnetRateLimit: jest.fn(async () => null),
+        getSubnetFlag: jest.fn(() => null),
+        getRequestCounts: jest.fn(async () => ({})),
+        findRule: jest.fn(() => null),
+        flagSubnet: jest.fn(async () => {})
+      },
+      settingsService: { getHoneypotStatus: jest.fn(async () => true) },
+      requestLogService: { logRequest: jest.fn(async () => {}) },
+      detectionPipeline: {
+        evaluate: jest.fn(async (context) => DetectionResult.fromSignals(context.userId, signals, { scramble: 50, block: 100 }))
+      },
+      responsePolicyService: {
+        resolve: jest.fn(() => ({ reason: 'trap', action: 'forbidden', redirectUrl: null, customPage: null }))
+      },
+      tarpitService: { getStats: jest.fn(() => ({})) },
+      linkTagService: { issueTag: jest.fn(async () => '0123456789'), linkIdentities: jest.fn(async () => {}) },
+      canaryTokenService: { issueCanary: jest.fn(async () => null) }
+    };
+
+    service = new HoneypotService(
+      services.userAgentService,
+      services.networkService,
+      services.trapLinkService,
+      services.robotsTxtService,
+      services.reputationService,
+      services.rateLimitService,
+      services.settingsService,
+      services.requestLogService,
+      services.detectionPipeline,
+      services.responsePolicyService,
+      services.tarpitService,
+      services.linkTagService,
+      services.canaryTokenService,
+      {}
+    );
+  });
+
+  const request = { path: '/trap/abc', userAgent: 'Scrapy/2.11', ipAddress: '203.0.113.1' };
+
+  test('flags, bans and logs a visitor when processing a request', async () => {
+    await service.processRequest(request);
+
+    expect(services.trapLinkService.flagVisitor).toHaveBeenCalled();
+    expect(services.robotsTxtService.flagViolator).toHaveBeenCalled();
+    expect(services.linkTagService.linkIdentities).toHaveBeenCalled();
+    expect(services.reputationService.recordOffense).toHaveBeenCalled();
+    expect(services.requestLogService.logRequest).toHaveBeenCalled();
+  });
+
+  describe('explainRequest', () => {
+    test('explains the verdict without logging, counting or flagging the visitor', async () => {
+      const explanation = await service.explainRequest(request);
+
+      expect(explanation.result.verdict).toBe(DetectionResult.VERDICTS.BLOCK);
+      expect(services.requestLogService.logRequest).not.toHaveBeenCalled();
+      expect(services.rateLimitService.addRequestToCounter).not.toHaveBeenCalled();
+      expect(services.rateLimitService.addRequestToSubnetCounter).not.toHaveBeenCalled();
+      expect(services.trapLinkService.flagVisitor).not.toHaveBeenCalled();
+      expect(services.robotsTxtService.flagViolator).not.toHaveBeenCalled();
+      expect(services.linkTagService.linkIdentities).not.toHaveBeenCalled();
+      expect(services.reputationService.recordOffense).not.toHaveBeenCalled();
+    });
+
+    test('does not count an allowed request either', async () => {
+      services.detectionPipeline.evaluate.mockImplementation(async (context) => DetectionResult.allowed(context.userId));
+
+      await service.explainRequest(request);
+
+      expect(services.rateLimitService.addRequestToCounter).not.toHaveBeenCalled();
+      expect(services.rateLimitService.addRequestToSubnetCounter).not.toHaveBeenCalled();
+    });
+
+    test('passes a checks list to the pipeline and lowercases header names', async () => {
+      await service.explainRequest({ ...request, headers: { 'Accept-Language': 'en' } });
+
+      const [context, checks] = services.detectionPipeline.evaluate.mock.calls[0];
+      expect(context.headers).toEqual({ 'accept-language': 'en' });
+      expect(checks).toEqual([]);
+    });
+
+    test('rejects invalid paths and addresses', async () => {
+      await expect(service.explainRequest({ ...request, path: 'trap' })).rejects.toThrow('Path must start with /');
+      await expect(service.explainRequest({ ...request, ipAddress: 'nope' })).rejects.toThrow('Invalid IP address: nope');
+    });
+  });
+});
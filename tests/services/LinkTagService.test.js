@@ -0,0 +1,131 @@
+const LinkTagService = require('../../src/services/LinkTagService');
+const LinkTagDetector = require('../../src/detectors/LinkTagDetector');
+const LinkTag = require('../../src/models/LinkTag');
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+const SECRET = 'test-secret';
+
+describe('LinkTagService', () => {
+  let tags;
+  let links;
+  let service;
+  let detector;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW });
+
+    // link_tags and identity_links rows, kept in memory
+    tags = [];
+    links = [];
+    const database = {
+      dbType: 'sqlite',
+      query: jest.fn(async (sql, params = []) => {
+        if (sql.startsWith('INSERT OR IGNORE INTO link_tags')) {
+          const [token, user_id, user_agent, ip_address, created_at] = params;
+          tags.push({ token, user_id, user_agent, ip_address, created_at });
+        } else if (sql.includes('FROM link_tags WHERE token = ?')) {
+          return { rows: tags.filter(row => row.token === params[0]) };
+        } else if (sql.includes('FROM link_tags WHERE user_id = ?')) {
+          return { rows: tags.filter(row => row.user_id === params[0]) };
+        } else if (sql.trim().startsWith('INSERT INTO identity_links')) {
+          const [source_user_id, user_id, token, user_agent, ip_address, request_url, created_at, last_seen_at] = params;
+          links.push({ id: links.length + 1, source_user_id, user_id, token, user_agent, ip_address, request_url, request_count: 1, created_at, last_seen_at });
+        } else if (sql.trim().startsWith('UPDATE identity_links')) {
+          const link = links.find(row => row.id === params[3]);
+          Object.assign(link, { request_count: link.request_count + 1, user_agent: params[0], ip_address: params[1], last_seen_at: params[2] });
+        } else if (sql.includes('WHERE source_user_id = ? AND user_id = ?')) {
+          return { rows: links.filter(row => row.source_user_id === params[0] && row.user_id === params[1]) };
+        } else if (sql.includes('WHERE source_user_id = ? OR user_id = ?')) {
+          return { rows: links.filter(row => row.source_user_id === params[0] || row.user_id === params[1]) };
+        }
+        return { rows: [] };
+      })
+    };
+
+    // Visitors requesting another visitor's tagged link are flagged for an hour
+    const settings = {
+      getLinkTagFlagDuration: jest.fn(async () => 60 * 60 * 1000),
+      getDetectionWeight: jest.fn(async (name, defaultWeight) => defaultWeight)
+    };
+    service = new LinkTagService(database, settings, { security: { honeypotSecret: SECRET } });
+    await service.initialize();
+    detector = new LinkTagDetector(service, settings);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('issues one stored tag per visitor', async () => {
+    const token = await service.issueTag('user-1', 'Scrapy/2.11', '203.0.113.1');
+
+    expect(token).toBe(LinkTag.tokenFor(SECRET, 'user-1'));
+    expect(await service.issueTag('user-1', 'Scrapy/2.11', '203.0.113.1')).toBe(token);
+    expect(tags).toHaveLength(1);
+  });
+
+  test('links identities that share a tag and flags the newcomer', async () => {
+    const token = await service.issueTag('user-1', 'Scrapy/2.11', '203.0.113.1');
+
+    const signal = await detector.evaluate({ userId: 'user-2', queryParams: { ref: token } });
+    expect(signal.isDecisive()).toBe(true);
+    expect(signal.details).toEqual({ token, sourceUserId: 'user-1', visited: true });
+
+    const link = await service.linkIdentities('user-1', 'user-2', token, 'curl/8.0', '198.51.100.7', '/blog/?ref=' + token);
+    expect(link.sourceUserId).toBe('user-1');
+    expect(link.userId).toBe('user-2');
+
+    // Later requests without the tag are still blocked
+    const flagged = await detector.evaluate({ userId: 'user-2', queryParams: {} });
+    expect(flagged.reason).toBe('Flagged by shared link tag from user-1');
+
+    const graph = await service.getLinkGraph('user-2');
+    expect(graph.nodes.map(node => node.userId).sort()).toEqual(['user-1', 'user-2']);
+    expect(graph.links).toHaveLength(1);
+  });
+
+  test('counts repeated requests on the same link', async () => {
+    const token = await service.issueTag('user-1', 'Scrapy/2.11', '203.0.113.1');
+    await service.linkIdentities('user-1', 'user-2', token, 'curl/8.0', '198.51.100.7', '/blog/');
+    const link = await service.linkIdentities('user-1', 'user-2', token, 'curl/8.0', '198.51.100.8', '/blog/');
+
+    expect(links).toHaveLength(1);
+    expect(link.requestCount).toBe(2);
+    expect(link.ipAddress).toBe('198.51.100.8');
+  });
+
+  test('ignores a visitor requesting its own tagged link', async () => {
+    const token = await service.issueTag('user-1', 'Scrapy/2.11', '203.0.113.1');
+
+    expect(await detector.evaluate({ userId: 'user-1', queryParams: { ref: token } })).toBeNull();
+  });
+
+  test('ignores unknown and forged tags', async () => {
+    await service.issueTag('user-1', 'Scrapy/2.11', '203.0.113.1');
+
+    // Shaped like a token, but never issued (e.g. derived with another secret)
+    const forged = LinkTag.tokenFor('other-secret', 'user-1');
+    expect(await service.findTag(forged)).toBeNull();
+    expect(await detector.evaluate({ userId: 'user-2', queryParams: { ref: forged } })).toBeNull();
+
+    expect(await service.findTag('not-a-token')).toBeNull();
+    expect(await detector.evaluate({ userId: 'user-2', queryParams: { ref: ['0123456789'] } })).toBeNull();
+    expect(service.getFlag('user-2')).toBeNull();
+  });
+
+  test('finds tags issued before a restart in the database', async () => {
+    const token = await service.issueTag('user-1', 'Scrapy/2.11', '203.0.113.1');
+    service.tags.clear();
+
+    expect((await service.findTag(token)).userId).toBe('user-1');
+  });
+
+  test('expires flags after the flag duration', async () => {
+    await service.flagVisitor('user-2', 'user-1', '0123456789');
+    expect(service.getStats().flaggedVisitors).toBe(1);
+
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(service.getFlag('user-2')).toBeNull();
+    expect(service.getStats().flaggedVisitors).toBe(0);
+  });
+});
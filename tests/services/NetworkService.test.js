@@ -0,0 +1,83 @@
+const NetworkService = require('../../src/services/NetworkService');
+
+/**
+ * Create a database stub serving network lists
+ * @param {Object} tables - Rows of known_bad_networks and known_good_networks
+ * @returns {Object} - Database stub
+ */
+const createDatabase = (tables) => ({
+  dbType: 'sqlite',
+  query: jest.fn(async (sql) => {
+    const table = ['known_bad_networks', 'known_good_networks'].find(name => sql.includes(`FROM ${name}`));
+    return { rows: table ? tables[table] || [] : [] };
+  })
+});
+
+describe('NetworkService', () => {
+  let service;
+
+  beforeEach(async () => {
+    service = new NetworkService(createDatabase({
+      known_bad_networks: [
+        { id: 1, cidr: '203.0.113.0/24', description: 'Scraper farm' },
+        { id: 2, cidr: '203.0.113.128/25', description: 'Scraper farm, second half' },
+        { id: 3, cidr: '2001:db8:bad::/48', description: 'IPv6 scrapers' },
+        { id: 4, cidr: 'not-a-network', description: 'Broken row' }
+      ],
+      known_good_networks: [
+        { id: 5, cidr: '198.51.100.7', description: 'Monitoring' }
+      ]
+    }));
+    await service.initialize();
+  });
+
+  test('skips rows whose CIDR does not parse', () => {
+    expect(service.knownBadNetworks.map(entry => entry.id)).toEqual([1, 2, 3]);
+  });
+
+  test('matches addresses inside bad ranges', () => {
+    expect(service.isKnownBadNetwork('203.0.113.5')).toBe(true);
+    expect(service.isKnownBadNetwork('2001:db8:bad:1::1')).toBe(true);
+    expect(service.isKnownBadNetwork('203.0.114.5')).toBe(false);
+    expect(service.isKnownBadNetwork('2001:db8:bae::1')).toBe(false);
+  });
+
+  test('returns the most specific matching range', () => {
+    expect(service.findBadNetwork('203.0.113.200').id).toBe(2);
+    expect(service.findBadNetwork('203.0.113.20').id).toBe(1);
+  });
+
+  test('matches IPv4-mapped IPv6 addresses against IPv4 ranges', () => {
+    expect(service.isKnownBadNetwork('::ffff:203.0.113.9')).toBe(true);
+  });
+
+  test('matches single-host good networks exactly', () => {
+    expect(service.isKnownGoodNetwork('198.51.100.7')).toBe(true);
+    expect(service.isKnownGoodNetwork('198.51.100.8')).toBe(false);
+  });
+
+  test('never matches invalid addresses', () => {
+    expect(service.findBadNetwork('garbage')).toBeNull();
+    expect(service.findBadNetwork(null)).toBeNull();
+  });
+
+  describe('canonicalizeCidr', () => {
+    test('masks host bits and adds the prefix length', () => {
+      expect(service.canonicalizeCidr('10.1.2.3/8')).toBe('10.0.0.0/8');
+      expect(service.canonicalizeCidr('2001:DB8::1')).toBe('2001:db8::1/128');
+    });
+
+    test('rejects missing and invalid CIDRs', () => {
+      expect(() => service.canonicalizeCidr('')).toThrow('CIDR is required');
+      expect(() => service.canonicalizeCidr('10.0.0.0/40')).toThrow('Invalid CIDR: 10.0.0.0/40');
+    });
+  });
+
+  test('stores added networks in canonical form and reloads the lists', async () => {
+    await service.addBadNetwork('192.0.2.77/24', 'New range');
+
+    const insert = service.database.query.mock.calls.find(([sql]) => sql.startsWith('INSERT OR REPLACE INTO known_bad_networks'));
+    expect(insert[1]).toEqual(['192.0.2.0/24', 'New range', 1]);
+    expect(service.database.query.mock.calls.filter(([sql]) => sql.includes('FROM known_bad_networks')).length).toBe(2);
+  });
+});
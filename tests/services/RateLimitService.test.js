@@ -0,0 +1,329 @@
+const RateLimitService = require('../../src/services/RateLimitService');
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+
+describe('RateLimitService', () => {
+  let database;
+  let settings;
+  let service;
+
+  /**
+   * Record requests from a user, advancing the clock between them
+   * @param {string} userId - User ID
+   * @param {number} count - Number of requests
+   * @param {number} interval - Milliseconds between requests
+   * @param {string|null} path - Request path
+   */
+  const addRequests = (userId, count, interval = 1000, path = null) => {
+    for (let i = 0; i < count; i++) {
+      service.addRequestToCounter(userId, path);
+      jest.advanceTimersByTime(interval);
+    }
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+
+    // 3 requests per 10 seconds and 5 per minute; 4 per minute for each /24 or /64 subnet.
+    // In token bucket mode, bursts of 3 refilling a token every 10 seconds
+    settings = {
+      getSetting: jest.fn(async (key, defaultValue) => ({ rate_limit_short_window: '10', rate_limit_short_max: '3' })[key] ?? defaultValue),
+      getRateLimitLongWindow: jest.fn(async () => 60 * 1000),
+      getRateLimitLongMax: jest.fn(async () => 5),
+      getRateLimitExtraWindows: jest.fn(async () => ''),
+      getRateLimitMode: jest.fn(async () => 'window'),
+      getRateLimitBucketSize: jest.fn(async () => 3),
+      getRateLimitBucketRefillRate: jest.fn(async () => 6),
+      getRateLimitSubnetWindow: jest.fn(async () => 60 * 1000),
+      getRateLimitSubnetPrefix: jest.fn(async (version) => (version === 4 ? 24 : 64)),
+      getRateLimitSubnetMax: jest.fn(async () => 4),
+      getRateLimitSubnetFlagDuration: jest.fn(async () => 5 * 60 * 1000),
+      getRateLimitMaxTrackedVisitors: jest.fn(async () => 2)
+    };
+    database = { dbType: 'sqlite', query: jest.fn(async () => ({ rows: [] })) };
+    service = new RateLimitService(database, settings, {});
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('checks the short and long windows', async () => {
+    const results = await service.checkRateLimitWindows('user');
+
+    expect(results.map(result => result.windowName)).toEqual(['short', 'long']);
+    expect(results.map(result => result.limit)).toEqual([3, 5]);
+    expect(results.every(result => !result.isExceeded())).toBe(true);
+  });
+
+  test('exceeds the short window past its max', async () => {
+    addRequests('user', 4);
+
+    const [short, long] = await service.checkRateLimitWindows('user');
+    expect(short.isExceeded()).toBe(true);
+    expect(short.currentCount).toBe(4);
+    expect(long.isExceeded()).toBe(false);
+  });
+
+  test('counts users separately', async () => {
+    addRequests('user', 4);
+
+    const [short] = await service.checkRateLimitWindows('other');
+    expect(short.currentCount).toBe(0);
+  });
+
+  test('forgets requests older than the window', async () => {
+    addRequests('user', 4);
+    jest.advanceTimersByTime(10 * 1000);
+
+    const [short, long] = await service.checkRateLimitWindows('user');
+    expect(short.currentCount).toBe(0);
+    expect(long.currentCount).toBe(4);
+  });
+
+  test('exceeds the long window with requests spread over it', async () => {
+    addRequests('user', 6, 5000);
+
+    const [short, long] = await service.checkRateLimitWindows('user');
+    expect(short.isExceeded()).toBe(false);
+    expect(long.isExceeded()).toBe(true);
+  });
+
+  test('allows the next request once enough of the oldest ones expired', async () => {
+    // Requests at 0s, 1s, 2s, 3s and 4s; with 3 allowed per 10s, the 2s request has to expire
+    addRequests('user', 5);
+
+    const [short] = await service.checkRateLimitWindows('user');
+    expect(short.retryAt.getTime()).toBe(NOW + 2000 + 10 * 1000);
+    expect(short.resetAt.getTime()).toBe(NOW + 4000 + 10 * 1000);
+    expect(short.getRetryAfter()).toBe(7);
+  });
+
+  test('adds the configured extra windows, skipping malformed ones', async () => {
+    settings.getRateLimitExtraWindows.mockResolvedValue('3600:100, bad, 0:5, 86400:500');
+
+    const results = await service.checkRateLimitWindows('user');
+    expect(results.map(result => result.windowName)).toEqual(['short', 'long', '3600s', '86400s']);
+    expect(results[3].windowSize).toBe(86400 * 1000);
+  });
+
+  test('keeps timestamps for the longest window', async () => {
+    settings.getRateLimitExtraWindows.mockResolvedValue('3600:100');
+    await service.checkRateLimitWindows('user');
+    expect(service.retentionWindow).toBe(3600 * 1000);
+
+    // The periodic cleanup runs while the clock advances
+    addRequests('user', 1, 30 * 60 * 1000);
+    expect((await service.getRequestCounts('user'))['3600s']).toBe(1);
+  });
+
+  test('summarizes the short and long windows', async () => {
+    addRequests('user', 4);
+
+    expect(await service.checkRateLimits('user')).toEqual({
+      exceeded: true,
+      shortCount: 4,
+      shortLimit: 3,
+      longCount: 4,
+      longLimit: 5
+    });
+  });
+
+  test('drops the least recently seen visitors past the tracked visitor limit', async () => {
+    await service.refreshCounterLimits();
+    addRequests('first', 1);
+    addRequests('second', 1);
+    addRequests('third', 1);
+
+    expect(service.userRequests.has('first')).toBe(false);
+    expect(service.getStats().evictions).toEqual({ users: 1, rules: 0, buckets: 0, subnets: 0, total: 1 });
+    expect((await service.getRequestCounts('third')).short).toBe(1);
+  });
+
+  test('does not start tracking a visitor that is only checked', async () => {
+    await service.checkRateLimitWindows('user');
+    await service.checkSubnetRateLimit('203.0.113.1');
+
+    expect(service.userRequests.size).toBe(0);
+    expect(service.subnetRequests.size).toBe(0);
+  });
+
+  describe('token bucket mode', () => {
+    beforeEach(async () => {
+      settings.getRateLimitMode.mockResolvedValue('token_bucket');
+      await service.checkRateLimitWindows('user');
+    });
+
+    test('checks a single bucket instead of the windows', async () => {
+      const results = await service.checkRateLimitWindows('user');
+
+      expect(results).toHaveLength(1);
+      expect(results[0].windowName).toBe('bucket');
+      expect(results[0].isExceeded()).toBe(false);
+    });
+
+    test('allows a burst of the bucket size', async () => {
+      addRequests('user', 2, 0);
+      expect((await service.checkRateLimitWindows('user'))[0].isExceeded()).toBe(false);
+
+      // The bucket is empty after the third request, so a fourth is refused
+      addRequests('user', 1, 0);
+      expect((await service.checkRateLimitWindows('user'))[0].isExceeded()).toBe(true);
+    });
+
+    test('refills at the configured rate', async () => {
+      addRequests('user', 4, 0);
+      jest.advanceTimersByTime(10 * 1000);
+
+      expect((await service.checkRateLimitWindows('user'))[0].isExceeded()).toBe(false);
+    });
+
+    test('reports both windows from the bucket', async () => {
+      addRequests('user', 4, 0);
+
+      const summary = await service.checkRateLimits('user');
+      expect(summary.exceeded).toBe(true);
+      expect(summary.shortLimit).toBe(summary.longLimit);
+    });
+
+    test('drops full buckets on cleanup', async () => {
+      addRequests('user', 1, 0);
+      expect(service.buckets.size).toBe(1);
+
+      jest.advanceTimersByTime(10 * 1000);
+      service.cleanupBuckets();
+      expect(service.buckets.size).toBe(0);
+    });
+
+    test('keeps counting rule paths in windows', async () => {
+      database.query.mockResolvedValue({
+        rows: [{ id: 1, pattern: '/api', match_type: 'prefix', window_seconds: 60, max_requests: 1, is_excluded: 0 }]
+      });
+      await service.refreshRules();
+      addRequests('user', 2, 1000, '/api/users');
+
+      expect(service.buckets.size).toBe(0);
+      expect((await service.checkRateLimitWindows('user', '/api/users'))[0].isExceeded()).toBe(true);
+    });
+  });
+
+  describe('subnet aggregation', () => {
+    test('shares a budget between addresses of the same subnet', async () => {
+      for (const ip of ['203.0.113.1', '203.0.113.2', '203.0.113.3', '203.0.113.4', '203.0.113.5']) {
+        await service.addRequestToSubnetCounter(ip);
+      }
+
+      const { subnet, result } = await service.checkSubnetRateLimit('203.0.113.200');
+      expect(subnet).toBe('203.0.113.0/24');
+      expect(result.currentCount).toBe(5);
+      expect(result.isExceeded()).toBe(true);
+    });
+
+    test('counts other subnets separately', async () => {
+      for (let i = 0; i < 5; i++) {
+        await service.addRequestToSubnetCounter('203.0.113.1');
+      }
+
+      const { subnet, result } = await service.checkSubnetRateLimit('203.0.114.1');
+      expect(subnet).toBe('203.0.114.0/24');
+      expect(result.currentCount).toBe(0);
+    });
+
+    test('groups IPv6 addresses by their /64', async () => {
+      await service.addRequestToSubnetCounter('2001:db8:1:2::1');
+      await service.addRequestToSubnetCounter('2001:db8:1:2::ffff');
+
+      const { subnet, result } = await service.checkSubnetRateLimit('2001:db8:1:2:abcd::1');
+      expect(subnet).toBe('2001:db8:1:2::/64');
+      expect(result.currentCount).toBe(2);
+    });
+
+    test('forgets requests older than the subnet window', async () => {
+      await service.addRequestToSubnetCounter('203.0.113.1');
+      jest.advanceTimersByTime(60 * 1000);
+
+      const { result } = await service.checkSubnetRateLimit('203.0.113.1');
+      expect(result.currentCount).toBe(0);
+    });
+
+    test('ignores invalid addresses', async () => {
+      await service.addRequestToSubnetCounter('garbage');
+
+      expect(await service.checkSubnetRateLimit('garbage')).toBeNull();
+      expect(service.subnetRequests.size).toBe(0);
+    });
+
+    test('flags a subnet until the flag duration passes', async () => {
+      await service.flagSubnet('203.0.113.0/24');
+      expect(service.getSubnetFlag('203.0.113.0/24')).not.toBeNull();
+
+      jest.advanceTimersByTime(5 * 60 * 1000);
+      expect(service.getSubnetFlag('203.0.113.0/24')).toBeNull();
+    });
+  });
+
+  describe('rules', () => {
+    beforeEach(async () => {
+      database.query.mockResolvedValue({
+        rows: [
+          { id: 1, pattern: '/api', match_type: 'prefix', window_seconds: 60, max_requests: 1, is_excluded: 0 },
+          { id: 2, pattern: '/api/health', match_type: 'prefix', window_seconds: null, max_requests: null, is_excluded: 1 },
+          { id: 3, pattern: '/blog/*/archive', match_type: 'glob', window_seconds: 30, max_requests: 2, is_excluded: 0 }
+        ]
+      });
+      await service.refreshRules();
+    });
+
+    test('picks the most specific matching rule', () => {
+      expect(service.findRule('/api/health/live').id).toBe(2);
+      expect(service.findRule('/api/users').id).toBe(1);
+      expect(service.findRule('/blog/2024/archive').id).toBe(3);
+      expect(service.findRule('/blog/2024')).toBeNull();
+    });
+
+    test('excludes paths of exclusion rules', () => {
+      expect(service.isExcludedFromRateLimit('/api/health')).toBe(true);
+      expect(service.isExcludedFromRateLimit('/api/users')).toBe(false);
+    });
+
+    test('counts rule paths against the rule window only', async () => {
+      addRequests('user', 2, 1000, '/api/users');
+
+      const results = await service.checkRateLimitWindows('user', '/api/users');
+      expect(results).toHaveLength(1);
+      expect(results[0].windowName).toBe('rule:/api');
+      expect(results[0].isExceeded()).toBe(true);
+
+      const [short] = await service.checkRateLimitWindows('user', '/about');
+      expect(short.currentCount).toBe(0);
+    });
+
+    test('validates rule fields', () => {
+      expect(() => service.validateRule('api', 'prefix', 60, 1, false)).toThrow('Rule pattern must start with /');
+      expect(() => service.validateRule('/api', 'regex', 60, 1, false)).toThrow('Invalid match type: regex');
+      expect(() => service.validateRule('/api', 'prefix', 0, 1, false)).toThrow('Rule window must be a positive number of seconds');
+      expect(() => service.validateRule('/api', 'prefix', 60, 'x', false)).toThrow('Rule max must be a positive integer');
+      expect(service.validateRule(' /api ', 'glob', '60', '5', false)).toEqual({
+        pattern: '/api', matchType: 'glob', windowSeconds: 60, maxRequests: 5
+      });
+      expect(service.validateRule('/api', 'prefix', null, null, true)).toEqual({
+        pattern: '/api', matchType: 'prefix', windowSeconds: null, maxRequests: null
+      });
+    });
+  });
+
+  describe('isContentRequest', () => {
+    test('counts pages and the formats the scrambler rewrites', () => {
+      for (const path of ['/', '/blog/', '/about', '/post.html', '/feed.json', '/rss.xml', '/notes.txt']) {
+        expect(service.isContentRequest(path)).toBe(true);
+      }
+    });
+
+    test('skips assets', () => {
+      for (const path of ['/style.css', '/app.js', '/logo.png']) {
+        expect(service.isContentRequest(path)).toBe(false);
+      }
+    });
+  });
+});
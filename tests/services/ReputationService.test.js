@@ -0,0 +1,139 @@
+const ReputationService = require('../../src/services/ReputationService');
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+const MINUTE = 60 * 1000;
+
+describe('ReputationService', () => {
+  let rows;
+  let service;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOW });
+
+    // visitor_reputation rows, kept in memory
+    rows = [];
+    const database = {
+      dbType: 'sqlite',
+      query: jest.fn(async (sql, params = []) => {
+        if (sql.startsWith('INSERT INTO visitor_reputation')) {
+          const [user_id, ip_address, state, reason, offense_count, expires_at, last_offense_at, created_at, updated_at] = params;
+          rows.push({ id: rows.length + 1, user_id, ip_address, state, reason, offense_count, expires_at, last_offense_at, created_at, updated_at });
+        } else if (sql.trim().startsWith('UPDATE visitor_reputation')) {
+          const [ip_address, state, reason, offense_count, expires_at, last_offense_at, updated_at, id] = params;
+          Object.assign(rows.find(row => row.id === id), { ip_address, state, reason, offense_count, expires_at, last_offense_at, updated_at });
+        } else if (sql.includes('WHERE user_id = ?')) {
+          return { rows: rows.filter(row => row.user_id === params[0]) };
+        } else if (sql.includes('WHERE user_id IS NULL AND ip_address = ?')) {
+          return { rows: rows.filter(row => row.user_id === null && row.ip_address === params[0]) };
+        } else if (sql.includes('WHERE id = ?')) {
+          return { rows: rows.filter(row => row.id === params[0]) };
+        } else if (sql.startsWith('SELECT * FROM visitor_reputation')) {
+          return { rows };
+        }
+        return { rows: [] };
+      })
+    };
+
+    // Bans start at 10 minutes and are capped at an hour; offenses count for a day
+    service = new ReputationService(database, {
+      getReputationOffenseWindow: jest.fn(async () => 24 * 60 * MINUTE),
+      getReputationBanDuration: jest.fn(async () => 10 * MINUTE),
+      getReputationBanMaxDuration: jest.fn(async () => 60 * MINUTE)
+    });
+    await service.initialize();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getBanDuration', () => {
+    test('doubles the ban with every repeat offense', async () => {
+      expect(await service.getBanDuration(1)).toBe(10 * MINUTE);
+      expect(await service.getBanDuration(2)).toBe(20 * MINUTE);
+      expect(await service.getBanDuration(3)).toBe(40 * MINUTE);
+    });
+
+    test('caps the ban at the maximum duration', async () => {
+      expect(await service.getBanDuration(4)).toBe(60 * MINUTE);
+      expect(await service.getBanDuration(20)).toBe(60 * MINUTE);
+    });
+  });
+
+  describe('recordOffense', () => {
+    test('bans a first offender for the base duration', async () => {
+      const reputation = await service.recordOffense('user-1', '203.0.113.1', 'Trap link visited');
+
+      expect(reputation.state).toBe('banned');
+      expect(reputation.offenseCount).toBe(1);
+      expect(reputation.expiresAt.getTime()).toBe(NOW + 10 * MINUTE);
+    });
+
+    test('escalates repeat offenses within the offense window', async () => {
+      await service.recordOffense('user-1', '203.0.113.1', 'First');
+      jest.advanceTimersByTime(15 * MINUTE);
+      const reputation = await service.recordOffense('user-1', '203.0.113.1', 'Second');
+
+      expect(reputation.offenseCount).toBe(2);
+      expect(reputation.expiresAt.getTime()).toBe(Date.now() + 20 * MINUTE);
+      expect(rows).toHaveLength(1);
+    });
+
+    test('starts over once the last offense is outside the window', async () => {
+      await service.recordOffense('user-1', '203.0.113.1', 'First');
+      await service.recordOffense('user-1', '203.0.113.1', 'Second');
+      jest.advanceTimersByTime(24 * 60 * MINUTE);
+      const reputation = await service.recordOffense('user-1', '203.0.113.1', 'Third');
+
+      expect(reputation.offenseCount).toBe(1);
+      expect(reputation.expiresAt.getTime()).toBe(Date.now() + 10 * MINUTE);
+    });
+  });
+
+  describe('getStanding', () => {
+    test('prefers an entry for the user ID over an IP-wide entry', async () => {
+      await service.setReputation(null, '203.0.113.1', 'banned', 'Abusive network');
+      await service.setReputation('user-1', null, 'trusted', 'Partner crawler');
+
+      const standing = await service.getStanding('user-1', '203.0.113.1');
+      expect(standing.state).toBe('trusted');
+      expect(standing.reputation.userId).toBe('user-1');
+    });
+
+    test('applies an IP-wide entry to every user ID from the address', async () => {
+      await service.setReputation(null, '203.0.113.1', 'banned', 'Abusive network');
+
+      const standing = await service.getStanding('user-2', '203.0.113.1');
+      expect(standing.state).toBe('banned');
+    });
+
+    test('leaves an offender suspect after the ban lapses, then forgets them', async () => {
+      await service.recordOffense('user-1', '203.0.113.1', 'Trap link visited');
+
+      jest.advanceTimersByTime(10 * MINUTE);
+      expect((await service.getStanding('user-1', null)).state).toBe('suspect');
+
+      jest.advanceTimersByTime(24 * 60 * MINUTE);
+      expect(await service.getStanding('user-1', null)).toBeNull();
+    });
+  });
+
+  test('keeps the offense count when a ban is lifted, so the next offense still escalates', async () => {
+    const banned = await service.recordOffense('user-1', '203.0.113.1', 'First');
+
+    const { reputation } = await service.liftReputation(banned.id);
+    expect(reputation.state).toBe('suspect');
+    expect(reputation.offenseCount).toBe(1);
+
+    jest.advanceTimersByTime(MINUTE);
+    const again = await service.recordOffense('user-1', '203.0.113.1', 'Second');
+    expect(again.offenseCount).toBe(2);
+    expect(again.expiresAt.getTime()).toBe(Date.now() + 20 * MINUTE);
+  });
+
+  test('rejects invalid states and addresses', async () => {
+    await expect(service.setReputation('user-1', null, 'friendly')).rejects.toThrow('Invalid reputation state: friendly');
+    await expect(service.setReputation(null, 'nope', 'banned')).rejects.toThrow('Invalid IP address: nope');
+    await expect(service.setReputation(null, null, 'banned')).rejects.toThrow('User ID or IP address is required');
+  });
+});
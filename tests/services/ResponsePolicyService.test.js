@@ -0,0 +1,87 @@
+const ResponsePolicyService = require('../../src/services/ResponsePolicyService');
+const DetectionResult = require('../../src/models/DetectionResult');
+const DetectionSignal = require('../../src/models/DetectionSignal');
+
+const thresholds = { scramble: 50, block: 100 };
+
+// A trap link visit, scrambled or blocked depending on its weight
+const trapVisit = (score) => DetectionResult.fromSignals('user-1', [
+  DetectionSignal.block('trap_link', score, 'Trap link visited: /trap/abc')
+], thresholds);
+
+describe('ResponsePolicyService', () => {
+  let rows;
+  let database;
+
+  /**
+   * Create the service with the given redirect URL configured and load the policy rows
+   * @param {string|null} redirectUrl - REDIRECT_URL
+   * @returns {Promise<ResponsePolicyService>} - Initialized service
+   */
+  const createService = async (redirectUrl = null) => {
+    const service = new ResponsePolicyService(database, { routes: { redirectUrl } });
+    await service.initialize();
+    return service;
+  };
+
+  beforeEach(() => {
+    rows = [];
+    database = { dbType: 'sqlite', query: jest.fn(async () => ({ rows })) };
+  });
+
+  describe('resolve', () => {
+    test('follows the verdict without a policy', async () => {
+      const service = await createService();
+
+      expect(service.resolve(trapVisit(10))).toEqual({ reason: 'trap', action: 'scramble', redirectUrl: null, customPage: null });
+      expect(service.resolve(trapVisit(100)).action).toBe('forbidden');
+    });
+
+    test('applies the policy of the block reason', async () => {
+      rows.push({ id: 1, reason: 'trap', action: 'tarpit' });
+      const service = await createService();
+
+      expect(service.resolve(trapVisit(10)).action).toBe('tarpit');
+    });
+
+    test('redirects to the policy URL, or to REDIRECT_URL without one', async () => {
+      rows.push({ id: 1, reason: 'trap', action: 'redirect', redirect_url: 'https://example.com/away' });
+      expect((await createService('https://example.com/default')).resolve(trapVisit(10)).redirectUrl).toBe('https://example.com/away');
+
+      rows[0].redirect_url = null;
+      expect((await createService('https://example.com/default')).resolve(trapVisit(10)).redirectUrl).toBe('https://example.com/default');
+    });
+
+    test('falls back to the verdict action when there is nowhere to redirect to', async () => {
+      rows.push({ id: 1, reason: 'trap', action: 'redirect', redirect_url: null });
+      const service = await createService();
+
+      expect(service.resolve(trapVisit(10))).toEqual({ reason: 'trap', action: 'scramble', redirectUrl: null, customPage: null });
+      expect(service.resolve(trapVisit(100)).action).toBe('forbidden');
+    });
+
+    test('serves the custom page only with a 403', async () => {
+      rows.push({ id: 1, reason: 'trap', action: 'forbidden', custom_page: '<h1>Go away</h1>' });
+      rows.push({ id: 2, reason: 'other', action: 'empty', custom_page: '<h1>Go away</h1>' });
+      const service = await createService();
+
+      expect(service.resolve(trapVisit(10)).customPage).toBe('<h1>Go away</h1>');
+      expect(service.resolve(DetectionResult.blocked('user-1', 'Blocked'))).toEqual({
+        reason: 'other', action: 'empty', redirectUrl: null, customPage: null
+      });
+    });
+  });
+
+  describe('setResponsePolicy', () => {
+    test('rejects invalid policies without storing them', async () => {
+      const service = await createService();
+      database.query.mockClear();
+
+      await expect(service.setResponsePolicy('bad_network', 'forbidden')).rejects.toThrow('Invalid response reason: bad_network');
+      await expect(service.setResponsePolicy('trap', 'teapot')).rejects.toThrow('Invalid response action: teapot');
+      await expect(service.setResponsePolicy('trap', 'redirect', 'ftp://example.com')).rejects.toThrow('Redirect URL must be an http or https URL');
+      await expect(service.setResponsePolicy('trap', 'redirect')).rejects.toThrow('Redirect URL is required (no REDIRECT_URL is configured)');
+      expect(database.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const RobotsTxtService = require('../../src/services/RobotsTxtService');
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('RobotsTxtService', () => {
+  describe('violator flags', () => {
+    let database;
+    let service;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW });
+      database = { query: jest.fn(async () => ({ rows: [] })) };
+      service = new RobotsTxtService(database, { getRobotsTxtFlagDuration: jest.fn(async () => DAY) }, {}, {});
+    });
+
+    afterEach(() => {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    });
+
+    test('are restored from violations anywhere in a combined block reason', async () => {
+      database.query.mockResolvedValue({
+        rows: [{ user_id: 'user-1', request_url: '/private/keys', created_at: new Date(NOW - 1000).toISOString() }]
+      });
+
+      await service.warmupFlaggedViolators();
+
+      expect(database.query.mock.calls[0][1]).toEqual([new Date(NOW - DAY).toISOString(), '%robots.txt violation:%']);
+      expect(service.getFlag('user-1')).toEqual({ decoyPath: '/private/keys', flaggedAt: NOW - 1000, expiresAt: NOW - 1000 + DAY });
+    });
+
+    test('are dropped once expired when another client is flagged', async () => {
+      await service.flagViolator('user-1', '/private/');
+      jest.advanceTimersByTime(DAY);
+
+      await service.flagViolator('user-2', '/backup/');
+      expect([...service.flaggedViolators.keys()]).toEqual(['user-2']);
+    });
+  });
+
+  describe('addDecoyRules', () => {
+    const decoys = ['/private/', '/admin-old/'];
+
+    test('adds the decoys to the end of the User-agent: * group', () => {
+      const rules = [
+        'User-agent: Googlebot',
+        'Disallow: /search',
+        '',
+        'User-agent: *',
+        'Disallow: /tmp/',
+        '',
+        'User-agent: GPTBot',
+        'Disallow: /'
+      ].join('\n');
+
+      expect(RobotsTxtService.addDecoyRules(rules, decoys)).toBe([
+        'User-agent: Googlebot',
+        'Disallow: /search',
+        '',
+        'User-agent: *',
+        'Disallow: /tmp/',
+        'Disallow: /private/',
+        'Disallow: /admin-old/',
+        '',
+        'User-agent: GPTBot',
+        'Disallow: /'
+      ].join('\n'));
+    });
+
+    test('finds * among the user agents of a group', () => {
+      const rules = 'User-agent: Bingbot\nUser-agent: *\nAllow: /\n\nSitemap: https://example.com/sitemap.xml';
+
+      expect(RobotsTxtService.addDecoyRules(rules, decoys)).toBe(
+        'User-agent: Bingbot\nUser-agent: *\nAllow: /\nDisallow: /private/\nDisallow: /admin-old/\n\nSitemap: https://example.com/sitemap.xml'
+      );
+    });
+
+    test('adds a * group when the rules have none', () => {
+      expect(RobotsTxtService.addDecoyRules('User-agent: Googlebot\nDisallow:', ['/private/'])).toBe(
+        'User-agent: Googlebot\nDisallow:\n\nUser-agent: *\nDisallow: /private/'
+      );
+      expect(RobotsTxtService.addDecoyRules('', ['/private/'])).toBe('User-agent: *\nDisallow: /private/');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { PassThrough } = require('stream');
+const TarpitService = require('../../src/services/TarpitService');
+
+describe('TarpitService', () => {
+  let tarpitSettings;
+  let service;
+
+  /**
+   * Create a response stream collecting what is written to it
+   * @returns {PassThrough} - Stream with the received text in its `received` property
+   */
+  const response = () => {
+    const stream = new PassThrough();
+    stream.received = '';
+    stream.on('data', chunk => { stream.received += chunk; });
+    return stream;
+  };
+
+  beforeEach(() => {
+    // Streams emit 'close' on the next tick, so only the timers the tarpit waits on are faked
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+
+    // 4 bytes every second, for at most a minute
+    tarpitSettings = { chunkSize: 4, chunkDelay: 1000, duration: 60 * 1000, maxConnections: 1 };
+    service = new TarpitService({ getTarpitSettings: jest.fn(async () => tarpitSettings) });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('drips the content in chunks and ends the response', async () => {
+    const stream = response();
+    const drip = service.drip(stream, 'abcdefghij');
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(stream.received).toBe('abcd');
+    expect(service.getStats().activeConnections).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(await drip).toBe(true);
+    expect(stream.received).toBe('abcdefghij');
+    expect(stream.writableEnded).toBe(true);
+    expect(service.getStats()).toEqual(expect.objectContaining({
+      activeConnections: 0, tarpitted: 1, completed: 1, bytesSent: 10, longestHeldSeconds: 2
+    }));
+  });
+
+  test('refuses connections beyond the cap and counts them', async () => {
+    const held = service.drip(response(), 'abcdefghij');
+    await jest.advanceTimersByTimeAsync(0);
+
+    const stream = response();
+    expect(await service.drip(stream, 'abcdefghij')).toBe(false);
+    expect(stream.received).toBe('');
+    expect(service.getStats()).toEqual(expect.objectContaining({ activeConnections: 1, maxConnections: 1, rejected: 1 }));
+
+    await jest.advanceTimersByTimeAsync(2000);
+    await held;
+  });
+
+  test('stops dripping at the duration deadline', async () => {
+    tarpitSettings = { ...tarpitSettings, chunkSize: 1, duration: 2500 };
+    const stream = response();
+    const drip = service.drip(stream, 'abcdefghij');
+
+    // Chunks at 0, 1 and 2 seconds, then a shortened wait for the last one at 2.5 seconds
+    await jest.advanceTimersByTimeAsync(2500);
+    expect(await drip).toBe(true);
+    expect(stream.received).toBe('abcd');
+    expect(stream.writableEnded).toBe(true);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('stops waiting as soon as the client disconnects', async () => {
+    const stream = response();
+    const drip = service.drip(stream, 'abcdefghij');
+    await jest.advanceTimersByTimeAsync(0);
+
+    stream.destroy();
+    expect(await drip).toBe(true);
+    expect(stream.received).toBe('abcd');
+    expect(jest.getTimerCount()).toBe(0);
+    expect(service.getStats()).toEqual(expect.objectContaining({ activeConnections: 0, disconnected: 1, completed: 0 }));
+  });
+});
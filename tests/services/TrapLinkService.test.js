@@ -0,0 +1,60 @@
+const TrapLinkService = require('../../src/services/TrapLinkService');
+
+const NOW = new Date('2026-01-01T00:00:00Z').getTime();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('TrapLinkService', () => {
+  let database;
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    database = { query: jest.fn(async () => ({ rows: [] })) };
+    service = new TrapLinkService(database, {
+      getTrapLinkFlagDuration: jest.fn(async () => DAY)
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  describe('warmupFlaggedVisitors', () => {
+    test('matches trap link reasons anywhere in a combined block reason', async () => {
+      await service.warmupFlaggedVisitors();
+
+      const [sql, params] = database.query.mock.calls[0];
+      expect(sql).toContain("block_reason LIKE '%Trap link visited:%'");
+      expect(params).toEqual([new Date(NOW - DAY).toISOString()]);
+    });
+
+    test('restores the flags of logged trap link visits', async () => {
+      database.query.mockResolvedValue({
+        rows: [{ user_id: 'user-1', request_url: '/archive/abc', created_at: new Date(NOW - 1000).toISOString() }]
+      });
+
+      await service.warmupFlaggedVisitors();
+
+      expect(service.getFlag('user-1')).toEqual({ trapPath: '/archive/abc', flaggedAt: NOW - 1000, expiresAt: NOW - 1000 + DAY });
+    });
+  });
+
+  describe('flags', () => {
+    test('expire after the flag duration', async () => {
+      await service.flagVisitor('user-1', '/archive/abc');
+      expect(service.getFlag('user-1')).not.toBeNull();
+
+      jest.advanceTimersByTime(DAY);
+      expect(service.getFlag('user-1')).toBeNull();
+    });
+
+    test('are dropped once expired when another visitor is flagged', async () => {
+      await service.flagVisitor('user-1', '/archive/abc');
+      jest.advanceTimersByTime(DAY);
+
+      await service.flagVisitor('user-2', '/archive/def');
+      expect([...service.flaggedVisitors.keys()]).toEqual(['user-2']);
+    });
+  });
+});
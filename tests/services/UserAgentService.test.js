@@ -0,0 +1,85 @@
+const UserAgentService = require('../../src/services/UserAgentService');
+
+describe('UserAgentService', () => {
+  let database;
+  let service;
+
+  beforeEach(async () => {
+    database = {
+      dbType: 'sqlite',
+      query: jest.fn(async (sql) => ({
+        rows: sql.includes('FROM known_bad_agents')
+          ? [
+              { id: 1, user_agent: 'scrapy', match_type: 'substring' },
+              { id: 2, user_agent: 'curl/8.0', match_type: 'exact' },
+              { id: 3, user_agent: '^python-(requests|urllib)/', match_type: 'regex' },
+              { id: 4, user_agent: 'bot', match_type: 'token' },
+              { id: 5, user_agent: '(unclosed', match_type: 'regex' },
+              { id: 6, user_agent: 'wget', match_type: null }
+            ]
+          : []
+      }))
+    };
+    service = new UserAgentService(database);
+    await service.initialize();
+  });
+
+  test('matches substring patterns anywhere, ignoring case', () => {
+    expect(service.isKnownBadAgent('Mozilla/5.0 (compatible; Scrapy/2.11)')).toBe(true);
+  });
+
+  test('matches exact patterns only against the whole user agent', () => {
+    expect(service.isKnownBadAgent('CURL/8.0')).toBe(true);
+    expect(service.isKnownBadAgent('curl/8.0.1')).toBe(false);
+  });
+
+  test('matches regex patterns', () => {
+    expect(service.isKnownBadAgent('python-requests/2.31')).toBe(true);
+    expect(service.isKnownBadAgent('my-python-requests/2.31')).toBe(false);
+  });
+
+  test('matches token patterns only between non-alphanumeric characters', () => {
+    expect(service.isKnownBadAgent('SomeCrawler bot/1.0')).toBe(true);
+    expect(service.isKnownBadAgent('Mozilla/5.0 (compatible; Googlebot/2.1)')).toBe(false);
+  });
+
+  test('treats rows without a match type as substring patterns', () => {
+    expect(service.isKnownBadAgent('Wget/1.21')).toBe(true);
+  });
+
+  test('skips stored patterns that do not compile', () => {
+    expect(service.knownBadAgents.map(agent => agent.id)).toEqual([1, 2, 3, 4, 6]);
+  });
+
+  test('never matches a missing user agent', () => {
+    expect(service.isKnownBadAgent('')).toBe(false);
+    expect(service.isKnownBadAgent(undefined)).toBe(false);
+  });
+
+  describe('adding agents', () => {
+    test('stores the pattern with its match type', async () => {
+      await service.addBadAgent('^GPTBot/', 'regex');
+
+      expect(database.query).toHaveBeenCalledWith(
+        'INSERT OR REPLACE INTO known_bad_agents (user_agent, match_type, is_active) VALUES (?, ?, ?)',
+        ['^GPTBot/', 'regex', 1]
+      );
+    });
+
+    test('rejects unknown match types without storing anything', async () => {
+      database.query.mockClear();
+
+      await expect(service.addGoodAgent('Googlebot', 'glob'))
+        .rejects.toThrow('Invalid match type: must be one of substring, exact, regex, token');
+      expect(database.query).not.toHaveBeenCalled();
+    });
+
+    test('rejects regex patterns that do not compile', async () => {
+      await expect(service.addBadAgent('(unclosed', 'regex')).rejects.toThrow('Invalid regular expression: (unclosed');
+    });
+
+    test('rejects empty patterns', async () => {
+      await expect(service.addBadAgent('', 'substring')).rejects.toThrow('User agent is required');
+    });
+  });
+});